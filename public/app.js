@@ -1,4 +1,34 @@
 let currentRepo = '';
+let diffViewMode = localStorage.getItem('git.diff.mode') || 'inline';
+let workingDiffFile = '';
+let conflictFile = '';
+let detailCommit = null;
+let rebaseTodo = { base: '', steps: [] };
+let rebaseInProgress = false;
+let cherryPickInProgress = false;
+let revertInProgress = false;
+let selectedCommits = [];
+let graphCommitOrder = [];
+let graphRows = [];
+let graphColumns = 1;
+let renderedRows = new Map();
+let shownStash = 0;
+let tagList = [];
+let remoteList = [];
+let editingRemote = null;
+let branchData = { local: [], remote: [], tracking: {}, aheadBehind: {} };
+let upstreamBranch = '';
+let resetTarget = '';
+let amendInfo = null;
+let historyFile = null;
+let treeState = { ref: 'HEAD', oid: '', file: null };
+let compareFrom = null;
+let compareData = null;
+let searchState = null;
+let searchMatches = new Set();
+let logCommits = [];
+let logCursor = null;
+let loadingOlderCommits = false;
 let authorConfig = {
     name: localStorage.getItem('git.author.name') || 'User',
     email: localStorage.getItem('git.author.email') || 'user@localhost'
@@ -29,11 +59,14 @@ async function loadRepo() {
     }
     
     currentRepo = path;
+    historyFile = null;
+    searchState = null;
+    document.getElementById('graphHistoryBar').style.display = 'none';
     
     try {
         const info = await apiCall('/repo-info');
         document.getElementById('currentBranch').textContent = info.currentBranch || 'unknown';
-        document.getElementById('remoteUrl').textContent = info.remotes[0]?.url || 'none';
+        document.getElementById('remoteUrl').textContent = formatRemotes(info.remotes);
         document.getElementById('repoDetails').style.display = 'block';
         
         await refreshAll();
@@ -47,8 +80,16 @@ async function loadRepo() {
 async function refreshAll() {
     await Promise.all([
         loadBranches(),
+        loadTags(),
+        loadRemotes(),
         loadStatus(),
-        loadCommits()
+        loadCommits(),
+        loadMergeState(),
+        loadRebaseState(),
+        loadCherryPickState(),
+        loadRevertState(),
+        loadStashes(),
+        loadUndoState()
     ]);
 }
 
@@ -59,12 +100,16 @@ async function loadBranches() {
         const branchList = document.getElementById('branchList');
         branchList.innerHTML = '';
         
+        branchData = data;
+
         // Local branches
         data.local.forEach(branch => {
             const div = document.createElement('div');
             div.className = 'branch-item' + (branch === data.current ? ' active' : '');
             div.innerHTML = `
                 <span class="branch-name" onclick="checkoutBranch('${branch}')">${branch}</span>
+                ${formatSyncStatus(data.tracking[branch], data.aheadBehind[branch])}
+                <button class="upstream-btn" onclick="showUpstreamDialog('${branch}')" title="Set upstream">⇅</button>
                 ${branch !== data.current ? `<button class="delete-btn" onclick="deleteBranch('${branch}')">×</button>` : ''}
             `;
             branchList.appendChild(div);
@@ -89,6 +134,48 @@ async function loadBranches() {
     }
 }
 
+// Ahead/behind badge for a branch with an upstream
+function formatSyncStatus(upstream, counts) {
+    if (!upstream) return '';
+    if (counts.gone) {
+        return `<span class="branch-sync gone" title="Upstream ${escapeHtml(upstream)} is gone">gone</span>`;
+    }
+    const parts = [];
+    if (counts.ahead > 0) parts.push(`↑${counts.ahead}`);
+    if (counts.behind > 0) parts.push(`↓${counts.behind}`);
+    const title = `Tracking ${upstream}: ${counts.ahead} to push, ${counts.behind} to pull`;
+    return `<span class="branch-sync${parts.length === 0 ? ' in-sync' : ''}" title="${escapeHtml(title)}">${parts.join(' ') || '✓'}</span>`;
+}
+
+// Set upstream
+function showUpstreamDialog(branch) {
+    upstreamBranch = branch;
+    document.getElementById('upstreamBranchName').textContent = branch;
+    const select = document.getElementById('upstreamSelect');
+    select.innerHTML = '<option value="">None</option>';
+    branchData.remote.filter(name => !name.endsWith('/HEAD')).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = branchData.tracking[branch] || '';
+    showDialog('upstreamDialog');
+}
+
+async function setUpstream() {
+    const upstream = document.getElementById('upstreamSelect').value || null;
+
+    try {
+        await apiCall('/branch/set-upstream', { branchName: upstreamBranch, upstream });
+        closeDialog('upstreamDialog');
+        await Promise.all([loadBranches(), loadUndoState()]);
+        showNotification(upstream ? `${upstreamBranch} now tracks ${upstream}` : `${upstreamBranch} no longer tracks a remote branch`, 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
 // Load Status
 async function loadStatus() {
     try {
@@ -97,6 +184,7 @@ async function loadStatus() {
         statusList.innerHTML = '';
         
         const allFiles = [
+            ...status.conflicted.map(f => ({ file: f, status: 'conflicted' })),
             ...status.modified.map(f => ({ file: f, status: 'modified' })),
             ...status.added.map(f => ({ file: f, status: 'added' })),
             ...status.deleted.map(f => ({ file: f, status: 'deleted' })),
@@ -114,10 +202,22 @@ async function loadStatus() {
             div.innerHTML = `
                 <span class="status-badge">${status.charAt(0).toUpperCase()}</span>
                 <span class="file-name">${file}</span>
-                ${status === 'untracked' || status === 'modified' 
+                ${status !== 'untracked' && status !== 'added'
+                    ? '<button class="history-btn" title="Show file history">🕘</button>'
+                    : ''}
+                ${status === 'conflicted'
+                    ? '<button class="resolve-btn">Resolve</button>'
+                    : status === 'untracked' || status === 'modified' 
                     ? `<button onclick="stageFile('${file}')">Stage</button>` 
                     : `<button onclick="unstageFile('${file}')">Unstage</button>`}
             `;
+            if (status === 'conflicted') {
+                div.querySelector('.resolve-btn').onclick = () => showConflictsDialog(file);
+            }
+            div.querySelector('.file-name').onclick = () => showWorkingDiff(file);
+            if (div.querySelector('.history-btn')) {
+                div.querySelector('.history-btn').onclick = () => showFileHistory(file);
+            }
             statusList.appendChild(div);
         });
     } catch (err) {
@@ -129,301 +229,387 @@ async function loadStatus() {
 async function loadCommits() {
     try {
         const depth = parseInt(document.getElementById('logDepth').value) || 50;
-        const data = await apiCall('/log', { depth });
-        renderCommitGraph(data.commits);
+        if (historyFile) {
+            const data = await apiCall('/file-history', { ...historyFile, depth });
+            searchMatches = new Set();
+            renderCommitGraph(data.commits);
+        } else if (searchState && searchState.mode === 'filter') {
+            const data = await apiCall('/search', { ...searchState.query, limit: depth });
+            searchState.commits = data.commits;
+            searchState.nextOffset = data.nextOffset;
+            searchMatches = new Set();
+            renderCommitGraph(data.commits);
+        } else {
+            const data = await apiCall('/log', { depth });
+            logCommits = data.commits;
+            logCursor = data.cursor;
+            await loadSearchMatches();
+            renderCommitGraph(logCommits);
+        }
+        updateSearchBar();
     } catch (err) {
         showNotification(`Error loading commits: ${err.message}`, 'error');
     }
 }
 
-// Render Commit Graph with proper branch visualization
-function renderCommitGraph(commits) {
-    const graph = document.getElementById('commitGraph');
-    graph.innerHTML = '';
+// Append the next page of the log, as the graph is scrolled to its end
+async function loadOlderCommits() {
+    if (!logCursor || loadingOlderCommits) return;
 
-    if (commits.length === 0) {
-        graph.innerHTML = '<div class="no-commits">No commits yet</div>';
-        return;
+    loadingOlderCommits = true;
+    try {
+        const depth = parseInt(document.getElementById('logDepth').value) || 50;
+        const data = await apiCall('/log', { depth, cursor: logCursor });
+        logCommits = [...logCommits, ...data.commits];
+        logCursor = data.cursor;
+        await loadSearchMatches();
+        appendCommitGraph(data.commits);
+        updateSearchBar();
+    } catch (err) {
+        // The branches moved since the first page was loaded, so start over
+        showNotification(`Error loading older commits: ${err.message}`, 'error');
+        await loadCommits();
+    } finally {
+        loadingOlderCommits = false;
     }
+}
 
-    // Build graph structure with lanes for branch visualization
-    const graphData = buildGraphLanes(commits);
+// Load more of the graph once it is scrolled close to the bottom
+function onGraphScroll(panel) {
+    if (panel.scrollTop + panel.clientHeight < panel.scrollHeight - 200) return;
 
-    graphData.forEach((item, index) => {
-        const commit = item.commit;
-        const commitDiv = document.createElement('div');
-        commitDiv.className = 'commit-node';
-        commitDiv.onclick = () => showCommitDetails(commit.oid);
+    if (historyFile) return;
+    if (searchState && searchState.mode === 'filter') {
+        loadMoreSearchResults();
+    } else {
+        loadOlderCommits();
+    }
+}
 
-        const date = new Date(commit.author.timestamp * 1000);
-        const dateStr = date.toLocaleString();
+// Highlighting only needs the matches among the commits loaded so far: the ones the log
+// listed before its cursor, or the whole history once it is all loaded
+async function loadSearchMatches() {
+    if (searchState) {
+        const range = logCursor ? { before: logCursor } : { limit: logCommits.length };
+        const results = await apiCall('/search', { ...searchState.query, ...range });
+        searchState.commits = results.commits;
+        searchState.nextOffset = null;
+    }
+    searchMatches = new Set(searchState ? searchState.commits.map(commit => commit.oid) : []);
+}
 
-        // Combine local branches with their tracking remotes
-        const branchTags = [];
+// Read the search box and filters, or null when they are all empty
+function readSearchQuery() {
+    const value = id => document.getElementById(id).value.trim();
+    const query = {
+        message: value('searchMessage'),
+        regex: document.getElementById('searchRegex').checked,
+        author: value('searchAuthor'),
+        committer: value('searchCommitter'),
+        // Whole days in local time
+        since: value('searchSince') && `${value('searchSince')}T00:00:00`,
+        until: value('searchUntil') && `${value('searchUntil')}T23:59:59`,
+        sha: value('searchSha'),
+        path: value('searchPath')
+    };
+    const active = ['message', 'author', 'committer', 'since', 'until', 'sha', 'path'].some(key => query[key]);
+    return active ? query : null;
+}
 
-        // Add local branches
-        if (commit.branches && commit.branches.length > 0) {
-            commit.branches.forEach(branch => {
-                branchTags.push(`<span class="branch-tag branch-local">${escapeHtml(branch)}</span>`);
-            });
-        }
+// Search the history, then highlight the matches in the graph or show only them
+async function searchCommits() {
+    const query = readSearchQuery();
+    if (!query) {
+        await clearSearch();
+        return;
+    }
 
-        // Add remote branches
-        if (commit.remoteBranches && commit.remoteBranches.length > 0) {
-            commit.remoteBranches.forEach(remoteBranch => {
-                branchTags.push(`<span class="branch-tag branch-remote">${escapeHtml(remoteBranch)}</span>`);
-            });
-        }
+    historyFile = null;
+    document.getElementById('graphHistoryBar').style.display = 'none';
+    searchState = { query, mode: document.getElementById('searchMode').value, commits: [], nextOffset: null };
+    await loadCommits();
+}
 
-        const branches = branchTags.length > 0
-            ? `<div class="commit-branches">${branchTags.join('')}</div>`
-            : '';
+async function loadMoreSearchResults() {
+    if (!searchState || searchState.nextOffset === null || loadingOlderCommits) return;
 
-        // Build the graph visualization (lanes and connections)
-        const graphViz = buildGraphVisualization(item, index, graphData);
+    loadingOlderCommits = true;
+    try {
+        const depth = parseInt(document.getElementById('logDepth').value) || 50;
+        const data = await apiCall('/search', { ...searchState.query, offset: searchState.nextOffset, limit: depth });
+        searchState.commits = [...searchState.commits, ...data.commits];
+        searchState.nextOffset = data.nextOffset;
+        appendCommitGraph(data.commits);
+        updateSearchBar();
+    } catch (err) {
+        showNotification(`Error searching commits: ${err.message}`, 'error');
+    } finally {
+        loadingOlderCommits = false;
+    }
+}
 
-        commitDiv.innerHTML = `
-            <div class="commit-line">
-                ${graphViz}
-                <div class="commit-info">
-                    <div class="commit-message">${escapeHtml(commit.message.split('\n')[0])}</div>
-                    ${branches}
-                    <div class="commit-meta">
-                        <span class="commit-author">${escapeHtml(commit.author.name)}</span>
-                        <span class="commit-date">${dateStr}</span>
-                        <span class="commit-sha">${commit.oid.substring(0, 7)}</span>
-                    </div>
-                </div>
-            </div>
-        `;
+async function clearSearch() {
+    searchState = null;
+    searchMatches = new Set();
+    await loadCommits();
+}
 
-        graph.appendChild(commitDiv);
-    });
+function toggleSearchFilters() {
+    const filters = document.getElementById('searchFilters');
+    filters.style.display = filters.style.display === 'none' ? 'flex' : 'none';
 }
 
-// Build lane structure for graph visualization
-function buildGraphLanes(commits) {
-    if (commits.length === 0) return [];
+function updateSearchBar() {
+    const bar = document.getElementById('graphSearchBar');
+    if (!searchState || historyFile) {
+        bar.style.display = 'none';
+        return;
+    }
 
-    // Map from commit OID to its index in the array
-    const commitIndexMap = new Map();
-    commits.forEach((commit, index) => {
-        commitIndexMap.set(commit.oid, index);
-    });
+    const filtering = searchState.mode === 'filter';
+    const count = filtering
+        ? searchState.commits.length
+        : graphCommitOrder.filter(oid => searchMatches.has(oid)).length;
+    document.getElementById('graphSearchText').textContent =
+        `${count}${filtering && searchState.nextOffset !== null ? '+' : ''} matching commit${count === 1 ? '' : 's'}` +
+        (filtering ? '' : ' in view');
+    document.getElementById('searchMoreButton').style.display =
+        searchState.mode === 'filter' && searchState.nextOffset !== null ? '' : 'none';
+    bar.style.display = 'flex';
+}
 
-    // Track which lanes are "active" (have a commit expecting a parent below)
-    // Each active lane tracks which commit OID it's waiting for
-    const activeLanes = []; // Array of { expectingOid: string } or null for free lanes
-    const commitLaneMap = new Map(); // OID -> lane number
+// Show only the commits that changed a file in the graph, following renames
+async function showFileHistory(filepath, ref = 'HEAD') {
+    historyFile = { filepath, ref };
+    searchState = null;
+    closeDialog('commitDetailsDialog');
+    document.getElementById('graphHistoryText').textContent =
+        `History of ${filepath}${ref === 'HEAD' ? '' : ` up to ${ref.substring(0, 7)}`}`;
+    document.getElementById('graphHistoryBar').style.display = 'flex';
+    await loadCommits();
+}
 
-    commits.forEach((commit, index) => {
-        let assignedLane = -1;
+async function clearFileHistory() {
+    historyFile = null;
+    document.getElementById('graphHistoryBar').style.display = 'none';
+    await loadCommits();
+}
 
-        // Check if this commit is expected by any active lane
-        for (let laneIdx = 0; laneIdx < activeLanes.length; laneIdx++) {
-            if (activeLanes[laneIdx] && activeLanes[laneIdx].expectingOid === commit.oid) {
-                assignedLane = laneIdx;
-                break;
-            }
-        }
+// Rows of the commit graph are all the same height, so only the rows in view need to exist
+const GRAPH_ROW_HEIGHT = 56;
+const GRAPH_OVERSCAN = 10;
 
-        // If not expected by any lane, find or create a free lane
-        if (assignedLane === -1) {
-            // Look for a free lane (null)
-            for (let laneIdx = 0; laneIdx < activeLanes.length; laneIdx++) {
-                if (activeLanes[laneIdx] === null) {
-                    assignedLane = laneIdx;
-                    break;
-                }
-            }
-            // No free lane, create a new one
-            if (assignedLane === -1) {
-                assignedLane = activeLanes.length;
-                activeLanes.push(null);
-            }
-        }
+// Lay out the commit graph; its rows are drawn as they scroll into view
+function renderCommitGraph(commits) {
+    const graph = document.getElementById('commitGraph');
+    renderedRows.clear();
+    graph.innerHTML = '';
+    graph.style.height = '';
 
-        // Assign this commit to the lane
-        commitLaneMap.set(commit.oid, assignedLane);
-        commits[index].lane = assignedLane;
-
-        // Now handle parents
-        const parents = commit.parents || [];
-
-        if (parents.length === 0) {
-            // No parents - this lane ends (root commit)
-            activeLanes[assignedLane] = null;
-        } else if (parents.length === 1) {
-            // Single parent - continue on the same lane
-            const parentOid = parents[0];
-            // Check if parent exists in our commit list
-            if (commitIndexMap.has(parentOid)) {
-                activeLanes[assignedLane] = { expectingOid: parentOid };
-            } else {
-                // Parent not in our list, lane ends
-                activeLanes[assignedLane] = null;
-            }
-        } else {
-            // Multiple parents (merge commit)
-            // First parent continues on the same lane
-            const firstParent = parents[0];
-            if (commitIndexMap.has(firstParent)) {
-                activeLanes[assignedLane] = { expectingOid: firstParent };
-            } else {
-                activeLanes[assignedLane] = null;
-            }
+    graphRows = commits;
+    graphCommitOrder = commits.map(commit => commit.oid);
+    const shown = new Set(graphCommitOrder);
+    selectedCommits = selectedCommits.filter(oid => shown.has(oid));
+    updateCommitSelection();
 
-            // Other parents get new lanes (or reuse free ones)
-            for (let p = 1; p < parents.length; p++) {
-                const parentOid = parents[p];
-                if (!commitIndexMap.has(parentOid)) continue;
-
-                // Check if this parent is already expected by another lane
-                let alreadyExpected = false;
-                for (let laneIdx = 0; laneIdx < activeLanes.length; laneIdx++) {
-                    if (activeLanes[laneIdx] && activeLanes[laneIdx].expectingOid === parentOid) {
-                        alreadyExpected = true;
-                        break;
-                    }
-                }
+    if (commits.length === 0) {
+        graph.innerHTML = '<div class="no-commits">No commits yet</div>';
+        return;
+    }
 
-                if (!alreadyExpected) {
-                    // Find or create a lane for this parent
-                    let parentLane = -1;
-                    for (let laneIdx = 0; laneIdx < activeLanes.length; laneIdx++) {
-                        if (activeLanes[laneIdx] === null) {
-                            parentLane = laneIdx;
-                            break;
-                        }
-                    }
-                    if (parentLane === -1) {
-                        parentLane = activeLanes.length;
-                        activeLanes.push(null);
-                    }
-                    activeLanes[parentLane] = { expectingOid: parentOid };
-                }
-            }
-        }
-    });
+    // The server lays out the lanes; every row is drawn as wide as the widest one
+    graphColumns = commits.reduce((columns, commit) => Math.max(columns, commit.graph.columns), 1);
+    graph.style.height = `${commits.length * GRAPH_ROW_HEIGHT}px`;
+    renderVisibleCommits();
+}
 
-    // Calculate the max lane count
-    const maxLane = Math.max(...commits.map(c => c.lane), 0);
+// Add a page of older commits below the graph. The rows already drawn are refilled, as the
+// new page may widen the graph or change which of them match the search.
+function appendCommitGraph(commits) {
+    if (graphRows.length === 0) {
+        renderCommitGraph(commits);
+        return;
+    }
 
-    return commits.map((commit, index) => ({
-        commit,
-        lane: commit.lane,
-        laneCount: maxLane + 1,
-        parents: commit.parents || [],
-        nextCommit: index < commits.length - 1 ? commits[index + 1] : null
-    }));
+    graphRows = graphRows.concat(commits);
+    graphCommitOrder.push(...commits.map(commit => commit.oid));
+    graphColumns = commits.reduce((columns, commit) => Math.max(columns, commit.graph.columns), graphColumns);
+    document.getElementById('commitGraph').style.height = `${graphRows.length * GRAPH_ROW_HEIGHT}px`;
+
+    renderedRows.forEach((commitDiv, index) => renderCommitRow(commitDiv, graphRows[index], index));
+    renderVisibleCommits();
 }
 
-// Build SVG visualization for graph lanes
-function buildGraphVisualization(item, index, graphData) {
-    const laneWidth = 20;
-    const dotRadius = 6;
-    const svgHeight = 50;
-    const totalWidth = Math.max(item.laneCount, 1) * laneWidth + 20;
-    const centerY = svgHeight / 2;
+// Draw the rows in view (plus a few either side), reusing the nodes of rows scrolled out
+function renderVisibleCommits() {
+    if (graphRows.length === 0) return;
 
-    const colors = ['#007acc', '#89d185', '#e2c08d', '#f48771', '#c586c0', '#4ec9b0', '#ce9178'];
-    const color = colors[item.lane % colors.length];
+    const graph = document.getElementById('commitGraph');
+    const panel = document.querySelector('.right-panel');
+    const viewTop = panel.getBoundingClientRect().top - graph.getBoundingClientRect().top;
+    const first = Math.max(0, Math.floor(viewTop / GRAPH_ROW_HEIGHT) - GRAPH_OVERSCAN);
+    const last = Math.min(graphRows.length - 1,
+        Math.ceil((viewTop + panel.clientHeight) / GRAPH_ROW_HEIGHT) + GRAPH_OVERSCAN);
+
+    const spare = [];
+    renderedRows.forEach((commitDiv, index) => {
+        if (index < first || index > last) {
+            renderedRows.delete(index);
+            spare.push(commitDiv);
+        }
+    });
 
-    let svg = `<svg class="graph-canvas" width="${totalWidth}" height="${svgHeight}" style="min-width: ${totalWidth}px;">`;
+    for (let index = first; index <= last; index++) {
+        if (renderedRows.has(index)) continue;
 
-    // Build a map of which lanes have commits coming from above (children pointing to us)
-    // and which lanes continue below (we point to parents)
-    const lanesFromAbove = new Set();
-    const lanesGoingBelow = new Set();
+        let commitDiv = spare.pop();
+        if (!commitDiv) {
+            commitDiv = document.createElement('div');
+            graph.appendChild(commitDiv);
+        }
+        renderCommitRow(commitDiv, graphRows[index], index);
+        renderedRows.set(index, commitDiv);
+    }
+    spare.forEach(commitDiv => commitDiv.remove());
+}
 
-    // Check previous commits (children) to see if they point to this commit
-    for (let i = 0; i < index; i++) {
-        const prevItem = graphData[i];
-        if (prevItem.parents.includes(item.commit.oid)) {
-            lanesFromAbove.add(prevItem.lane);
+// Fill a graph row with a commit
+function renderCommitRow(commitDiv, commit, index) {
+    commitDiv.className = 'commit-node' +
+        (selectedCommits.includes(commit.oid) ? ' selected' : '') +
+        (searchMatches.has(commit.oid) ? ' search-match' : '') +
+        (commit.oid === compareFrom ? ' compare-from' : '');
+    commitDiv.style.top = `${index * GRAPH_ROW_HEIGHT}px`;
+    commitDiv.onclick = (e) => {
+        // Ctrl/Cmd-click selects commits for cherry-picking, shift-click two to compare them
+        if (e.ctrlKey || e.metaKey) {
+            toggleCommitSelection(commit.oid, commitDiv);
+        } else if (e.shiftKey) {
+            pickCompareCommit(commit.oid, commitDiv);
+        } else {
+            showCommitDetails(commit.oid);
         }
+    };
+
+    const date = new Date(commit.author.timestamp * 1000);
+    const dateStr = date.toLocaleString();
+
+    // Combine local branches with their tracking remotes
+    const branchTags = [];
+
+    // Add local branches
+    if (commit.branches && commit.branches.length > 0) {
+        commit.branches.forEach(branch => {
+            branchTags.push(`<span class="branch-tag branch-local">${escapeHtml(branch)}</span>`);
+        });
     }
 
-    // Check our parents to see which lanes we connect to below
-    if (item.parents && item.parents.length > 0) {
-        item.parents.forEach(parentOid => {
-            const parentIndex = graphData.findIndex(d => d.commit.oid === parentOid);
-            if (parentIndex > index) {
-                lanesGoingBelow.add(graphData[parentIndex].lane);
-            }
+    // Add remote branches
+    if (commit.remoteBranches && commit.remoteBranches.length > 0) {
+        commit.remoteBranches.forEach(remoteBranch => {
+            branchTags.push(`<span class="branch-tag branch-remote">${escapeHtml(remoteBranch)}</span>`);
         });
     }
 
-    // Draw vertical lines for lanes that pass through this row (not our lane)
-    for (let laneIdx = 0; laneIdx < item.laneCount; laneIdx++) {
-        if (laneIdx === item.lane) continue; // Skip our lane, handled separately
+    // Add tags
+    if (commit.tags && commit.tags.length > 0) {
+        commit.tags.forEach(tag => {
+            branchTags.push(`<span class="branch-tag branch-tagged">🏷 ${escapeHtml(tag)}</span>`);
+        });
+    }
 
-        const laneX = laneIdx * laneWidth + laneWidth / 2;
-        const laneColor = colors[laneIdx % colors.length];
+    // The labels share the message's line, so the full list is in a tooltip
+    const refNames = [...(commit.branches || []), ...(commit.remoteBranches || []), ...(commit.tags || [])];
+    const branches = branchTags.length > 0
+        ? `<div class="commit-branches" title="${escapeHtml(refNames.join(', '))}">${branchTags.join('')}</div>`
+        : '';
 
-        // Check if this lane has activity passing through
-        const comesFromAbove = lanesFromAbove.has(laneIdx);
-        const goesBelow = lanesGoingBelow.has(laneIdx);
+    // Build the graph visualization (lanes and connections)
+    const graphViz = buildGraphVisualization(commit.graph, graphColumns);
 
-        // Also check if there's a commit below on this lane that we're not connected to
-        let continuesBelow = false;
-        for (let j = index + 1; j < graphData.length; j++) {
-            if (graphData[j].lane === laneIdx) {
-                // Check if any commit above connects to this one
-                for (let k = 0; k <= index; k++) {
-                    if (graphData[k].parents.includes(graphData[j].commit.oid)) {
-                        continuesBelow = true;
-                        break;
-                    }
-                }
-                break;
-            }
-        }
+    commitDiv.innerHTML = `
+        <div class="commit-line">
+            ${graphViz}
+            <div class="commit-info">
+                <div class="commit-title">
+                    ${branches}
+                    <div class="commit-message">${escapeHtml(commit.message.split('\n')[0])}</div>
+                </div>
+                <div class="commit-meta">
+                    <span class="commit-author">${escapeHtml(commit.author.name)}</span>
+                    <span class="commit-date">${dateStr}</span>
+                    <span class="commit-sha">${commit.oid.substring(0, 7)}</span>
+                </div>
+            </div>
+            <button class="commit-action" title="Reset current branch here"
+                onclick="event.stopPropagation(); showResetDialog('${commit.oid}', this.closest('.commit-node').querySelector('.commit-message').textContent)">⟲</button>
+        </div>
+    `;
+}
 
-        if (comesFromAbove || goesBelow || continuesBelow) {
-            svg += `<line x1="${laneX}" y1="0" x2="${laneX}" y2="${svgHeight}" stroke="${laneColor}" stroke-width="2" />`;
-        }
+// Add or remove a commit from the graph selection
+function toggleCommitSelection(oid, commitDiv) {
+    if (selectedCommits.includes(oid)) {
+        selectedCommits = selectedCommits.filter(selected => selected !== oid);
+    } else {
+        selectedCommits.push(oid);
     }
+    commitDiv.classList.toggle('selected', selectedCommits.includes(oid));
+    updateCommitSelection();
+}
 
-    // Draw line from above to our commit (if there's a child pointing to us on same lane)
-    if (lanesFromAbove.has(item.lane) || index > 0) {
-        // Check if previous commit on our lane points to us
-        let hasConnectionFromAbove = false;
-        for (let i = 0; i < index; i++) {
-            if (graphData[i].lane === item.lane && graphData[i].parents.includes(item.commit.oid)) {
-                hasConnectionFromAbove = true;
-                break;
-            }
-        }
-        if (hasConnectionFromAbove) {
-            const x = item.lane * laneWidth + laneWidth / 2;
+function clearCommitSelection() {
+    selectedCommits = [];
+    document.querySelectorAll('.commit-node.selected').forEach(el => el.classList.remove('selected'));
+    updateCommitSelection();
+}
+
+function updateCommitSelection() {
+    const count = selectedCommits.length;
+    document.getElementById('graphSelectionBar').style.display = count > 0 ? 'flex' : 'none';
+    document.getElementById('graphSelectionText').textContent = `${count} commit${count === 1 ? '' : 's'} selected`;
+}
+
+// Draw a commit's row of the graph as laid out by the server
+function buildGraphVisualization(row, columns) {
+    const laneWidth = 20;
+    const dotRadius = 6;
+    const svgHeight = GRAPH_ROW_HEIGHT;
+    const totalWidth = Math.max(columns, 1) * laneWidth + 20;
+    const centerY = svgHeight / 2;
+
+    const colors = ['#007acc', '#89d185', '#e2c08d', '#f48771', '#c586c0', '#4ec9b0', '#ce9178'];
+    const laneX = lane => lane * laneWidth + laneWidth / 2;
+    const laneColor = lane => colors[lane % colors.length];
+    const x = laneX(row.lane);
+    const color = laneColor(row.lane);
+
+    let svg = `<svg class="graph-canvas" width="${totalWidth}" height="${svgHeight}" style="min-width: ${totalWidth}px;">`;
+
+    // Lanes passing straight through this row
+    row.through.forEach(lane => {
+        svg += `<line x1="${laneX(lane)}" y1="0" x2="${laneX(lane)}" y2="${svgHeight}" stroke="${laneColor(lane)}" stroke-width="2" />`;
+    });
+
+    // Lines from children above into the commit
+    row.into.forEach(lane => {
+        if (lane === row.lane) {
             svg += `<line x1="${x}" y1="0" x2="${x}" y2="${centerY - dotRadius}" stroke="${color}" stroke-width="2" />`;
+        } else {
+            svg += `<path d="M ${laneX(lane)} 0 Q ${laneX(lane)} 5 ${x} ${centerY - dotRadius}" stroke="${laneColor(lane)}" stroke-width="2" fill="none" />`;
         }
-    }
-
-    // Draw lines to parents below
-    if (item.parents && item.parents.length > 0) {
-        item.parents.forEach(parentOid => {
-            const parentIndex = graphData.findIndex(d => d.commit.oid === parentOid);
-            if (parentIndex > index) {
-                const parentLane = graphData[parentIndex].lane;
-                const x1 = item.lane * laneWidth + laneWidth / 2;
-                const x2 = parentLane * laneWidth + laneWidth / 2;
-                const parentColor = colors[parentLane % colors.length];
+    });
 
-                if (parentLane === item.lane) {
-                    // Same lane - straight line down
-                    svg += `<line x1="${x1}" y1="${centerY + dotRadius}" x2="${x2}" y2="${svgHeight}" stroke="${color}" stroke-width="2" />`;
-                } else {
-                    // Different lane - draw a curved/angled line
-                    svg += `<path d="M ${x1} ${centerY + dotRadius} Q ${x1} ${svgHeight - 5} ${x2} ${svgHeight}" stroke="${parentColor}" stroke-width="2" fill="none" />`;
-                }
-            }
-        });
-    }
+    // Lines to parents below
+    row.out.forEach(lane => {
+        if (lane === row.lane) {
+            svg += `<line x1="${x}" y1="${centerY + dotRadius}" x2="${x}" y2="${svgHeight}" stroke="${color}" stroke-width="2" />`;
+        } else {
+            svg += `<path d="M ${x} ${centerY + dotRadius} Q ${x} ${svgHeight - 5} ${laneX(lane)} ${svgHeight}" stroke="${laneColor(lane)}" stroke-width="2" fill="none" />`;
+        }
+    });
 
     // Draw the commit dot
-    const x = item.lane * laneWidth + laneWidth / 2;
     svg += `<circle cx="${x}" cy="${centerY}" r="${dotRadius}" fill="${color}" stroke="#1e1e1e" stroke-width="2" />`;
 
     svg += '</svg>';
@@ -435,7 +621,7 @@ function buildGraphVisualization(item, index, graphData) {
 async function stageFile(filepath) {
     try {
         await apiCall('/add', { filepath });
-        await loadStatus();
+        await Promise.all([loadStatus(), loadUndoState()]);
         showNotification(`Staged: ${filepath}`, 'success');
     } catch (err) {
         showNotification(`Error: ${err.message}`, 'error');
@@ -446,16 +632,90 @@ async function stageFile(filepath) {
 async function unstageFile(filepath) {
     try {
         await apiCall('/reset', { filepath });
-        await loadStatus();
+        await Promise.all([loadStatus(), loadUndoState()]);
         showNotification(`Unstaged: ${filepath}`, 'success');
     } catch (err) {
         showNotification(`Error: ${err.message}`, 'error');
     }
 }
 
+// Show unstaged and staged diffs for a file in the working directory
+async function showWorkingDiff(filepath) {
+    try {
+        const diff = await apiCall('/working-diff', { filepath });
+
+        workingDiffFile = filepath;
+        document.getElementById('workingDiffPath').textContent = filepath;
+        renderDiff(document.getElementById('unstagedDiff'), diff.unstaged, { selectable: true });
+        renderDiff(document.getElementById('stagedDiff'), diff.staged, { selectable: true });
+
+        showDialog('workingDiffDialog');
+    } catch (err) {
+        showNotification(`Error loading diff: ${err.message}`, 'error');
+    }
+}
+
+// Stage or unstage the lines ticked in the working diff dialog
+async function applyDiffSelection(endpoint, containerId, verb) {
+    const lines = getDiffSelection(document.getElementById(containerId));
+    if (lines.del.length === 0 && lines.add.length === 0) {
+        alert('Please select the hunks or lines to ' + verb.toLowerCase());
+        return;
+    }
+
+    try {
+        await apiCall(endpoint, { filepath: workingDiffFile, lines });
+        await Promise.all([loadStatus(), showWorkingDiff(workingDiffFile), loadUndoState()]);
+        showNotification(`${verb}d selected changes in ${workingDiffFile}`, 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+function stageSelectedChanges() {
+    return applyDiffSelection('/add-partial', 'unstagedDiff', 'Stage');
+}
+
+function unstageSelectedChanges() {
+    return applyDiffSelection('/reset-partial', 'stagedDiff', 'Unstage');
+}
+
+// Switch between a new commit and amending HEAD, prefilling HEAD's message to reword
+async function toggleAmend() {
+    const input = document.getElementById('commitMessage');
+    const warning = document.getElementById('amendWarning');
+
+    if (!document.getElementById('commitAmend').checked) {
+        if (amendInfo && input.value === amendInfo.message.trim()) {
+            input.value = '';
+        }
+        amendInfo = null;
+        warning.style.display = 'none';
+        return;
+    }
+
+    try {
+        amendInfo = await apiCall('/commit/amend-info');
+        if (!input.value.trim()) {
+            input.value = amendInfo.message.trim();
+        }
+        warning.style.display = amendInfo.pushed ? 'block' : 'none';
+    } catch (err) {
+        document.getElementById('commitAmend').checked = false;
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+function resetAmend() {
+    amendInfo = null;
+    document.getElementById('commitAmend').checked = false;
+    document.getElementById('amendWarning').style.display = 'none';
+}
+
 // Commit Changes
 async function commitChanges() {
     const message = document.getElementById('commitMessage').value.trim();
+    const amend = document.getElementById('commitAmend').checked;
     if (!message) {
         alert('Please enter a commit message');
         return;
@@ -465,15 +725,129 @@ async function commitChanges() {
         showDialog('authorDialog');
         return;
     }
+
+    if (amend && amendInfo && amendInfo.pushed &&
+        !confirm('The last commit has already been pushed. Amending it means the branch will have to be force-pushed. Continue?')) {
+        return;
+    }
     
     try {
         await apiCall('/commit', { 
             message, 
-            author: authorConfig 
+            author: authorConfig,
+            amend
         });
         document.getElementById('commitMessage').value = '';
+        resetAmend();
+        await refreshAll();
+        showNotification(amend ? 'Amended last commit' : 'Committed successfully', 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Load tags into the sidebar
+async function loadTags() {
+    try {
+        const { tags } = await apiCall('/tags');
+        tagList = tags;
+        const tagListEl = document.getElementById('tagList');
+        tagListEl.innerHTML = '';
+
+        if (tags.length === 0) {
+            tagListEl.innerHTML = '<div class="no-changes">No tags</div>';
+            return;
+        }
+
+        tags.forEach(tag => {
+            const div = document.createElement('div');
+            div.className = 'branch-item tag-item';
+            div.title = tag.annotated ? tag.message.trim() : 'Lightweight tag';
+            div.innerHTML = `
+                <span class="branch-name" onclick="checkoutTag('${escapeHtml(tag.name)}')">🏷 ${escapeHtml(tag.name)}</span>
+                <button onclick="pushTag('${escapeHtml(tag.name)}')" title="Push to origin">⬆️</button>
+                <button class="delete-btn" onclick="deleteTag('${escapeHtml(tag.name)}')" title="Delete">×</button>
+            `;
+            tagListEl.appendChild(div);
+        });
+    } catch (err) {
+        showNotification(`Error loading tags: ${err.message}`, 'error');
+    }
+}
+
+// Create Tag, optionally at a given commit
+function showCreateTagDialog(target) {
+    document.getElementById('tagName').value = '';
+    document.getElementById('tagTarget').value = target || 'HEAD';
+    document.getElementById('tagMessage').value = '';
+    closeDialog('commitDetailsDialog');
+    showDialog('createTagDialog');
+}
+
+async function createTag() {
+    const tagName = document.getElementById('tagName').value.trim();
+    const target = document.getElementById('tagTarget').value.trim() || 'HEAD';
+    const message = document.getElementById('tagMessage').value.trim();
+    if (!tagName) {
+        alert('Please enter a tag name');
+        return;
+    }
+
+    // Annotated tags record the tagger
+    if (message && (!authorConfig.name || !authorConfig.email)) {
+        showDialog('authorDialog');
+        return;
+    }
+
+    try {
+        await apiCall('/tag/create', {
+            tagName,
+            target,
+            message: message || undefined,
+            tagger: message ? authorConfig : undefined
+        });
+        closeDialog('createTagDialog');
+        await refreshAll();
+        showNotification(`Tag created: ${tagName}`, 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+async function deleteTag(tagName) {
+    if (!confirm(`Delete tag ${tagName}?`)) return;
+    const remote = confirm(`Also delete ${tagName} from origin?`);
+
+    try {
+        await apiCall('/tag/delete', { tagName });
+        if (remote) {
+            await apiCall('/tag/delete-remote', { tagName });
+        }
+        await refreshAll();
+        showNotification(`Tag deleted: ${tagName}`, 'success');
+    } catch (err) {
+        await refreshAll();
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+async function pushTag(tagName) {
+    try {
+        await apiCall('/tag/push', { tagName });
+        showNotification(`Pushed tag ${tagName}`, 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Checking out a tag detaches HEAD at the tagged commit
+async function checkoutTag(tagName) {
+    if (!confirm(`Check out tag ${tagName}? You will be in a detached HEAD state; create a branch to keep new commits.`)) return;
+
+    try {
+        await apiCall('/branch/checkout', { branchName: tagName });
         await refreshAll();
-        showNotification('Committed successfully', 'success');
+        showNotification(`Checked out tag ${tagName} (detached HEAD)`, 'success');
     } catch (err) {
         showNotification(`Error: ${err.message}`, 'error');
     }
@@ -491,13 +865,15 @@ async function checkoutBranch(branch) {
 }
 
 // Create Branch
-function showCreateBranchDialog() {
+function showCreateBranchDialog(startPoint = '') {
+    document.getElementById('newBranchStart').value = startPoint;
     showDialog('createBranchDialog');
 }
 
 async function createBranch() {
     const branchName = document.getElementById('newBranchName').value.trim();
     const checkout = document.getElementById('checkoutNewBranch').checked;
+    const startPoint = document.getElementById('newBranchStart').value.trim() || 'HEAD';
     
     if (!branchName) {
         alert('Please enter a branch name');
@@ -505,7 +881,7 @@ async function createBranch() {
     }
     
     try {
-        await apiCall('/branch/create', { branchName, checkout });
+        await apiCall('/branch/create', { branchName, checkout, startPoint });
         closeDialog('createBranchDialog');
         document.getElementById('newBranchName').value = '';
         await refreshAll();
@@ -515,86 +891,1031 @@ async function createBranch() {
     }
 }
 
-// Delete Branch
-async function deleteBranch(branch) {
-    if (!confirm(`Delete branch "${branch}"?`)) return;
-    
+// Show where HEAD or a branch has pointed, to get back commits lost to a reset or a deleted branch
+async function showReflog(ref = 'HEAD') {
+    if (await loadReflog(ref)) showDialog('reflogDialog');
+}
+
+async function loadReflog(ref) {
     try {
-        await apiCall('/branch/delete', { branchName: branch });
-        await loadBranches();
-        showNotification(`Branch deleted: ${branch}`, 'success');
+        const data = await apiCall('/reflog', { ref });
+        const select = document.getElementById('reflogRef');
+        select.innerHTML = data.refs
+            .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+            .join('');
+        select.value = data.ref;
+        renderReflog(data);
+        return true;
     } catch (err) {
-        showNotification(`Error: ${err.message}`, 'error');
+        showNotification(`Error loading reflog: ${err.message}`, 'error');
+        return false;
     }
 }
 
-// Merge Branch
-function showMergeDialog() {
-    apiCall('/branches').then(data => {
-        const select = document.getElementById('mergeBranchSelect');
-        select.innerHTML = '';
-        
-        data.local.forEach(branch => {
-            if (branch !== data.current) {
-                const option = document.createElement('option');
-                option.value = branch;
-                option.textContent = branch;
-                select.appendChild(option);
-            }
-        });
+function renderReflog(data) {
+    const list = document.getElementById('reflogEntries');
+    list.innerHTML = '';
+    if (data.entries.length === 0) {
+        list.innerHTML = '<div class="no-changes">No reflog entries; only command-line git records them</div>';
+        return;
+    }
+
+    // HEAD's entries are restored onto the current branch, which takes a reset
+    const branch = data.ref === 'HEAD' ? branchData.current : data.ref;
+    const checkedOut = branch === branchData.current;
+
+    data.entries.forEach(entry => {
+        const detail = entry.message.includes(':') ? entry.message.slice(entry.operation.length + 1).trim() : '';
+        const div = document.createElement('div');
+        div.className = 'reflog-entry';
+        div.innerHTML = `
+            <span class="reflog-selector">${escapeHtml(entry.selector)}</span>
+            <span class="commit-sha" title="Show commit">${entry.newOid.substring(0, 7)}</span>
+            <span class="reflog-operation">${escapeHtml(entry.operation)}</span>
+            <span class="file-path reflog-message">${escapeHtml(detail)}</span>
+            <span class="reflog-date">${new Date(entry.committer.timestamp * 1000).toLocaleString()}</span>
+            ${branch ? `<button class="reflog-restore">${checkedOut ? '⟲ Reset' : '↺ Restore'} ${escapeHtml(branch)} here</button>` : ''}
+            <button class="reflog-branch">+ Branch here</button>
+        `;
+        div.querySelector('.commit-sha').onclick = () => showCommitDetails(entry.newOid);
+        if (branch) {
+            div.querySelector('.reflog-restore').onclick = () => {
+                if (checkedOut) {
+                    closeDialog('reflogDialog');
+                    showResetDialog(entry.newOid, detail);
+                } else {
+                    restoreBranch(branch, entry.newOid);
+                }
+            };
+        }
+        div.querySelector('.reflog-branch').onclick = () => {
+            closeDialog('reflogDialog');
+            showCreateBranchDialog(entry.newOid);
+        };
+        list.appendChild(div);
+    });
+}
+
+// Move a branch that isn't checked out back to a past position
+async function restoreBranch(branch, oid) {
+    if (!confirm(`Move branch "${branch}" to ${oid.substring(0, 7)}?`)) return;
+
+    try {
+        await apiCall('/branch/restore', { branchName: branch, oid });
+        await refreshAll();
+        await loadReflog(document.getElementById('reflogRef').value);
+        showNotification(`Restored ${branch} to ${oid.substring(0, 7)}`, 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Delete Branch
+async function deleteBranch(branch) {
+    if (!confirm(`Delete branch "${branch}"?`)) return;
+    
+    try {
+        await apiCall('/branch/delete', { branchName: branch });
+        await refreshAll();
+        showNotification(`Branch deleted: ${branch} (↶ Undo brings it back)`, 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Undo: show the last operation the server journaled on the Undo button
+async function loadUndoState() {
+    const button = document.getElementById('undoBtn');
+    try {
+        const state = await apiCall('/undo/status');
+        button.style.display = state.operation ? '' : 'none';
+        if (state.operation) {
+            button.dataset.operation = state.operation;
+            button.textContent = `↶ Undo ${state.operation}`;
+            button.title = `${state.operation} at ${new Date(state.timestamp * 1000).toLocaleString()}` +
+                (state.count > 1 ? ` (${state.count - 1} more before it)` : '');
+        }
+    } catch (err) {
+        showNotification(`Error loading undo state: ${err.message}`, 'error');
+    }
+}
+
+// Put the branches, tags, HEAD, index and the files it changed back to how they were before the last operation
+async function undoLastOperation() {
+    const operation = document.getElementById('undoBtn').dataset.operation;
+    if (!confirm(`Undo "${operation}"? Branches, tags, HEAD, staged changes and stashes go back to how they were before it.`)) return;
+
+    try {
+        const data = await apiCall('/undo');
+        await refreshAll();
+        if (data.kept.length > 0) {
+            showNotification(`Undid ${data.operation}; left your changes to ${data.kept.join(', ')} as they are`, 'success');
+        } else {
+            showNotification(`Undid ${data.operation}`, 'success');
+        }
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Merge Branch
+function showMergeDialog() {
+    apiCall('/branches').then(data => {
+        const select = document.getElementById('mergeBranchSelect');
+        select.innerHTML = '';
+        
+        data.local.forEach(branch => {
+            if (branch !== data.current) {
+                const option = document.createElement('option');
+                option.value = branch;
+                option.textContent = branch;
+                select.appendChild(option);
+            }
+        });
+
+        if (tagList.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = 'Tags';
+            tagList.forEach(tag => {
+                const option = document.createElement('option');
+                option.value = tag.name;
+                option.textContent = tag.name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        }
         
+        document.getElementById('mergeModeSelect').value = localStorage.getItem('git.merge.mode') || 'ff';
+        document.getElementById('mergeMessage').value = '';
         showDialog('mergeDialog');
     });
 }
 
-async function mergeBranch() {
-    const theirBranch = document.getElementById('mergeBranchSelect').value;
-    
-    if (!theirBranch) {
-        alert('Please select a branch to merge');
+// Squash merges leave the combined changes staged with a prepared message
+function handleMergeResult(result) {
+    if (result && result.squash) {
+        document.getElementById('commitMessage').value = result.message;
+        return true;
+    }
+    return false;
+}
+
+async function mergeBranch() {
+    const theirBranch = document.getElementById('mergeBranchSelect').value;
+    const mode = document.getElementById('mergeModeSelect').value;
+    const message = document.getElementById('mergeMessage').value.trim();
+    
+    if (!theirBranch) {
+        alert('Please select a branch to merge');
+        return;
+    }
+    
+    if (!authorConfig.name || !authorConfig.email) {
+        showDialog('authorDialog');
+        return;
+    }
+    
+    localStorage.setItem('git.merge.mode', mode);
+    
+    try {
+        const data = await apiCall('/merge', { theirBranch, mode, message: message || undefined, author: authorConfig });
+        closeDialog('mergeDialog');
+        await refreshAll();
+        if (handleMergeResult(data.result)) {
+            showNotification(`Squashed ${theirBranch} into staged changes. Review and commit.`, 'success');
+        } else {
+            showNotification(`Merged ${theirBranch} successfully`, 'success');
+        }
+    } catch (err) {
+        if (err.message.includes('conflict')) {
+            closeDialog('mergeDialog');
+            await refreshAll();
+            showNotification('Merge conflicts detected. Resolve them to finish the merge.', 'warning');
+            await showConflictsDialog();
+        } else {
+            showNotification(`Error: ${err.message}`, 'error');
+        }
+    }
+}
+
+// Show or hide the merge-in-progress banner
+async function loadMergeState() {
+    try {
+        const state = await apiCall('/merge/status');
+        const unresolved = state.conflicts.filter(c => !c.resolved).length;
+        document.getElementById('mergeBanner').style.display = state.inProgress ? 'inline-flex' : 'none';
+        document.getElementById('mergeBannerText').textContent = unresolved > 0
+            ? `Merge in progress: ${unresolved} conflicted file${unresolved === 1 ? '' : 's'}`
+            : 'Merge in progress: all conflicts resolved';
+    } catch (err) {
+        showNotification(`Error loading merge state: ${err.message}`, 'error');
+    }
+}
+
+// The operation whose conflicts are being resolved and how to finish or abandon it
+function conflictOperation() {
+    if (rebaseInProgress) {
+        return { name: 'Rebase', continueLabel: 'Continue Rebase', onContinue: continueRebase, onAbort: abortRebase };
+    }
+    if (cherryPickInProgress) {
+        return { name: 'Cherry-pick', continueLabel: 'Continue Cherry-pick', onContinue: continueCherryPick, onAbort: abortCherryPick };
+    }
+    if (revertInProgress) {
+        return { name: 'Revert', continueLabel: 'Commit Revert', onContinue: continueRevert, onAbort: abortRevert };
+    }
+    return { name: 'Merge', continueLabel: 'Commit Merge', onContinue: continueMerge, onAbort: abortMerge };
+}
+
+// Open the conflict resolution dialog, optionally on a specific file
+async function showConflictsDialog(filepath) {
+    try {
+        const state = await apiCall('/merge/status');
+        const list = document.getElementById('conflictList');
+        list.innerHTML = '';
+
+        if (state.conflicts.length === 0) {
+            list.innerHTML = '<div class="no-changes">No conflicts</div>';
+        }
+
+        state.conflicts.forEach(conflict => {
+            const div = document.createElement('div');
+            div.className = 'file-item conflict-item' + (conflict.resolved ? ' resolved' : '');
+            div.dataset.filepath = conflict.filepath;
+            div.innerHTML = `
+                <span class="file-status ${conflict.resolved ? 'status-added' : 'status-conflicted'}">${conflict.resolved ? '✓' : 'C'}</span>
+                <span class="file-path">${escapeHtml(conflict.filepath)}</span>
+            `;
+            div.onclick = () => loadConflictFile(conflict.filepath);
+            list.appendChild(div);
+        });
+
+        // The same dialog resolves conflicts for a stopped rebase or cherry-pick
+        const operation = conflictOperation();
+        const active = state.inProgress || rebaseInProgress || cherryPickInProgress || revertInProgress;
+        const continueBtn = document.getElementById('continueMergeBtn');
+        const abortBtn = document.getElementById('abortMergeBtn');
+        document.getElementById('conflictsTitle').textContent = `Resolve ${operation.name} Conflicts`;
+        continueBtn.textContent = operation.continueLabel;
+        continueBtn.onclick = operation.onContinue;
+        abortBtn.textContent = `Abort ${operation.name}`;
+        abortBtn.onclick = operation.onAbort;
+        continueBtn.style.display = active ? '' : 'none';
+        abortBtn.style.display = active ? '' : 'none';
+        document.getElementById('conflictEditor').style.display = 'none';
+        showDialog('conflictsDialog');
+
+        const first = filepath || (state.conflicts.find(c => !c.resolved) || {}).filepath;
+        if (first) await loadConflictFile(first);
+    } catch (err) {
+        showNotification(`Error loading conflicts: ${err.message}`, 'error');
+    }
+}
+
+// Show base, ours and theirs for a conflicted file next to an editable result
+async function loadConflictFile(filepath) {
+    try {
+        const data = await apiCall('/merge/conflict-file', { filepath });
+        conflictFile = filepath;
+
+        document.querySelectorAll('#conflictList .conflict-item').forEach(el => {
+            el.classList.toggle('selected', el.dataset.filepath === filepath);
+        });
+
+        const missing = '(file does not exist on this side)';
+        document.getElementById('conflictPath').textContent = filepath;
+        document.getElementById('conflictBase').textContent = data.binary ? '(binary)' : data.base ?? missing;
+        document.getElementById('conflictOurs').textContent = data.binary ? '(binary)' : data.ours ?? missing;
+        document.getElementById('conflictTheirs').textContent = data.binary ? '(binary)' : data.theirs ?? missing;
+
+        const result = document.getElementById('conflictResult');
+        result.value = data.merged ?? '';
+        result.disabled = data.binary;
+
+        document.getElementById('conflictEditor').style.display = 'flex';
+    } catch (err) {
+        showNotification(`Error loading conflict: ${err.message}`, 'error');
+    }
+}
+
+// Resolve the selected conflict with ours, theirs or the edited result
+async function resolveConflict(resolution) {
+    if (!conflictFile) return;
+
+    const data = { filepath: conflictFile, resolution };
+    if (resolution === 'merged') {
+        const content = document.getElementById('conflictResult').value;
+        if (/^(<{7}|={7}|>{7})( |$)/m.test(content) &&
+            !confirm('The result still contains conflict markers. Mark it as resolved anyway?')) {
+            return;
+        }
+        data.content = content;
+    }
+
+    try {
+        await apiCall('/merge/resolve', data);
+        showNotification(`Resolved: ${conflictFile}`, 'success');
+        await Promise.all([
+            loadStatus(),
+            loadMergeState(),
+            loadRebaseState(),
+            loadCherryPickState(),
+            loadRevertState(),
+            loadUndoState()
+        ]);
+        await showConflictsDialog();
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Commit the merge once every conflict is resolved
+async function continueMerge() {
+    try {
+        await apiCall('/merge/continue', { author: authorConfig });
+        closeDialog('conflictsDialog');
+        await refreshAll();
+        showNotification('Merge committed successfully', 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Abandon the merge and restore the branch to its pre-merge state
+async function abortMerge() {
+    if (!confirm('Abort the merge? All conflict resolutions will be lost.')) return;
+
+    try {
+        await apiCall('/merge/abort');
+        closeDialog('conflictsDialog');
+        await refreshAll();
+        showNotification('Merge aborted', 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Interactive Rebase
+const REBASE_ACTIONS = ['pick', 'reword', 'squash', 'fixup', 'drop'];
+
+// Open the rebase editor for the commits between `base` and HEAD
+async function showRebaseDialog(base) {
+    try {
+        const data = await apiCall('/rebase/todo', { base });
+        if (data.commits.length === 0) {
+            showNotification('There are no commits above this one to rebase', 'warning');
+            return;
+        }
+        if (data.commits.some(commit => commit.merge)) {
+            showNotification('Rebasing merge commits is not supported', 'error');
+            return;
+        }
+
+        rebaseTodo = {
+            base: data.base,
+            steps: data.commits.map(commit => ({
+                action: 'pick',
+                oid: commit.oid,
+                original: commit.message,
+                message: ''
+            }))
+        };
+        document.getElementById('rebaseBase').textContent = data.base.substring(0, 7);
+        renderRebaseTodo();
+        closeDialog('commitDetailsDialog');
+        showDialog('rebaseDialog');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+function renderRebaseTodo() {
+    const list = document.getElementById('rebaseTodo');
+    list.innerHTML = '';
+
+    rebaseTodo.steps.forEach((step, index) => {
+        const row = document.createElement('div');
+        row.className = `rebase-step rebase-${step.action}`;
+        const editable = step.action === 'reword' || step.action === 'squash';
+        row.innerHTML = `
+            <div class="rebase-step-line">
+                <select class="rebase-action">
+                    ${REBASE_ACTIONS.map(action => `<option value="${action}"${action === step.action ? ' selected' : ''}>${action}</option>`).join('')}
+                </select>
+                <span class="commit-sha">${step.oid.substring(0, 7)}</span>
+                <span class="rebase-subject">${escapeHtml(step.original.split('\n')[0])}</span>
+                <button class="rebase-move" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+                <button class="rebase-move" title="Move down" ${index === rebaseTodo.steps.length - 1 ? 'disabled' : ''}>▼</button>
+            </div>
+            ${editable ? '<textarea class="rebase-message" rows="3" spellcheck="false"></textarea>' : ''}
+        `;
+
+        row.querySelector('.rebase-action').onchange = (e) => {
+            step.action = e.target.value;
+            // Reword starts from the original message; squash combines them unless edited
+            step.message = step.action === 'reword' ? step.original : '';
+            renderRebaseTodo();
+        };
+        const [up, down] = row.querySelectorAll('.rebase-move');
+        up.onclick = () => moveRebaseStep(index, -1);
+        down.onclick = () => moveRebaseStep(index, 1);
+
+        const textarea = row.querySelector('.rebase-message');
+        if (textarea) {
+            textarea.value = step.message;
+            textarea.placeholder = step.action === 'squash' ? 'Leave empty to combine both messages' : '';
+            textarea.oninput = () => { step.message = textarea.value; };
+        }
+
+        list.appendChild(row);
+    });
+}
+
+function moveRebaseStep(index, offset) {
+    const steps = rebaseTodo.steps;
+    [steps[index], steps[index + offset]] = [steps[index + offset], steps[index]];
+    renderRebaseTodo();
+}
+
+// Show the conflicts dialog when a rebase stops, otherwise report the error
+async function handleRebaseError(err, dialogId) {
+    if (err.message.includes('conflict')) {
+        closeDialog(dialogId);
+        await refreshAll();
+        showNotification('Rebase stopped on conflicts. Resolve them and continue.', 'warning');
+        await showConflictsDialog();
+    } else {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+async function startRebase() {
+    const first = rebaseTodo.steps.find(step => step.action !== 'drop');
+    if (first && (first.action === 'squash' || first.action === 'fixup')) {
+        alert(`The first commit cannot be a ${first.action}; there is nothing above it to fold into`);
+        return;
+    }
+
+    if (!authorConfig.name || !authorConfig.email) {
+        showDialog('authorDialog');
+        return;
+    }
+
+    const steps = rebaseTodo.steps.map(({ action, oid, message }) => ({
+        action,
+        oid,
+        ...(message.trim() && { message })
+    }));
+
+    try {
+        await apiCall('/rebase/start', { base: rebaseTodo.base, steps, committer: authorConfig });
+        closeDialog('rebaseDialog');
+        await refreshAll();
+        showNotification('Rebased successfully', 'success');
+    } catch (err) {
+        await handleRebaseError(err, 'rebaseDialog');
+    }
+}
+
+// Show or hide the rebase-in-progress banner
+async function loadRebaseState() {
+    try {
+        const state = await apiCall('/rebase/status');
+        rebaseInProgress = state.inProgress;
+        document.getElementById('rebaseBanner').style.display = state.inProgress ? 'inline-flex' : 'none';
+        if (!state.inProgress) return;
+
+        const stoppedAt = state.current ? ` at ${state.current.oid.substring(0, 7)}` : '';
+        const conflicts = state.conflicts.length > 0
+            ? `${state.conflicts.length} conflicted file${state.conflicts.length === 1 ? '' : 's'}`
+            : 'ready to continue';
+        document.getElementById('rebaseBannerText').textContent =
+            `Rebasing ${state.branch}: stopped${stoppedAt}, ${conflicts}, ${state.remaining.length} remaining`;
+    } catch (err) {
+        showNotification(`Error loading rebase state: ${err.message}`, 'error');
+    }
+}
+
+// Commit the resolved step and replay the rest of the todo list
+async function continueRebase() {
+    try {
+        await apiCall('/rebase/continue', { committer: authorConfig });
+        closeDialog('conflictsDialog');
+        await refreshAll();
+        showNotification('Rebased successfully', 'success');
+    } catch (err) {
+        await handleRebaseError(err, 'conflictsDialog');
+    }
+}
+
+// Abandon the rebase and put the branch back where it started
+async function abortRebase() {
+    if (!confirm('Abort the rebase? The branch will be restored to where it was before the rebase.')) return;
+
+    try {
+        await apiCall('/rebase/abort');
+        closeDialog('conflictsDialog');
+        await refreshAll();
+        showNotification('Rebase aborted', 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Cherry-pick the selected commits onto the current branch, oldest first
+async function cherryPickSelected() {
+    if (selectedCommits.length === 0) return;
+
+    if (!authorConfig.name || !authorConfig.email) {
+        showDialog('authorDialog');
+        return;
+    }
+
+    const oids = [...selectedCommits].sort((a, b) => graphCommitOrder.indexOf(b) - graphCommitOrder.indexOf(a));
+    const branch = document.getElementById('currentBranch').textContent;
+    if (!confirm(`Cherry-pick ${oids.length} commit${oids.length === 1 ? '' : 's'} onto ${branch}?`)) return;
+
+    try {
+        const data = await apiCall('/cherry-pick', { oids, committer: authorConfig });
+        clearCommitSelection();
+        await refreshAll();
+        showNotification(`Cherry-picked ${data.picked.length} commit${data.picked.length === 1 ? '' : 's'}`, 'success');
+    } catch (err) {
+        await handleCherryPickError(err);
+    }
+}
+
+async function handleCherryPickError(err) {
+    if (err.message.includes('conflict')) {
+        clearCommitSelection();
+        await refreshAll();
+        showNotification('Cherry-pick stopped on conflicts. Resolve them and continue.', 'warning');
+        await showConflictsDialog();
+    } else {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Show or hide the cherry-pick-in-progress banner
+async function loadCherryPickState() {
+    try {
+        const state = await apiCall('/cherry-pick/status');
+        cherryPickInProgress = state.inProgress;
+        document.getElementById('cherryPickBanner').style.display = state.inProgress ? 'inline-flex' : 'none';
+        if (!state.inProgress) return;
+
+        const conflicts = state.conflicts.length > 0
+            ? `${state.conflicts.length} conflicted file${state.conflicts.length === 1 ? '' : 's'}`
+            : 'ready to continue';
+        document.getElementById('cherryPickBannerText').textContent =
+            `Cherry-pick stopped at ${state.current.substring(0, 7)}: ${conflicts}, ${state.remaining.length} remaining`;
+    } catch (err) {
+        showNotification(`Error loading cherry-pick state: ${err.message}`, 'error');
+    }
+}
+
+async function continueCherryPick() {
+    try {
+        await apiCall('/cherry-pick/continue', { committer: authorConfig });
+        closeDialog('conflictsDialog');
+        await refreshAll();
+        showNotification('Cherry-pick completed', 'success');
+    } catch (err) {
+        closeDialog('conflictsDialog');
+        await handleCherryPickError(err);
+    }
+}
+
+async function abortCherryPick() {
+    if (!confirm('Abort the cherry-pick? Commits picked so far will be removed from the branch.')) return;
+
+    try {
+        await apiCall('/cherry-pick/abort');
+        closeDialog('conflictsDialog');
+        await refreshAll();
+        showNotification('Cherry-pick aborted', 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Revert the commit shown in the details modal
+function showRevertDialog() {
+    const commit = detailCommit;
+    document.getElementById('revertSubject').textContent =
+        `${commit.oid.substring(0, 7)} ${commit.message.split('\n')[0]}`;
+
+    // Merge commits are reverted back to the parent the user picks as the mainline
+    const select = document.getElementById('revertMainline');
+    select.innerHTML = '';
+    commit.parents.forEach((parent, index) => {
+        const option = document.createElement('option');
+        option.value = index + 1;
+        option.textContent = `Parent ${index + 1} (${parent.substring(0, 7)})${index === 0 ? ' - branch merged into' : ''}`;
+        select.appendChild(option);
+    });
+    document.getElementById('revertMainlineRow').style.display = commit.parents.length > 1 ? '' : 'none';
+
+    showDialog('revertDialog');
+}
+
+async function revertCommit() {
+    if (!authorConfig.name || !authorConfig.email) {
+        showDialog('authorDialog');
+        return;
+    }
+
+    const commit = detailCommit;
+    const mainline = commit.parents.length > 1
+        ? parseInt(document.getElementById('revertMainline').value)
+        : undefined;
+
+    try {
+        await apiCall('/revert', { oid: commit.oid, mainline, author: authorConfig });
+        closeDialog('revertDialog');
+        closeDialog('commitDetailsDialog');
+        await refreshAll();
+        showNotification(`Reverted ${commit.oid.substring(0, 7)}`, 'success');
+    } catch (err) {
+        if (err.message.includes('conflict')) {
+            closeDialog('revertDialog');
+            closeDialog('commitDetailsDialog');
+            await refreshAll();
+            showNotification('Revert conflicts detected. Resolve them to finish the revert.', 'warning');
+            await showConflictsDialog();
+        } else {
+            showNotification(`Error: ${err.message}`, 'error');
+        }
+    }
+}
+
+// Show or hide the revert-in-progress banner
+async function loadRevertState() {
+    try {
+        const state = await apiCall('/revert/status');
+        revertInProgress = state.inProgress;
+        document.getElementById('revertBanner').style.display = state.inProgress ? 'inline-flex' : 'none';
+        if (state.inProgress) {
+            document.getElementById('revertBannerText').textContent =
+                `Revert of ${state.reverted.substring(0, 7)} in progress`;
+        }
+    } catch (err) {
+        showNotification(`Error loading revert state: ${err.message}`, 'error');
+    }
+}
+
+async function continueRevert() {
+    try {
+        await apiCall('/revert/continue', { author: authorConfig });
+        closeDialog('conflictsDialog');
+        await refreshAll();
+        showNotification('Revert committed successfully', 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+async function abortRevert() {
+    if (!confirm('Abort the revert? All conflict resolutions will be lost.')) return;
+
+    try {
+        await apiCall('/revert/abort');
+        closeDialog('conflictsDialog');
+        await refreshAll();
+        showNotification('Revert aborted', 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Load the stash list into the sidebar
+async function loadStashes() {
+    try {
+        const { stashes } = await apiCall('/stash/list');
+        const stashList = document.getElementById('stashList');
+        stashList.innerHTML = '';
+
+        if (stashes.length === 0) {
+            stashList.innerHTML = '<div class="no-changes">No stashes</div>';
+            return;
+        }
+
+        stashes.forEach(stash => {
+            const div = document.createElement('div');
+            div.className = 'stash-item';
+            div.title = new Date(stash.author.timestamp * 1000).toLocaleString();
+            div.innerHTML = `
+                <span class="stash-name" onclick="showStash(${stash.index})">
+                    <span class="stash-ref">${stash.ref}</span> ${escapeHtml(stash.message)}
+                </span>
+                <button onclick="applyStash(${stash.index}, false)" title="Apply">Apply</button>
+                <button onclick="applyStash(${stash.index}, true)" title="Apply and drop">Pop</button>
+                <button class="delete-btn" onclick="dropStash(${stash.index})" title="Drop">×</button>
+            `;
+            stashList.appendChild(div);
+        });
+    } catch (err) {
+        showNotification(`Error loading stashes: ${err.message}`, 'error');
+    }
+}
+
+// Stash local changes and clean the working tree
+async function saveStash() {
+    if (!authorConfig.name || !authorConfig.email) {
+        showDialog('authorDialog');
         return;
     }
-    
+
     try {
-        await apiCall('/merge', { theirBranch });
-        closeDialog('mergeDialog');
+        const data = await apiCall('/stash/save', {
+            message: document.getElementById('stashMessage').value.trim() || undefined,
+            includeUntracked: document.getElementById('stashUntracked').checked,
+            author: authorConfig
+        });
+        document.getElementById('stashMessage').value = '';
         await refreshAll();
-        showNotification(`Merged ${theirBranch} successfully`, 'success');
+        showNotification(`Saved ${data.message}`, 'success');
     } catch (err) {
-        if (err.message.includes('conflict')) {
-            showNotification('Merge conflicts detected. Please resolve manually.', 'warning');
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Show the files and diffs of a stash entry
+async function showStash(index) {
+    try {
+        const data = await apiCall('/stash/show', { index });
+        shownStash = index;
+        document.getElementById('stashTitle').textContent = `${data.ref}: ${data.message}`;
+
+        const filesList = document.getElementById('stashFiles');
+        filesList.innerHTML = '';
+        data.files.forEach(file => {
+            const div = document.createElement('div');
+            div.className = 'file-item';
+            div.onclick = () => {
+                filesList.querySelectorAll('.file-item.selected').forEach(el => el.classList.remove('selected'));
+                div.classList.add('selected');
+                document.getElementById('stashDiffPath').textContent = file.filepath;
+                document.getElementById('stashDiffRow').style.display = 'flex';
+                renderDiff(document.getElementById('stashDiff'), file);
+            };
+            const status = file.untracked ? 'untracked' : file.status;
+            div.innerHTML = `
+                <span class="file-status status-${file.status}">${status.charAt(0).toUpperCase()}</span>
+                <span class="file-path">${escapeHtml(file.filepath)}</span>
+            `;
+            filesList.appendChild(div);
+        });
+
+        document.getElementById('stashDiffRow').style.display = 'none';
+        document.getElementById('stashDiff').innerHTML = '';
+        showDialog('stashDialog');
+    } catch (err) {
+        showNotification(`Error loading stash: ${err.message}`, 'error');
+    }
+}
+
+// Apply a stash entry, dropping it afterwards when popping
+async function applyStash(index, pop) {
+    try {
+        await apiCall(pop ? '/stash/pop' : '/stash/apply', { index });
+        closeDialog('stashDialog');
+        await refreshAll();
+        showNotification(`stash@{${index}} ${pop ? 'popped' : 'applied'}`, 'success');
+    } catch (err) {
+        // A conflicting stash leaves conflicted files in the working directory and is kept
+        closeDialog('stashDialog');
+        await refreshAll();
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+async function dropStash(index) {
+    if (!confirm(`Drop stash@{${index}}? Its changes will be lost.`)) return;
+
+    try {
+        await apiCall('/stash/drop', { index });
+        await Promise.all([loadStashes(), loadUndoState()]);
+        showNotification(`Dropped stash@{${index}}`, 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Show every remote in the info bar, origin first
+function formatRemotes(remotes) {
+    if (remotes.length === 0) return 'none';
+    return [...remotes]
+        .sort((a, b) => (a.remote === 'origin' ? -1 : b.remote === 'origin' ? 1 : 0))
+        .map(r => (remotes.length === 1 ? r.url : `${r.remote}: ${r.url}`))
+        .join(', ');
+}
+
+// Load remotes into the sidebar
+async function loadRemotes() {
+    try {
+        const { remotes } = await apiCall('/remotes');
+        remoteList = remotes;
+        document.getElementById('remoteUrl').textContent = formatRemotes(remotes);
+
+        const remoteListEl = document.getElementById('remoteList');
+        remoteListEl.innerHTML = '';
+        if (remotes.length === 0) {
+            remoteListEl.innerHTML = '<div class="no-changes">No remotes</div>';
+            return;
+        }
+
+        remotes.forEach(({ remote, url }) => {
+            const div = document.createElement('div');
+            div.className = 'branch-item remote-item';
+            div.title = url;
+            div.innerHTML = `
+                <span class="branch-name" onclick="showRemoteDialog('${escapeHtml(remote)}')">
+                    ${escapeHtml(remote)} <span class="remote-url">${escapeHtml(url)}</span>
+                </span>
+                <button class="delete-btn" onclick="removeRemote('${escapeHtml(remote)}')" title="Remove">×</button>
+            `;
+            remoteListEl.appendChild(div);
+        });
+    } catch (err) {
+        showNotification(`Error loading remotes: ${err.message}`, 'error');
+    }
+}
+
+// Add a remote, or edit the name and URL of an existing one
+function showRemoteDialog(name) {
+    const existing = remoteList.find(r => r.remote === name);
+    editingRemote = existing || null;
+    document.getElementById('remoteDialogTitle').textContent = existing ? 'Edit Remote' : 'Add Remote';
+    document.getElementById('remoteName').value = existing ? existing.remote : '';
+    document.getElementById('remoteUrlInput').value = existing ? existing.url : '';
+    showDialog('remoteDialog');
+}
+
+async function saveRemote() {
+    const name = document.getElementById('remoteName').value.trim();
+    const url = document.getElementById('remoteUrlInput').value.trim();
+    if (!name || !url) {
+        alert('Please enter a remote name and URL');
+        return;
+    }
+
+    try {
+        if (!editingRemote) {
+            await apiCall('/remote/add', { name, url });
         } else {
-            showNotification(`Error: ${err.message}`, 'error');
+            if (name !== editingRemote.remote) {
+                await apiCall('/remote/rename', { name: editingRemote.remote, newName: name });
+            }
+            if (url !== editingRemote.url) {
+                await apiCall('/remote/set-url', { name, url });
+            }
+        }
+        closeDialog('remoteDialog');
+        await refreshAll();
+        showNotification(`Remote saved: ${name}`, 'success');
+    } catch (err) {
+        await refreshAll();
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+async function removeRemote(name) {
+    if (!confirm(`Remove remote ${name}? Its remote-tracking branches will be deleted.`)) return;
+
+    try {
+        await apiCall('/remote/remove', { name });
+        await refreshAll();
+        showNotification(`Remote removed: ${name}`, 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Fill a remote picker; the empty choice lets the server use the branch's upstream
+function fillRemoteSelect(id) {
+    const select = document.getElementById(id);
+    select.innerHTML = '<option value="">Upstream of current branch</option>';
+    remoteList.forEach(({ remote }) => {
+        const option = document.createElement('option');
+        option.value = remote;
+        option.textContent = remote;
+        select.appendChild(option);
+    });
+}
+
+// Reset the current branch to a commit
+function showResetDialog(oid, subject) {
+    resetTarget = oid;
+    document.getElementById('resetSubject').textContent = `${oid.substring(0, 7)} ${subject}`;
+    closeDialog('commitDetailsDialog');
+    showDialog('resetDialog');
+    previewReset();
+}
+
+// Show what the chosen reset mode throws away before it is confirmed
+async function previewReset() {
+    const mode = document.getElementById('resetModeSelect').value;
+    const preview = document.getElementById('resetPreview');
+    preview.innerHTML = '';
+
+    try {
+        const data = await apiCall('/reset-branch/preview', { oid: resetTarget, mode });
+        const lines = [];
+        if (data.commits > 0) {
+            lines.push(`<div>${data.commits} commit${data.commits === 1 ? '' : 's'} will leave the branch (still reachable from the reflog).</div>`);
+        }
+        if (data.files.length > 0) {
+            lines.push('<div class="reset-warning">Uncommitted changes to these files will be lost:</div>');
+            lines.push(`<ul class="reset-files">${data.files.map(f => `<li>${escapeHtml(f)}</li>`).join('')}</ul>`);
+        } else if (mode === 'hard') {
+            lines.push('<div>No uncommitted changes will be lost.</div>');
         }
+        preview.innerHTML = lines.join('');
+    } catch (err) {
+        preview.innerHTML = `<div class="reset-warning">${escapeHtml(err.message)}</div>`;
+    }
+}
+
+async function resetBranch() {
+    const mode = document.getElementById('resetModeSelect').value;
+
+    try {
+        await apiCall('/reset-branch', { oid: resetTarget, mode });
+        closeDialog('resetDialog');
+        await refreshAll();
+        showNotification(`Reset (${mode}) to ${resetTarget.substring(0, 7)}`, 'success');
+    } catch (err) {
+        showNotification(`Error: ${err.message}`, 'error');
     }
 }
 
-// Fetch
+// Fetch from every remote
 async function fetchRemote() {
     try {
-        await apiCall('/fetch');
+        await apiCall('/fetch', { all: true });
         await refreshAll();
-        showNotification('Fetched from remote', 'success');
+        showNotification(remoteList.length > 1 ? 'Fetched from all remotes' : 'Fetched from remote', 'success');
     } catch (err) {
         showNotification(`Error: ${err.message}`, 'error');
     }
 }
 
 // Pull
+function showPullDialog() {
+    fillRemoteSelect('pullRemoteSelect');
+    document.getElementById('pullModeSelect').value = localStorage.getItem('git.pull.mode') || 'ff';
+    document.getElementById('pullMessage').value = '';
+    showDialog('pullDialog');
+}
+
 async function pullChanges() {
+    const mode = document.getElementById('pullModeSelect').value;
+    const message = document.getElementById('pullMessage').value.trim();
+    
+    if (!authorConfig.name || !authorConfig.email) {
+        showDialog('authorDialog');
+        return;
+    }
+    
+    localStorage.setItem('git.pull.mode', mode);
+    
     try {
-        await apiCall('/pull');
+        const remote = document.getElementById('pullRemoteSelect').value || undefined;
+        const data = await apiCall('/pull', { remote, mode, message: message || undefined, author: authorConfig });
+        closeDialog('pullDialog');
         await refreshAll();
-        showNotification('Pulled successfully', 'success');
+        if (handleMergeResult(data.result)) {
+            showNotification('Squashed remote changes into staged changes. Review and commit.', 'success');
+        } else {
+            showNotification('Pulled successfully', 'success');
+        }
     } catch (err) {
-        showNotification(`Error: ${err.message}`, 'error');
+        if (err.message.includes('conflict')) {
+            closeDialog('pullDialog');
+            await refreshAll();
+            showNotification('Merge conflicts detected. Resolve them to finish the pull.', 'warning');
+            await showConflictsDialog();
+        } else {
+            showNotification(`Error: ${err.message}`, 'error');
+        }
     }
 }
 
 // Push
+function showPushDialog() {
+    fillRemoteSelect('pushRemoteSelect');
+    // A branch that has never been pushed usually wants to track what it is pushed to
+    document.getElementById('pushSetUpstream').checked = !branchData.tracking[branchData.current];
+    showDialog('pushDialog');
+}
+
 async function pushChanges() {
     try {
-        await apiCall('/push');
+        await apiCall('/push', {
+            remote: document.getElementById('pushRemoteSelect').value || undefined,
+            setUpstream: document.getElementById('pushSetUpstream').checked
+        });
+        closeDialog('pushDialog');
         await refreshAll();
         showNotification('Pushed successfully', 'success');
     } catch (err) {
@@ -692,6 +2013,7 @@ function escapeHtml(text) {
 async function showCommitDetails(oid) {
     try {
         const data = await apiCall('/commit-details', { oid });
+        detailCommit = data;
 
         // Populate the modal
         document.getElementById('detailSha').textContent = data.oid;
@@ -711,24 +2033,549 @@ async function showCommitDetails(oid) {
             filesList.innerHTML = '<div class="no-changes">No file changes</div>';
         } else {
             data.files.forEach(file => {
-                const div = document.createElement('div');
-                div.className = 'file-item';
-                const statusLetter = file.status.charAt(0).toUpperCase();
-                div.innerHTML = `
-                    <span class="file-status status-${file.status}">${statusLetter}</span>
-                    <span class="file-path">${escapeHtml(file.filepath)}</span>
-                `;
+                const div = createChangedFileItem(file);
+                div.onclick = () => showCommitFileDiff(data.oid, file.filepath, div, file.oldFilepath);
+                div.insertAdjacentHTML('beforeend',
+                    '<button class="file-history-btn" title="Show file history">🕘 History</button>');
+                div.querySelector('.file-history-btn').onclick = (e) => {
+                    e.stopPropagation();
+                    showFileHistory(file.filepath, data.oid);
+                };
                 filesList.appendChild(div);
             });
         }
 
+        document.getElementById('detailDiffRow').style.display = 'none';
+        document.getElementById('detailDiff').innerHTML = '';
+
         showDialog('commitDetailsDialog');
     } catch (err) {
         showNotification(`Error loading commit details: ${err.message}`, 'error');
     }
 }
 
+// A changed file for a files list
+function createChangedFileItem(file) {
+    const div = document.createElement('div');
+    div.className = 'file-item';
+    const statusLetter = file.status.charAt(0).toUpperCase();
+    // Renames and copies show where the file came from and how much of it is unchanged
+    const filePath = file.oldFilepath
+        ? `${escapeHtml(file.oldFilepath)} → ${escapeHtml(file.filepath)}
+           <span class="file-similarity">${file.similarity}%</span>`
+        : escapeHtml(file.filepath);
+    div.innerHTML = `
+        <span class="file-status status-${file.status}">${statusLetter}</span>
+        <span class="file-path">${filePath}</span>
+    `;
+    return div;
+}
+
+// Show the diff of one file from the commit details modal
+async function showCommitFileDiff(oid, filepath, fileItem, oldFilepath) {
+    try {
+        const diff = await apiCall('/commit-diff', { oid, filepath, oldFilepath });
+
+        document.querySelectorAll('#detailFiles .file-item.selected').forEach(el => el.classList.remove('selected'));
+        if (fileItem) fileItem.classList.add('selected');
+
+        document.getElementById('detailDiffPath').textContent = filepath;
+        document.getElementById('detailDiffRow').style.display = 'flex';
+        renderDiff(document.getElementById('detailDiff'), diff);
+    } catch (err) {
+        showNotification(`Error loading diff: ${err.message}`, 'error');
+    }
+}
+
+// Shift-click a commit in the graph, then another, to compare them with the older as the base
+function pickCompareCommit(oid, commitDiv) {
+    if (!compareFrom || compareFrom === oid) {
+        compareFrom = compareFrom === oid ? null : oid;
+        commitDiv.classList.toggle('compare-from', compareFrom === oid);
+        if (compareFrom) {
+            showNotification(`Shift-click another commit to compare it with ${oid.substring(0, 7)}`, 'info');
+        }
+        return;
+    }
+
+    const older = graphCommitOrder.indexOf(compareFrom) > graphCommitOrder.indexOf(oid);
+    const [base, head] = older ? [compareFrom, oid] : [oid, compareFrom];
+    compareFrom = null;
+    document.querySelectorAll('.commit-node.compare-from').forEach(el => el.classList.remove('compare-from'));
+    showCompare(base, head);
+}
+
+// Open the compare dialog, comparing right away when both sides are given
+async function showCompare(base = '', head = '') {
+    fillRefList();
+    document.getElementById('compareBase').value = base;
+    document.getElementById('compareHead').value = head;
+    document.getElementById('compareResult').style.display = 'none';
+    showDialog('compareDialog');
+    if (base && head) await runCompare();
+}
+
+function swapCompareRefs() {
+    const base = document.getElementById('compareBase');
+    const head = document.getElementById('compareHead');
+    [base.value, head.value] = [head.value, base.value];
+    if (base.value && head.value) runCompare();
+}
+
+// List the commits only on each side and the files that differ
+async function runCompare() {
+    const base = document.getElementById('compareBase').value.trim();
+    const head = document.getElementById('compareHead').value.trim();
+    if (!base || !head) {
+        showNotification('Enter a base and a head to compare', 'warning');
+        return;
+    }
+
+    try {
+        const fromMergeBase = document.getElementById('compareFromMergeBase').checked;
+        const data = await apiCall('/compare', { base, head, fromMergeBase });
+        compareData = { ...data, fromMergeBase };
+
+        const short = (ref, oid) => (ref === oid ? oid.substring(0, 7) : ref);
+        const baseName = short(base, data.base);
+        const headName = short(head, data.head);
+        document.getElementById('compareSummary').innerHTML = data.mergeBase
+            ? `Merge base <a class="compare-merge-base">${data.mergeBase.substring(0, 7)}</a>`
+            : 'No common history';
+        const mergeBaseLink = document.querySelector('#compareSummary .compare-merge-base');
+        if (mergeBaseLink) mergeBaseLink.onclick = () => showCommitDetails(data.mergeBase);
+
+        const plural = count => `${count} commit${count === 1 ? '' : 's'}`;
+        document.getElementById('compareAheadTitle').textContent = `${plural(data.aheadCount)} only on ${headName}`;
+        document.getElementById('compareBehindTitle').textContent = `${plural(data.behindCount)} only on ${baseName}`;
+        renderCompareCommits(document.getElementById('compareAhead'), data.ahead, data.aheadCount);
+        renderCompareCommits(document.getElementById('compareBehind'), data.behind, data.behindCount);
+
+        document.getElementById('compareFilesTitle').textContent =
+            `${data.files.length} file${data.files.length === 1 ? '' : 's'} changed` +
+            (fromMergeBase ? ` on ${headName} since the merge base` : ` from ${baseName} to ${headName}`);
+        const filesList = document.getElementById('compareFiles');
+        filesList.innerHTML = data.files.length === 0 ? '<div class="no-changes">No file changes</div>' : '';
+        data.files.forEach(file => {
+            const div = createChangedFileItem(file);
+            div.onclick = () => showCompareFileDiff(file, div);
+            filesList.appendChild(div);
+        });
+
+        document.getElementById('compareDiffRow').style.display = 'none';
+        document.getElementById('compareResult').style.display = 'block';
+    } catch (err) {
+        showNotification(`Error comparing: ${err.message}`, 'error');
+    }
+}
+
+function renderCompareCommits(container, commits, count) {
+    container.innerHTML = commits.length === 0 ? '<div class="no-changes">None</div>' : '';
+    commits.forEach(commit => {
+        const div = document.createElement('div');
+        div.className = 'file-item compare-commit';
+        div.innerHTML = `
+            <span class="commit-sha">${commit.oid.substring(0, 7)}</span>
+            <span class="file-path">${escapeHtml(commit.message.split('\n')[0])}</span>
+            <span class="compare-author">${escapeHtml(commit.author.name)}</span>
+        `;
+        div.onclick = () => showCommitDetails(commit.oid);
+        container.appendChild(div);
+    });
+    if (count > commits.length) {
+        container.insertAdjacentHTML('beforeend', `<div class="no-changes">and ${count - commits.length} more</div>`);
+    }
+}
+
+// Show one file's diff between the two sides (or from the merge base)
+async function showCompareFileDiff(file, fileItem) {
+    try {
+        const baseOid = compareData.fromMergeBase ? compareData.mergeBase : compareData.base;
+        const diff = await apiCall('/commit-diff', {
+            oid: compareData.head,
+            baseOid,
+            filepath: file.filepath,
+            oldFilepath: file.oldFilepath
+        });
+
+        document.querySelectorAll('#compareFiles .file-item.selected').forEach(el => el.classList.remove('selected'));
+        fileItem.classList.add('selected');
+
+        document.getElementById('compareDiffPath').textContent = file.filepath;
+        document.getElementById('compareDiffRow').style.display = 'flex';
+        renderDiff(document.getElementById('compareDiff'), diff);
+    } catch (err) {
+        showNotification(`Error loading diff: ${err.message}`, 'error');
+    }
+}
+
+// Show who last changed each line of a file at a commit.
+// The blame dialog sits below commit details, so clicking a gutter opens the commit on top of it.
+async function showBlame(ref, filepath) {
+    try {
+        const blame = await apiCall('/blame', { ref, filepath });
+
+        closeDialog('commitDetailsDialog');
+        closeDialog('workingDiffDialog');
+        document.getElementById('blameTitle').textContent =
+            `${filepath} @ ${ref === 'HEAD' ? 'HEAD' : blame.oid.substring(0, 7)}`;
+        renderBlame(document.getElementById('blameView'), blame);
+        showDialog('blameDialog');
+    } catch (err) {
+        showNotification(`Error loading blame: ${err.message}`, 'error');
+    }
+}
+
+// Render blamed lines, labelling the gutter once per run of lines from the same commit
+function renderBlame(container, blame) {
+    if (blame.binary) {
+        container.innerHTML = '<div class="no-changes">Binary file</div>';
+        return;
+    }
+    if (blame.lines.length === 0) {
+        container.innerHTML = '<div class="no-changes">Empty file</div>';
+        return;
+    }
+
+    const rows = blame.lines.map((line, i) => {
+        const commit = blame.commits[line.oid];
+        const first = i === 0 || blame.lines[i - 1].oid !== line.oid;
+        const label = first
+            ? `<span class="blame-sha">${line.oid.substring(0, 7)}</span>
+               <span class="blame-author">${escapeHtml(commit.author.name)}</span>
+               <span class="blame-date">${new Date(commit.author.timestamp * 1000).toLocaleDateString()}</span>`
+            : '';
+        return `
+            <tr class="${first ? 'blame-start' : ''}">
+                <td class="blame-gutter" data-oid="${line.oid}" title="${escapeHtml(commit.message.split('\n')[0])}">${label}</td>
+                <td class="diff-ln">${line.line}</td>
+                <td class="diff-code">${escapeHtml(line.content)}</td>
+            </tr>
+        `;
+    });
+
+    container.innerHTML = `<table class="diff-hunk blame-table">${rows.join('')}</table>`;
+    container.querySelectorAll('.blame-gutter').forEach(cell => {
+        cell.onclick = () => showCommitDetails(cell.dataset.oid);
+    });
+}
+
+// Browse the files of a commit, branch or tag, starting at its root folder
+async function showTree(ref = 'HEAD') {
+    try {
+        const data = await apiCall('/tree', { ref });
+
+        closeDialog('commitDetailsDialog');
+        treeState = { ref, oid: data.oid, file: null };
+        document.getElementById('treeRef').value = ref;
+        fillRefList();
+        document.getElementById('treeFileToolbar').style.display = 'none';
+        document.getElementById('treeFileView').innerHTML = '<div class="no-changes">Select a file to view it</div>';
+        renderTreeEntries(data);
+        showDialog('treeDialog');
+    } catch (err) {
+        showNotification(`Error loading files: ${err.message}`, 'error');
+    }
+}
+
+// Offer the branches and tags in the ref inputs
+function fillRefList() {
+    document.getElementById('refList').innerHTML =
+        [...branchData.local, ...branchData.remote, ...tagList.map(tag => tag.name)]
+            .map(name => `<option value="${escapeHtml(name)}"></option>`)
+            .join('');
+}
+
+// Open a folder of the commit being browsed
+async function openTreeFolder(dirpath) {
+    try {
+        renderTreeEntries(await apiCall('/tree', { ref: treeState.oid, path: dirpath }));
+    } catch (err) {
+        showNotification(`Error loading files: ${err.message}`, 'error');
+    }
+}
+
+// List a folder's entries under breadcrumbs leading back to the root
+function renderTreeEntries(data) {
+    const parts = data.path ? data.path.split('/') : [];
+    const crumbs = document.getElementById('treeBreadcrumbs');
+    crumbs.innerHTML = '';
+    const root = treeState.ref === treeState.oid ? treeState.oid.substring(0, 7) : treeState.ref;
+    [root, ...parts].forEach((name, i) => {
+        if (i > 0) crumbs.insertAdjacentHTML('beforeend', '<span class="tree-separator">/</span>');
+        const link = document.createElement('a');
+        link.textContent = name;
+        link.onclick = () => openTreeFolder(parts.slice(0, i).join('/'));
+        crumbs.appendChild(link);
+    });
+
+    const list = document.getElementById('treeEntries');
+    list.innerHTML = '';
+    if (parts.length > 0) {
+        list.appendChild(createTreeEntry('📁', '..', () => openTreeFolder(parts.slice(0, -1).join('/'))));
+    }
+    data.entries.forEach(entry => {
+        if (entry.type === 'tree') {
+            list.appendChild(createTreeEntry('📁', entry.name, () => openTreeFolder(entry.path)));
+        } else if (entry.type === 'commit') {
+            // A submodule only records the commit it is checked out at
+            const item = createTreeEntry('📦', entry.name, null);
+            item.title = `Submodule at ${entry.oid}`;
+            list.appendChild(item);
+        } else {
+            const item = createTreeEntry('📄', entry.name, () => openTreeFile(entry.path, item));
+            if (entry.path === treeState.file) item.classList.add('selected');
+            list.appendChild(item);
+        }
+    });
+}
+
+function createTreeEntry(icon, name, onOpen) {
+    const div = document.createElement('div');
+    div.className = 'file-item tree-entry' + (onOpen ? '' : ' disabled');
+    div.innerHTML = `<span class="tree-icon">${icon}</span><span class="file-path">${escapeHtml(name)}</span>`;
+    if (onOpen) div.onclick = onOpen;
+    return div;
+}
+
+// Show a file of the commit being browsed
+async function openTreeFile(filepath, entryItem) {
+    try {
+        const file = await apiCall('/blob', { ref: treeState.oid, filepath });
+
+        treeState.file = filepath;
+        document.querySelectorAll('#treeEntries .tree-entry.selected').forEach(el => el.classList.remove('selected'));
+        if (entryItem) entryItem.classList.add('selected');
+
+        document.getElementById('treeFilePath').textContent = filepath;
+        document.getElementById('treeFileSize').textContent = formatFileSize(file.size);
+        document.getElementById('treeRawLink').href =
+            `/api/raw?${new URLSearchParams({ repoPath: currentRepo, ref: treeState.oid, filepath })}`;
+        document.getElementById('treeFileToolbar').style.display = 'flex';
+        renderBlob(document.getElementById('treeFileView'), file);
+    } catch (err) {
+        showNotification(`Error loading file: ${err.message}`, 'error');
+    }
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Render a file's lines with line numbers and syntax highlighting
+function renderBlob(container, file) {
+    if (file.binary) {
+        container.innerHTML = '<div class="no-changes">Binary file; use Raw to download it</div>';
+        return;
+    }
+    if (file.content === '') {
+        container.innerHTML = '<div class="no-changes">Empty file</div>';
+        return;
+    }
+
+    const lines = highlightCode(file.content, file.filepath);
+    // A final newline ends the last line rather than starting another
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    const rows = lines.map((html, i) => `
+        <tr>
+            <td class="diff-ln">${i + 1}</td>
+            <td class="diff-code">${html}</td>
+        </tr>
+    `);
+
+    container.innerHTML = `<table class="diff-hunk">${rows.join('')}</table>` +
+        (file.truncated ? '<div class="no-changes">The file is too large to show in full; use Raw to download it</div>' : '');
+}
+
+// Syntax highlighting for the file browser. Each family of languages is a list of token
+// rules, tried left to right at every position; anything no rule matches stays plain.
+const SYNTAX_NUMBER = /\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/;
+const SYNTAX_RULES = {
+    c: [
+        ['comment', /\/\/.*|\/\*[\s\S]*?\*\//],
+        ['string', /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\[\s\S]|[^`\\])*`/],
+        ['number', SYNTAX_NUMBER],
+        ['keyword', syntaxKeywords('abstract async await break case catch class const continue default defer delete do else enum export extends false final finally fn for from func function go if impl implements import in instanceof interface let match mod mut new nil null package private protected public pub return self static struct super switch this throw throws true try type typeof undefined use var void while yield')]
+    ],
+    hash: [
+        ['comment', /#.*/],
+        ['string', /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/],
+        ['number', SYNTAX_NUMBER],
+        ['keyword', syntaxKeywords('and as assert async await break case class continue def del do done elif else elsif end esac except export false False fi finally for from function if import in is lambda local module next nil None not null or pass raise require rescue return self then true True try unless until while with yield')]
+    ],
+    css: [
+        ['comment', /\/\*[\s\S]*?\*\//],
+        ['string', /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/],
+        ['keyword', /@[\w-]+|![\w]+|#[\da-fA-F]{3,8}\b/],
+        ['number', /-?\b\d+(?:\.\d+)?(?:%|[a-z]+)?/]
+    ],
+    json: [
+        ['string', /"(?:\\.|[^"\\\n])*"/],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+        ['keyword', syntaxKeywords('true false null')]
+    ],
+    markup: [
+        ['comment', /<!--[\s\S]*?-->/],
+        ['keyword', /<\/?[\w:-]+|\/?>/],
+        ['string', /"[^"\n]*"|'[^'\n]*'/]
+    ]
+};
+const SYNTAX_EXTENSIONS = {
+    c: 'js mjs cjs jsx ts tsx java c h cc cpp hpp cs go rs swift kt kts scala php dart groovy gradle',
+    hash: 'py rb sh bash zsh yml yaml toml ini cfg conf pl r mk makefile dockerfile gitignore gitattributes env properties',
+    css: 'css scss less',
+    json: 'json',
+    markup: 'html htm xml svg vue'
+};
+
+function syntaxKeywords(words) {
+    return new RegExp(`\\b(?:${words.split(' ').join('|')})\\b`);
+}
+
+// Split highlighted text into lines of HTML, so tokens spanning lines are closed and reopened
+function highlightCode(text, filepath) {
+    const name = filepath.split('/').pop().toLowerCase();
+    const extension = name.includes('.') ? name.split('.').pop() : name;
+    const family = Object.keys(SYNTAX_EXTENSIONS).find(key => SYNTAX_EXTENSIONS[key].split(' ').includes(extension));
+
+    const lines = [''];
+    const append = (chunk, type) => {
+        chunk.split('\n').forEach((part, i) => {
+            if (i > 0) lines.push('');
+            if (!part) return;
+            lines[lines.length - 1] += type ? `<span class="syntax-${type}">${escapeHtml(part)}</span>` : escapeHtml(part);
+        });
+    };
+    if (!family) {
+        append(text);
+        return lines;
+    }
+
+    const rules = SYNTAX_RULES[family];
+    const pattern = new RegExp(rules.map(([, rule]) => `(${rule.source})`).join('|'), 'g');
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[0] === '') {
+            pattern.lastIndex++;
+            continue;
+        }
+        append(text.slice(last, match.index));
+        append(match[0], rules[match.slice(1).findIndex(group => group !== undefined)][0]);
+        last = pattern.lastIndex;
+    }
+    append(text.slice(last));
+    return lines;
+}
+
+// Switch between inline and side-by-side diffs and redraw any open diff
+function setDiffViewMode(mode) {
+    diffViewMode = mode;
+    localStorage.setItem('git.diff.mode', mode);
+    document.querySelectorAll('.diff-mode-select').forEach(select => { select.value = mode; });
+    document.querySelectorAll('.diff-view').forEach(container => {
+        if (container.diffData) renderDiff(container, container.diffData, container.diffOptions);
+    });
+}
+
+// Render diff hunks into a container, inline or side by side.
+// With options.selectable, hunks and changed lines get checkboxes for partial staging.
+function renderDiff(container, diff, options = {}) {
+    container.diffData = diff;
+    container.diffOptions = options;
+    container.innerHTML = '';
+
+    if (diff.binary) {
+        container.innerHTML = '<div class="no-changes">Binary file differs</div>';
+        return;
+    }
+    if (diff.hunks.length === 0) {
+        container.innerHTML = '<div class="no-changes">No content changes</div>';
+        return;
+    }
+
+    const lineNo = n => (n === null || n === undefined ? '' : n);
+    const text = line => escapeHtml(line.content) +
+        (line.noNewline ? '<span class="diff-no-newline">\\ No newline at end of file</span>' : '');
+    const lineBox = line => (options.selectable && line.type !== 'context'
+        ? `<input type="checkbox" class="diff-line-select" data-type="${line.type}" data-line="${line.type === 'del' ? line.oldLine : line.newLine}" />`
+        : '');
+    const hunkBox = options.selectable ? '<input type="checkbox" class="diff-hunk-select" /> ' : '';
+
+    diff.hunks.forEach(hunk => {
+        const table = document.createElement('table');
+        table.className = `diff-hunk diff-${diffViewMode}`;
+        const header = `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+        let rows = `<tr class="diff-hunk-header"><td colspan="${diffViewMode === 'split' ? 4 : 3}">${hunkBox}${header}</td></tr>`;
+
+        if (diffViewMode === 'split') {
+            // Pair each run of removed lines with the added lines that follow it
+            let i = 0;
+            while (i < hunk.lines.length) {
+                const line = hunk.lines[i];
+                if (line.type === 'context') {
+                    rows += `<tr class="diff-context">
+                        <td class="diff-ln">${lineNo(line.oldLine)}</td><td class="diff-code">${text(line)}</td>
+                        <td class="diff-ln">${lineNo(line.newLine)}</td><td class="diff-code">${text(line)}</td>
+                    </tr>`;
+                    i++;
+                    continue;
+                }
+                const dels = [];
+                const adds = [];
+                while (i < hunk.lines.length && hunk.lines[i].type === 'del') dels.push(hunk.lines[i++]);
+                while (i < hunk.lines.length && hunk.lines[i].type === 'add') adds.push(hunk.lines[i++]);
+                for (let r = 0; r < Math.max(dels.length, adds.length); r++) {
+                    const left = dels[r];
+                    const right = adds[r];
+                    rows += `<tr>
+                        <td class="diff-ln">${left ? lineBox(left) + lineNo(left.oldLine) : ''}</td>
+                        <td class="diff-code ${left ? 'diff-del' : 'diff-empty'}">${left ? text(left) : ''}</td>
+                        <td class="diff-ln">${right ? lineBox(right) + lineNo(right.newLine) : ''}</td>
+                        <td class="diff-code ${right ? 'diff-add' : 'diff-empty'}">${right ? text(right) : ''}</td>
+                    </tr>`;
+                }
+            }
+        } else {
+            const prefix = { context: ' ', add: '+', del: '-' };
+            hunk.lines.forEach(line => {
+                rows += `<tr class="diff-${line.type}">
+                    <td class="diff-ln">${line.type === 'del' ? lineBox(line) : ''}${lineNo(line.oldLine)}</td>
+                    <td class="diff-ln">${line.type === 'add' ? lineBox(line) : ''}${lineNo(line.newLine)}</td>
+                    <td class="diff-code">${prefix[line.type]}${text(line)}</td>
+                </tr>`;
+            });
+        }
+
+        table.innerHTML = rows;
+        if (options.selectable) {
+            // Ticking a hunk ticks every changed line in it, like answering "y" in git add -p
+            table.querySelector('.diff-hunk-select').onchange = (e) => {
+                table.querySelectorAll('.diff-line-select').forEach(box => { box.checked = e.target.checked; });
+            };
+        }
+        container.appendChild(table);
+    });
+}
+
+// Collect the ticked lines of a selectable diff as old/new line numbers
+function getDiffSelection(container) {
+    const lines = { del: [], add: [] };
+    container.querySelectorAll('.diff-line-select:checked').forEach(box => {
+        lines[box.dataset.type].push(parseInt(box.dataset.line));
+    });
+    return lines;
+}
+
 // Initialize
+document.querySelectorAll('.diff-mode-select').forEach(select => { select.value = diffViewMode; });
+document.querySelector('.right-panel').addEventListener('scroll', (e) => {
+    renderVisibleCommits();
+    onGraphScroll(e.target);
+});
+window.addEventListener('resize', () => renderVisibleCommits());
 if (authorConfig.name && authorConfig.email) {
     document.getElementById('authorName').value = authorConfig.name;
     document.getElementById('authorEmail').value = authorConfig.email;
@@ -3,6 +3,7 @@ const git = require('isomorphic-git');
 const http = require('isomorphic-git/http/node');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = 3000;
@@ -10,385 +11,4549 @@ const PORT = 3000;
 app.use(express.json());
 app.use(express.static('public'));
 
-// Get repository log with graph data
+// ============================================
+// Diff helpers
+// ============================================
+
+const DIFF_CONTEXT = 3;
+
+// Treat content as binary if it has a NUL byte in the first 8000 bytes (same heuristic as git)
+function isBinary(buffer) {
+  const length = Math.min(buffer.length, 8000);
+  for (let i = 0; i < length; i++) {
+    if (buffer[i] === 0) return true;
+  }
+  return false;
+}
+
+// Split text into lines, keeping the terminator so a missing newline at EOF shows up as a change
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.match(/[^\n]*\n|[^\n]+$/g);
+  return lines || [];
+}
+
+// Myers O(ND) line diff. Returns a list of { type: 'context' | 'add' | 'del', line } operations.
+function diffLines(oldLines, newLines) {
+  // Trim the common prefix and suffix so the search only covers the changed region
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const v = new Array(2 * max + 2).fill(0);
+  const trace = [];
+
+  // Forward pass: record the furthest reaching x for every diagonal k at each edit distance d
+  outer:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(max - d, max + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[max + k - 1] < v[max + k + 1])) {
+        x = v[max + k + 1];
+      } else {
+        x = v[max + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[max + k] = x;
+      if (x >= n && y >= m) break outer;
+    }
+  }
+
+  // Backtrack through the trace to recover the edit script
+  const middle = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      middle.push({ type: 'context', line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (x === prevX) {
+      middle.push({ type: 'add', line: b[prevY] });
+    } else {
+      middle.push({ type: 'del', line: a[prevX] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) {
+    middle.push({ type: 'context', line: a[x - 1] });
+    x--;
+    y--;
+  }
+  middle.reverse();
+
+  return [
+    ...oldLines.slice(0, start).map(line => ({ type: 'context', line })),
+    ...middle,
+    ...oldLines.slice(oldEnd).map(line => ({ type: 'context', line }))
+  ];
+}
+
+// Group diff operations into unified diff hunks with surrounding context lines
+function buildHunks(ops, context = DIFF_CONTEXT) {
+  // Number every operation with its position in the old and new file
+  let oldCount = 0;
+  let newCount = 0;
+  const numbered = ops.map(op => {
+    const entry = {
+      type: op.type,
+      content: op.line.replace(/\r?\n$/, ''),
+      oldLine: op.type === 'add' ? null : oldCount + 1,
+      newLine: op.type === 'del' ? null : newCount + 1,
+      oldBefore: oldCount,
+      newBefore: newCount
+    };
+    if (!op.line.endsWith('\n')) entry.noNewline = true;
+    if (op.type !== 'add') oldCount++;
+    if (op.type !== 'del') newCount++;
+    return entry;
+  });
+
+  const hunks = [];
+  let i = 0;
+  while (i < numbered.length) {
+    if (numbered[i].type === 'context') {
+      i++;
+      continue;
+    }
+
+    // Extend the hunk while the gap between changes is small enough to share context
+    const start = Math.max(0, i - context);
+    let end = i + 1;
+    let j = i + 1;
+    while (j < numbered.length) {
+      if (numbered[j].type !== 'context') {
+        end = ++j;
+        continue;
+      }
+      let k = j;
+      while (k < numbered.length && numbered[k].type === 'context') k++;
+      if (k < numbered.length && k - j <= context * 2) {
+        j = k;
+        continue;
+      }
+      break;
+    }
+    const stop = Math.min(numbered.length, end + context);
+
+    const lines = numbered.slice(start, stop);
+    const oldLines = lines.filter(l => l.type !== 'add').length;
+    const newLines = lines.filter(l => l.type !== 'del').length;
+    hunks.push({
+      oldStart: oldLines > 0 ? lines[0].oldBefore + 1 : lines[0].oldBefore,
+      oldLines,
+      newStart: newLines > 0 ? lines[0].newBefore + 1 : lines[0].newBefore,
+      newLines,
+      lines: lines.map(({ oldBefore, newBefore, ...line }) => line)
+    });
+    i = stop;
+  }
+
+  return hunks;
+}
+
+// Diff two blobs (Uint8Array or null when the file is absent) into hunks
+function diffBlobs(oldBlob, newBlob) {
+  if ((oldBlob && isBinary(oldBlob)) || (newBlob && isBinary(newBlob))) {
+    return { binary: true, hunks: [] };
+  }
+  const decoder = new TextDecoder();
+  const oldText = oldBlob ? decoder.decode(oldBlob) : '';
+  const newText = newBlob ? decoder.decode(newBlob) : '';
+  return { binary: false, hunks: buildHunks(diffLines(splitLines(oldText), splitLines(newText))) };
+}
+
+// Git's default threshold for pairing a deleted and an added file as a rename
+const RENAME_THRESHOLD = 50;
+
+// How much of two blobs is the same, as a percentage of the larger one: the size of the
+// lines they share, like git's similarity index for rename detection
+function similarityIndex(oldBlob, newBlob) {
+  if (isBinary(oldBlob) || isBinary(newBlob)) return 0;
+  const decoder = new TextDecoder();
+  const oldText = decoder.decode(oldBlob);
+  const newText = decoder.decode(newBlob);
+  const size = Math.max(oldText.length, newText.length);
+  if (size === 0) return 100;
+
+  const shared = diffLines(splitLines(oldText), splitLines(newText))
+    .filter(op => op.type === 'context')
+    .reduce((total, op) => total + op.line.length, 0);
+  return Math.floor(shared * 100 / size);
+}
+
+// Read a blob from a commit's tree, or null when there is no file at the path
+async function readBlobAt(repoPath, commitOid, filepath) {
+  try {
+    const { oid, blob } = await git.readBlob({ fs, dir: repoPath, oid: commitOid, filepath });
+    return { oid, blob };
+  } catch (err) {
+    if (err.code === 'NotFoundError' || err.code === 'ObjectTypeError') return null;
+    throw err;
+  }
+}
+
+// Collect the changed lines picked either as whole hunks or as old/new line numbers
+function selectChanges(hunks, { hunks: hunkIndexes = [], lines = {} }) {
+  const selected = { del: new Set(lines.del || []), add: new Set(lines.add || []) };
+  for (const index of hunkIndexes) {
+    const hunk = hunks[index];
+    if (!hunk) throw new Error(`Hunk ${index} does not exist`);
+    for (const line of hunk.lines) {
+      if (line.type === 'del') selected.del.add(line.oldLine);
+      if (line.type === 'add') selected.add.add(line.newLine);
+    }
+  }
+  return selected;
+}
+
+// Apply the selected changes to the old side of a diff, or with reverse, undo them from the new side
+function applyChanges(ops, selected, reverse = false) {
+  const out = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const op of ops) {
+    if (op.type === 'context') {
+      oldLine++;
+      newLine++;
+      out.push(op.line);
+    } else if (op.type === 'del') {
+      oldLine++;
+      if (selected.del.has(oldLine) === reverse) out.push(op.line);
+    } else {
+      newLine++;
+      if (selected.add.has(newLine) !== reverse) out.push(op.line);
+    }
+  }
+  // A line that lost its newline at EOF may no longer be last
+  return out.map((line, i) => (i < out.length - 1 && !line.endsWith('\n') ? `${line}\n` : line)).join('');
+}
+
+// Resolve HEAD to a commit oid, or null in a repository with no commits yet
+async function resolveHead(repoPath) {
+  try {
+    return await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+  } catch (err) {
+    if (err.code === 'NotFoundError') return null;
+    throw err;
+  }
+}
+
+// Read a file's staged blob and mode from the index, or null when it isn't staged
+async function readIndexBlob(repoPath, filepath) {
+  let blobOid = null;
+  let mode = null;
+  await git.walk({
+    fs,
+    dir: repoPath,
+    trees: [git.STAGE()],
+    map: async function(entryPath, [entry]) {
+      // Only descend into directories on the way to the requested file
+      if (entryPath !== '.' && entryPath !== filepath && !filepath.startsWith(`${entryPath}/`)) {
+        return null;
+      }
+      if (entryPath === filepath && entry) {
+        blobOid = await entry.oid();
+        mode = await entry.mode();
+      }
+      return true;
+    }
+  });
+  if (!blobOid) return null;
+  const { blob } = await git.readBlob({ fs, dir: repoPath, oid: blobOid });
+  return { oid: blobOid, blob, mode };
+}
+
+// Read a file from the working tree, or null when it doesn't exist there
+async function readWorkdirFile(repoPath, filepath) {
+  try {
+    return await fs.promises.readFile(path.join(repoPath, filepath));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// ============================================
+// Merge state helpers
+// ============================================
+
+// Path of a file inside the repository's .git directory
+function gitFile(repoPath, name) {
+  return path.join(repoPath, '.git', name);
+}
+
+// Read a file from .git, or null when it doesn't exist
+async function readGitFile(repoPath, name) {
+  try {
+    return await fs.promises.readFile(gitFile(repoPath, name), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Parse the entries of a .git/index file, as { filepath, oid, mode, stage, raw } with `raw`
+// the entry's bytes
+function parseIndex(buffer) {
+  if (buffer.toString('utf8', 0, 4) !== 'DIRC') {
+    throw new Error('Invalid index file');
+  }
+  const version = buffer.readUInt32BE(4);
+  if (version !== 2 && version !== 3) {
+    throw new Error(`Unsupported index version: ${version}`);
+  }
+
+  const entries = [];
+  const count = buffer.readUInt32BE(8);
+  let offset = 12;
+  for (let i = 0; i < count; i++) {
+    // 40 bytes of stat data (ending with the mode, uid, gid and size), a 20 byte oid, then 16 bits of flags
+    const mode = buffer.readUInt32BE(offset + 24);
+    const oid = buffer.toString('hex', offset + 40, offset + 60);
+    const flags = buffer.readUInt16BE(offset + 60);
+    const stage = (flags >> 12) & 0x3;
+    const nameStart = offset + 62 + (flags & 0x4000 ? 2 : 0);
+    const nameEnd = buffer.indexOf(0, nameStart);
+    // Entries are NUL padded to a multiple of 8 bytes
+    const end = offset + Math.ceil((nameEnd - offset + 1) / 8) * 8;
+    entries.push({ filepath: buffer.toString('utf8', nameStart, nameEnd), oid, mode, stage, raw: buffer.subarray(offset, end) });
+    offset = end;
+  }
+  return entries;
+}
+
+// Read .git/index, or null when there is none
+async function readIndexFile(repoPath) {
+  try {
+    return await fs.promises.readFile(gitFile(repoPath, 'index'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// The entries of an index (or of none), as a Map of filepath -> its entries in every stage
+function indexByPath(buffer) {
+  const paths = new Map();
+  for (const entry of buffer ? parseIndex(buffer) : []) {
+    paths.set(entry.filepath, [...(paths.get(entry.filepath) || []), entry]);
+  }
+  return paths;
+}
+
+// Write .git/index from parsed entries, copying their raw bytes so their stat data is kept.
+// Entries are sorted by path and stage, as git requires; extensions are left out.
+async function writeIndexEntries(repoPath, version, entries) {
+  const sorted = [...entries].sort((a, b) =>
+    Buffer.compare(Buffer.from(a.filepath), Buffer.from(b.filepath)) || a.stage - b.stage);
+  const header = Buffer.alloc(12);
+  header.write('DIRC');
+  header.writeUInt32BE(version, 4);
+  header.writeUInt32BE(sorted.length, 8);
+  const content = Buffer.concat([header, ...sorted.map(entry => entry.raw)]);
+  const checksum = crypto.createHash('sha1').update(content).digest();
+  await fs.promises.writeFile(gitFile(repoPath, 'index'), Buffer.concat([content, checksum]));
+}
+
+// Read the conflicted (stage 1-3) entries straight from .git/index, since
+// isomorphic-git's walkers only expose one entry per path.
+// Returns a Map of filepath -> { 1: baseOid, 2: ourOid, 3: theirOid }.
+async function readConflictStages(repoPath) {
+  const conflicts = new Map();
+  let buffer;
+  try {
+    buffer = await fs.promises.readFile(gitFile(repoPath, 'index'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return conflicts;
+    throw err;
+  }
+
+  for (const { filepath, oid, stage } of parseIndex(buffer)) {
+    if (stage > 0) {
+      if (!conflicts.has(filepath)) conflicts.set(filepath, {});
+      conflicts.get(filepath)[stage] = oid;
+    }
+  }
+
+  return conflicts;
+}
+
+// Read the in-progress merge recorded in MERGE_HEAD and MERGE_MSG, or null when not merging
+async function readMergeState(repoPath) {
+  const mergeHead = await readGitFile(repoPath, 'MERGE_HEAD');
+  if (!mergeHead) return null;
+  const message = await readGitFile(repoPath, 'MERGE_MSG');
+  return {
+    theirs: mergeHead.trim().split('\n')[0],
+    message: message || ''
+  };
+}
+
+// Record an in-progress merge the same way git does, so the CLI can pick it up too
+async function writeMergeState(repoPath, { ourOid, theirOid, message, filepaths }) {
+  const conflictList = filepaths.map(filepath => `#\t${filepath}\n`).join('');
+  await fs.promises.writeFile(gitFile(repoPath, 'ORIG_HEAD'), `${ourOid}\n`);
+  await fs.promises.writeFile(gitFile(repoPath, 'MERGE_HEAD'), `${theirOid}\n`);
+  await fs.promises.writeFile(gitFile(repoPath, 'MERGE_MSG'), `${message}\n\n# Conflicts:\n${conflictList}`);
+}
+
+async function clearMergeState(repoPath) {
+  for (const name of ['MERGE_HEAD', 'MERGE_MSG', 'MERGE_MODE', 'SQUASH_MSG']) {
+    await fs.promises.rm(gitFile(repoPath, name), { force: true });
+  }
+}
+
+// Strip the comment lines git adds to MERGE_MSG
+function cleanMessage(message) {
+  return message
+    .split('\n')
+    .filter(line => !line.startsWith('#'))
+    .join('\n')
+    .trim();
+}
+
+// Oid of a walker entry if it is a blob, otherwise null
+async function blobOidOf(entry) {
+  return entry && (await entry.type()) === 'blob' ? entry.oid() : null;
+}
+
+// When a three-way merge stops on conflicts, isomorphic-git writes the merged tree to
+// the working directory but only stages the conflicted and both-modified files. Stage
+// the files only their side changed (and remove the ones only they deleted) so the
+// index holds the whole merge result once the conflicts are resolved.
+async function stageTheirChanges(repoPath, { baseOid, ourOid, theirOid }) {
+  const changes = [];
+
+  await git.walk({
+    fs,
+    dir: repoPath,
+    trees: [git.TREE({ ref: baseOid }), git.TREE({ ref: ourOid }), git.TREE({ ref: theirOid })],
+    map: async function(filepath, [base, ours, theirs]) {
+      if (filepath === '.') return;
+      const baseBlob = await blobOidOf(base);
+      const ourBlob = await blobOidOf(ours);
+      const theirBlob = await blobOidOf(theirs);
+      if (ourBlob === baseBlob && theirBlob !== baseBlob) {
+        changes.push({ filepath, oid: theirBlob, mode: theirBlob ? await theirs.mode() : null });
+      }
+    }
+  });
+
+  for (const { filepath, oid, mode } of changes) {
+    if (oid) {
+      await git.updateIndex({ fs, dir: repoPath, filepath, oid, mode, add: true });
+    } else {
+      await fs.promises.rm(path.join(repoPath, filepath), { force: true });
+      await git.updateIndex({ fs, dir: repoPath, filepath, remove: true, force: true });
+    }
+  }
+}
+
+// Make the index and working tree match `toOid` for every file that differs between
+// the `fromOid` and `toOid` trees. Returns the paths that were changed.
+async function applyTreeChanges(repoPath, fromOid, toOid) {
+  const changes = [];
+
+  await git.walk({
+    fs,
+    dir: repoPath,
+    trees: [git.TREE({ ref: fromOid }), git.TREE({ ref: toOid })],
+    map: async function(filepath, [from, to]) {
+      if (filepath === '.') return;
+      const fromBlob = await blobOidOf(from);
+      const toBlob = await blobOidOf(to);
+      if (fromBlob !== toBlob) {
+        changes.push({ filepath, oid: toBlob, mode: toBlob ? await to.mode() : null });
+      }
+    }
+  });
+
+  for (const { filepath, oid, mode } of changes) {
+    const fullpath = path.join(repoPath, filepath);
+    if (oid) {
+      const { blob } = await git.readBlob({ fs, dir: repoPath, oid });
+      await fs.promises.mkdir(path.dirname(fullpath), { recursive: true });
+      await fs.promises.writeFile(fullpath, blob);
+      await fs.promises.chmod(fullpath, mode === 0o100755 ? 0o755 : 0o644);
+      await git.updateIndex({ fs, dir: repoPath, filepath, oid, mode, add: true });
+    } else {
+      await fs.promises.rm(fullpath, { force: true });
+      await git.updateIndex({ fs, dir: repoPath, filepath, remove: true, force: true });
+    }
+  }
+
+  return changes.map(change => change.filepath);
+}
+
+// Tracked files with uncommitted changes in the index or working tree
+async function listLocalChanges(repoPath) {
+  const matrix = await git.statusMatrix({ fs, dir: repoPath });
+  return matrix
+    .filter(([, head, workdir, stage]) => !(head === 1 && workdir === 1 && stage === 1) && !(head === 0 && stage === 0))
+    .map(([filepath]) => filepath);
+}
+
+// Cherry-pick `oid` onto HEAD, leaving conflicts in the working tree. git.cherryPick keeps
+// files the picked commit deletes in the index, so sync the index with the new commit after.
+async function cherryPickOntoHead(repoPath, oid, committer) {
+  const headOid = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+  const picked = await git.cherryPick({ fs, dir: repoPath, oid, committer, abortOnConflict: false });
+  await applyTreeChanges(repoPath, headOid, picked);
+  return picked;
+}
+
+// ============================================
+// Merge helpers
+// ============================================
+
+// 'ff' fast-forwards when possible, 'ff-only' refuses anything else, 'no-ff' always
+// creates a merge commit and 'squash' stages the merged result without committing
+const MERGE_MODES = ['ff', 'ff-only', 'no-ff', 'squash'];
+
+// Local changes stop a merge from touching the working tree
+function localChangesError(message) {
+  return Object.assign(new Error(message), { code: 'LocalChangesError' });
+}
+
+// Files with local changes that merging `theirOid` into `ourOid` would have to update: like
+// git, the ones their side changed since the merge base
+async function listMergeBlockers(repoPath, ourOid, theirOid) {
+  const dirty = await listLocalChanges(repoPath);
+  if (dirty.length === 0) return [];
+
+  const [baseOid] = await git.findMergeBase({ fs, dir: repoPath, oids: [ourOid, theirOid] });
+  const changed = new Set();
+  await git.walk({
+    fs,
+    dir: repoPath,
+    trees: [git.TREE({ ref: baseOid || theirOid }), git.TREE({ ref: theirOid })],
+    map: async function(filepath, [base, theirs]) {
+      if (filepath === '.') return;
+      if (!baseOid || (await blobOidOf(base)) !== (await blobOidOf(theirs))) changed.add(filepath);
+    }
+  });
+  return dirty.filter(filepath => changed.has(filepath));
+}
+
+// Merge `theirs` into the current branch and bring the index and working tree along.
+// Conflicts are left in the working tree and recorded as an in-progress merge
+// (except for squash merges, which abort) before the MergeConflictError is rethrown.
+// Throws a LocalChangesError, leaving everything as it was, when the merge would
+// overwrite uncommitted changes.
+async function mergeIntoCurrent(repoPath, { theirs: theirName, mode = 'ff', message, author }) {
+  const ours = await git.currentBranch({ fs, dir: repoPath, fullname: false });
+  const squash = mode === 'squash';
+
+  // Tags are merged by the commit they point at so an annotated tag object never lands on the branch
+  const tagOid = await resolveTagCommit(repoPath, theirName);
+  const theirs = tagOid || theirName;
+  const label = `${tagOid ? 'tag' : 'branch'} '${theirName}'`;
+  const mergeMessage = message || (tagOid ? `Merge ${label} into ${ours}` : undefined);
+
+  const ourOid = await git.resolveRef({ fs, dir: repoPath, ref: ours });
+  const blocked = await listMergeBlockers(repoPath, ourOid, await git.resolveRef({ fs, dir: repoPath, ref: theirs }));
+  if (blocked.length > 0) {
+    throw localChangesError(`Commit or stash your changes before merging: ${blocked.join(', ')}`);
+  }
+
+  let result;
+  try {
+    result = await git.merge({
+      fs,
+      dir: repoPath,
+      ours,
+      theirs,
+      fastForward: mode !== 'no-ff' && !squash,
+      fastForwardOnly: mode === 'ff-only',
+      noUpdateBranch: squash,
+      abortOnConflict: squash,
+      ...(mergeMessage && { message: mergeMessage }),
+      ...(author && {
+        author: {
+          name: author.name,
+          email: author.email
+        }
+      })
+    });
+  } catch (err) {
+    if (err.code === 'FastForwardError') {
+      throw Object.assign(
+        new Error(`Cannot fast-forward ${ours} to ${label}: the branches have diverged. Merge without ff-only or rebase instead`),
+        { code: 'FastForwardError' }
+      );
+    }
+    if (err.code !== 'MergeConflictError' || squash) throw err;
+
+    // Conflicts were written to the working tree and index; record the merge so it can be finished later
+    const theirOid = await git.resolveRef({ fs, dir: repoPath, ref: theirs });
+    const [baseOid] = await git.findMergeBase({ fs, dir: repoPath, oids: [ourOid, theirOid] });
+    await stageTheirChanges(repoPath, { baseOid, ourOid, theirOid });
+    await writeMergeState(repoPath, {
+      ourOid,
+      theirOid,
+      message: message || `Merge ${label} into ${ours}`,
+      filepaths: err.data.filepaths
+    });
+    throw err;
+  }
+
+  if (result.alreadyMerged) return result;
+
+  if (squash) {
+    // The merge commit was never put on the branch; stage its tree and leave the commit to the user
+    const headOid = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+    await applyTreeChanges(repoPath, headOid, result.oid);
+    const squashMessage = message || `Squashed commit of ${label}`;
+    await fs.promises.writeFile(gitFile(repoPath, 'SQUASH_MSG'), `${squashMessage}\n`);
+    return { squash: true, message: squashMessage };
+  }
+
+  // isomorphic-git only moves the branch ref; check it out again like git pull does, putting
+  // the branch back if something in the working tree is still in the way
+  try {
+    await git.checkout({ fs, dir: repoPath, ref: ours });
+  } catch (err) {
+    if (err.code !== 'CheckoutConflictError') throw err;
+    await git.writeRef({ fs, dir: repoPath, ref: `refs/heads/${ours}`, value: ourOid, force: true });
+    throw localChangesError(`Commit or stash your changes before merging: ${err.data.filepaths.join(', ')}`);
+  }
+  return result;
+}
+
+// ============================================
+// Rebase helpers
+// ============================================
+
+// Todo actions, as in `git rebase -i`
+const REBASE_ACTIONS = ['pick', 'reword', 'squash', 'fixup', 'drop'];
+
+// The rebase is kept in .git/rebase-merge like git does. head-name, onto, orig-head and
+// git-rebase-todo use git's format so the CLI can follow along; steps.json holds the
+// todo list with any edited messages.
+const REBASE_DIR = 'rebase-merge';
+
+// Commits between `baseOid` (exclusive) and HEAD following first parents, oldest first,
+// or null when `baseOid` is not on that path
+async function listRebaseCommits(repoPath, baseOid) {
+  const commits = [];
+  let oid = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+
+  while (oid !== baseOid) {
+    const { commit } = await git.readCommit({ fs, dir: repoPath, oid });
+    if (commit.parent.length === 0) return null;
+    commits.unshift({
+      oid,
+      message: commit.message,
+      author: commit.author,
+      merge: commit.parent.length > 1
+    });
+    oid = commit.parent[0];
+  }
+
+  return commits;
+}
+
+// Read the in-progress rebase, or null when not rebasing
+async function readRebaseState(repoPath) {
+  const steps = await readGitFile(repoPath, `${REBASE_DIR}/steps.json`);
+  if (!steps) return null;
+  return {
+    headName: (await readGitFile(repoPath, `${REBASE_DIR}/head-name`)).trim(),
+    onto: (await readGitFile(repoPath, `${REBASE_DIR}/onto`)).trim(),
+    origHead: (await readGitFile(repoPath, `${REBASE_DIR}/orig-head`)).trim(),
+    ...JSON.parse(steps)
+  };
+}
+
+async function writeRebaseState(repoPath, { headName, onto, origHead, steps, current }) {
+  const dir = gitFile(repoPath, REBASE_DIR);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, 'head-name'), `${headName}\n`);
+  await fs.promises.writeFile(path.join(dir, 'onto'), `${onto}\n`);
+  await fs.promises.writeFile(path.join(dir, 'orig-head'), `${origHead}\n`);
+  await fs.promises.writeFile(path.join(dir, 'interactive'), '');
+  await fs.promises.writeFile(path.join(dir, 'git-rebase-todo'), steps.map(step => `${step.action} ${step.oid}\n`).join(''));
+  await fs.promises.writeFile(path.join(dir, 'steps.json'), JSON.stringify({ steps, current }));
+}
+
+async function clearRebaseState(repoPath) {
+  await fs.promises.rm(gitFile(repoPath, REBASE_DIR), { recursive: true, force: true });
+}
+
+// Rewrite the commit just replayed for a step: reword replaces its message, squash
+// and fixup fold it into the commit before it
+async function finishRebaseStep(repoPath, step, pickedOid, committer) {
+  const { commit: picked } = await git.readCommit({ fs, dir: repoPath, oid: pickedOid });
+
+  if (step.action === 'reword' && step.message && step.message !== picked.message) {
+    await git.commit({
+      fs,
+      dir: repoPath,
+      message: step.message,
+      tree: picked.tree,
+      parent: picked.parent,
+      author: picked.author,
+      committer
+    });
+  } else if (step.action === 'squash' || step.action === 'fixup') {
+    const { commit: previous } = await git.readCommit({ fs, dir: repoPath, oid: picked.parent[0] });
+    const message = step.action === 'fixup'
+      ? previous.message
+      : step.message || `${previous.message.trimEnd()}\n\n${picked.message}`;
+    await git.commit({
+      fs,
+      dir: repoPath,
+      message,
+      tree: picked.tree,
+      parent: previous.parent,
+      author: previous.author,
+      committer
+    });
+  }
+}
+
+// Replay one step on top of HEAD, keeping the original author. On conflicts the
+// MergeConflictError is rethrown with the conflicted result left in the working tree.
+async function applyRebaseStep(repoPath, headName, step, committer) {
+  if (step.action === 'drop') return;
+
+  const headOid = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+  const { commit } = await git.readCommit({ fs, dir: repoPath, oid: step.oid });
+
+  let pickedOid;
+  if (commit.parent[0] === headOid) {
+    // Nothing changed underneath this commit, so reuse it as is
+    await git.writeRef({ fs, dir: repoPath, ref: headName, value: step.oid, force: true });
+    await applyTreeChanges(repoPath, headOid, step.oid);
+    pickedOid = step.oid;
+  } else {
+    try {
+      pickedOid = await cherryPickOntoHead(repoPath, step.oid, committer);
+    } catch (err) {
+      if (err.code === 'MergeConflictError') {
+        await stageTheirChanges(repoPath, { baseOid: commit.parent[0], ourOid: headOid, theirOid: step.oid });
+      }
+      throw err;
+    }
+  }
+
+  await finishRebaseStep(repoPath, step, pickedOid, committer);
+}
+
+// Work through the remaining steps, recording each one as current before replaying it
+// so a conflict leaves the rebase ready to continue. Returns the new HEAD when done.
+async function runRebase(repoPath, state, committer) {
+  while (state.steps.length > 0) {
+    state.current = state.steps.shift();
+    await writeRebaseState(repoPath, state);
+    await applyRebaseStep(repoPath, state.headName, state.current, committer);
+  }
+
+  await clearRebaseState(repoPath);
+  return git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+}
+
+// ============================================
+// Cherry-pick helpers
+// ============================================
+
+// A cherry-pick that stops is recorded like git's sequencer: CHERRY_PICK_HEAD names the
+// commit that conflicted, sequencer/todo lists it and the picks after it, and
+// sequencer/head is where HEAD was before the cherry-pick started
+async function readCherryPickState(repoPath) {
+  const pickHead = await readGitFile(repoPath, 'CHERRY_PICK_HEAD');
+  if (!pickHead) return null;
+  const todo = (await readGitFile(repoPath, 'sequencer/todo')) || '';
+  const head = (await readGitFile(repoPath, 'sequencer/head')) || '';
+  const current = pickHead.trim();
+  const pending = todo.split('\n').filter(Boolean).map(line => line.split(' ')[1]);
+  return {
+    current,
+    remaining: pending[0] === current ? pending.slice(1) : pending,
+    head: head.trim() || null
+  };
+}
+
+async function clearCherryPickState(repoPath) {
+  await fs.promises.rm(gitFile(repoPath, 'CHERRY_PICK_HEAD'), { force: true });
+  await fs.promises.rm(gitFile(repoPath, 'sequencer'), { recursive: true, force: true });
+}
+
+// Cherry-pick `oids` onto HEAD in order, keeping each commit's author. When a pick
+// conflicts, its result is left in the working tree, the cherry-pick is recorded so it
+// can be continued, and the MergeConflictError is rethrown with the commits picked so far.
+async function runCherryPicks(repoPath, oids, committer) {
+  const picked = [];
+
+  for (let i = 0; i < oids.length; i++) {
+    try {
+      picked.push(await cherryPickOntoHead(repoPath, oids[i], committer));
+    } catch (err) {
+      if (err.code !== 'MergeConflictError') {
+        await clearCherryPickState(repoPath);
+        throw err;
+      }
+
+      const { commit } = await git.readCommit({ fs, dir: repoPath, oid: oids[i] });
+      const headOid = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+      await stageTheirChanges(repoPath, { baseOid: commit.parent[0], ourOid: headOid, theirOid: oids[i] });
+      await fs.promises.writeFile(gitFile(repoPath, 'CHERRY_PICK_HEAD'), `${oids[i]}\n`);
+      await fs.promises.writeFile(gitFile(repoPath, 'sequencer/todo'), oids.slice(i).map(oid => `pick ${oid}\n`).join(''));
+      err.data.picked = picked;
+      throw err;
+    }
+  }
+
+  await clearCherryPickState(repoPath);
+  return picked;
+}
+
+// ============================================
+// Revert helpers
+// ============================================
+
+// The message `git revert` writes
+function revertMessage(oid, commit, mainlineOid) {
+  const subject = commit.message.split('\n')[0];
+  const reason = mainlineOid
+    ? `This reverts commit ${oid}, reversing\nchanges made to ${mainlineOid}.`
+    : `This reverts commit ${oid}.`;
+  return `Revert "${subject}"\n\n${reason}\n`;
+}
+
+// A stopped revert is recorded like git does, with REVERT_HEAD and MERGE_MSG
+async function readRevertState(repoPath) {
+  const revertHead = await readGitFile(repoPath, 'REVERT_HEAD');
+  if (!revertHead) return null;
+  return {
+    reverted: revertHead.trim(),
+    message: (await readGitFile(repoPath, 'MERGE_MSG')) || ''
+  };
+}
+
+async function clearRevertState(repoPath) {
+  for (const name of ['REVERT_HEAD', 'MERGE_MSG']) {
+    await fs.promises.rm(gitFile(repoPath, name), { force: true });
+  }
+}
+
+// Commit the inverse of `oid` on HEAD. This is a cherry-pick in reverse: pick a throwaway
+// commit whose parent is `oid` and whose tree is the mainline parent's, so its change undoes
+// `oid`. On conflicts the revert is recorded and the MergeConflictError rethrown.
+async function revertCommit(repoPath, { oid, mainline = 1, message, author }) {
+  const { commit } = await git.readCommit({ fs, dir: repoPath, oid });
+  const mainlineOid = commit.parent[mainline - 1];
+  const tree = mainlineOid
+    ? (await git.readCommit({ fs, dir: repoPath, oid: mainlineOid })).commit.tree
+    : await git.writeTree({ fs, dir: repoPath, tree: [] });
+
+  const now = new Date();
+  const identity = {
+    name: author.name,
+    email: author.email,
+    timestamp: Math.floor(now.getTime() / 1000),
+    timezoneOffset: now.getTimezoneOffset()
+  };
+  const inverse = await git.writeCommit({
+    fs,
+    dir: repoPath,
+    commit: { message, tree, parent: [oid], author: identity, committer: identity }
+  });
+
+  try {
+    return await cherryPickOntoHead(repoPath, inverse, identity);
+  } catch (err) {
+    if (err.code !== 'MergeConflictError') throw err;
+
+    const headOid = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+    await stageTheirChanges(repoPath, { baseOid: oid, ourOid: headOid, theirOid: inverse });
+    const conflictList = err.data.filepaths.map(filepath => `#\t${filepath}\n`).join('');
+    await fs.promises.writeFile(gitFile(repoPath, 'REVERT_HEAD'), `${oid}\n`);
+    await fs.promises.writeFile(gitFile(repoPath, 'MERGE_MSG'), `${message}\n# Conflicts:\n${conflictList}`);
+    throw err;
+  }
+}
+
+// ============================================
+// Stash helpers
+// ============================================
+
+// Stashes use git's layout so the CLI can read them: the stash commit W holds the working
+// tree and has HEAD, an index commit I and optionally an untracked-files commit U as
+// parents. refs/stash points at the newest one and logs/refs/stash lists them all.
+const STASH_REF = 'refs/stash';
+const STASH_LOG = 'logs/refs/stash';
+
+// Git's "+0100" form of a timezone offset in minutes, as returned by getTimezoneOffset
+function formatTimezone(offset) {
+  const minutes = Math.abs(offset);
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${offset <= 0 ? '+' : '-'}${hours}${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Write nested tree objects for a flat list of { filepath, oid, mode } blobs, returning the root tree oid
+async function writeTreeFromFiles(repoPath, files) {
+  const root = new Map();
+  for (const file of files) {
+    const parts = file.filepath.split('/');
+    let node = root;
+    for (const part of parts.slice(0, -1)) {
+      if (!node.has(part)) node.set(part, new Map());
+      node = node.get(part);
+    }
+    node.set(parts[parts.length - 1], file);
+  }
+
+  const writeNode = async (node) => {
+    const tree = [];
+    for (const [name, child] of node) {
+      if (child instanceof Map) {
+        tree.push({ mode: '040000', path: name, oid: await writeNode(child), type: 'tree' });
+      } else {
+        tree.push({ mode: child.mode.toString(8), path: name, oid: child.oid, type: 'blob' });
+      }
+    }
+    return git.writeTree({ fs, dir: repoPath, tree });
+  };
+
+  return writeNode(root);
+}
+
+// Store a working tree file as a blob, returning its oid and mode
+async function writeWorkdirBlob(repoPath, filepath) {
+  const fullpath = path.join(repoPath, filepath);
+  const stat = await fs.promises.lstat(fullpath);
+  const blob = stat.isSymbolicLink()
+    ? Buffer.from(await fs.promises.readlink(fullpath))
+    : await fs.promises.readFile(fullpath);
+  const mode = stat.isSymbolicLink() ? 0o120000 : stat.mode & 0o111 ? 0o100755 : 0o100644;
+  return { oid: await git.writeBlob({ fs, dir: repoPath, blob }), mode };
+}
+
+// The files in the index and in the working tree (tracked files only), as { filepath, oid, mode } lists
+async function readIndexAndWorktree(repoPath) {
+  const index = [];
+  const worktree = [];
+
+  await git.walk({
+    fs,
+    dir: repoPath,
+    trees: [git.STAGE(), git.WORKDIR()],
+    map: async function(filepath, [stage, workdir]) {
+      if (filepath === '.' || !stage || (await stage.type()) !== 'blob') return;
+      const staged = { filepath, oid: await stage.oid(), mode: await stage.mode() };
+      index.push(staged);
+      if (!workdir) return;
+      if ((await workdir.oid()) === staged.oid && (await workdir.mode()) === staged.mode) {
+        worktree.push(staged);
+      } else {
+        worktree.push({ filepath, ...(await writeWorkdirBlob(repoPath, filepath)) });
+      }
+    }
+  });
+
+  return { index, worktree };
+}
+
+// Stash entries from the reflog, newest (stash@{0}) first
+async function readStashList(repoPath) {
+  const log = await readGitFile(repoPath, STASH_LOG);
+  if (!log) return [];
+  return log
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [info, message = ''] = line.split('\t');
+      const match = info.match(/^(\w+) (\w+) (.*) <(.*)> (\d+) ([+-]\d{4})$/);
+      return {
+        oid: match[2],
+        message,
+        author: { name: match[3], email: match[4], timestamp: Number(match[5]), timezone: match[6] }
+      };
+    })
+    .reverse()
+    .map((entry, index) => ({ index, ref: `stash@{${index}}`, ...entry }));
+}
+
+// Save the index, working tree and optionally untracked files as a stash commit and
+// reset the working tree to HEAD. Returns the new entry, or null when there is nothing to save.
+async function saveStash(repoPath, { message, includeUntracked, author }) {
+  const headOid = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+  const { commit: head } = await git.readCommit({ fs, dir: repoPath, oid: headOid });
+  const branch = await git.currentBranch({ fs, dir: repoPath, fullname: false });
+  const summary = `${branch || '(no branch)'}: ${headOid.slice(0, 7)} ${head.message.split('\n')[0]}`;
+
+  const { index, worktree } = await readIndexAndWorktree(repoPath);
+  const untracked = [];
+  if (includeUntracked) {
+    const matrix = await git.statusMatrix({ fs, dir: repoPath });
+    for (const [filepath, headStatus, workdirStatus, stageStatus] of matrix) {
+      if (headStatus === 0 && stageStatus === 0 && workdirStatus === 2) {
+        untracked.push({ filepath, ...(await writeWorkdirBlob(repoPath, filepath)) });
+      }
+    }
+  }
+
+  const indexTree = await writeTreeFromFiles(repoPath, index);
+  const worktreeTree = await writeTreeFromFiles(repoPath, worktree);
+  if (indexTree === head.tree && worktreeTree === head.tree && untracked.length === 0) {
+    return null;
+  }
+
+  const now = new Date();
+  const identity = {
+    name: author.name,
+    email: author.email,
+    timestamp: Math.floor(now.getTime() / 1000),
+    timezoneOffset: now.getTimezoneOffset()
+  };
+  const writeCommit = (tree, parent, commitMessage) => git.writeCommit({
+    fs,
+    dir: repoPath,
+    commit: { message: `${commitMessage}\n`, tree, parent, author: identity, committer: identity }
+  });
+
+  const parents = [headOid, await writeCommit(indexTree, [headOid], `index on ${summary}`)];
+  if (untracked.length > 0) {
+    parents.push(await writeCommit(await writeTreeFromFiles(repoPath, untracked), [], `untracked files on ${summary}`));
+  }
+  const stashMessage = message ? `On ${branch || '(no branch)'}: ${message}` : `WIP on ${summary}`;
+  const stashOid = await writeCommit(worktreeTree, parents, stashMessage);
+
+  // Record the entry in refs/stash and its reflog
+  const previous = (await readStashList(repoPath))[0];
+  const logLine = `${previous ? previous.oid : '0'.repeat(40)} ${stashOid} ${identity.name} <${identity.email}> ` +
+    `${identity.timestamp} ${formatTimezone(identity.timezoneOffset)}\t${stashMessage}\n`;
+  await fs.promises.mkdir(path.dirname(gitFile(repoPath, STASH_LOG)), { recursive: true });
+  await fs.promises.appendFile(gitFile(repoPath, STASH_LOG), logLine);
+  await git.writeRef({ fs, dir: repoPath, ref: STASH_REF, value: stashOid, force: true });
+
+  // Go back to a clean working tree
+  await git.checkout({ fs, dir: repoPath, ref: branch || headOid, force: true });
+  for (const { filepath } of untracked) {
+    await fs.promises.rm(path.join(repoPath, filepath), { force: true });
+  }
+
+  return { oid: stashOid, message: stashMessage };
+}
+
+// Remove a stash entry from the reflog and point refs/stash at the newest remaining one
+async function dropStash(repoPath, index) {
+  const entries = (await readStashList(repoPath)).filter(entry => entry.index !== index);
+
+  if (entries.length === 0) {
+    await fs.promises.rm(gitFile(repoPath, STASH_LOG), { force: true });
+    await git.deleteRef({ fs, dir: repoPath, ref: STASH_REF });
+    return;
+  }
+
+  // Rebuild the log oldest first, chaining each entry's old value to the one before it
+  const lines = entries.reverse().map((entry, i) => {
+    const previousOid = i === 0 ? '0'.repeat(40) : entries[i - 1].oid;
+    const { name, email, timestamp, timezone } = entry.author;
+    return `${previousOid} ${entry.oid} ${name} <${email}> ${timestamp} ${timezone}\t${entry.message}\n`;
+  });
+  await fs.promises.writeFile(gitFile(repoPath, STASH_LOG), lines.join(''));
+  await git.writeRef({ fs, dir: repoPath, ref: STASH_REF, value: entries[entries.length - 1].oid, force: true });
+}
+
+// Local changes or untracked files keep a stash from being applied
+function stashApplyError(message) {
+  return Object.assign(new Error(message), { code: 'StashApplyError' });
+}
+
+// Apply a stash's changes to the working tree with a three-way merge against the commit
+// it was made on. Changes are left unstaged, except new files, as `git stash apply` does.
+// Throws a MergeConflictError when they conflict, leaving the conflicts in the working tree,
+// or a StashApplyError when local changes or untracked files are in the way.
+async function applyStash(repoPath, stashOid) {
+  const { commit: stash } = await git.readCommit({ fs, dir: repoPath, oid: stashOid });
+  const [baseOid, , untrackedOid] = stash.parent;
+  const headOid = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+
+  // Untracked files are restored as they were, but never over existing files
+  const untracked = [];
+  if (untrackedOid) {
+    await git.walk({
+      fs,
+      dir: repoPath,
+      trees: [git.TREE({ ref: untrackedOid })],
+      map: async function(filepath, [entry]) {
+        if (filepath !== '.' && (await entry.type()) === 'blob') {
+          untracked.push({ filepath, oid: await entry.oid(), mode: await entry.mode() });
+        }
+      }
+    });
+    const existing = [];
+    for (const { filepath } of untracked) {
+      if ((await readWorkdirFile(repoPath, filepath)) !== null) existing.push(filepath);
+    }
+    if (existing.length > 0) {
+      throw stashApplyError(`Untracked files would be overwritten: ${existing.join(', ')}`);
+    }
+  }
+
+  // Merge the stash's changes onto HEAD by cherry-picking a single-parent copy of it
+  const changes = await git.writeCommit({ fs, dir: repoPath, commit: { ...stash, parent: [baseOid] } });
+
+  const dirty = await listLocalChanges(repoPath);
+  let mergedOid;
+  try {
+    mergedOid = await git.cherryPick({
+      fs,
+      dir: repoPath,
+      oid: changes,
+      committer: stash.committer,
+      noUpdateBranch: true,
+      abortOnConflict: dirty.length > 0
+    });
+  } catch (err) {
+    if (err.code !== 'MergeConflictError') throw err;
+    if (dirty.length > 0) {
+      throw stashApplyError(`The stash conflicts with HEAD; commit or stash your local changes first: ${dirty.join(', ')}`);
+    }
+    await stageTheirChanges(repoPath, { baseOid, ourOid: headOid, theirOid: changes });
+    throw err;
+  }
+
+  const changed = [];
+  await git.walk({
+    fs,
+    dir: repoPath,
+    trees: [git.TREE({ ref: headOid }), git.TREE({ ref: mergedOid })],
+    map: async function(filepath, [ours, merged]) {
+      if (filepath === '.') return;
+      if ((await blobOidOf(ours)) !== (await blobOidOf(merged))) {
+        changed.push({ filepath, added: !(await blobOidOf(ours)) });
+      }
+    }
+  });
+
+  const blocked = changed.filter(({ filepath }) => dirty.includes(filepath)).map(({ filepath }) => filepath);
+  if (blocked.length > 0) {
+    throw stashApplyError(`Your local changes would be overwritten: ${blocked.join(', ')}`);
+  }
+
+  await applyTreeChanges(repoPath, headOid, mergedOid);
+  for (const { filepath, added } of changed) {
+    if (!added) await git.resetIndex({ fs, dir: repoPath, filepath });
+  }
+
+  for (const { filepath, oid, mode } of untracked) {
+    const fullpath = path.join(repoPath, filepath);
+    const { blob } = await git.readBlob({ fs, dir: repoPath, oid });
+    await fs.promises.mkdir(path.dirname(fullpath), { recursive: true });
+    await fs.promises.writeFile(fullpath, blob);
+    await fs.promises.chmod(fullpath, mode === 0o100755 ? 0o755 : 0o644);
+  }
+
+  return changed.map(({ filepath }) => filepath).concat(untracked.map(({ filepath }) => filepath));
+}
+
+// ============================================
+// Tag helpers
+// ============================================
+
+// Describe a tag and the commit it points at, peeling annotated tags (and tags of tags)
+async function readTagInfo(repoPath, name) {
+  const oid = await git.resolveRef({ fs, dir: repoPath, ref: `refs/tags/${name}` });
+  let target = oid;
+  let annotation = null;
+
+  for (;;) {
+    let tag;
+    try {
+      ({ tag } = await git.readTag({ fs, dir: repoPath, oid: target }));
+    } catch (err) {
+      if (err.code === 'ObjectTypeError') break;
+      throw err;
+    }
+    annotation = annotation || tag;
+    target = tag.object;
+  }
+
+  return {
+    name,
+    oid: target,
+    annotated: annotation !== null,
+    message: annotation ? annotation.message : null,
+    tagger: annotation ? annotation.tagger : null
+  };
+}
+
+async function readTagList(repoPath) {
+  const names = await git.listTags({ fs, dir: repoPath });
+  return Promise.all(names.map(name => readTagInfo(repoPath, name)));
+}
+
+// The commit a tag name points at, or null when `ref` is not a tag
+async function resolveTagCommit(repoPath, ref) {
+  const names = await git.listTags({ fs, dir: repoPath });
+  if (!names.includes(ref)) return null;
+  return (await readTagInfo(repoPath, ref)).oid;
+}
+
+// ============================================
+// Remote helpers
+// ============================================
+
+// Remote-tracking branches of every configured remote, as `remote/branch`
+async function listRemoteBranches(repoPath) {
+  const remotes = await git.listRemotes({ fs, dir: repoPath });
+  const branches = [];
+  for (const { remote } of remotes) {
+    const names = await git.listBranches({ fs, dir: repoPath, remote });
+    branches.push(...names.map(b => `${remote}/${b}`));
+  }
+  return branches;
+}
+
+// The remote and branch a local branch tracks, or null
+async function readUpstream(repoPath, branch) {
+  const remote = await git.getConfig({ fs, dir: repoPath, path: `branch.${branch}.remote` });
+  const merge = await git.getConfig({ fs, dir: repoPath, path: `branch.${branch}.merge` });
+  if (!remote || !merge) return null;
+  return { remote, branch: merge.replace('refs/heads/', '') };
+}
+
+// The commits reachable only from `ours` (ahead) and only from `theirs` (behind), newest
+// first, as { oid, commit }. Like git, both histories are walked newest first, stopping
+// once every commit left to visit is reachable from both sides.
+async function aheadBehindCommits(repoPath, ours, theirs) {
+  const OURS = 1;
+  const THEIRS = 2;
+  const seen = new Map();
+  const queue = [];
+
+  // Commit dates are not reliable, so a commit may be reached from the other side after
+  // it was walked; carry the new flag down through the ancestors already seen
+  const carry = (oids, flags) => {
+    const pending = [...oids];
+    while (pending.length > 0) {
+      const entry = seen.get(pending.pop());
+      if (!entry || (entry.flags | flags) === entry.flags) continue;
+      entry.flags |= flags;
+      if (entry.walked) pending.push(...entry.parents);
+    }
+  };
+
+  const visit = async (oid, flags) => {
+    let entry = seen.get(oid);
+    if (!entry) {
+      const { commit } = await git.readCommit({ fs, dir: repoPath, oid });
+      entry = { oid, flags: 0, walked: false, timestamp: commit.committer.timestamp, parents: commit.parent, commit };
+      seen.set(oid, entry);
+    }
+    if ((entry.flags | flags) === entry.flags) return;
+    if (entry.walked) {
+      carry([oid], flags);
+      return;
+    }
+    entry.flags |= flags;
+    if (!queue.includes(entry)) queue.push(entry);
+  };
+
+  await visit(ours, OURS);
+  await visit(theirs, THEIRS);
+  while (queue.some(entry => entry.flags !== (OURS | THEIRS))) {
+    queue.sort((a, b) => b.timestamp - a.timestamp);
+    const entry = queue.shift();
+    entry.walked = true;
+    for (const parent of entry.parents) {
+      await visit(parent, entry.flags);
+    }
+  }
+  for (const entry of queue) {
+    carry(entry.parents, entry.flags);
+  }
+
+  const ahead = [];
+  const behind = [];
+  for (const entry of seen.values()) {
+    if (entry.flags === OURS) ahead.push(entry);
+    if (entry.flags === THEIRS) behind.push(entry);
+  }
+  const newestFirst = entries => entries
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .map(entry => ({ oid: entry.oid, commit: entry.commit }));
+  return { ahead: newestFirst(ahead), behind: newestFirst(behind) };
+}
+
+// Count the commits reachable only from `ours` (ahead) and only from `theirs` (behind)
+async function countAheadBehind(repoPath, ours, theirs) {
+  const { ahead, behind } = await aheadBehindCommits(repoPath, ours, theirs);
+  return { ahead: ahead.length, behind: behind.length };
+}
+
+// Whether `oid` is already on the upstream of the current branch, i.e. has been pushed
+async function isOnUpstream(repoPath, oid) {
+  const branch = await git.currentBranch({ fs, dir: repoPath, fullname: false });
+  const upstream = branch && await readUpstream(repoPath, branch);
+  if (!upstream) return false;
+
+  let upstreamOid;
+  try {
+    upstreamOid = await git.resolveRef({ fs, dir: repoPath, ref: `refs/remotes/${upstream.remote}/${upstream.branch}` });
+  } catch (e) {
+    return false;
+  }
+  const { ahead } = await countAheadBehind(repoPath, oid, upstreamOid);
+  return ahead === 0;
+}
+
+async function remoteExists(repoPath, name) {
+  const remotes = await git.listRemotes({ fs, dir: repoPath });
+  return remotes.some(({ remote }) => remote === name);
+}
+
+// Point branches tracking `from` at `to`, or stop them tracking anything when `to` is null
+async function retargetUpstreams(repoPath, from, to) {
+  for (const branch of await git.listBranches({ fs, dir: repoPath })) {
+    const key = `branch.${branch}.remote`;
+    if ((await git.getConfig({ fs, dir: repoPath, path: key })) !== from) continue;
+    await git.setConfig({ fs, dir: repoPath, path: key, value: to || undefined });
+    if (!to) {
+      await git.setConfig({ fs, dir: repoPath, path: `branch.${branch}.merge`, value: undefined });
+    }
+  }
+}
+
+// Rename a remote in .git/config the way `git remote rename` does: its whole section (pushurl,
+// tagOpt and any custom keys included) moves to the new name with the fetch refspecs rewritten,
+// and every branch whose remote or pushRemote is `from` follows along
+async function renameRemoteConfig(repoPath, from, to) {
+  const config = await readGitFile(repoPath, 'config');
+  let section = null;
+  const lines = config.split('\n').map(line => {
+    const header = line.match(/^\s*\[\s*([A-Za-z0-9.-]+)(?:\s+"((?:[^"\\]|\\.)*)")?\s*\]/);
+    if (header) {
+      section = { name: header[1].toLowerCase(), subsection: header[2] };
+      return section.name === 'remote' && section.subsection === from ? line.replace(`"${from}"`, `"${to}"`) : line;
+    }
+
+    const entry = section && line.match(/^(\s*)([A-Za-z][A-Za-z0-9-]*)(\s*=\s*)(.*?)\s*$/);
+    if (!entry) return line;
+    const key = entry[2].toLowerCase();
+    if (section.name === 'remote' && section.subsection === from && key === 'fetch') {
+      return line.split(`:refs/remotes/${from}/`).join(`:refs/remotes/${to}/`);
+    }
+    if (section.name === 'branch' && (key === 'remote' || key === 'pushremote') && entry[4] === from) {
+      return `${entry[1]}${entry[2]}${entry[3]}${to}`;
+    }
+    return line;
+  });
+  await fs.promises.writeFile(gitFile(repoPath, 'config'), lines.join('\n'));
+}
+
+// Move the remote-tracking refs of `from` under `to`, or delete them when `to` is null
+async function moveRemoteRefs(repoPath, from, to) {
+  for (const branch of await git.listBranches({ fs, dir: repoPath, remote: from })) {
+    const ref = `refs/remotes/${from}/${branch}`;
+    if (to) {
+      // refs/remotes/<remote>/HEAD is symbolic; keep it that way
+      const target = await git.resolveRef({ fs, dir: repoPath, ref, depth: 2 });
+      const symbolic = target.startsWith(`refs/remotes/${from}/`);
+      await git.writeRef({
+        fs,
+        dir: repoPath,
+        ref: `refs/remotes/${to}/${branch}`,
+        value: symbolic ? `refs/remotes/${to}/${target.slice(`refs/remotes/${from}/`.length)}` : target,
+        symbolic,
+        force: true
+      });
+    }
+    await git.deleteRef({ fs, dir: repoPath, ref });
+  }
+  // deleteRef leaves the emptied directories behind
+  await fs.promises.rm(gitFile(repoPath, `refs/remotes/${from}`), { recursive: true, force: true });
+}
+
+// ============================================
+// Amend helpers
+// ============================================
+
+// Replace HEAD with a commit of the current index that keeps HEAD's parents and author,
+// like `git commit --amend`. Without a message HEAD's message is kept. Reports whether
+// the replaced commit had already been pushed, since the branch now diverges from it.
+async function amendHead(repoPath, { message, committer }) {
+  const headOid = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+  const { commit: head } = await git.readCommit({ fs, dir: repoPath, oid: headOid });
+  const pushed = await isOnUpstream(repoPath, headOid);
+
+  const now = new Date();
+  const sha = await git.commit({
+    fs,
+    dir: repoPath,
+    message: message || head.message,
+    parent: head.parent,
+    author: head.author,
+    committer: {
+      name: committer.name,
+      email: committer.email,
+      timestamp: Math.floor(now.getTime() / 1000),
+      timezoneOffset: now.getTimezoneOffset()
+    }
+  });
+
+  return { sha, pushed };
+}
+
+// ============================================
+// Reset helpers
+// ============================================
+
+// As in `git reset`: soft moves the branch, mixed also resets the index and hard
+// also overwrites the working tree
+const RESET_MODES = ['soft', 'mixed', 'hard'];
+
+// What resetting to `oid` throws away: the number of commits that leave the branch and,
+// for a hard reset, the files whose uncommitted changes would be overwritten
+async function previewReset(repoPath, oid, mode) {
+  const headOid = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+  const { ahead } = await countAheadBehind(repoPath, headOid, oid);
+  if (mode !== 'hard') return { commits: ahead, files: [] };
+
+  const files = await listLocalChanges(repoPath);
+  // Untracked files survive unless the target commit has a file at the same path
+  const matrix = await git.statusMatrix({ fs, dir: repoPath });
+  for (const [filepath, head, , stage] of matrix) {
+    if (head === 0 && stage === 0 && await readBlobAt(repoPath, oid, filepath)) {
+      files.push(filepath);
+    }
+  }
+  return { commits: ahead, files };
+}
+
+// Point the current branch (or a detached HEAD) at `oid`, then bring the index and,
+// for a hard reset, the working tree along. Like git, any merge, cherry-pick or revert
+// in progress is forgotten and the old HEAD is kept in ORIG_HEAD.
+async function resetBranch(repoPath, oid, mode) {
+  const branch = await git.currentBranch({ fs, dir: repoPath, fullname: false });
+  const headOid = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+
+  await fs.promises.writeFile(gitFile(repoPath, 'ORIG_HEAD'), `${headOid}\n`);
+  await git.writeRef({ fs, dir: repoPath, ref: branch ? `refs/heads/${branch}` : 'HEAD', value: oid, force: true });
+  if (mode === 'soft') return;
+
+  if (mode === 'hard') {
+    await git.checkout({ fs, dir: repoPath, ref: branch || oid, force: true });
+  } else {
+    const changed = [];
+    await git.walk({
+      fs,
+      dir: repoPath,
+      trees: [git.TREE({ ref: oid }), git.STAGE()],
+      map: async function(filepath, [tree, stage]) {
+        if (filepath === '.') return;
+        if ((await blobOidOf(tree)) !== (await blobOidOf(stage))) {
+          changed.push(filepath);
+        }
+      }
+    });
+    for (const filepath of changed) {
+      await git.resetIndex({ fs, dir: repoPath, filepath, ref: oid });
+    }
+  }
+
+  await clearMergeState(repoPath);
+  await clearCherryPickState(repoPath);
+  await clearRevertState(repoPath);
+}
+
+// ============================================
+// Blame helpers
+// ============================================
+
+// For each line of `newLines`, the index of the same unchanged line in `oldLines`
+function mapUnchangedLines(oldLines, newLines) {
+  const map = new Map();
+  let oldIndex = 0;
+  let newIndex = 0;
+  for (const op of diffLines(oldLines, newLines)) {
+    if (op.type === 'context') map.set(newIndex, oldIndex);
+    if (op.type !== 'add') oldIndex++;
+    if (op.type !== 'del') newIndex++;
+  }
+  return map;
+}
+
+// Attribute every line of `filepath` at commit `oid` to the commit that last changed it,
+// or null when the file doesn't exist there. As in git, a commit hands each line down to
+// the first parent that has it unchanged and is blamed for the lines no parent has, following
+// the file to the path it was renamed from when a parent doesn't have it. Commits are visited
+// newest first; one reached again later is visited again with just the lines handed to it since.
+async function blameFile(repoPath, oid, filepath) {
+  const start = await readBlobAt(repoPath, oid, filepath);
+  if (!start) return null;
+  if (isBinary(start.blob)) return { binary: true, lines: [], commits: {} };
+
+  const decoder = new TextDecoder();
+  const commits = new Map();
+  const files = new Map();
+
+  const readCommit = async (commitOid) => {
+    if (!commits.has(commitOid)) {
+      commits.set(commitOid, (await git.readCommit({ fs, dir: repoPath, oid: commitOid })).commit);
+    }
+    return commits.get(commitOid);
+  };
+  const readLines = async (commitOid, commitPath) => {
+    const key = `${commitOid}:${commitPath}`;
+    if (!files.has(key)) {
+      const file = await readBlobAt(repoPath, commitOid, commitPath);
+      files.set(key, file && { oid: file.oid, lines: splitLines(decoder.decode(file.blob)) });
+    }
+    return files.get(key);
+  };
+
+  files.set(`${oid}:${filepath}`, { oid: start.oid, lines: splitLines(decoder.decode(start.blob)) });
+  const finalLines = files.get(`${oid}:${filepath}`).lines;
+  const blame = new Array(finalLines.length);
+
+  // Commits still to visit with the file's path there, each with the lines handed to it as
+  // { final, line } indexes
+  const pending = new Map([
+    [`${oid}:${filepath}`, { oid, filepath, entries: finalLines.map((_, i) => ({ final: i, line: i })) }]
+  ]);
+  const handDown = (parentOid, parentPath, entries) => {
+    if (entries.length === 0) return;
+    const key = `${parentOid}:${parentPath}`;
+    const suspect = pending.get(key) || { oid: parentOid, filepath: parentPath, entries: [] };
+    suspect.entries.push(...entries);
+    pending.set(key, suspect);
+  };
+
+  while (pending.size > 0) {
+    let next = null;
+    for (const [key, candidate] of pending) {
+      const { committer } = await readCommit(candidate.oid);
+      if (!next || committer.timestamp > next.timestamp) {
+        next = { key, timestamp: committer.timestamp };
+      }
+    }
+    const suspect = pending.get(next.key);
+    pending.delete(next.key);
+    let { entries } = suspect;
+
+    const commit = await readCommit(suspect.oid);
+    const file = await readLines(suspect.oid, suspect.filepath);
+    for (const parentOid of commit.parent) {
+      if (entries.length === 0) break;
+      let parentPath = suspect.filepath;
+      let parentFile = await readLines(parentOid, parentPath);
+      if (!parentFile) {
+        const source = await findRenameSource(repoPath, parentOid, suspect.oid, suspect.filepath);
+        if (!source) continue;
+        parentPath = source.filepath;
+        parentFile = await readLines(parentOid, parentPath);
+      }
+      if (parentFile.oid === file.oid) {
+        handDown(parentOid, parentPath, entries);
+        entries = [];
+        break;
+      }
+
+      const unchanged = mapUnchangedLines(parentFile.lines, file.lines);
+      handDown(parentOid, parentPath, entries
+        .filter(entry => unchanged.has(entry.line))
+        .map(entry => ({ final: entry.final, line: unchanged.get(entry.line) })));
+      entries = entries.filter(entry => !unchanged.has(entry.line));
+    }
+
+    for (const entry of entries) {
+      blame[entry.final] = { oid: suspect.oid, origLine: entry.line + 1 };
+    }
+  }
+
+  const blamed = {};
+  for (const { oid: commitOid } of blame) {
+    const commit = commits.get(commitOid);
+    blamed[commitOid] = { author: commit.author, message: commit.message };
+  }
+
+  return {
+    binary: false,
+    lines: finalLines.map((line, i) => ({
+      line: i + 1,
+      content: line.replace(/\r?\n$/, ''),
+      ...blame[i]
+    })),
+    commits: blamed
+  };
+}
+
+// ============================================
+// File history helpers
+// ============================================
+
+// Files in `parentOid` that `oid` no longer has, the candidates a new file was renamed from
+async function listDeletedFiles(repoPath, parentOid, oid) {
+  const deleted = [];
+  await git.walk({
+    fs,
+    dir: repoPath,
+    trees: [git.TREE({ ref: parentOid }), git.TREE({ ref: oid })],
+    map: async function(filepath, [parent, current]) {
+      if (filepath === '.') return;
+      const parentBlobOid = await blobOidOf(parent);
+      if (parentBlobOid && !(await blobOidOf(current))) {
+        deleted.push({ filepath, oid: parentBlobOid });
+      }
+    }
+  });
+  return deleted;
+}
+
+// The file in `parentOid` that `filepath` in `oid` was renamed from: an identical deleted
+// file, else the most similar one above the rename threshold, or null when it is new
+async function findRenameSource(repoPath, parentOid, oid, filepath) {
+  const { oid: blobOid, blob } = await readBlobAt(repoPath, oid, filepath);
+  const candidates = await listDeletedFiles(repoPath, parentOid, oid);
+
+  const exact = candidates.find(candidate => candidate.oid === blobOid);
+  if (exact) return { filepath: exact.filepath, similarity: 100 };
+
+  let best = null;
+  for (const candidate of candidates) {
+    const { blob: candidateBlob } = await git.readBlob({ fs, dir: repoPath, oid: candidate.oid });
+    const similarity = similarityIndex(candidateBlob, blob);
+    if (similarity >= RENAME_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = { filepath: candidate.filepath, similarity };
+    }
+  }
+  return best;
+}
+
+// Give up on inexact rename detection past this many added files times candidate sources,
+// like git's diff.renameLimit (exact matches are always found)
+const RENAME_LIMIT = 100 * 100;
+
+// Pair added files with the deleted or modified files they were moved or copied from, as
+// `git diff -M -C` does: identical content first, then the most similar source above the
+// rename threshold. Of the files paired with a deleted file, the one with the same basename
+// (or else the most similar) is its rename, and that deletion is dropped from the list; any
+// other pairing is a copy.
+async function detectRenames(repoPath, files) {
+  const added = files.filter(file => file.status === 'added');
+  const sources = files.filter(file => file.status === 'deleted' || file.status === 'modified');
+  const pairs = new Map();
+
+  for (const file of added) {
+    const source = sources.find(candidate => candidate.oldOid === file.newOid);
+    if (source) pairs.set(file, { source, similarity: 100 });
+  }
+
+  const unpaired = added.filter(file => !pairs.has(file));
+  if (unpaired.length * sources.length <= RENAME_LIMIT) {
+    const blobs = new Map();
+    const readBlob = async (oid) => {
+      if (!blobs.has(oid)) blobs.set(oid, (await git.readBlob({ fs, dir: repoPath, oid })).blob);
+      return blobs.get(oid);
+    };
+
+    for (const file of unpaired) {
+      const blob = await readBlob(file.newOid);
+      let best = null;
+      for (const source of sources) {
+        const sourceBlob = await readBlob(source.oldOid);
+        // Too different in size to share enough lines
+        if (Math.min(blob.length, sourceBlob.length) * 100 < Math.max(blob.length, sourceBlob.length) * RENAME_THRESHOLD) continue;
+        const similarity = similarityIndex(sourceBlob, blob);
+        if (similarity >= RENAME_THRESHOLD && (!best || similarity > best.similarity)) {
+          best = { source, similarity };
+        }
+      }
+      if (best) pairs.set(file, best);
+    }
+  }
+
+  // Keeping the basename outweighs any difference in similarity (at most 100)
+  const basename = filepath => filepath.slice(filepath.lastIndexOf('/') + 1);
+  const renameScore = file => {
+    const { source, similarity } = pairs.get(file);
+    return (basename(file.filepath) === basename(source.filepath) ? 101 : 0) + similarity;
+  };
+  const renames = new Map();
+  for (const [file, { source }] of pairs) {
+    if (source.status !== 'deleted') continue;
+    const current = renames.get(source);
+    if (!current || renameScore(file) > renameScore(current)) renames.set(source, file);
+  }
+
+  for (const [file, pair] of pairs) {
+    Object.assign(file, {
+      status: renames.get(pair.source) === file ? 'renamed' : 'copied',
+      oldFilepath: pair.source.filepath,
+      similarity: pair.similarity
+    });
+  }
+
+  return files
+    .filter(file => !renames.has(file))
+    .map(({ oldOid, newOid, ...file }) => file);
+}
+
+// The files that differ between two commits' trees, with renames and copies detected.
+// Without an old commit (a root commit's parent) every file is added.
+async function diffCommitTrees(repoPath, oldOid, newOid) {
+  const files = [];
+
+  if (oldOid) {
+    // Note: git.walk returns undefined when map returns null, so we collect via side effect
+    await git.walk({
+      fs,
+      dir: repoPath,
+      trees: [git.TREE({ ref: oldOid }), git.TREE({ ref: newOid })],
+      map: async function(filepath, [parent, current]) {
+        if (filepath === '.') return;
+
+        // Get types - entries can be null if file doesn't exist in that tree
+        const parentType = parent ? await parent.type() : null;
+        const currentType = current ? await current.type() : null;
+
+        // Skip if both are directories (or both null, which shouldn't happen)
+        const parentIsBlob = parentType === 'blob';
+        const currentIsBlob = currentType === 'blob';
+        if (!parentIsBlob && !currentIsBlob) return;
+
+        // Get OIDs for comparison
+        const parentBlobOid = parentIsBlob ? await parent.oid() : null;
+        const currentBlobOid = currentIsBlob ? await current.oid() : null;
+
+        // Skip if unchanged
+        if (parentBlobOid === currentBlobOid) return;
+
+        let status;
+        if (!parentBlobOid && currentBlobOid) {
+          status = 'added';
+        } else if (parentBlobOid && !currentBlobOid) {
+          status = 'deleted';
+        } else {
+          status = 'modified';
+        }
+
+        files.push({ filepath, status, oldOid: parentBlobOid, newOid: currentBlobOid });
+      }
+    });
+  } else {
+    // Root commit - all files are "added"
+    await git.walk({
+      fs,
+      dir: repoPath,
+      trees: [git.TREE({ ref: newOid })],
+      map: async function(filepath, [entry]) {
+        if (filepath === '.') return;
+        const type = await entry.type();
+        if (type !== 'blob') return;
+        files.push({ filepath, status: 'added' });
+      }
+    });
+  }
+
+  return detectRenames(repoPath, files);
+}
+
+// Up to `depth` commits that changed `filepath`, newest first, starting at `oid` and
+// following the file back through renames like `git log --follow`. As in git, a commit
+// that leaves the file as one of its parents had it is skipped and only that parent
+// followed. Parents are rewritten to the nearest listed commits so the result draws as
+// a graph of its own.
+async function fileHistory(repoPath, oid, filepath, depth) {
+  const commits = new Map();
+  const blobs = new Map();
+  const readCommit = async (commitOid) => {
+    if (!commits.has(commitOid)) {
+      commits.set(commitOid, (await git.readCommit({ fs, dir: repoPath, oid: commitOid })).commit);
+    }
+    return commits.get(commitOid);
+  };
+  const blobAt = async (commitOid, path) => {
+    const key = `${commitOid}:${path}`;
+    if (!blobs.has(key)) {
+      const file = await readBlobAt(repoPath, commitOid, path);
+      blobs.set(key, file ? file.oid : null);
+    }
+    return blobs.get(key);
+  };
+
+  const listed = [];
+  const pending = new Map([[oid, filepath]]);
+  // Visited commits with the listed commit they produced (if any) and the parents followed
+  const visits = new Map();
+  // Listed commits still looking for the nearest listed ancestor in one of their parent slots
+  const waiting = new Map();
+
+  const link = (parentOid, waiters) => {
+    const visit = visits.get(parentOid);
+    if (!visit) {
+      waiting.set(parentOid, [...(waiting.get(parentOid) || []), ...waiters]);
+    } else if (visit.entry) {
+      waiters.forEach(({ entry, slot }) => entry.parentSlots[slot].push(parentOid));
+    } else {
+      visit.follow.forEach(next => link(next.oid, waiters));
+    }
+  };
+
+  while (pending.size > 0 && listed.length < depth) {
+    let current = null;
+    for (const candidate of pending.keys()) {
+      const { committer } = await readCommit(candidate);
+      if (!current || committer.timestamp > current.timestamp) {
+        current = { oid: candidate, timestamp: committer.timestamp };
+      }
+    }
+    const path = pending.get(current.oid);
+    pending.delete(current.oid);
+
+    const commit = await readCommit(current.oid);
+    const blobOid = await blobAt(current.oid, path);
+    const parentBlobOids = [];
+    for (const parentOid of commit.parent) {
+      parentBlobOids.push(await blobAt(parentOid, path));
+    }
+
+    let entry = null;
+    let follow = [];
+    const same = commit.parent.findIndex((_, i) => parentBlobOids[i] === blobOid);
+    if (same !== -1) {
+      follow = [{ oid: commit.parent[same], filepath: path }];
+    } else if (blobOid || commit.parent.length > 0) {
+      entry = {
+        oid: current.oid,
+        message: commit.message,
+        author: commit.author,
+        committer: commit.committer,
+        parents: [],
+        parentSlots: commit.parent.map(() => []),
+        branches: [],
+        remoteBranches: [],
+        tags: [],
+        timestamp: commit.author.timestamp,
+        filepath: path
+      };
+      for (const [slot, parentOid] of commit.parent.entries()) {
+        if (blobOid && !parentBlobOids[slot]) {
+          const source = await findRenameSource(repoPath, parentOid, current.oid, path);
+          if (!source) continue;
+          entry.renamedFrom = source.filepath;
+          follow.push({ oid: parentOid, filepath: source.filepath, slot });
+        } else {
+          follow.push({ oid: parentOid, filepath: path, slot });
+        }
+      }
+      listed.push(entry);
+    }
+
+    visits.set(current.oid, { entry, follow });
+    const waiters = waiting.get(current.oid) || [];
+    waiting.delete(current.oid);
+    link(current.oid, waiters);
+
+    for (const next of follow) {
+      if (!visits.has(next.oid) && !pending.has(next.oid)) {
+        pending.set(next.oid, next.filepath);
+      }
+      if (entry) link(next.oid, [{ entry, slot: next.slot }]);
+    }
+  }
+
+  return listed.map(({ parentSlots, ...entry }) => ({
+    ...entry,
+    parents: [...new Set(parentSlots.flat())]
+  }));
+}
+
+// ============================================
+// Log helpers
+// ============================================
+
+// Local branches, remote branches and tags, with the ones pointing at each commit
+async function readRefs(repoPath) {
+  const branches = await git.listBranches({ fs, dir: repoPath });
+  const remoteBranches = await listRemoteBranches(repoPath);
+  const tags = await readTagList(repoPath);
+
+  const labels = new Map();
+  const labelsOf = (oid) => {
+    if (!labels.has(oid)) labels.set(oid, { branches: [], remoteBranches: [], tags: [] });
+    return labels.get(oid);
+  };
+  for (const branch of branches) {
+    try {
+      labelsOf(await git.resolveRef({ fs, dir: repoPath, ref: branch })).branches.push(branch);
+    } catch (e) {}
+  }
+  for (const remoteBranch of remoteBranches) {
+    try {
+      labelsOf(await git.resolveRef({ fs, dir: repoPath, ref: remoteBranch })).remoteBranches.push(remoteBranch);
+    } catch (e) {}
+  }
+  for (const tag of tags) {
+    labelsOf(tag.oid).tags.push(tag.name);
+  }
+
+  return { branches, remoteBranches, tags, labels };
+}
+
+// A commit as the graph shows it, labelled with the refs pointing at it
+function formatLogCommit(oid, commit, labels) {
+  const refs = labels.get(oid) || { branches: [], remoteBranches: [], tags: [] };
+  return {
+    oid,
+    message: commit.message,
+    author: commit.author,
+    committer: commit.committer,
+    parents: commit.parent || [],
+    branches: [...refs.branches],
+    remoteBranches: [...refs.remoteBranches],
+    tags: [...refs.tags],
+    timestamp: commit.author.timestamp
+  };
+}
+
+// Lay out the graph of commits listed children before parents, one row per commit. Lanes
+// are the graph's columns, each waiting for the commit its line leads to. A row says which
+// lane the commit's dot is in, which lanes lead into the dot from above, which lanes the dot
+// leads to below (first parent first), which lanes pass straight through, and how many
+// columns it spans. Parents that `isListed` says will never come get no line.
+function createGraphLayout(isListed = () => true) {
+  const lanes = [];
+  const freeLane = () => {
+    const free = lanes.indexOf(null);
+    return free === -1 ? lanes.length : free;
+  };
+
+  return function layoutRow(oid, parents) {
+    const columns = lanes.length;
+    const into = [];
+    lanes.forEach((expected, lane) => {
+      if (expected === oid) into.push(lane);
+    });
+    into.forEach(lane => { lanes[lane] = null; });
+    const lane = into.length > 0 ? into[0] : freeLane();
+    if (lane === lanes.length) lanes.push(null);
+    const through = [];
+    lanes.forEach((expected, i) => {
+      if (expected !== null && i !== lane) through.push(i);
+    });
+
+    // Join a lane already waiting for the parent, else continue in the commit's own lane
+    // (the first parent) or branch out into a free one
+    const out = [];
+    for (const parentOid of parents) {
+      if (!isListed(parentOid)) continue;
+      let target = lanes.indexOf(parentOid);
+      if (target === -1) {
+        target = lanes[lane] === null ? lane : freeLane();
+        lanes[target] = parentOid;
+      }
+      if (!out.includes(target)) out.push(target);
+    }
+    while (lanes.length > 0 && lanes[lanes.length - 1] === null) lanes.pop();
+
+    return { lane, into, out, through, columns: Math.max(columns, lanes.length, lane + 1) };
+  };
+}
+
+// Lay out a finite list of commits, whose parents outside the list get no lines
+function layoutCommits(commits) {
+  const listed = new Set(commits.map(commit => commit.oid));
+  const layoutRow = createGraphLayout(oid => listed.has(oid));
+  return commits.map(commit => ({ ...commit, graph: layoutRow(commit.oid, commit.parents) }));
+}
+
+// Page size of /api/log, and how many walks are kept around for paging through
+const LOG_PAGE_SIZE = 100;
+const LOG_WALK_CACHE_SIZE = 8;
+
+// How far a commit's date may be behind its parent's, from clocks that were off, for the
+// log still to list the child first
+const LOG_CLOCK_SKEW = 24 * 60 * 60;
+
+// Walks by repository and set of ref tips, most recently used last
+const logWalks = new Map();
+
+// Every commit reachable from `tips` once, children before parents and otherwise newest
+// first, like `git log --date-order`. The walk is incremental so a page only reads the
+// commits it needs: before a commit is listed, every commit that is at least as new (give
+// or take LOG_CLOCK_SKEW) is read, which reveals all of its children.
+// Each commit's graph row is laid out as it is listed, so the layout is cached with the walk.
+function createLogWalk(repoPath, tips) {
+  const nodes = new Map();
+  const layoutRow = createGraphLayout();
+  // Read but parents not read yet, and not listed with no unlisted children known,
+  // both newest first and in the order they were found among equal dates
+  const unread = [];
+  const ready = [];
+  const listed = [];
+
+  const insert = (queue, node) => {
+    let i = queue.length;
+    while (i > 0 && queue[i - 1].commit.committer.timestamp < node.commit.committer.timestamp) i--;
+    queue.splice(i, 0, node);
+  };
+  const discover = async (oid) => {
+    const { commit } = await git.readCommit({ fs, dir: repoPath, oid });
+    const node = { oid, commit, children: 0, listed: false };
+    nodes.set(oid, node);
+    insert(unread, node);
+    return node;
+  };
+  const readParents = async () => {
+    const node = unread.shift();
+    for (const parentOid of node.commit.parent) {
+      const parent = nodes.get(parentOid) || await discover(parentOid);
+      if (parent.listed) continue;
+      if (parent.children === 0 && ready.includes(parent)) ready.splice(ready.indexOf(parent), 1);
+      parent.children++;
+    }
+  };
+  const listNext = async () => {
+    while (ready.length > 0) {
+      const candidate = ready[0];
+      if (unread.length > 0 && unread[0].commit.committer.timestamp >= candidate.commit.committer.timestamp - LOG_CLOCK_SKEW) {
+        await readParents();
+        continue;
+      }
+      ready.shift();
+      candidate.listed = true;
+      candidate.graph = layoutRow(candidate.oid, candidate.commit.parent);
+      listed.push(candidate);
+      for (const parentOid of candidate.commit.parent) {
+        const parent = nodes.get(parentOid);
+        if (!parent.listed && --parent.children === 0) insert(ready, parent);
+      }
+      return candidate;
+    }
+    return null;
+  };
+
+  const started = (async () => {
+    for (const tip of tips) {
+      if (!nodes.has(tip)) insert(ready, await discover(tip));
+    }
+  })();
+
+  return {
+    // Commits `offset` to `offset + limit` of the walk, and whether any come after them
+    async page(offset, limit) {
+      await started;
+      while (listed.length <= offset + limit && await listNext());
+      return { nodes: listed.slice(offset, offset + limit), more: listed.length > offset + limit };
+    }
+  };
+}
+
+// The cached walk for these tips, started when there is none. Requests for pages of the
+// same walk are chained so they never advance it at the same time.
+function getLogWalk(repoPath, tips, key) {
+  const cacheKey = `${repoPath}\n${key}`;
+  let entry = logWalks.get(cacheKey);
+  if (entry) {
+    logWalks.delete(cacheKey);
+  } else {
+    entry = { walk: createLogWalk(repoPath, tips), queue: Promise.resolve() };
+    if (logWalks.size >= LOG_WALK_CACHE_SIZE) logWalks.delete(logWalks.keys().next().value);
+  }
+  logWalks.set(cacheKey, entry);
+
+  return {
+    page(offset, limit) {
+      const result = entry.queue.then(() => entry.walk.page(offset, limit));
+      entry.queue = result.catch(() => {});
+      return result;
+    }
+  };
+}
+
+// Walked commits are identified by the tips they start from; a cursor names the walk and
+// how far into it the next page starts
+function logWalkKey(tips) {
+  return crypto.createHash('sha1').update(tips.join(',')).digest('hex');
+}
+
+function encodeLogCursor(key, offset) {
+  return Buffer.from(JSON.stringify({ key, offset })).toString('base64url');
+}
+
+function decodeLogCursor(cursor) {
+  try {
+    const { key, offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof key === 'string' && Number.isInteger(offset) && offset >= 0) return { key, offset };
+  } catch (e) {}
+  return null;
+}
+
+// The walk and offset a cursor from /api/log points at. A cursor keeps paging through the
+// history it started on while that walk is cached.
+function followLogCursor(repoPath, key, cursor) {
+  const position = decodeLogCursor(cursor);
+  if (!position) {
+    throw Object.assign(new Error('Invalid cursor'), { invalid: true });
+  }
+  if (position.key !== key && !logWalks.has(`${repoPath}\n${position.key}`)) {
+    throw Object.assign(new Error('The branches have changed since the log was loaded; reload it'), { invalid: true });
+  }
+  return position;
+}
+
+// Where the history is walked from: a detached HEAD and every commit some branch or tag
+// (all of which have `labels`) points at
+async function listLogTips(repoPath, labels) {
+  const head = await resolveHead(repoPath);
+  const tips = [...new Set([...(head ? [head] : []), ...labels.keys()])];
+
+  // Refs that don't point at a commit (a tag of a tree, say) can't be walked
+  const commitTips = [];
+  for (const tip of tips) {
+    try {
+      await git.readCommit({ fs, dir: repoPath, oid: tip });
+      commitTips.push(tip);
+    } catch (e) {
+      // Skip refs that can't be resolved
+    }
+  }
+  return commitTips;
+}
+
+// Visit each commit reachable from `tips` once, newest committer date first like
+// `git log --all`, until `visit` returns false
+async function walkCommits(repoPath, tips, visit) {
+  const seen = new Set();
+  const queue = [];
+  const enqueue = async (oid) => {
+    if (seen.has(oid)) return;
+    seen.add(oid);
+    const { commit } = await git.readCommit({ fs, dir: repoPath, oid });
+    let i = queue.length;
+    while (i > 0 && queue[i - 1].commit.committer.timestamp < commit.committer.timestamp) i--;
+    queue.splice(i, 0, { oid, commit });
+  };
+
+  for (const tip of tips) {
+    await enqueue(tip);
+  }
+  while (queue.length > 0) {
+    const { oid, commit } = queue.shift();
+    if ((await visit(oid, commit)) === false) return;
+    for (const parentOid of commit.parent) {
+      await enqueue(parentOid);
+    }
+  }
+}
+
+// ============================================
+// Search helpers
+// ============================================
+
+const SEARCH_PAGE_SIZE = 50;
+
+// The oid of the blob or tree at `filepath` in a commit, or null when there is none
+async function pathOidAt(repoPath, commitOid, filepath) {
+  const parts = filepath.split('/').filter(Boolean);
+  const name = parts.pop();
+  try {
+    const { oid, tree } = await git.readTree({ fs, dir: repoPath, oid: commitOid, filepath: parts.join('/') });
+    if (name === undefined) return oid;
+    const entry = tree.find(item => item.path === name);
+    return entry ? entry.oid : null;
+  } catch (err) {
+    if (err.code === 'NotFoundError' || err.code === 'ObjectTypeError') return null;
+    throw err;
+  }
+}
+
+// Turn search parameters into a predicate over commits. Text filters are case-insensitive;
+// `message` is a regular expression anchored to lines, as in `git log --grep`, when `regex`
+// is set. Dates are compared with the committer date, like `git log --since/--until`.
+// A commit matches `path` when it changed the file or anything under the directory,
+// compared with each of its parents as in `git log -- <path>`.
+function buildCommitFilter(repoPath, { message, regex = false, author, committer, since, until, sha, path: filepath }) {
+  const tests = [];
+  const contains = (text, needle) => text.toLowerCase().includes(needle.toLowerCase());
+  const matchesPerson = (person, needle) => contains(person.name, needle) || contains(person.email, needle);
+  const toTimestamp = (value) => {
+    const time = typeof value === 'number' ? value * 1000 : Date.parse(value);
+    if (Number.isNaN(time)) throw Object.assign(new Error(`Invalid date: ${value}`), { invalid: true });
+    return Math.floor(time / 1000);
+  };
+
+  if (message) {
+    let pattern;
+    try {
+      pattern = regex ? new RegExp(message, 'im') : null;
+    } catch (err) {
+      throw Object.assign(new Error(err.message), { invalid: true });
+    }
+    tests.push(({ commit }) => (pattern ? pattern.test(commit.message) : contains(commit.message, message)));
+  }
+  if (author) tests.push(({ commit }) => matchesPerson(commit.author, author));
+  if (committer) tests.push(({ commit }) => matchesPerson(commit.committer, committer));
+  if (since) {
+    const from = toTimestamp(since);
+    tests.push(({ commit }) => commit.committer.timestamp >= from);
+  }
+  if (until) {
+    const to = toTimestamp(until);
+    tests.push(({ commit }) => commit.committer.timestamp <= to);
+  }
+  if (sha) tests.push(({ oid }) => oid.startsWith(sha.toLowerCase()));
+  if (filepath) {
+    tests.push(async ({ oid, commit }) => {
+      const current = await pathOidAt(repoPath, oid, filepath);
+      if (commit.parent.length === 0) return current !== null;
+      for (const parentOid of commit.parent) {
+        if ((await pathOidAt(repoPath, parentOid, filepath)) === current) return false;
+      }
+      return true;
+    });
+  }
+
+  return async (candidate) => {
+    for (const test of tests) {
+      if (!(await test(candidate))) return false;
+    }
+    return true;
+  };
+}
+
+// ============================================
+// Reflog helpers
+// ============================================
+
+const ZERO_OID = '0'.repeat(40);
+
+// Parse the reflog of HEAD or a branch ('HEAD' or 'refs/heads/<name>'), newest first, with
+// git's `<name>@{n}` selectors. Only command-line git writes reflogs, so a ref may have none.
+async function readReflog(repoPath, ref, name) {
+  const text = await readGitFile(repoPath, path.join('logs', ref));
+  if (!text) return [];
+
+  const entries = [];
+  for (const line of text.split('\n')) {
+    const match = line.match(/^([0-9a-f]{40}) ([0-9a-f]{40}) (.*) <(.*)> (\d+) ([+-])(\d\d)(\d\d)(?:\t(.*))?$/);
+    if (!match) continue;
+    const [, oldOid, newOid, committerName, email, timestamp, sign, hours, minutes, message = ''] = match;
+    entries.push({
+      oldOid: oldOid === ZERO_OID ? null : oldOid,
+      newOid,
+      committer: {
+        name: committerName,
+        email,
+        timestamp: Number(timestamp),
+        // Minutes behind UTC, the way isomorphic-git and Date#getTimezoneOffset count them
+        timezoneOffset: (sign === '-' ? 1 : -1) * (Number(hours) * 60 + Number(minutes))
+      },
+      message,
+      // What moved the ref, e.g. 'commit', 'reset' or 'checkout'
+      operation: message.split(':')[0]
+    });
+  }
+  return entries.reverse().map((entry, index) => ({ selector: `${name}@{${index}}`, ...entry }));
+}
+
+// The branches that have a reflog, by short name
+async function listReflogBranches(repoPath) {
+  const branches = [];
+  const visit = async (dir, prefix) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        await visit(path.join(dir, entry.name), `${prefix}${entry.name}/`);
+      } else {
+        branches.push(`${prefix}${entry.name}`);
+      }
+    }
+  };
+  await visit(gitFile(repoPath, path.join('logs', 'refs', 'heads')), '');
+  return branches.sort();
+}
+
+// ============================================
+// Compare helpers
+// ============================================
+
+// Most commits listed on either side of a comparison; the counts cover all of them
+const COMPARE_COMMIT_LIMIT = 250;
+
+// Compare two commits, or return null when the files are to be diffed from a merge base
+// that they don't have
+async function compareCommits(repoPath, baseOid, headOid, fromMergeBase) {
+  const [mergeBase = null] = await git.findMergeBase({ fs, dir: repoPath, oids: [baseOid, headOid] });
+  if (fromMergeBase && !mergeBase) return null;
+
+  const { ahead, behind } = await aheadBehindCommits(repoPath, headOid, baseOid);
+  const { labels } = await readRefs(repoPath);
+  const listCommits = commits => commits
+    .slice(0, COMPARE_COMMIT_LIMIT)
+    .map(({ oid, commit }) => formatLogCommit(oid, commit, labels));
+
+  return {
+    mergeBase,
+    aheadCount: ahead.length,
+    behindCount: behind.length,
+    ahead: listCommits(ahead),
+    behind: listCommits(behind),
+    files: await diffCommitTrees(repoPath, fromMergeBase ? mergeBase : baseOid, headOid)
+  };
+}
+
+// ============================================
+// Tree browser helpers
+// ============================================
+
+// Files shown in the browser are cut off after this many bytes; the raw download has them whole
+const BLOB_VIEW_LIMIT = 512 * 1024;
+
+// List a folder of a commit's tree, folders first and then by name, or null when there is
+// no folder at `dirpath`
+async function listTree(repoPath, oid, dirpath) {
+  try {
+    const { tree } = await git.readTree({ fs, dir: repoPath, oid, filepath: dirpath });
+    return tree
+      .map(entry => ({
+        name: entry.path,
+        path: dirpath ? `${dirpath}/${entry.path}` : entry.path,
+        type: entry.type,
+        mode: entry.mode,
+        oid: entry.oid
+      }))
+      .sort((a, b) => (a.type === 'tree' ? 0 : 1) - (b.type === 'tree' ? 0 : 1) || a.name.localeCompare(b.name));
+  } catch (err) {
+    if (err.code === 'NotFoundError' || err.code === 'ObjectTypeError') return null;
+    throw err;
+  }
+}
+
+// ============================================
+// Undo helpers
+// ============================================
+
+// Each endpoint that changes refs, the index or tracked files is journaled in .git/undo:
+// journal.json lists the operations, newest last, with the files they changed, and the index
+// from before each one is copied next to it as <id>.index
+const UNDO_DIR = 'undo';
+const UNDO_LIMIT = 20;
+
+// Files an undo puts back as they were: those recording an operation in progress, and the
+// stash with its list of entries
+const UNDO_STATE_PATHS = [
+  'MERGE_HEAD', 'MERGE_MSG', 'MERGE_MODE', 'SQUASH_MSG', 'CHERRY_PICK_HEAD', 'REVERT_HEAD', REBASE_DIR, 'sequencer',
+  STASH_REF, STASH_LOG
+];
+
+// The oids of the local branches and tags, from packed-refs and the loose refs that override it
+async function readLocalRefs(repoPath) {
+  const refs = {};
+  const packed = (await readGitFile(repoPath, 'packed-refs')) || '';
+  for (const line of packed.split('\n')) {
+    const match = line.match(/^([0-9a-f]{40}) (refs\/(?:heads|tags)\/.+)$/);
+    if (match) refs[match[2]] = match[1];
+  }
+
+  const visit = async (ref) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(gitFile(repoPath, ref), { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        await visit(`${ref}/${entry.name}`);
+      } else {
+        refs[`${ref}/${entry.name}`] = (await readGitFile(repoPath, `${ref}/${entry.name}`)).trim();
+      }
+    }
+  };
+  await visit('refs/heads');
+  await visit('refs/tags');
+
+  return Object.fromEntries(Object.entries(refs).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// The in-progress operation files as { path: content }, reading folders file by file
+async function readOperationState(repoPath) {
+  const state = {};
+  const visit = async (name) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(gitFile(repoPath, name), { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOTDIR') {
+        state[name] = await readGitFile(repoPath, name);
+        return;
+      }
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      await visit(`${name}/${entry.name}`);
+    }
+  };
+  for (const name of UNDO_STATE_PATHS) {
+    await visit(name);
+  }
+  return state;
+}
+
+// The index and working tree versions of every tracked file, and of the untracked ones when
+// `untracked` is set, as a Map of filepath -> { index, worktree }, each an { oid, mode } or
+// null. Working tree changes are stored as blobs so an undo can bring them back.
+async function readTrackedFiles(repoPath, untracked) {
+  const { index, worktree } = await readIndexAndWorktree(repoPath);
+  const files = new Map(index.map(({ filepath, oid, mode }) => [filepath, { index: { oid, mode }, worktree: null }]));
+  for (const { filepath, oid, mode } of worktree) {
+    files.get(filepath).worktree = { oid, mode };
+  }
+  if (untracked) {
+    const matrix = await git.statusMatrix({ fs, dir: repoPath });
+    for (const [filepath, headStatus, workdirStatus, stageStatus] of matrix) {
+      if (headStatus === 0 && stageStatus === 0 && workdirStatus === 2) {
+        files.set(filepath, { index: null, worktree: await writeWorkdirBlob(repoPath, filepath) });
+      }
+    }
+  }
+  return files;
+}
+
+// The index and working tree versions of just `filepaths`, as readTrackedFiles gives them,
+// reading the staged ones from the `index` buffer. Untracked files have their working tree
+// version too. Null when one of the paths is a folder.
+async function readFilesAt(repoPath, index, filepaths) {
+  const staged = new Map();
+  for (const entry of index ? parseIndex(index) : []) {
+    if (entry.stage === 0) staged.set(entry.filepath, { oid: entry.oid, mode: entry.mode });
+  }
+
+  const files = new Map();
+  for (const filepath of filepaths) {
+    let stat = null;
+    try {
+      stat = await fs.promises.lstat(path.join(repoPath, filepath));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    if (stat && stat.isDirectory()) return null;
+    files.set(filepath, {
+      index: staged.get(filepath) || null,
+      worktree: stat ? await writeWorkdirBlob(repoPath, filepath) : null
+    });
+  }
+  return files;
+}
+
+// Whether two file versions ({ oid, mode } or null) are the same
+function sameVersion(a, b) {
+  return a && b ? a.oid === b.oid && a.mode === b.mode : !a && !b;
+}
+
+// Everything an undo restores: HEAD as written in .git/HEAD, the local branches and tags,
+// the upstreams of the branches, the in-progress operation and stash, the index and the
+// tracked files, with the untracked ones too when `untracked` is set. Given `paths`, only
+// those files are read, tracked or not. Null when `repoPath` is not a repository.
+async function snapshotRepo(repoPath, { untracked = false, paths = null } = {}) {
+  const head = repoPath ? await readGitFile(repoPath, 'HEAD') : null;
+  if (!head) return null;
+
+  const refs = await readLocalRefs(repoPath);
+  const upstreams = {};
+  for (const ref of Object.keys(refs).filter(ref => ref.startsWith('refs/heads/'))) {
+    const upstream = await readUpstream(repoPath, ref.slice('refs/heads/'.length));
+    if (upstream) upstreams[ref] = upstream;
+  }
+
+  const index = await readIndexFile(repoPath);
+  return {
+    head,
+    refs,
+    upstreams,
+    state: await readOperationState(repoPath),
+    index,
+    indexHash: index && crypto.createHash('sha1').update(index).digest('hex'),
+    files: (paths && (await readFilesAt(repoPath, index, paths))) ||
+      (await readTrackedFiles(repoPath, untracked || Boolean(paths)))
+  };
+}
+
+// The keys whose values differ between two { key: value } maps, as { key: { before, after } }
+// with null for a missing key
+function changedValues(before, after) {
+  const changes = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const from = key in before ? before[key] : null;
+    const to = key in after ? after[key] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { before: from, after: to };
+  }
+  return changes;
+}
+
+// The files whose index or working tree version differs between two snapshots, as
+// { filepath: { before, after } }
+function changedFiles(before, after) {
+  const none = { index: null, worktree: null };
+  const files = {};
+  for (const filepath of new Set([...before.files.keys(), ...after.files.keys()])) {
+    const from = before.files.get(filepath) || none;
+    const to = after.files.get(filepath) || none;
+    if (!sameVersion(from.index, to.index) || !sameVersion(from.worktree, to.worktree)) {
+      files[filepath] = { before: from, after: to };
+    }
+  }
+  return files;
+}
+
+// The journaled operations, newest last
+async function readUndoJournal(repoPath) {
+  return JSON.parse((await readGitFile(repoPath, `${UNDO_DIR}/journal.json`)) || '[]');
+}
+
+// Save the journal, removing the index copies of entries no longer in it
+async function writeUndoJournal(repoPath, journal) {
+  const dir = gitFile(repoPath, UNDO_DIR);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, 'journal.json'), JSON.stringify(journal, null, 2));
+
+  const kept = new Set(journal.map(entry => `${entry.id}.index`));
+  for (const name of await fs.promises.readdir(dir)) {
+    if (name.endsWith('.index') && !kept.has(name)) {
+      await fs.promises.rm(path.join(dir, name), { force: true });
+    }
+  }
+}
+
+// Journal `operation` once it has run, given the snapshot taken before it, with just what it
+// changed. Operations that changed nothing, such as ones that failed, are left out.
+async function recordUndo(repoPath, operation, before, scope) {
+  const after = await snapshotRepo(repoPath, scope);
+  const changes = {
+    head: changedValues({ HEAD: before.head }, { HEAD: after.head }).HEAD || null,
+    refs: changedValues(before.refs, after.refs),
+    upstreams: changedValues(before.upstreams, after.upstreams),
+    state: changedValues(before.state, after.state)
+  };
+  const files = changedFiles(before, after);
+  if (
+    !changes.head &&
+    before.indexHash === after.indexHash &&
+    [changes.refs, changes.upstreams, changes.state, files].every(map => Object.keys(map).length === 0)
+  ) {
+    return;
+  }
+
+  // Read what the operation left in the files it changed the way an undo will, untracked or not
+  const left = await readFilesAt(repoPath, after.index, Object.keys(files));
+  if (left) {
+    for (const [filepath, version] of left) files[filepath].after = version;
+  }
+
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    operation,
+    timestamp: Math.floor(Date.now() / 1000),
+    ...changes,
+    indexHash: before.indexHash,
+    files
+  };
+  await fs.promises.mkdir(gitFile(repoPath, UNDO_DIR), { recursive: true });
+  if (before.index) {
+    await fs.promises.writeFile(gitFile(repoPath, `${UNDO_DIR}/${entry.id}.index`), before.index);
+  }
+  const journal = await readUndoJournal(repoPath);
+  journal.push(entry);
+  await writeUndoJournal(repoPath, journal.slice(-UNDO_LIMIT));
+}
+
+// Route middleware journaling the endpoint for undo: the repository is snapshotted before it
+// runs and the entry is written before its response is sent. `describe` names the operation
+// from the request body, e.g. "Delete branch feature". `options.untracked` journals the
+// untracked files too, for endpoints that remove them, and `options.paths` names the only
+// files an endpoint changes from its request body, so just those are read.
+function journaled(describe, options = {}) {
+  return async (req, res, next) => {
+    const { repoPath } = req.body;
+    const scope = { untracked: options.untracked, paths: options.paths ? options.paths(req.body) : null };
+    let before;
+    try {
+      before = await snapshotRepo(repoPath, scope);
+    } catch (err) {
+      return res.status(500).json({ error: `Could not record the operation for undo: ${err.message}` });
+    }
+    if (!before) return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      // The operation has run either way, so a journal that can't be written doesn't hide its result
+      recordUndo(repoPath, describe(req.body), before, scope).catch(() => {}).then(() => json(body));
+      return res;
+    };
+    next();
+  };
+}
+
+// journaled() for endpoints that only change the staged and working tree versions of body.filepath
+function journaledFile(describe) {
+  return journaled(describe, { paths: body => (body.filepath ? [body.filepath] : []) });
+}
+
+// Note an undo moving `ref` in its reflog, and in HEAD's when HEAD is on it, so the commits
+// it moves the ref off can still be found. Refs without a reflog are left without one.
+async function logUndo(repoPath, ref, oldOid, newOid, operation) {
+  const name = (await git.getConfig({ fs, dir: repoPath, path: 'user.name' })) || '';
+  const email = (await git.getConfig({ fs, dir: repoPath, path: 'user.email' })) || '';
+  const now = new Date();
+  const line = `${oldOid} ${newOid} ${name} <${email}> ${Math.floor(now.getTime() / 1000)} ` +
+    `${formatTimezone(now.getTimezoneOffset())}\tundo: ${operation}\n`;
+
+  const logs = [`logs/${ref}`];
+  if ((await readGitFile(repoPath, 'HEAD')) === `ref: ${ref}\n`) logs.push('logs/HEAD');
+  for (const log of logs) {
+    if ((await readGitFile(repoPath, log)) !== null) {
+      await fs.promises.appendFile(gitFile(repoPath, log), line);
+    }
+  }
+}
+
+// Put back the refs, upstreams, HEAD, operation state and index journaled in `entry`, and the
+// working tree versions of the files the operation changed. Files changed since, in the index
+// or the working tree, are the user's work: they keep their current versions and their paths
+// are returned. Refs and the rest are only put back while they are as the operation left them;
+// when one has changed since, nothing is undone.
+async function restoreSnapshot(repoPath, entry) {
+  const refs = await readLocalRefs(repoPath);
+  const state = await readOperationState(repoPath);
+  const moved = [];
+  if (entry.head && (await readGitFile(repoPath, 'HEAD')) !== entry.head.after) moved.push('HEAD');
+  for (const [ref, { after }] of Object.entries(entry.refs)) {
+    if ((refs[ref] || null) !== after) moved.push(ref);
+  }
+  for (const [ref, { after }] of Object.entries(entry.upstreams)) {
+    const branch = ref.slice('refs/heads/'.length);
+    if (JSON.stringify(await readUpstream(repoPath, branch)) !== JSON.stringify(after)) moved.push(`the upstream of ${branch}`);
+  }
+  for (const [name, { after }] of Object.entries(entry.state)) {
+    if ((name in state ? state[name] : null) !== after) moved.push(name);
+  }
+  if (moved.length > 0) {
+    throw Object.assign(new Error(`Cannot undo ${entry.operation}: ${moved.join(', ')} changed since`), { invalid: true });
+  }
+
+  const index = await readIndexFile(repoPath);
+  const savedIndex = entry.indexHash
+    ? await fs.promises.readFile(gitFile(repoPath, `${UNDO_DIR}/${entry.id}.index`))
+    : null;
+  const current = indexByPath(index);
+  const saved = indexByPath(savedIndex);
+  const files = await readFilesAt(repoPath, index, Object.keys(entry.files));
+  if (!files) {
+    throw Object.assign(new Error(`Cannot undo ${entry.operation}: a file it changed is now a folder`), { invalid: true });
+  }
+
+  // A file the operation changed is the user's once its staged or working tree version differs
+  // from what the operation left; any other file is once it is staged differently from before
+  // the operation, conflicts included
+  const stages = entries => (entries || []).map(({ stage, mode, oid }) => `${stage} ${mode} ${oid}`).join();
+  const kept = [];
+  for (const filepath of new Set([...current.keys(), ...saved.keys(), ...Object.keys(entry.files)])) {
+    const changed = entry.files[filepath];
+    const now = files.get(filepath);
+    if (changed
+      ? !sameVersion(now.index, changed.after.index) || !sameVersion(now.worktree, changed.after.worktree)
+      : stages(current.get(filepath)) !== stages(saved.get(filepath))) {
+      kept.push(filepath);
+    }
+  }
+
+  for (const [ref, { before, after }] of Object.entries(entry.refs)) {
+    if (before) {
+      await git.writeRef({ fs, dir: repoPath, ref, value: before, force: true });
+      if (after) await logUndo(repoPath, ref, after, before, entry.operation);
+    } else {
+      await git.deleteRef({ fs, dir: repoPath, ref });
+    }
+  }
+  for (const [ref, { before }] of Object.entries(entry.upstreams)) {
+    const branch = ref.slice('refs/heads/'.length);
+    await git.setConfig({ fs, dir: repoPath, path: `branch.${branch}.remote`, value: before ? before.remote : undefined });
+    await git.setConfig({
+      fs,
+      dir: repoPath,
+      path: `branch.${branch}.merge`,
+      value: before ? `refs/heads/${before.branch}` : undefined
+    });
+  }
+  if (entry.head) {
+    await fs.promises.writeFile(gitFile(repoPath, 'HEAD'), entry.head.before);
+  }
+
+  for (const [name, { before }] of Object.entries(entry.state)) {
+    if (before === null) {
+      await fs.promises.rm(gitFile(repoPath, name), { force: true });
+    } else {
+      await fs.promises.mkdir(path.dirname(gitFile(repoPath, name)), { recursive: true });
+      await fs.promises.writeFile(gitFile(repoPath, name), before);
+    }
+  }
+  // An operation's folder left without files would still look like it is in progress
+  const restoredState = Object.keys(await readOperationState(repoPath));
+  for (const name of UNDO_STATE_PATHS) {
+    if (!restoredState.some(file => file === name || file.startsWith(`${name}/`))) {
+      await fs.promises.rm(gitFile(repoPath, name), { recursive: true, force: true });
+    }
+  }
+
+  // The index goes back as it was, but with the user's files staged as they are now
+  if (kept.length > 0) {
+    const entries = new Map(saved);
+    for (const filepath of kept) {
+      if (current.has(filepath)) {
+        entries.set(filepath, current.get(filepath));
+      } else {
+        entries.delete(filepath);
+      }
+    }
+    const version = Math.max(2, ...[index, savedIndex].filter(Boolean).map(buffer => buffer.readUInt32BE(4)));
+    await writeIndexEntries(repoPath, version, [...entries.values()].flat());
+  } else if (savedIndex) {
+    await fs.promises.writeFile(gitFile(repoPath, 'index'), savedIndex);
+  } else {
+    await fs.promises.rm(gitFile(repoPath, 'index'), { force: true });
+  }
+
+  for (const [filepath, { before }] of Object.entries(entry.files)) {
+    if (kept.includes(filepath)) continue;
+    const fullpath = path.join(repoPath, filepath);
+    if (before.worktree) {
+      const { blob } = await git.readBlob({ fs, dir: repoPath, oid: before.worktree.oid });
+      await fs.promises.mkdir(path.dirname(fullpath), { recursive: true });
+      await fs.promises.writeFile(fullpath, blob);
+      await fs.promises.chmod(fullpath, before.worktree.mode === 0o100755 ? 0o755 : 0o644);
+    } else {
+      await fs.promises.rm(fullpath, { force: true });
+    }
+  }
+
+  return kept.sort();
+}
+
+// Get a page of the repository log with graph data: the commits of every branch, tag and
+// a detached HEAD in topological order, and a cursor for the next page
 app.post('/api/log', async (req, res) => {
   try {
-    const { repoPath, depth = 100 } = req.body;
+    const { repoPath, cursor = null, depth = LOG_PAGE_SIZE } = req.body;
+
+    const { labels } = await readRefs(repoPath);
+    const commitTips = await listLogTips(repoPath, labels);
+
+    let key = logWalkKey(commitTips);
+    let offset = 0;
+    if (cursor) {
+      try {
+        ({ key, offset } = followLogCursor(repoPath, key, cursor));
+      } catch (err) {
+        if (err.invalid) return res.status(400).json({ error: err.message });
+        throw err;
+      }
+    }
+
+    const { nodes, more } = await getLogWalk(repoPath, commitTips, key).page(offset, depth);
+
+    res.json({
+      commits: nodes.map(node => ({ ...formatLogCommit(node.oid, node.commit, labels), graph: node.graph })),
+      cursor: more ? encodeLogCursor(key, offset + nodes.length) : null
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Search the history of every branch, tag and a detached HEAD, a page of matching commits at
+// a time. With `before`, a cursor from /api/log, every match among the commits the log listed
+// before it is returned instead.
+app.post('/api/search', async (req, res) => {
+  try {
+    const { repoPath, offset = 0, limit = SEARCH_PAGE_SIZE, before = null, ...query } = req.body;
+
+    let matches;
+    try {
+      matches = buildCommitFilter(repoPath, query);
+    } catch (err) {
+      if (err.invalid) return res.status(400).json({ error: err.message });
+      throw err;
+    }
+
+    const { labels } = await readRefs(repoPath);
+    const tips = await listLogTips(repoPath, labels);
+
+    if (before) {
+      let position;
+      try {
+        position = followLogCursor(repoPath, logWalkKey(tips), before);
+      } catch (err) {
+        if (err.invalid) return res.status(400).json({ error: err.message });
+        throw err;
+      }
+      const { nodes } = await getLogWalk(repoPath, tips, position.key).page(0, position.offset);
+      const commits = [];
+      for (const node of nodes) {
+        if (await matches(node)) commits.push(formatLogCommit(node.oid, node.commit, labels));
+      }
+      return res.json({ commits: layoutCommits(commits), hasMore: false, nextOffset: null });
+    }
+
+    // Walk one match past the page to know whether there are more
+    const commits = [];
+    let skipped = 0;
+    await walkCommits(repoPath, tips, async (oid, commit) => {
+      if (!(await matches({ oid, commit }))) return true;
+      if (skipped < offset) {
+        skipped++;
+        return true;
+      }
+      commits.push(formatLogCommit(oid, commit, labels));
+      return commits.length <= limit;
+    });
+
+    const hasMore = commits.length > limit;
+    res.json({
+      commits: layoutCommits(commits.slice(0, limit)),
+      hasMore,
+      nextOffset: hasMore ? offset + limit : null
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List the commits that changed a file, following it back through renames
+app.post('/api/file-history', async (req, res) => {
+  try {
+    const { repoPath, filepath, ref = 'HEAD', depth = 100 } = req.body;
+
+    if (!filepath) {
+      return res.status(400).json({ error: 'Missing required parameters: filepath is required' });
+    }
+
+    const oid = (await resolveTagCommit(repoPath, ref)) || await git.resolveRef({ fs, dir: repoPath, ref });
+    const commits = await fileHistory(repoPath, oid, filepath, depth);
+
+    res.json({ filepath, oid, commits: layoutCommits(commits) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get commit details including files changed
+app.post('/api/commit-details', async (req, res) => {
+  try {
+    const { repoPath, oid } = req.body;
+
+    // Validate required parameters
+    if (!repoPath || !oid) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath and oid are required' });
+    }
+
+    // Get the commit object
+    const commit = await git.readCommit({ fs, dir: repoPath, oid });
+
+    // Get the tree for this commit
+    const { commit: commitData } = commit;
+
+    // Get files changed by comparing with parent
+    const parentOid = commitData.parent && commitData.parent[0];
+    const files = await diffCommitTrees(repoPath, parentOid, oid);
+
+    res.json({
+      oid: oid,
+      message: commitData.message,
+      author: commitData.author,
+      committer: commitData.committer,
+      parents: commitData.parent || [],
+      files
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get line-level diff of one file between a commit and its parent (or the commit baseOid),
+// which had it at oldFilepath when it was renamed or copied
+app.post('/api/commit-diff', async (req, res) => {
+  try {
+    const { repoPath, oid, filepath, oldFilepath = filepath, baseOid } = req.body;
+
+    if (!repoPath || !oid || !filepath) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath, oid and filepath are required' });
+    }
+
+    let parentOid = baseOid;
+    if (!parentOid) {
+      const { commit: commitData } = await git.readCommit({ fs, dir: repoPath, oid });
+      parentOid = commitData.parent && commitData.parent[0];
+    }
+
+    const current = await readBlobAt(repoPath, oid, filepath);
+    const parent = parentOid ? await readBlobAt(repoPath, parentOid, oldFilepath) : null;
+
+    const diff = diffBlobs(parent && parent.blob, current && current.blob);
+
+    res.json({
+      oid,
+      filepath,
+      oldFilepath,
+      oldOid: parent ? parent.oid : null,
+      newOid: current ? current.oid : null,
+      ...diff
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Compare two refs or commits: the commits only on head (ahead) and only on base (behind),
+// their merge base, and the files that differ between their trees. With fromMergeBase the
+// files are what head changed since the merge base instead, like `git diff base...head`.
+app.post('/api/compare', async (req, res) => {
+  try {
+    const { repoPath, base, head, fromMergeBase = false } = req.body;
+
+    if (!base || !head) {
+      return res.status(400).json({ error: 'Missing required parameters: base and head are required' });
+    }
+
+    const baseOid = (await resolveTagCommit(repoPath, base)) || await git.resolveRef({ fs, dir: repoPath, ref: base });
+    const headOid = (await resolveTagCommit(repoPath, head)) || await git.resolveRef({ fs, dir: repoPath, ref: head });
+    const comparison = await compareCommits(repoPath, baseOid, headOid, fromMergeBase);
+    if (!comparison) {
+      return res.status(400).json({ error: `${base} and ${head} have no history in common` });
+    }
+
+    res.json({ base: baseOid, head: headOid, ...comparison });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List the past positions of HEAD or a branch from its reflog, newest first, along with
+// every reflog there is to choose from
+app.post('/api/reflog', async (req, res) => {
+  try {
+    const { repoPath, ref = 'HEAD' } = req.body;
+
+    const branches = await listReflogBranches(repoPath);
+    if (ref !== 'HEAD' && !branches.includes(ref)) {
+      return res.status(400).json({ error: `${ref} has no reflog` });
+    }
+
+    const entries = await readReflog(repoPath, ref === 'HEAD' ? 'HEAD' : `refs/heads/${ref}`, ref);
+    res.json({ ref, refs: ['HEAD', ...branches], entries });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Attribute each line of a file at a commit to the commit that last changed it
+app.post('/api/blame', async (req, res) => {
+  try {
+    const { repoPath, filepath, ref = 'HEAD' } = req.body;
+
+    if (!filepath) {
+      return res.status(400).json({ error: 'Missing required parameters: filepath is required' });
+    }
+
+    const oid = (await resolveTagCommit(repoPath, ref)) || await git.resolveRef({ fs, dir: repoPath, ref });
+    const blame = await blameFile(repoPath, oid, filepath);
+    if (!blame) {
+      return res.status(400).json({ error: `${filepath} does not exist at ${ref}` });
+    }
+
+    res.json({ filepath, oid, ...blame });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List a folder of the tree at a commit, branch or tag
+app.post('/api/tree', async (req, res) => {
+  try {
+    const { repoPath, ref = 'HEAD', path: dirpath = '' } = req.body;
+
+    const oid = (await resolveTagCommit(repoPath, ref)) || await git.resolveRef({ fs, dir: repoPath, ref });
+    const entries = await listTree(repoPath, oid, dirpath);
+    if (!entries) {
+      return res.status(400).json({ error: `${dirpath} is not a folder at ${ref}` });
+    }
+
+    res.json({ oid, path: dirpath, entries });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Show a file of the tree at a commit, branch or tag
+app.post('/api/blob', async (req, res) => {
+  try {
+    const { repoPath, filepath, ref = 'HEAD' } = req.body;
+
+    if (!filepath) {
+      return res.status(400).json({ error: 'Missing required parameters: filepath is required' });
+    }
+
+    const oid = (await resolveTagCommit(repoPath, ref)) || await git.resolveRef({ fs, dir: repoPath, ref });
+    const file = await readBlobAt(repoPath, oid, filepath);
+    if (!file) {
+      return res.status(400).json({ error: `${filepath} does not exist at ${ref}` });
+    }
+
+    const binary = isBinary(file.blob);
+    res.json({
+      filepath,
+      oid,
+      blobOid: file.oid,
+      size: file.blob.length,
+      binary,
+      truncated: !binary && file.blob.length > BLOB_VIEW_LIMIT,
+      content: binary ? null : new TextDecoder().decode(file.blob.subarray(0, BLOB_VIEW_LIMIT))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Download a file of the tree at a commit, branch or tag as stored. This one is a GET so
+// the browser can save it straight from a link.
+app.get('/api/raw', async (req, res) => {
+  try {
+    const { repoPath, filepath, ref = 'HEAD' } = req.query;
+
+    if (!filepath) {
+      return res.status(400).json({ error: 'Missing required parameters: filepath is required' });
+    }
+
+    const oid = (await resolveTagCommit(repoPath, ref)) || await git.resolveRef({ fs, dir: repoPath, ref });
+    const file = await readBlobAt(repoPath, oid, filepath);
+    if (!file) {
+      return res.status(400).json({ error: `${filepath} does not exist at ${ref}` });
+    }
+
+    res.attachment(path.basename(filepath));
+    // Never let the browser render it, whatever the file's extension
+    res.type('application/octet-stream');
+    res.send(Buffer.from(file.blob));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List all branches (local and remote)
+app.post('/api/branches', async (req, res) => {
+  try {
+    const { repoPath } = req.body;
+
+    const localBranches = await git.listBranches({ fs, dir: repoPath });
+    const remoteBranches = await listRemoteBranches(repoPath);
+    const currentBranch = await git.currentBranch({ fs, dir: repoPath, fullname: false });
+
+    // Get tracking information for local branches
+    const tracking = {};
+    for (const branch of localBranches) {
+      try {
+        const config = await git.getConfig({
+          fs,
+          dir: repoPath,
+          path: `branch.${branch}.remote`
+        });
+
+        if (config) {
+          const remoteBranch = await git.getConfig({
+            fs,
+            dir: repoPath,
+            path: `branch.${branch}.merge`
+          });
+
+          if (remoteBranch) {
+            // Extract branch name from refs/heads/branchname
+            const remoteBranchName = remoteBranch.replace('refs/heads/', '');
+            tracking[branch] = `${config}/${remoteBranchName}`;
+          }
+        }
+      } catch (e) {
+        // Branch doesn't have tracking info
+      }
+    }
+
+    // Count how far each tracking branch is ahead of and behind its upstream
+    const aheadBehind = {};
+    for (const [branch, upstream] of Object.entries(tracking)) {
+      let upstreamOid;
+      try {
+        upstreamOid = await git.resolveRef({ fs, dir: repoPath, ref: `refs/remotes/${upstream}` });
+      } catch (e) {
+        // The upstream branch is gone, e.g. deleted on the remote
+        aheadBehind[branch] = { gone: true };
+        continue;
+      }
+      const branchOid = await git.resolveRef({ fs, dir: repoPath, ref: `refs/heads/${branch}` });
+      aheadBehind[branch] = await countAheadBehind(repoPath, branchOid, upstreamOid);
+    }
+
+    res.json({
+      local: localBranches,
+      remote: remoteBranches,
+      current: currentBranch,
+      tracking: tracking,
+      aheadBehind
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create new branch
+app.post('/api/branch/create', journaled(body => `Create branch ${body.branchName}`), async (req, res) => {
+  try {
+    const { repoPath, branchName, checkout = false, startPoint = 'HEAD' } = req.body;
+
+    const object = (await resolveTagCommit(repoPath, startPoint)) ||
+      await git.resolveRef({ fs, dir: repoPath, ref: startPoint });
+    await git.branch({ fs, dir: repoPath, ref: branchName, object });
+    
+    if (checkout) {
+      await git.checkout({ fs, dir: repoPath, ref: branchName });
+    }
+    
+    res.json({ success: true, branch: branchName });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Move a branch that isn't checked out back to a past position, recreating it if it was
+// deleted. The checked-out branch is moved with a reset, which also updates the index and files.
+app.post('/api/branch/restore', journaled(body => `Restore branch ${body.branchName}`), async (req, res) => {
+  try {
+    const { repoPath, branchName, oid } = req.body;
+
+    if (!branchName || !oid) {
+      return res.status(400).json({ error: 'Missing required parameters: branchName and oid are required' });
+    }
+
+    const current = await git.currentBranch({ fs, dir: repoPath, fullname: false });
+    if (branchName === current) {
+      return res.status(400).json({ error: `${branchName} is checked out; reset it instead` });
+    }
+
+    try {
+      await git.readCommit({ fs, dir: repoPath, oid });
+    } catch (err) {
+      if (err.code === 'NotFoundError') {
+        return res.status(400).json({ error: `Commit ${oid} no longer exists` });
+      }
+      throw err;
+    }
+
+    await git.writeRef({ fs, dir: repoPath, ref: `refs/heads/${branchName}`, value: oid, force: true });
+
+    res.json({ success: true, branch: branchName, oid });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set or, with a null upstream, unset the remote branch a local branch tracks
+app.post('/api/branch/set-upstream', journaled(body => `Set upstream of ${body.branchName}`), async (req, res) => {
+  try {
+    const { repoPath, branchName, upstream } = req.body;
+
+    if (!branchName || upstream === undefined) {
+      return res.status(400).json({ error: 'Missing required parameters: branchName and upstream are required' });
+    }
+
+    if (upstream === null) {
+      await git.setConfig({ fs, dir: repoPath, path: `branch.${branchName}.remote`, value: undefined });
+      await git.setConfig({ fs, dir: repoPath, path: `branch.${branchName}.merge`, value: undefined });
+      return res.json({ success: true, upstream: null });
+    }
+
+    // Remote names may contain slashes, so match the longest configured remote
+    const remote = (await git.listRemotes({ fs, dir: repoPath }))
+      .map(r => r.remote)
+      .filter(name => upstream.startsWith(`${name}/`))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!remote) {
+      return res.status(400).json({ error: `'${upstream}' is not a remote branch` });
+    }
+    try {
+      await git.resolveRef({ fs, dir: repoPath, ref: `refs/remotes/${upstream}` });
+    } catch (e) {
+      return res.status(400).json({ error: `Upstream branch '${upstream}' does not exist` });
+    }
+
+    await git.setConfig({ fs, dir: repoPath, path: `branch.${branchName}.remote`, value: remote });
+    await git.setConfig({
+      fs,
+      dir: repoPath,
+      path: `branch.${branchName}.merge`,
+      value: `refs/heads/${upstream.slice(remote.length + 1)}`
+    });
+
+    res.json({ success: true, upstream });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Checkout branch
+app.post('/api/branch/checkout', journaled(body => `Check out ${body.branchName}`), async (req, res) => {
+  try {
+    const { repoPath, branchName } = req.body;
+
+    // Tags are checked out as a detached HEAD at the commit they point at
+    const tagOid = await resolveTagCommit(repoPath, branchName);
+    await git.checkout({ fs, dir: repoPath, ref: tagOid || branchName });
+
+    res.json({ success: true, branch: branchName, detached: tagOid !== null });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete branch
+app.post('/api/branch/delete', journaled(body => `Delete branch ${body.branchName}`), async (req, res) => {
+  try {
+    const { repoPath, branchName } = req.body;
+    
+    await git.deleteBranch({ fs, dir: repoPath, ref: branchName });
+    
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List tags with the commits they point at
+app.post('/api/tags', async (req, res) => {
+  try {
+    const { repoPath } = req.body;
+
+    res.json({ tags: await readTagList(repoPath) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a tag; a message makes it an annotated tag
+app.post('/api/tag/create', journaled(body => `Create tag ${body.tagName}`), async (req, res) => {
+  try {
+    const { repoPath, tagName, target = 'HEAD', message, tagger } = req.body;
+
+    if (!tagName) {
+      return res.status(400).json({ error: 'Missing required parameters: tagName is required' });
+    }
+    if (message && !tagger) {
+      return res.status(400).json({ error: 'Missing required parameters: tagger is required for annotated tags' });
+    }
+
+    const object = (await resolveTagCommit(repoPath, target)) ||
+      await git.resolveRef({ fs, dir: repoPath, ref: target });
+
+    try {
+      if (message) {
+        await git.annotatedTag({
+          fs,
+          dir: repoPath,
+          ref: tagName,
+          object,
+          message,
+          tagger: {
+            name: tagger.name,
+            email: tagger.email
+          }
+        });
+      } else {
+        await git.tag({ fs, dir: repoPath, ref: tagName, object });
+      }
+    } catch (err) {
+      if (err.code === 'AlreadyExistsError') {
+        return res.status(400).json({ error: `Tag '${tagName}' already exists` });
+      }
+      throw err;
+    }
+
+    res.json({ success: true, tag: tagName, oid: object });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a local tag
+app.post('/api/tag/delete', journaled(body => `Delete tag ${body.tagName}`), async (req, res) => {
+  try {
+    const { repoPath, tagName } = req.body;
+
+    await git.deleteTag({ fs, dir: repoPath, ref: tagName });
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Push a tag to a remote
+app.post('/api/tag/push', async (req, res) => {
+  try {
+    const { repoPath, tagName, remote = 'origin', credentials } = req.body;
+
+    const result = await git.push({
+      fs,
+      http,
+      dir: repoPath,
+      remote,
+      ref: `refs/tags/${tagName}`,
+      remoteRef: `refs/tags/${tagName}`,
+      ...(credentials && {
+        onAuth: () => credentials
+      })
+    });
+
+    res.json({ success: true, result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a tag from a remote
+app.post('/api/tag/delete-remote', async (req, res) => {
+  try {
+    const { repoPath, tagName, remote = 'origin', credentials } = req.body;
+
+    // isomorphic-git expands `ref` locally even when deleting, so name HEAD rather
+    // than a tag that may already be gone here
+    const result = await git.push({
+      fs,
+      http,
+      dir: repoPath,
+      remote,
+      ref: 'HEAD',
+      remoteRef: `refs/tags/${tagName}`,
+      delete: true,
+      ...(credentials && {
+        onAuth: () => credentials
+      })
+    });
+
+    res.json({ success: true, result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get file status
+app.post('/api/status', async (req, res) => {
+  try {
+    const { repoPath } = req.body;
+    
+    const FILE = 0, HEAD = 1, WORKDIR = 2, STAGE = 3;
+    const matrix = await git.statusMatrix({ fs, dir: repoPath });
+    
+    const conflicts = await readConflictStages(repoPath);
+    
+    const status = {
+      modified: [],
+      added: [],
+      deleted: [],
+      untracked: [],
+      conflicted: [...conflicts.keys()]
+    };
+
+    for (const [filepath, headStatus, workdirStatus, stageStatus] of matrix) {
+      if (conflicts.has(filepath)) {
+        continue;
+      } else if (headStatus === 1 && workdirStatus === 2 && stageStatus === 1) {
+        status.modified.push(filepath);
+      } else if (headStatus === 0 && workdirStatus === 2 && stageStatus === 0) {
+        status.untracked.push(filepath);
+      } else if (headStatus === 0 && workdirStatus === 2 && stageStatus === 2) {
+        status.added.push(filepath);
+      } else if (headStatus === 1 && workdirStatus === 0 && stageStatus === 1) {
+        status.deleted.push(filepath);
+      } else if (headStatus === 1 && workdirStatus === 2 && stageStatus === 2) {
+        status.modified.push(filepath);
+      }
+    }
+
+    res.json(status);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get unstaged (working tree vs index) and staged (index vs HEAD) diffs for a file
+app.post('/api/working-diff', async (req, res) => {
+  try {
+    const { repoPath, filepath } = req.body;
+
+    if (!repoPath || !filepath) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath and filepath are required' });
+    }
+
+    const headOid = await resolveHead(repoPath);
+    const head = headOid ? await readBlobAt(repoPath, headOid, filepath) : null;
+    const staged = await readIndexBlob(repoPath, filepath);
+    const workdir = await readWorkdirFile(repoPath, filepath);
+
+    res.json({
+      filepath,
+      unstaged: diffBlobs(staged && staged.blob, workdir),
+      staged: diffBlobs(head && head.blob, staged && staged.blob)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stage selected hunks or lines of a file's working tree changes
+app.post('/api/add-partial', journaledFile(body => `Stage lines of ${body.filepath}`), async (req, res) => {
+  try {
+    const { repoPath, filepath, hunks, lines } = req.body;
+
+    if (!repoPath || !filepath) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath and filepath are required' });
+    }
+
+    const staged = await readIndexBlob(repoPath, filepath);
+    const workdir = await readWorkdirFile(repoPath, filepath);
+    if ((staged && isBinary(staged.blob)) || (workdir && isBinary(workdir))) {
+      return res.status(400).json({ error: 'Partial staging is not supported for binary files' });
+    }
+
+    const decoder = new TextDecoder();
+    const ops = diffLines(
+      splitLines(staged ? decoder.decode(staged.blob) : ''),
+      splitLines(workdir ? decoder.decode(workdir) : '')
+    );
+    const selected = selectChanges(buildHunks(ops), { hunks, lines });
+    if (selected.del.size === 0 && selected.add.size === 0) {
+      return res.status(400).json({ error: 'No changes selected' });
+    }
+
+    const content = applyChanges(ops, selected);
+
+    // Staging every line of a deleted file stages the deletion itself
+    if (!workdir && content === '') {
+      await git.remove({ fs, dir: repoPath, filepath });
+      return res.json({ success: true, oid: null });
+    }
+
+    let mode = staged && staged.mode;
+    if (!mode) {
+      const stats = await fs.promises.stat(path.join(repoPath, filepath));
+      mode = stats.mode & 0o111 ? 0o100755 : 0o100644;
+    }
+    const oid = await git.writeBlob({ fs, dir: repoPath, blob: Buffer.from(content) });
+    await git.updateIndex({ fs, dir: repoPath, filepath, oid, mode, add: true });
+
+    res.json({ success: true, oid });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Unstage selected hunks or lines of a file's staged changes
+app.post('/api/reset-partial', journaledFile(body => `Unstage lines of ${body.filepath}`), async (req, res) => {
+  try {
+    const { repoPath, filepath, hunks, lines } = req.body;
+
+    if (!repoPath || !filepath) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath and filepath are required' });
+    }
+
+    const headOid = await resolveHead(repoPath);
+    const head = headOid ? await readBlobAt(repoPath, headOid, filepath) : null;
+    const staged = await readIndexBlob(repoPath, filepath);
+    if ((head && isBinary(head.blob)) || (staged && isBinary(staged.blob))) {
+      return res.status(400).json({ error: 'Partial unstaging is not supported for binary files' });
+    }
+
+    const decoder = new TextDecoder();
+    const ops = diffLines(
+      splitLines(head ? decoder.decode(head.blob) : ''),
+      splitLines(staged ? decoder.decode(staged.blob) : '')
+    );
+    const selected = selectChanges(buildHunks(ops), { hunks, lines });
+    if (selected.del.size === 0 && selected.add.size === 0) {
+      return res.status(400).json({ error: 'No changes selected' });
+    }
+
+    const content = applyChanges(ops, selected, true);
+
+    // Unstaging every line of a newly added file removes it from the index
+    if (!head && content === '') {
+      await git.resetIndex({ fs, dir: repoPath, filepath });
+      return res.json({ success: true, oid: null });
+    }
+
+    const oid = await git.writeBlob({ fs, dir: repoPath, blob: Buffer.from(content) });
+    await git.updateIndex({ fs, dir: repoPath, filepath, oid, mode: (staged && staged.mode) || 0o100644, add: true });
+
+    res.json({ success: true, oid });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stage files
+app.post('/api/add', journaledFile(body => `Stage ${body.filepath}`), async (req, res) => {
+  try {
+    const { repoPath, filepath } = req.body;
+    
+    await git.add({ fs, dir: repoPath, filepath });
+    
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Unstage files
+app.post('/api/reset', journaledFile(body => `Unstage ${body.filepath}`), async (req, res) => {
+  try {
+    const { repoPath, filepath } = req.body;
+    
+    await git.resetIndex({ fs, dir: repoPath, filepath });
+    
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Preview what resetting the current branch to a commit would discard
+app.post('/api/reset-branch/preview', async (req, res) => {
+  try {
+    const { repoPath, oid, mode = 'mixed' } = req.body;
+
+    if (!oid) {
+      return res.status(400).json({ error: 'Missing required parameters: oid is required' });
+    }
+    if (!RESET_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Unknown reset mode: ${mode}` });
+    }
+
+    res.json(await previewReset(repoPath, oid, mode));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reset the current branch to a commit
+app.post('/api/reset-branch', journaled(body => `Reset to ${String(body.oid).slice(0, 7)}`), async (req, res) => {
+  try {
+    const { repoPath, oid, mode = 'mixed' } = req.body;
+
+    if (!oid) {
+      return res.status(400).json({ error: 'Missing required parameters: oid is required' });
+    }
+    if (!RESET_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Unknown reset mode: ${mode}` });
+    }
+    if (await readRebaseState(repoPath)) {
+      return res.status(400).json({ error: 'A rebase is in progress; continue or abort it first' });
+    }
+    if (mode === 'soft' && await readMergeState(repoPath)) {
+      return res.status(400).json({ error: 'Cannot do a soft reset in the middle of a merge' });
+    }
+
+    await resetBranch(repoPath, oid, mode);
+
+    res.json({ success: true, oid, mode });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The last operation that can be undone, or null
+app.post('/api/undo/status', async (req, res) => {
+  try {
+    const { repoPath } = req.body;
+
+    const journal = repoPath ? await readUndoJournal(repoPath) : [];
+    const last = journal[journal.length - 1];
+
+    res.json({
+      operation: last ? last.operation : null,
+      timestamp: last ? last.timestamp : null,
+      count: journal.length
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Undo the last journaled operation, putting back the branches, upstreams, tags, HEAD, index,
+// stash and any operation in progress as they were before it, and the files it changed
+app.post('/api/undo', async (req, res) => {
+  try {
+    const { repoPath } = req.body;
+
+    const journal = repoPath ? await readUndoJournal(repoPath) : [];
+    if (journal.length === 0) {
+      return res.status(400).json({ error: 'Nothing to undo' });
+    }
+
+    const entry = journal[journal.length - 1];
+    const kept = await restoreSnapshot(repoPath, entry);
+    await writeUndoJournal(repoPath, journal.slice(0, -1));
+
+    res.json({ success: true, operation: entry.operation, kept });
+  } catch (err) {
+    if (err.invalid) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Describe HEAD for amending: its message, author and whether it was already pushed
+app.post('/api/commit/amend-info', async (req, res) => {
+  try {
+    const { repoPath } = req.body;
+
+    const oid = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+    const { commit } = await git.readCommit({ fs, dir: repoPath, oid });
+
+    res.json({
+      oid,
+      message: commit.message,
+      author: commit.author,
+      pushed: await isOnUpstream(repoPath, oid)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Commit
+app.post('/api/commit', journaled(body => (body.amend ? 'Amend commit' : 'Commit')), async (req, res) => {
+  try {
+    const { repoPath, message, author, amend = false } = req.body;
+
+    // Committing while a merge is in progress concludes it, with MERGE_HEAD as second parent.
+    // Either way any MERGE_MSG, SQUASH_MSG or stopped revert left behind is now used up.
+    const mergeState = await readMergeState(repoPath);
+
+    if (amend) {
+      if (mergeState) {
+        return res.status(400).json({ error: 'A merge is in progress; commit it before amending' });
+      }
+      const { sha, pushed } = await amendHead(repoPath, { message, committer: author });
+      return res.json({ success: true, sha, amended: true, pushed });
+    }
+    
+    const sha = await git.commit({
+      fs,
+      dir: repoPath,
+      message,
+      author: {
+        name: author.name,
+        email: author.email
+      },
+      ...(mergeState && {
+        parent: [await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' }), mergeState.theirs]
+      })
+    });
+
+    await clearMergeState(repoPath);
+    await clearRevertState(repoPath);
+    
+    res.json({ success: true, sha });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Merge
+app.post('/api/merge', journaled(body => `Merge ${body.theirBranch}`), async (req, res) => {
+  try {
+    const { repoPath, theirBranch, mode = 'ff', message, author } = req.body;
+
+    if (!MERGE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Unknown merge mode: ${mode}` });
+    }
+    
+    let result;
+    try {
+      result = await mergeIntoCurrent(repoPath, { theirs: theirBranch, mode, message, author });
+    } catch (err) {
+      if (err.code === 'LocalChangesError' || err.code === 'FastForwardError') {
+        return res.status(400).json({ error: err.message });
+      }
+      if (err.code !== 'MergeConflictError') throw err;
+      return res.status(409).json({ error: err.message, conflicts: true, filepaths: err.data.filepaths });
+    }
+    
+    res.json({ success: true, result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Get all branches (local and remote)
-    const branches = await git.listBranches({ fs, dir: repoPath });
-    const remoteBranches = await git.listBranches({ fs, dir: repoPath, remote: 'origin' });
+// Get the in-progress merge and its conflicted paths
+app.post('/api/merge/status', async (req, res) => {
+  try {
+    const { repoPath } = req.body;
 
-    // Collect commits from all branches
-    const commitMap = new Map();
-    const allRefs = [...branches, ...remoteBranches.map(b => `origin/${b}`)];
+    const mergeState = await readMergeState(repoPath);
+    const stages = await readConflictStages(repoPath);
 
-    for (const ref of allRefs) {
-      try {
-        const commits = await git.log({
-          fs,
-          dir: repoPath,
-          depth: depth,
-          ref: ref
-        });
+    const conflicts = [];
+    for (const [filepath, stage] of stages) {
+      let type = 'both-modified';
+      if (!stage[1]) type = 'both-added';
+      else if (!stage[2]) type = 'deleted-by-us';
+      else if (!stage[3]) type = 'deleted-by-them';
+      conflicts.push({ filepath, type, resolved: false });
+    }
 
-        for (const commit of commits) {
-          if (!commitMap.has(commit.oid)) {
-            commitMap.set(commit.oid, {
-              oid: commit.oid,
-              message: commit.commit.message,
-              author: commit.commit.author,
-              committer: commit.commit.committer,
-              parents: commit.commit.parent || [],
-              branches: [],
-              remoteBranches: [],
-              timestamp: commit.commit.author.timestamp
-            });
-          }
+    // Paths listed in MERGE_MSG that are no longer unmerged have been resolved
+    if (mergeState) {
+      for (const line of mergeState.message.split('\n')) {
+        const filepath = line.startsWith('#\t') ? line.slice(2) : null;
+        if (filepath && !stages.has(filepath)) {
+          conflicts.push({ filepath, type: null, resolved: true });
         }
-      } catch (e) {
-        // Skip refs that can't be resolved
       }
     }
 
-    // Enrich commits with branch information and tracking
-    for (const branch of branches) {
-      try {
-        const branchOid = await git.resolveRef({ fs, dir: repoPath, ref: branch });
-        if (commitMap.has(branchOid)) {
-          commitMap.get(branchOid).branches.push(branch);
-        }
-      } catch (e) {}
+    res.json({
+      inProgress: Boolean(mergeState),
+      theirs: mergeState ? mergeState.theirs : null,
+      message: mergeState ? cleanMessage(mergeState.message) : null,
+      conflicts
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get base, ours, theirs and current working tree content of a conflicted file
+app.post('/api/merge/conflict-file', async (req, res) => {
+  try {
+    const { repoPath, filepath } = req.body;
+
+    if (!repoPath || !filepath) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath and filepath are required' });
     }
 
-    for (const remoteBranch of remoteBranches) {
-      try {
-        const branchOid = await git.resolveRef({ fs, dir: repoPath, ref: `origin/${remoteBranch}` });
-        if (commitMap.has(branchOid)) {
-          commitMap.get(branchOid).remoteBranches.push(`origin/${remoteBranch}`);
-        }
-      } catch (e) {}
+    const stages = (await readConflictStages(repoPath)).get(filepath) || {};
+    const decoder = new TextDecoder();
+    let binary = false;
+
+    const readStage = async (stage) => {
+      if (!stages[stage]) return null;
+      const { blob } = await git.readBlob({ fs, dir: repoPath, oid: stages[stage] });
+      if (isBinary(blob)) binary = true;
+      return decoder.decode(blob);
+    };
+
+    const base = await readStage(1);
+    const ours = await readStage(2);
+    const theirs = await readStage(3);
+    const workdir = await readWorkdirFile(repoPath, filepath);
+    if (workdir && isBinary(workdir)) binary = true;
+
+    res.json({
+      filepath,
+      resolved: Object.keys(stages).length === 0,
+      binary,
+      base: binary ? null : base,
+      ours: binary ? null : ours,
+      theirs: binary ? null : theirs,
+      merged: binary || !workdir ? null : decoder.decode(workdir)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Resolve a conflicted file with our side, their side or edited content, and stage it
+app.post('/api/merge/resolve', journaledFile(body => `Resolve ${body.filepath}`), async (req, res) => {
+  try {
+    const { repoPath, filepath, resolution = 'merged', content } = req.body;
+
+    if (!repoPath || !filepath) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath and filepath are required' });
+    }
+    if (!['ours', 'theirs', 'merged'].includes(resolution)) {
+      return res.status(400).json({ error: `Unknown resolution: ${resolution}` });
+    }
+
+    const stages = (await readConflictStages(repoPath)).get(filepath);
+    if (!stages) {
+      return res.status(400).json({ error: `${filepath} is not in conflict` });
     }
 
-    // Convert to array and sort by timestamp (newest first)
-    const enrichedCommits = Array.from(commitMap.values())
-      .sort((a, b) => b.timestamp - a.timestamp)
-      .slice(0, depth);
+    const fullpath = path.join(repoPath, filepath);
+    let keep = true;
+    if (resolution === 'merged') {
+      if (typeof content === 'string') {
+        await fs.promises.writeFile(fullpath, content);
+      }
+      keep = (await readWorkdirFile(repoPath, filepath)) !== null;
+    } else {
+      // Taking a side that deleted the file resolves the conflict as a deletion
+      const oid = stages[resolution === 'ours' ? 2 : 3];
+      if (oid) {
+        const { blob } = await git.readBlob({ fs, dir: repoPath, oid });
+        await fs.promises.writeFile(fullpath, blob);
+      } else {
+        keep = false;
+      }
+    }
 
-    res.json({ commits: enrichedCommits });
+    if (keep) {
+      await git.add({ fs, dir: repoPath, filepath });
+    } else {
+      await fs.promises.rm(fullpath, { force: true });
+      await git.remove({ fs, dir: repoPath, filepath });
+    }
+
+    res.json({ success: true, filepath, deleted: !keep });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get commit details including files changed
-app.post('/api/commit-details', async (req, res) => {
+// Finish the in-progress merge with a merge commit
+app.post('/api/merge/continue', journaled(() => 'Commit merge'), async (req, res) => {
   try {
-    const { repoPath, oid } = req.body;
+    const { repoPath, message, author } = req.body;
 
-    // Validate required parameters
-    if (!repoPath || !oid) {
-      return res.status(400).json({ error: 'Missing required parameters: repoPath and oid are required' });
+    const mergeState = await readMergeState(repoPath);
+    if (!mergeState) {
+      return res.status(400).json({ error: 'No merge in progress' });
     }
 
-    // Get the commit object
-    const commit = await git.readCommit({ fs, dir: repoPath, oid });
+    const unresolved = [...(await readConflictStages(repoPath)).keys()];
+    if (unresolved.length > 0) {
+      return res.status(400).json({ error: `Unresolved conflicts: ${unresolved.join(', ')}`, filepaths: unresolved });
+    }
 
-    // Get the tree for this commit
-    const { commit: commitData } = commit;
+    const sha = await git.commit({
+      fs,
+      dir: repoPath,
+      message: message || cleanMessage(mergeState.message),
+      author: {
+        name: author.name,
+        email: author.email
+      },
+      parent: [await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' }), mergeState.theirs]
+    });
+    await clearMergeState(repoPath);
 
-    // Get files changed by comparing with parent
-    const files = [];
-    const parentOid = commitData.parent && commitData.parent[0];
+    res.json({ success: true, sha });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (parentOid) {
-      // Compare trees between this commit and its parent
-      // Note: git.walk returns undefined when map returns null, so we collect via side effect
-      await git.walk({
-        fs,
-        dir: repoPath,
-        trees: [git.TREE({ ref: parentOid }), git.TREE({ ref: oid })],
-        map: async function(filepath, [parent, current]) {
-          if (filepath === '.') return;
+// Abort the in-progress merge, restoring the index and working tree to HEAD
+app.post('/api/merge/abort', journaled(() => 'Abort merge'), async (req, res) => {
+  try {
+    const { repoPath } = req.body;
 
-          // Get types - entries can be null if file doesn't exist in that tree
-          const parentType = parent ? await parent.type() : null;
-          const currentType = current ? await current.type() : null;
-
-          // Skip if both are directories (or both null, which shouldn't happen)
-          const parentIsBlob = parentType === 'blob';
-          const currentIsBlob = currentType === 'blob';
-          if (!parentIsBlob && !currentIsBlob) return;
-
-          // Get OIDs for comparison
-          const parentBlobOid = parentIsBlob ? await parent.oid() : null;
-          const currentBlobOid = currentIsBlob ? await current.oid() : null;
-
-          // Skip if unchanged
-          if (parentBlobOid === currentBlobOid) return;
-
-          let status;
-          if (!parentBlobOid && currentBlobOid) {
-            status = 'added';
-          } else if (parentBlobOid && !currentBlobOid) {
-            status = 'deleted';
-          } else {
-            status = 'modified';
-          }
+    const mergeState = await readMergeState(repoPath);
+    if (!mergeState) {
+      return res.status(400).json({ error: 'No merge in progress' });
+    }
 
-          files.push({ filepath, status });
-        }
-      });
-    } else {
-      // Root commit - all files are "added"
-      await git.walk({
+    const branch = await git.currentBranch({ fs, dir: repoPath, fullname: false });
+    await git.checkout({
+      fs,
+      dir: repoPath,
+      ref: branch || await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' }),
+      force: true
+    });
+    await clearMergeState(repoPath);
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List the commits above a base commit for the interactive rebase editor
+app.post('/api/rebase/todo', async (req, res) => {
+  try {
+    const { repoPath, base } = req.body;
+
+    if (!repoPath || !base) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath and base are required' });
+    }
+
+    const baseOid = await git.resolveRef({ fs, dir: repoPath, ref: base });
+    const commits = await listRebaseCommits(repoPath, baseOid);
+    if (!commits) {
+      return res.status(400).json({ error: `${base} is not an ancestor of HEAD` });
+    }
+
+    res.json({ base: baseOid, commits });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start an interactive rebase of the current branch onto a base commit
+app.post('/api/rebase/start', journaled(() => 'Rebase'), async (req, res) => {
+  try {
+    const { repoPath, base, steps, committer } = req.body;
+
+    if (!repoPath || !base || !Array.isArray(steps) || !committer) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath, base, steps and committer are required' });
+    }
+
+    const unknown = steps.find(step => !REBASE_ACTIONS.includes(step.action));
+    if (unknown) {
+      return res.status(400).json({ error: `Unknown rebase action: ${unknown.action}` });
+    }
+    const first = steps.find(step => step.action !== 'drop');
+    if (first && (first.action === 'squash' || first.action === 'fixup')) {
+      return res.status(400).json({ error: `Cannot ${first.action} without a previous commit` });
+    }
+
+    if (await readRebaseState(repoPath)) {
+      return res.status(400).json({ error: 'A rebase is already in progress' });
+    }
+    if (await readMergeState(repoPath) || await readCherryPickState(repoPath)) {
+      return res.status(400).json({ error: 'A merge or cherry-pick is in progress' });
+    }
+
+    const headName = await git.currentBranch({ fs, dir: repoPath, fullname: true });
+    if (!headName) {
+      return res.status(400).json({ error: 'Cannot rebase a detached HEAD' });
+    }
+
+    // Like git, refuse to rebase over uncommitted changes to tracked files
+    const dirty = await listLocalChanges(repoPath);
+    if (dirty.length > 0) {
+      return res.status(400).json({ error: `Commit or stash your changes before rebasing: ${dirty.join(', ')}` });
+    }
+
+    const onto = await git.resolveRef({ fs, dir: repoPath, ref: base });
+    const commits = await listRebaseCommits(repoPath, onto);
+    if (!commits) {
+      return res.status(400).json({ error: `${base} is not an ancestor of HEAD` });
+    }
+    if (commits.some(commit => commit.merge)) {
+      return res.status(400).json({ error: 'Rebasing merge commits is not supported' });
+    }
+    const inRange = new Set(commits.map(commit => commit.oid));
+    const outside = steps.find(step => !inRange.has(step.oid));
+    if (outside) {
+      return res.status(400).json({ error: `${outside.oid} is not between ${base} and HEAD` });
+    }
+
+    const origHead = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+    await fs.promises.writeFile(gitFile(repoPath, 'ORIG_HEAD'), `${origHead}\n`);
+
+    const state = {
+      headName,
+      onto,
+      origHead,
+      steps: steps.map(({ action, oid, message }) => ({ action, oid, ...(message && { message }) })),
+      current: null
+    };
+
+    // Rewind the branch to the base, then replay the todo list on top of it
+    await git.writeRef({ fs, dir: repoPath, ref: headName, value: onto, force: true });
+    await applyTreeChanges(repoPath, origHead, onto);
+
+    let head;
+    try {
+      head = await runRebase(repoPath, state, committer);
+    } catch (err) {
+      if (err.code !== 'MergeConflictError') throw err;
+      return res.status(409).json({ error: err.message, conflicts: true, filepaths: err.data.filepaths, stopped: state.current });
+    }
+
+    res.json({ success: true, head });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get the in-progress rebase, if any
+app.post('/api/rebase/status', async (req, res) => {
+  try {
+    const { repoPath } = req.body;
+
+    const state = await readRebaseState(repoPath);
+    if (!state) {
+      return res.json({ inProgress: false });
+    }
+
+    res.json({
+      inProgress: true,
+      branch: state.headName.replace(/^refs\/heads\//, ''),
+      onto: state.onto,
+      origHead: state.origHead,
+      current: state.current,
+      remaining: state.steps,
+      conflicts: [...(await readConflictStages(repoPath)).keys()]
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Commit the resolved step the rebase stopped on and replay the rest
+app.post('/api/rebase/continue', journaled(() => 'Continue rebase'), async (req, res) => {
+  try {
+    const { repoPath, committer } = req.body;
+
+    if (!repoPath || !committer) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath and committer are required' });
+    }
+
+    const state = await readRebaseState(repoPath);
+    if (!state) {
+      return res.status(400).json({ error: 'No rebase in progress' });
+    }
+
+    const unresolved = [...(await readConflictStages(repoPath)).keys()];
+    if (unresolved.length > 0) {
+      return res.status(400).json({ error: `Unresolved conflicts: ${unresolved.join(', ')}`, filepaths: unresolved });
+    }
+
+    if (state.current && state.current.action !== 'drop') {
+      const { commit } = await git.readCommit({ fs, dir: repoPath, oid: state.current.oid });
+      const pickedOid = await git.commit({
         fs,
         dir: repoPath,
-        trees: [git.TREE({ ref: oid })],
-        map: async function(filepath, [entry]) {
-          if (filepath === '.') return;
-          const type = await entry.type();
-          if (type !== 'blob') return;
-          files.push({ filepath, status: 'added' });
-        }
+        message: commit.message,
+        author: commit.author,
+        committer
       });
+      await finishRebaseStep(repoPath, state.current, pickedOid, committer);
     }
 
-    res.json({
-      oid: oid,
-      message: commitData.message,
-      author: commitData.author,
-      committer: commitData.committer,
-      parents: commitData.parent || [],
-      files: files
-    });
+    let head;
+    try {
+      head = await runRebase(repoPath, state, committer);
+    } catch (err) {
+      if (err.code !== 'MergeConflictError') throw err;
+      return res.status(409).json({ error: err.message, conflicts: true, filepaths: err.data.filepaths, stopped: state.current });
+    }
+
+    res.json({ success: true, head });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// List all branches (local and remote)
-app.post('/api/branches', async (req, res) => {
+// Abort the in-progress rebase, putting the branch back where it started
+app.post('/api/rebase/abort', journaled(() => 'Abort rebase'), async (req, res) => {
   try {
     const { repoPath } = req.body;
 
-    const localBranches = await git.listBranches({ fs, dir: repoPath });
-    const remoteBranches = await git.listBranches({ fs, dir: repoPath, remote: 'origin' });
-    const currentBranch = await git.currentBranch({ fs, dir: repoPath, fullname: false });
+    const state = await readRebaseState(repoPath);
+    if (!state) {
+      return res.status(400).json({ error: 'No rebase in progress' });
+    }
 
-    // Get tracking information for local branches
-    const tracking = {};
-    for (const branch of localBranches) {
-      try {
-        const config = await git.getConfig({
-          fs,
-          dir: repoPath,
-          path: `branch.${branch}.remote`
-        });
+    await git.writeRef({ fs, dir: repoPath, ref: state.headName, value: state.origHead, force: true });
+    await git.checkout({
+      fs,
+      dir: repoPath,
+      ref: state.headName.replace(/^refs\/heads\//, ''),
+      force: true
+    });
+    await clearRebaseState(repoPath);
 
-        if (config) {
-          const remoteBranch = await git.getConfig({
-            fs,
-            dir: repoPath,
-            path: `branch.${branch}.merge`
-          });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-          if (remoteBranch) {
-            // Extract branch name from refs/heads/branchname
-            const remoteBranchName = remoteBranch.replace('refs/heads/', '');
-            tracking[branch] = `${config}/${remoteBranchName}`;
-          }
-        }
-      } catch (e) {
-        // Branch doesn't have tracking info
+// Cherry-pick commits onto the current branch, in the order given
+app.post('/api/cherry-pick', journaled(() => 'Cherry-pick'), async (req, res) => {
+  try {
+    const { repoPath, oids, committer } = req.body;
+
+    if (!repoPath || !Array.isArray(oids) || oids.length === 0 || !committer) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath, oids and committer are required' });
+    }
+
+    if (await readCherryPickState(repoPath)) {
+      return res.status(400).json({ error: 'A cherry-pick is already in progress' });
+    }
+    if (await readMergeState(repoPath) || await readRebaseState(repoPath)) {
+      return res.status(400).json({ error: 'A merge or rebase is in progress' });
+    }
+
+    const branch = await git.currentBranch({ fs, dir: repoPath, fullname: false });
+    if (!branch) {
+      return res.status(400).json({ error: 'Cannot cherry-pick onto a detached HEAD' });
+    }
+
+    for (const oid of oids) {
+      const { commit } = await git.readCommit({ fs, dir: repoPath, oid });
+      if (commit.parent.length !== 1) {
+        const kind = commit.parent.length === 0 ? 'the root commit' : 'merge commit';
+        return res.status(400).json({ error: `Cannot cherry-pick ${kind} ${oid.slice(0, 7)}` });
       }
     }
 
-    res.json({
-      local: localBranches,
-      remote: remoteBranches.map(b => `origin/${b}`),
-      current: currentBranch,
-      tracking: tracking
-    });
+    const dirty = await listLocalChanges(repoPath);
+    if (dirty.length > 0) {
+      return res.status(400).json({ error: `Commit or stash your changes before cherry-picking: ${dirty.join(', ')}` });
+    }
+
+    const head = await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' });
+    await fs.promises.mkdir(gitFile(repoPath, 'sequencer'), { recursive: true });
+    await fs.promises.writeFile(gitFile(repoPath, 'sequencer/head'), `${head}\n`);
+
+    let picked;
+    try {
+      picked = await runCherryPicks(repoPath, oids, committer);
+    } catch (err) {
+      if (err.code !== 'MergeConflictError') throw err;
+      return res.status(409).json({
+        error: err.message,
+        conflicts: true,
+        filepaths: err.data.filepaths,
+        picked: err.data.picked,
+        stopped: (await readCherryPickState(repoPath)).current
+      });
+    }
+
+    res.json({ success: true, picked });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get the in-progress cherry-pick, if any
+app.post('/api/cherry-pick/status', async (req, res) => {
+  try {
+    const { repoPath } = req.body;
+
+    const state = await readCherryPickState(repoPath);
+    if (!state) {
+      return res.json({ inProgress: false });
+    }
+
+    res.json({
+      inProgress: true,
+      current: state.current,
+      remaining: state.remaining,
+      conflicts: [...(await readConflictStages(repoPath)).keys()]
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Commit the resolved pick with its original author and pick the remaining commits
+app.post('/api/cherry-pick/continue', journaled(() => 'Continue cherry-pick'), async (req, res) => {
+  try {
+    const { repoPath, committer } = req.body;
+
+    if (!repoPath || !committer) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath and committer are required' });
+    }
+
+    const state = await readCherryPickState(repoPath);
+    if (!state) {
+      return res.status(400).json({ error: 'No cherry-pick in progress' });
+    }
+
+    const unresolved = [...(await readConflictStages(repoPath)).keys()];
+    if (unresolved.length > 0) {
+      return res.status(400).json({ error: `Unresolved conflicts: ${unresolved.join(', ')}`, filepaths: unresolved });
+    }
+
+    const { commit } = await git.readCommit({ fs, dir: repoPath, oid: state.current });
+    const sha = await git.commit({
+      fs,
+      dir: repoPath,
+      message: commit.message,
+      author: commit.author,
+      committer
+    });
+
+    let picked;
+    try {
+      picked = [sha, ...await runCherryPicks(repoPath, state.remaining, committer)];
+    } catch (err) {
+      if (err.code !== 'MergeConflictError') throw err;
+      return res.status(409).json({
+        error: err.message,
+        conflicts: true,
+        filepaths: err.data.filepaths,
+        picked: [sha, ...err.data.picked],
+        stopped: (await readCherryPickState(repoPath)).current
+      });
+    }
+
+    res.json({ success: true, picked });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Abort the in-progress cherry-pick, returning the branch to where it started
+app.post('/api/cherry-pick/abort', journaled(() => 'Abort cherry-pick'), async (req, res) => {
+  try {
+    const { repoPath } = req.body;
+
+    const state = await readCherryPickState(repoPath);
+    if (!state) {
+      return res.status(400).json({ error: 'No cherry-pick in progress' });
+    }
+
+    const branch = await git.currentBranch({ fs, dir: repoPath, fullname: false });
+    if (state.head) {
+      await git.writeRef({ fs, dir: repoPath, ref: `refs/heads/${branch}`, value: state.head, force: true });
+    }
+    await git.checkout({ fs, dir: repoPath, ref: branch, force: true });
+    await clearCherryPickState(repoPath);
+
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Create new branch
-app.post('/api/branch/create', async (req, res) => {
+// Revert a commit on the current branch. `mainline` picks the parent (1-based) to keep for merge commits.
+app.post('/api/revert', journaled(body => `Revert ${String(body.oid).slice(0, 7)}`), async (req, res) => {
   try {
-    const { repoPath, branchName, checkout = false } = req.body;
-    
-    await git.branch({ fs, dir: repoPath, ref: branchName });
-    
-    if (checkout) {
-      await git.checkout({ fs, dir: repoPath, ref: branchName });
+    const { repoPath, oid, mainline, author } = req.body;
+
+    if (!repoPath || !oid || !author) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath, oid and author are required' });
     }
-    
-    res.json({ success: true, branch: branchName });
+
+    if (await readMergeState(repoPath) || await readRebaseState(repoPath) ||
+        await readCherryPickState(repoPath) || await readRevertState(repoPath)) {
+      return res.status(400).json({ error: 'Another merge, rebase, cherry-pick or revert is in progress' });
+    }
+
+    const { commit } = await git.readCommit({ fs, dir: repoPath, oid });
+    if (commit.parent.length > 1 && !mainline) {
+      return res.status(400).json({ error: `${oid.slice(0, 7)} is a merge commit; choose which parent is the mainline` });
+    }
+    if (mainline && !(mainline >= 1 && mainline <= commit.parent.length)) {
+      return res.status(400).json({ error: `Invalid mainline parent: ${mainline}` });
+    }
+
+    const dirty = await listLocalChanges(repoPath);
+    if (dirty.length > 0) {
+      return res.status(400).json({ error: `Commit or stash your changes before reverting: ${dirty.join(', ')}` });
+    }
+
+    const message = revertMessage(oid, commit, commit.parent.length > 1 ? commit.parent[mainline - 1] : null);
+
+    let sha;
+    try {
+      sha = await revertCommit(repoPath, { oid, mainline, message, author });
+    } catch (err) {
+      if (err.code !== 'MergeConflictError') throw err;
+      return res.status(409).json({ error: err.message, conflicts: true, filepaths: err.data.filepaths });
+    }
+
+    res.json({ success: true, sha, message });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Checkout branch
-app.post('/api/branch/checkout', async (req, res) => {
+// Get the in-progress revert, if any
+app.post('/api/revert/status', async (req, res) => {
   try {
-    const { repoPath, branchName } = req.body;
-    
-    await git.checkout({ fs, dir: repoPath, ref: branchName });
-    
-    res.json({ success: true, branch: branchName });
+    const { repoPath } = req.body;
+
+    const state = await readRevertState(repoPath);
+    res.json({
+      inProgress: Boolean(state),
+      reverted: state ? state.reverted : null,
+      message: state ? cleanMessage(state.message) : null
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Delete branch
-app.post('/api/branch/delete', async (req, res) => {
+// Commit the resolved revert
+app.post('/api/revert/continue', journaled(() => 'Commit revert'), async (req, res) => {
   try {
-    const { repoPath, branchName } = req.body;
-    
-    await git.deleteBranch({ fs, dir: repoPath, ref: branchName });
-    
-    res.json({ success: true });
+    const { repoPath, message, author } = req.body;
+
+    if (!repoPath || !author) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath and author are required' });
+    }
+
+    const state = await readRevertState(repoPath);
+    if (!state) {
+      return res.status(400).json({ error: 'No revert in progress' });
+    }
+
+    const unresolved = [...(await readConflictStages(repoPath)).keys()];
+    if (unresolved.length > 0) {
+      return res.status(400).json({ error: `Unresolved conflicts: ${unresolved.join(', ')}`, filepaths: unresolved });
+    }
+
+    const sha = await git.commit({
+      fs,
+      dir: repoPath,
+      message: message || cleanMessage(state.message),
+      author: {
+        name: author.name,
+        email: author.email
+      }
+    });
+    await clearRevertState(repoPath);
+
+    res.json({ success: true, sha });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get file status
-app.post('/api/status', async (req, res) => {
+// Abort the in-progress revert, restoring the index and working tree to HEAD
+app.post('/api/revert/abort', journaled(() => 'Abort revert'), async (req, res) => {
   try {
     const { repoPath } = req.body;
-    
-    const FILE = 0, HEAD = 1, WORKDIR = 2, STAGE = 3;
-    const matrix = await git.statusMatrix({ fs, dir: repoPath });
-    
-    const status = {
-      modified: [],
-      added: [],
-      deleted: [],
-      untracked: []
-    };
 
-    for (const [filepath, headStatus, workdirStatus, stageStatus] of matrix) {
-      if (headStatus === 1 && workdirStatus === 2 && stageStatus === 1) {
-        status.modified.push(filepath);
-      } else if (headStatus === 0 && workdirStatus === 2 && stageStatus === 0) {
-        status.untracked.push(filepath);
-      } else if (headStatus === 0 && workdirStatus === 2 && stageStatus === 2) {
-        status.added.push(filepath);
-      } else if (headStatus === 1 && workdirStatus === 0 && stageStatus === 1) {
-        status.deleted.push(filepath);
-      } else if (headStatus === 1 && workdirStatus === 2 && stageStatus === 2) {
-        status.modified.push(filepath);
-      }
+    if (!await readRevertState(repoPath)) {
+      return res.status(400).json({ error: 'No revert in progress' });
     }
 
-    res.json(status);
+    const branch = await git.currentBranch({ fs, dir: repoPath, fullname: false });
+    await git.checkout({
+      fs,
+      dir: repoPath,
+      ref: branch || await git.resolveRef({ fs, dir: repoPath, ref: 'HEAD' }),
+      force: true
+    });
+    await clearRevertState(repoPath);
+
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Stage files
-app.post('/api/add', async (req, res) => {
+// Stash the index and working tree, optionally with untracked files
+app.post('/api/stash/save', journaled(() => 'Stash changes', { untracked: true }), async (req, res) => {
   try {
-    const { repoPath, filepath } = req.body;
-    
-    await git.add({ fs, dir: repoPath, filepath });
-    
-    res.json({ success: true });
+    const { repoPath, message, includeUntracked = false, author } = req.body;
+
+    if (!repoPath || !author) {
+      return res.status(400).json({ error: 'Missing required parameters: repoPath and author are required' });
+    }
+
+    const entry = await saveStash(repoPath, { message, includeUntracked, author });
+    if (!entry) {
+      return res.status(400).json({ error: 'No local changes to save' });
+    }
+
+    res.json({ success: true, ...entry });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Unstage files
-app.post('/api/reset', async (req, res) => {
+// List stash entries, newest first
+app.post('/api/stash/list', async (req, res) => {
   try {
-    const { repoPath, filepath } = req.body;
-    
-    await git.resetIndex({ fs, dir: repoPath, filepath });
-    
-    res.json({ success: true });
+    const { repoPath } = req.body;
+
+    res.json({ stashes: await readStashList(repoPath) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Commit
-app.post('/api/commit', async (req, res) => {
+// Get the changes saved in a stash entry, with line-level diffs
+app.post('/api/stash/show', async (req, res) => {
   try {
-    const { repoPath, message, author } = req.body;
-    
-    const sha = await git.commit({
-      fs,
-      dir: repoPath,
-      message,
-      author: {
-        name: author.name,
-        email: author.email
-      }
-    });
-    
-    res.json({ success: true, sha });
+    const { repoPath, index = 0 } = req.body;
+
+    const entry = (await readStashList(repoPath))[index];
+    if (!entry) {
+      return res.status(400).json({ error: `stash@{${index}} does not exist` });
+    }
+
+    const { commit } = await git.readCommit({ fs, dir: repoPath, oid: entry.oid });
+    const [baseOid, , untrackedOid] = commit.parent;
+    const files = [];
+
+    const collect = async (fromOid, toOid, untracked) => {
+      const trees = [git.TREE({ ref: toOid })];
+      if (fromOid) trees.unshift(git.TREE({ ref: fromOid }));
+      await git.walk({
+        fs,
+        dir: repoPath,
+        trees,
+        map: async function(filepath, entries) {
+          if (filepath === '.') return;
+          const [from, to] = fromOid ? entries : [null, entries[0]];
+          const fromBlob = await blobOidOf(from);
+          const toBlob = await blobOidOf(to);
+          if (fromBlob === toBlob) return;
+
+          const oldBlob = fromBlob ? (await git.readBlob({ fs, dir: repoPath, oid: fromBlob })).blob : null;
+          const newBlob = toBlob ? (await git.readBlob({ fs, dir: repoPath, oid: toBlob })).blob : null;
+          const status = !fromBlob ? 'added' : !toBlob ? 'deleted' : 'modified';
+          files.push({ filepath, status, untracked, ...diffBlobs(oldBlob, newBlob) });
+        }
+      });
+    };
+
+    await collect(baseOid, entry.oid, false);
+    if (untrackedOid) await collect(null, untrackedOid, true);
+
+    res.json({ ...entry, files });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Merge
-app.post('/api/merge', async (req, res) => {
+// Apply a stash entry to the working tree, dropping it afterwards if asked and it applied cleanly
+async function applyStashEntry(req, res, { drop }) {
   try {
-    const { repoPath, theirBranch } = req.body;
-    
-    const result = await git.merge({
-      fs,
-      dir: repoPath,
-      ours: await git.currentBranch({ fs, dir: repoPath, fullname: false }),
-      theirs: theirBranch,
-      author: {
-        name: 'Git Client User',
-        email: 'user@localhost'
+    const { repoPath, index = 0 } = req.body;
+
+    const entry = (await readStashList(repoPath))[index];
+    if (!entry) {
+      return res.status(400).json({ error: `stash@{${index}} does not exist` });
+    }
+
+    let filepaths;
+    try {
+      filepaths = await applyStash(repoPath, entry.oid);
+    } catch (err) {
+      if (err.code === 'StashApplyError') {
+        return res.status(400).json({ error: err.message });
       }
-    });
-    
-    res.json({ success: true, result });
+      if (err.code === 'MergeConflictError') {
+        // Like git, a stash that conflicts is kept even when popping
+        return res.status(409).json({ error: err.message, conflicts: true, filepaths: err.data.filepaths });
+      }
+      throw err;
+    }
+
+    if (drop) {
+      await dropStash(repoPath, index);
+    }
+
+    res.json({ success: true, filepaths });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// Apply a stash entry, keeping it
+app.post('/api/stash/apply', journaled(body => `Apply stash@{${body.index || 0}}`), (req, res) =>
+  applyStashEntry(req, res, { drop: false }));
+
+// Apply a stash entry and drop it, unless it conflicted
+app.post('/api/stash/pop', journaled(body => `Pop stash@{${body.index || 0}}`), (req, res) =>
+  applyStashEntry(req, res, { drop: true }));
+
+// Drop a stash entry
+app.post('/api/stash/drop', journaled(body => `Drop stash@{${body.index || 0}}`), async (req, res) => {
+  try {
+    const { repoPath, index = 0 } = req.body;
+
+    if (!(await readStashList(repoPath))[index]) {
+      return res.status(400).json({ error: `stash@{${index}} does not exist` });
+    }
+
+    await dropStash(repoPath, index);
+    res.json({ success: true });
   } catch (err) {
-    res.status(500).json({ error: err.message, conflicts: true });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Fetch
+// Fetch from one remote, or from every remote with `all`
 app.post('/api/fetch', async (req, res) => {
   try {
-    const { repoPath, remote = 'origin', credentials } = req.body;
-    
-    const result = await git.fetch({
-      fs,
-      http,
-      dir: repoPath,
-      remote,
-      ...(credentials && {
-        onAuth: () => credentials
-      })
-    });
+    const { repoPath, remote = 'origin', all = false, credentials } = req.body;
+
+    const remotes = all
+      ? (await git.listRemotes({ fs, dir: repoPath })).map(r => r.remote)
+      : [remote];
+
+    const results = [];
+    for (const name of remotes) {
+      results.push(await git.fetch({
+        fs,
+        http,
+        dir: repoPath,
+        remote: name,
+        ...(credentials && {
+          onAuth: () => credentials
+        })
+      }));
+    }
     
-    res.json({ success: true, result });
+    res.json({ success: true, result: results[0], ...(all && { results, remotes }) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Pull
-app.post('/api/pull', async (req, res) => {
+app.post('/api/pull', journaled(() => 'Pull'), async (req, res) => {
   try {
-    const { repoPath, remote = 'origin', credentials } = req.body;
+    const { repoPath, credentials, mode = 'ff', message, author } = req.body;
+
+    if (!MERGE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Unknown merge mode: ${mode}` });
+    }
     
     const currentBranch = await git.currentBranch({ fs, dir: repoPath, fullname: false });
+
+    // Pull from the branch's upstream unless another remote is asked for
+    const upstream = await readUpstream(repoPath, currentBranch);
+    const remote = req.body.remote || (upstream ? upstream.remote : 'origin');
+    const remoteBranch = upstream && upstream.remote === remote ? upstream.branch : currentBranch;
     
     // Fetch first
     await git.fetch({
@@ -402,39 +4567,149 @@ app.post('/api/pull', async (req, res) => {
     });
     
     // Then merge
-    await git.merge({
-      fs,
-      dir: repoPath,
-      ours: currentBranch,
-      theirs: `${remote}/${currentBranch}`,
-      author: {
-        name: 'Git Client User',
-        email: 'user@localhost'
+    let result;
+    try {
+      result = await mergeIntoCurrent(repoPath, {
+        theirs: `${remote}/${remoteBranch}`,
+        mode,
+        message,
+        author
+      });
+    } catch (err) {
+      if (err.code === 'LocalChangesError') {
+        return res.status(400).json({ error: err.message });
       }
-    });
+      if (err.code !== 'MergeConflictError') throw err;
+      return res.status(409).json({ error: err.message, conflicts: true, filepaths: err.data.filepaths });
+    }
     
-    res.json({ success: true });
+    res.json({ success: true, result });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Push
+// Push the current branch to its upstream remote, or to the given one. With
+// `setUpstream` the branch is pushed under its own name and then tracks it.
 app.post('/api/push', async (req, res) => {
   try {
-    const { repoPath, remote = 'origin', credentials } = req.body;
+    const { repoPath, credentials, setUpstream = false } = req.body;
+
+    const currentBranch = await git.currentBranch({ fs, dir: repoPath, fullname: false });
+    const upstream = await readUpstream(repoPath, currentBranch);
+    const remote = req.body.remote || (upstream ? upstream.remote : 'origin');
     
     const result = await git.push({
       fs,
       http,
       dir: repoPath,
       remote,
+      ...(setUpstream && { ref: currentBranch, remoteRef: currentBranch }),
       ...(credentials && {
         onAuth: () => credentials
       })
     });
+
+    if (setUpstream) {
+      await git.setConfig({ fs, dir: repoPath, path: `branch.${currentBranch}.remote`, value: remote });
+      await git.setConfig({ fs, dir: repoPath, path: `branch.${currentBranch}.merge`, value: `refs/heads/${currentBranch}` });
+    }
     
-    res.json({ success: true, result });
+    res.json({ success: true, result, ...(setUpstream && { upstream: `${remote}/${currentBranch}` }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List configured remotes
+app.post('/api/remotes', async (req, res) => {
+  try {
+    const { repoPath } = req.body;
+
+    res.json({ remotes: await git.listRemotes({ fs, dir: repoPath }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add a remote
+app.post('/api/remote/add', async (req, res) => {
+  try {
+    const { repoPath, name, url } = req.body;
+
+    if (!name || !url) {
+      return res.status(400).json({ error: 'Missing required parameters: name and url are required' });
+    }
+    if (await remoteExists(repoPath, name)) {
+      return res.status(400).json({ error: `Remote '${name}' already exists` });
+    }
+
+    await git.addRemote({ fs, dir: repoPath, remote: name, url });
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove a remote with its remote-tracking branches; branches tracking it stop tracking
+app.post('/api/remote/remove', async (req, res) => {
+  try {
+    const { repoPath, name } = req.body;
+
+    if (!(await remoteExists(repoPath, name))) {
+      return res.status(400).json({ error: `No such remote: ${name}` });
+    }
+
+    await moveRemoteRefs(repoPath, name, null);
+    await retargetUpstreams(repoPath, name, null);
+    await git.deleteRemote({ fs, dir: repoPath, remote: name });
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename a remote, moving its remote-tracking branches and the branches tracking it
+app.post('/api/remote/rename', async (req, res) => {
+  try {
+    const { repoPath, name, newName } = req.body;
+
+    if (!name || !newName) {
+      return res.status(400).json({ error: 'Missing required parameters: name and newName are required' });
+    }
+    if (!(await remoteExists(repoPath, name))) {
+      return res.status(400).json({ error: `No such remote: ${name}` });
+    }
+    if (await remoteExists(repoPath, newName)) {
+      return res.status(400).json({ error: `Remote '${newName}' already exists` });
+    }
+
+    await renameRemoteConfig(repoPath, name, newName);
+    await moveRemoteRefs(repoPath, name, newName);
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change the URL of a remote
+app.post('/api/remote/set-url', async (req, res) => {
+  try {
+    const { repoPath, name, url } = req.body;
+
+    if (!name || !url) {
+      return res.status(400).json({ error: 'Missing required parameters: name and url are required' });
+    }
+    if (!(await remoteExists(repoPath, name))) {
+      return res.status(400).json({ error: `No such remote: ${name}` });
+    }
+
+    await git.setConfig({ fs, dir: repoPath, path: `remote.${name}.url`, value: url });
+
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1,4 +1,8 @@
 const request = require('supertest');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 // Mock isomorphic-git before requiring the app
 jest.mock('isomorphic-git', () => ({
@@ -9,6 +13,8 @@ jest.mock('isomorphic-git', () => ({
   readCommit: jest.fn(),
   walk: jest.fn(),
   TREE: jest.fn((opts) => opts),
+  STAGE: jest.fn(() => 'stage'),
+  WORKDIR: jest.fn(() => 'workdir'),
   branch: jest.fn(),
   checkout: jest.fn(),
   deleteBranch: jest.fn(),
@@ -22,6 +28,25 @@ jest.mock('isomorphic-git', () => ({
   push: jest.fn(),
   clone: jest.fn(),
   listRemotes: jest.fn(),
+  readBlob: jest.fn(),
+  readTree: jest.fn(),
+  writeBlob: jest.fn(),
+  updateIndex: jest.fn(),
+  remove: jest.fn(),
+  findMergeBase: jest.fn(),
+  cherryPick: jest.fn(),
+  writeRef: jest.fn(),
+  writeCommit: jest.fn(),
+  writeTree: jest.fn(),
+  deleteRef: jest.fn(),
+  listTags: jest.fn(),
+  readTag: jest.fn(),
+  tag: jest.fn(),
+  annotatedTag: jest.fn(),
+  deleteTag: jest.fn(),
+  addRemote: jest.fn(),
+  deleteRemote: jest.fn(),
+  setConfig: jest.fn(),
 }));
 
 const git = require('isomorphic-git');
@@ -32,35 +57,82 @@ describe('Git Client API', () => {
     jest.clearAllMocks();
   });
 
+  // Create an empty repository directory with a .git folder on disk
+  const createTempRepo = () => {
+    const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'git-client-test-'));
+    fs.mkdirSync(path.join(repoPath, '.git'));
+    return repoPath;
+  };
+
+  // Write a minimal version 2 .git/index holding the given entries
+  const writeIndex = (repoPath, entries) => {
+    const chunks = entries.map(({ filepath, oid, stage = 0 }) => {
+      const name = Buffer.from(filepath);
+      const entry = Buffer.alloc(Math.ceil((62 + name.length + 1) / 8) * 8);
+      entry.writeUInt32BE(0o100644, 24);
+      Buffer.from(oid, 'hex').copy(entry, 40);
+      entry.writeUInt16BE((stage << 12) | name.length, 60);
+      name.copy(entry, 62);
+      return entry;
+    });
+    const header = Buffer.alloc(12);
+    header.write('DIRC');
+    header.writeUInt32BE(2, 4);
+    header.writeUInt32BE(entries.length, 8);
+    fs.writeFileSync(path.join(repoPath, '.git', 'index'), Buffer.concat([header, ...chunks]));
+  };
+
+  const BASE_OID = '1'.repeat(40);
+  const OURS_OID = '2'.repeat(40);
+  const THEIRS_OID = '3'.repeat(40);
+
+  // Simulate an index holding a single staged file
+  const mockIndex = (filepath, oid, mode = 0o100644) => {
+    git.walk.mockImplementation(async ({ map }) => {
+      const parts = filepath.split('/');
+      for (let i = 0; i <= parts.length; i++) {
+        const entryPath = i === 0 ? '.' : parts.slice(0, i).join('/');
+        const entry = { oid: async () => oid, mode: async () => mode };
+        if ((await map(entryPath, [entry])) === null) break;
+      }
+    });
+  };
+
   // ============================================
   // POST /api/log
   // ============================================
   describe('POST /api/log', () => {
-    it('should return commits with branch information', async () => {
-      const mockCommit = {
-        oid: 'abc123',
-        commit: {
-          message: 'Initial commit',
-          author: { name: 'Test', email: 'test@test.com', timestamp: 1700000000 },
-          committer: { name: 'Test', email: 'test@test.com', timestamp: 1700000000 },
-          parent: [],
-        },
-      };
+    const notFound = () => Object.assign(new Error('not found'), { code: 'NotFoundError' });
+    const mockCommits = (history) => {
+      git.readCommit.mockImplementation(async ({ oid }) => {
+        if (!history[oid]) throw notFound();
+        const person = { name: 'Test', email: 'test@test.com', timestamp: history[oid].time };
+        return { oid, commit: { parent: history[oid].parent, message: `${oid}\n`, author: person, committer: person } };
+      });
+    };
+
+    beforeEach(() => {
+      git.listTags.mockResolvedValue([]);
+      git.listRemotes.mockResolvedValue([{ remote: 'origin', url: 'https://example.com/repo.git' }]);
+    });
 
+    it('should return commits with branch information', async () => {
       git.listBranches
         .mockResolvedValueOnce(['main'])
         .mockResolvedValueOnce(['main']);
-      git.log.mockResolvedValue([mockCommit]);
       git.resolveRef.mockResolvedValue('abc123');
+      mockCommits({ abc123: { parent: [], time: 1700000000 } });
 
       const res = await request(app)
         .post('/api/log')
-        .send({ repoPath: '/test/repo', depth: 10 });
+        .send({ repoPath: '/test/log-branches', depth: 10 });
 
       expect(res.status).toBe(200);
       expect(res.body.commits).toHaveLength(1);
       expect(res.body.commits[0].oid).toBe('abc123');
       expect(res.body.commits[0].branches).toContain('main');
+      expect(res.body.commits[0].remoteBranches).toContain('origin/main');
+      expect(res.body.cursor).toBeNull();
     });
 
     it('should handle git errors gracefully', async () => {
@@ -74,17 +146,332 @@ describe('Git Client API', () => {
       expect(res.body.error).toBe('Not a git repository');
     });
 
-    it('should use default depth of 100', async () => {
-      git.listBranches
-        .mockResolvedValueOnce([])
-        .mockResolvedValueOnce([]);
+    it('should label commits with the tags that point at them', async () => {
+      git.listBranches.mockResolvedValue([]);
+      git.listTags.mockResolvedValue(['v1.0', 'latest']);
+      git.resolveRef.mockImplementation(async ({ ref }) => {
+        if (ref === 'HEAD') throw notFound();
+        return ref === 'refs/tags/v1.0' ? 'tagobject1' : 'abc123';
+      });
+      git.readTag.mockImplementation(async ({ oid }) => {
+        if (oid === 'tagobject1') return { oid, tag: { object: 'abc123', type: 'commit', message: 'Release 1.0\n' } };
+        throw Object.assign(new Error('not a tag'), { code: 'ObjectTypeError' });
+      });
+      mockCommits({ abc123: { parent: [], time: 1700000000 } });
 
       const res = await request(app)
         .post('/api/log')
-        .send({ repoPath: '/test/repo' });
+        .send({ repoPath: '/test/log-tags' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.commits.map(commit => commit.oid)).toEqual(['abc123']);
+      expect(res.body.commits[0].tags).toEqual(['v1.0', 'latest']);
+    });
+
+    it('should list every ref in topological order a page at a time', async () => {
+      // root <- a <- merge (main)
+      //      <- b <-
+      //      <- c (feature, dated before root by a skewed clock)
+      git.listBranches.mockImplementation(async ({ remote }) => (remote ? [] : ['main', 'feature']));
+      git.resolveRef.mockImplementation(async ({ ref }) => ({ HEAD: 'merge', main: 'merge', feature: 'c' })[ref]);
+      mockCommits({
+        root: { parent: [], time: 1000 },
+        a: { parent: ['root'], time: 2000 },
+        b: { parent: ['root'], time: 3000 },
+        merge: { parent: ['a', 'b'], time: 4000 },
+        c: { parent: ['root'], time: 500 },
+      });
+
+      const first = await request(app)
+        .post('/api/log')
+        .send({ repoPath: '/test/log-pages', depth: 2 });
+
+      expect(first.status).toBe(200);
+      expect(first.body.commits.map(commit => commit.oid)).toEqual(['merge', 'b']);
+      expect(first.body.cursor).toEqual(expect.any(String));
+
+      const second = await request(app)
+        .post('/api/log')
+        .send({ repoPath: '/test/log-pages', depth: 2, cursor: first.body.cursor });
+
+      expect(second.body.commits.map(commit => commit.oid)).toEqual(['a', 'c']);
+
+      const third = await request(app)
+        .post('/api/log')
+        .send({ repoPath: '/test/log-pages', depth: 2, cursor: second.body.cursor });
+
+      expect(third.body.commits.map(commit => commit.oid)).toEqual(['root']);
+      expect(third.body.cursor).toBeNull();
+    });
+
+    it('should lay out the graph lanes, carrying them over from one page to the next', async () => {
+      git.listBranches.mockImplementation(async ({ remote }) => (remote ? [] : ['main', 'feature']));
+      git.resolveRef.mockImplementation(async ({ ref }) => ({ HEAD: 'merge', main: 'merge', feature: 'c' })[ref]);
+      mockCommits({
+        root: { parent: [], time: 1000 },
+        a: { parent: ['root'], time: 2000 },
+        b: { parent: ['root'], time: 3000 },
+        merge: { parent: ['a', 'b'], time: 4000 },
+        c: { parent: ['root'], time: 500 },
+      });
+
+      const first = await request(app)
+        .post('/api/log')
+        .send({ repoPath: '/test/log-layout', depth: 3 });
+      const second = await request(app)
+        .post('/api/log')
+        .send({ repoPath: '/test/log-layout', depth: 3, cursor: first.body.cursor });
+
+      const rows = [...first.body.commits, ...second.body.commits].map(commit => [commit.oid, commit.graph]);
+      expect(rows).toEqual([
+        ['merge', { lane: 0, into: [], out: [0, 1], through: [], columns: 2 }],
+        ['b', { lane: 1, into: [1], out: [1], through: [0], columns: 2 }],
+        // a joins the lane already waiting for root, and c reuses the lane a freed
+        ['a', { lane: 0, into: [0], out: [1], through: [1], columns: 2 }],
+        ['c', { lane: 0, into: [], out: [1], through: [1], columns: 2 }],
+        ['root', { lane: 1, into: [1], out: [], through: [], columns: 2 }],
+      ]);
+    });
+
+    it('should return an empty log for a repository without commits', async () => {
+      git.listBranches.mockResolvedValue([]);
+      git.resolveRef.mockRejectedValue(notFound());
+
+      const res = await request(app)
+        .post('/api/log')
+        .send({ repoPath: '/test/log-empty' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ commits: [], cursor: null });
+    });
+
+    it('should return 400 for an invalid cursor or one from before the branches moved', async () => {
+      git.listBranches.mockResolvedValue([]);
+      git.resolveRef.mockRejectedValue(notFound());
+
+      const invalid = await request(app)
+        .post('/api/log')
+        .send({ repoPath: '/test/log-cursor', cursor: 'not a cursor' });
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toBe('Invalid cursor');
+
+      const stale = await request(app)
+        .post('/api/log')
+        .send({
+          repoPath: '/test/log-cursor',
+          cursor: Buffer.from(JSON.stringify({ key: 'gone', offset: 10 })).toString('base64url'),
+        });
+
+      expect(stale.status).toBe(400);
+      expect(stale.body.error).toContain('reload');
+    });
+  });
+
+  // ============================================
+  // POST /api/search
+  // ============================================
+  describe('POST /api/search', () => {
+    // c1 <- c2 <- c3 (main)
+    //          <- c4 (feature)
+    const history = {
+      c1: { parent: [], time: 100, message: 'Initial commit\n', author: 'Alice', tree: { 'a.txt': 'x1' } },
+      c2: { parent: ['c1'], time: 200, message: 'Fix parser bug\n', author: 'Bob', tree: { 'a.txt': 'x1', 'src/parser.js': 'p1' } },
+      c3: { parent: ['c2'], time: 300, message: 'Add docs\n', author: 'Alice', tree: { 'a.txt': 'x2', 'src/parser.js': 'p1' } },
+      c4: { parent: ['c2'], time: 400, message: 'fix lexer bug\n', author: 'Carol', tree: { 'a.txt': 'x1', 'src/parser.js': 'p2' } },
+      c5: { parent: ['c3'], time: 500, message: 'Fix on a detached HEAD\n', author: 'Dave', tree: { 'a.txt': 'x2', 'src/parser.js': 'p1' } },
+    };
+
+    beforeEach(() => {
+      git.listBranches.mockImplementation(async ({ remote }) => (remote ? [] : ['main', 'feature']));
+      git.listRemotes.mockResolvedValue([]);
+      git.listTags.mockResolvedValue([]);
+      git.resolveRef.mockImplementation(async ({ ref }) => ({ main: 'c3', feature: 'c4' })[ref]);
+      git.readCommit.mockImplementation(async ({ oid }) => {
+        const { parent, time, message, author } = history[oid];
+        const person = { name: author, email: `${author.toLowerCase()}@test.com`, timestamp: time };
+        return { oid, commit: { parent, message, author: person, committer: person } };
+      });
+      // The src directory's tree oid changes with the files in it
+      git.readTree.mockImplementation(async ({ oid, filepath }) => {
+        const files = Object.entries(history[oid].tree)
+          .filter(([file]) => (filepath ? file.startsWith(`${filepath}/`) : !file.includes('/')));
+        const tree = files.map(([file, blob]) => ({ path: file.split('/').pop(), oid: blob }));
+        const parser = history[oid].tree['src/parser.js'];
+        if (!filepath && parser) tree.push({ path: 'src', oid: `src:${parser}` });
+        return { oid: `tree:${oid}:${filepath}`, tree };
+      });
+    });
+
+    const search = query => request(app).post('/api/search').send({ repoPath: '/test/repo', ...query });
+    const oids = res => res.body.commits.map(commit => commit.oid);
+
+    it('should match message text case-insensitively across all branches, newest first', async () => {
+      const res = await search({ message: 'FIX' });
+
+      expect(res.status).toBe(200);
+      expect(oids(res)).toEqual(['c4', 'c2']);
+      expect(res.body.commits[0].branches).toEqual(['feature']);
+      expect(res.body.hasMore).toBe(false);
+    });
+
+    it('should match a regex against each line of the message', async () => {
+      const res = await search({ message: '^add|^initial', regex: true });
+
+      expect(oids(res)).toEqual(['c3', 'c1']);
+    });
+
+    it('should filter by author, date range and SHA prefix', async () => {
+      expect(oids(await search({ author: 'alice@' }))).toEqual(['c3', 'c1']);
+      expect(oids(await search({ since: 150, until: 350 }))).toEqual(['c3', 'c2']);
+      expect(oids(await search({ sha: 'C2' }))).toEqual(['c2']);
+    });
+
+    it('should match commits that changed a file or directory', async () => {
+      expect(oids(await search({ path: 'a.txt' }))).toEqual(['c3', 'c1']);
+      expect(oids(await search({ path: 'src' }))).toEqual(['c4', 'c2']);
+    });
+
+    it('should return results a page at a time', async () => {
+      const first = await search({ limit: 3 });
+      expect(oids(first)).toEqual(['c4', 'c3', 'c2']);
+      expect(first.body).toMatchObject({ hasMore: true, nextOffset: 3 });
+
+      const second = await search({ limit: 3, offset: 3 });
+      expect(oids(second)).toEqual(['c1']);
+      expect(second.body).toMatchObject({ hasMore: false, nextOffset: null });
+    });
+
+    it('should search commits reachable only from a detached HEAD', async () => {
+      git.resolveRef.mockImplementation(async ({ ref }) => ({ HEAD: 'c5', main: 'c3', feature: 'c4' })[ref]);
+
+      expect(oids(await search({ message: 'fix' }))).toEqual(['c5', 'c4', 'c2']);
+    });
+
+    it('should only look among the commits the log listed before a cursor', async () => {
+      const repoPath = '/test/search-before';
+      const log = await request(app).post('/api/log').send({ repoPath, depth: 2 });
+      expect(log.body.commits.map(commit => commit.oid)).toEqual(['c4', 'c3']);
+      git.readCommit.mockClear();
+
+      const res = await request(app)
+        .post('/api/search')
+        .send({ repoPath, message: 'fix', before: log.body.cursor });
+
+      expect(res.status).toBe(200);
+      expect(oids(res)).toEqual(['c4']);
+      expect(res.body).toMatchObject({ hasMore: false, nextOffset: null });
+      // Only the tips are read again; the listed commits come from the log's walk
+      expect(git.readCommit.mock.calls.map(([{ oid }]) => oid).sort()).toEqual(['c3', 'c4']);
+    });
+
+    it('should return 400 for a cursor that cannot be followed', async () => {
+      const res = await search({ message: 'fix', before: 'not a cursor' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid cursor');
+    });
+
+    it('should return 400 for an invalid regex or date', async () => {
+      const regex = await search({ message: '(', regex: true });
+      expect(regex.status).toBe(400);
+      expect(regex.body.error).toMatch(/^Invalid regular expression: /);
+      expect(regex.body.error.match(/Invalid regular expression/g)).toHaveLength(1);
+
+      const date = await search({ since: 'not a date' });
+      expect(date.status).toBe(400);
+      expect(date.body.error).toContain('Invalid date');
+    });
+  });
+
+  // ============================================
+  // POST /api/file-history
+  // ============================================
+  describe('POST /api/file-history', () => {
+    // one <- other <- edit <- rename (a.txt -> b.txt) <- merge
+    //                       <- side (edits b.txt)     <-
+    const history = {
+      one: { parent: [], time: 1, files: { 'a.txt': 'a\nb\nc\nd\n' } },
+      other: { parent: ['one'], time: 2, files: { 'a.txt': 'a\nb\nc\nd\n', 'x.txt': 'x\n' } },
+      edit: { parent: ['other'], time: 3, files: { 'a.txt': 'a\nB\nc\nd\n', 'x.txt': 'x\n' } },
+      rename: { parent: ['edit'], time: 4, files: { 'b.txt': 'a\nB\nc\nd\ne\n', 'x.txt': 'x\n' } },
+      side: { parent: ['rename'], time: 5, files: { 'b.txt': 'z\na\nB\nc\nd\ne\n', 'x.txt': 'x\n' } },
+      merge: { parent: ['rename', 'side'], time: 6, files: { 'b.txt': 'z\na\nB\nc\nd\ne\n', 'x.txt': 'x2\n' } },
+    };
+    const blobOid = content => `blob:${content}`;
+
+    beforeEach(() => {
+      git.listTags.mockResolvedValue([]);
+      git.resolveRef.mockResolvedValue('merge');
+      git.readCommit.mockImplementation(async ({ oid }) => ({
+        oid,
+        commit: {
+          parent: history[oid].parent,
+          message: `${oid}\n`,
+          author: { name: 'A', email: 'a@test.com', timestamp: history[oid].time },
+          committer: { timestamp: history[oid].time },
+        },
+      }));
+      git.readBlob.mockImplementation(async ({ oid, filepath }) => {
+        const content = filepath ? history[oid].files[filepath] : oid.slice('blob:'.length);
+        if (content === undefined) throw Object.assign(new Error('not found'), { code: 'NotFoundError' });
+        return { oid: blobOid(content), blob: Buffer.from(content) };
+      });
+      git.walk.mockImplementation(async ({ trees, map }) => {
+        const files = trees.map(tree => history[tree.ref].files);
+        const paths = [...new Set(files.flatMap(Object.keys))];
+        for (const filepath of paths) {
+          await map(filepath, files.map(tree => tree[filepath] !== undefined && {
+            type: async () => 'blob',
+            oid: async () => blobOid(tree[filepath]),
+          }));
+        }
+      });
+    });
+
+    it('should list the commits that changed the file, following renames', async () => {
+      const res = await request(app)
+        .post('/api/file-history')
+        .send({ repoPath: '/test/repo', filepath: 'b.txt' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.commits.map(commit => [commit.oid, commit.filepath, commit.parents])).toEqual([
+        ['side', 'b.txt', ['rename']],
+        ['rename', 'b.txt', ['edit']],
+        ['edit', 'a.txt', ['one']],
+        ['one', 'a.txt', []],
+      ]);
+      expect(res.body.commits[1].renamedFrom).toBe('a.txt');
+    });
+
+    it('should lay out the graph without lines to commits left out of the list', async () => {
+      const res = await request(app)
+        .post('/api/file-history')
+        .send({ repoPath: '/test/repo', filepath: 'b.txt', depth: 2 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.commits.map(commit => commit.graph)).toEqual([
+        { lane: 0, into: [], out: [0], through: [], columns: 1 },
+        { lane: 0, into: [0], out: [], through: [], columns: 1 },
+      ]);
+    });
+
+    it('should stop after depth commits', async () => {
+      const res = await request(app)
+        .post('/api/file-history')
+        .send({ repoPath: '/test/repo', filepath: 'b.txt', depth: 2 });
 
       expect(res.status).toBe(200);
-      expect(res.body.commits).toEqual([]);
+      expect(res.body.commits.map(commit => commit.oid)).toEqual(['side', 'rename']);
+    });
+
+    it('should return 400 when filepath is missing', async () => {
+      const res = await request(app)
+        .post('/api/file-history')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Missing required parameters');
     });
   });
 
@@ -154,335 +541,3497 @@ describe('Git Client API', () => {
       expect(res.body.parents).toEqual([]);
     });
 
-    it('should handle git errors', async () => {
-      git.readCommit.mockRejectedValue(new Error('Object not found'));
+    it('should pair deleted and added files as renames and copies', async () => {
+      const parentFiles = {
+        'src/util.js': 'a\nb\nc\nd\n',
+        'src/old.js': 'one\ntwo\nthree\nfour\nfive\n',
+        'main.js': 'main\nlines\nhere\n',
+        'gone.js': 'unrelated\n',
+      };
+      const files = {
+        'lib/util.js': 'a\nb\nc\nd\n',
+        'lib/new.js': 'one\ntwo\nTHREE\nfour\nfive\n',
+        'main.js': 'main\nlines\nhere\nchanged\n',
+        'main-copy.js': 'main\nlines\nhere\n',
+      };
+      git.readCommit.mockResolvedValue({
+        commit: {
+          message: 'Move src to lib',
+          author: { name: 'Test', email: 'test@test.com', timestamp: 1700000000 },
+          committer: { name: 'Test', email: 'test@test.com', timestamp: 1700000000 },
+          parent: ['parent123'],
+        },
+      });
+      git.walk.mockImplementation(async ({ map }) => {
+        const entry = content => content !== undefined && { type: async () => 'blob', oid: async () => `blob:${content}` };
+        for (const filepath of new Set([...Object.keys(parentFiles), ...Object.keys(files)])) {
+          await map(filepath, [entry(parentFiles[filepath]), entry(files[filepath])]);
+        }
+      });
+      git.readBlob.mockImplementation(async ({ oid }) => ({ oid, blob: Buffer.from(oid.slice('blob:'.length)) }));
 
       const res = await request(app)
         .post('/api/commit-details')
-        .send({ repoPath: '/test/repo', oid: 'invalid' });
+        .send({ repoPath: '/test/repo', oid: 'abc123' });
 
-      expect(res.status).toBe(500);
-      expect(res.body.error).toBe('Object not found');
+      expect(res.status).toBe(200);
+      expect(res.body.files).toEqual([
+        { filepath: 'main.js', status: 'modified' },
+        { filepath: 'gone.js', status: 'deleted' },
+        { filepath: 'lib/util.js', status: 'renamed', oldFilepath: 'src/util.js', similarity: 100 },
+        { filepath: 'lib/new.js', status: 'renamed', oldFilepath: 'src/old.js', similarity: 75 },
+        { filepath: 'main-copy.js', status: 'copied', oldFilepath: 'main.js', similarity: 100 },
+      ]);
     });
-  });
 
-  // ============================================
-  // POST /api/branches
-  // ============================================
-  describe('POST /api/branches', () => {
-    it('should return local and remote branches with tracking info', async () => {
-      git.listBranches
-        .mockResolvedValueOnce(['main', 'feature'])
-        .mockResolvedValueOnce(['main', 'develop']);
-      git.currentBranch.mockResolvedValue('main');
-      git.getConfig
-        .mockResolvedValueOnce('origin')
-        .mockResolvedValueOnce('refs/heads/main')
-        .mockResolvedValueOnce(null);
+    it('should call the moved file with the same name the rename when an exact copy was also added', async () => {
+      const original = 'one\ntwo\nthree\nfour\nfive\nsix\nseven\neight\nnine\nten\n';
+      const parentFiles = { 'a.js': original };
+      const files = { 'copy.js': original, 'dir/a.js': original.replace('ten', 'TEN') };
+      git.readCommit.mockResolvedValue({
+        commit: {
+          message: 'Move a.js',
+          author: { name: 'Test', email: 'test@test.com', timestamp: 1700000000 },
+          committer: { name: 'Test', email: 'test@test.com', timestamp: 1700000000 },
+          parent: ['parent123'],
+        },
+      });
+      git.walk.mockImplementation(async ({ map }) => {
+        const entry = content => content !== undefined && { type: async () => 'blob', oid: async () => `blob:${content}` };
+        for (const filepath of new Set([...Object.keys(parentFiles), ...Object.keys(files)])) {
+          await map(filepath, [entry(parentFiles[filepath]), entry(files[filepath])]);
+        }
+      });
+      git.readBlob.mockImplementation(async ({ oid }) => ({ oid, blob: Buffer.from(oid.slice('blob:'.length)) }));
 
       const res = await request(app)
-        .post('/api/branches')
-        .send({ repoPath: '/test/repo' });
+        .post('/api/commit-details')
+        .send({ repoPath: '/test/repo', oid: 'abc123' });
 
       expect(res.status).toBe(200);
-      expect(res.body.local).toEqual(['main', 'feature']);
-      expect(res.body.remote).toEqual(['origin/main', 'origin/develop']);
-      expect(res.body.current).toBe('main');
-      expect(res.body.tracking.main).toBe('origin/main');
+      expect(res.body.files).toEqual([
+        { filepath: 'copy.js', status: 'copied', oldFilepath: 'a.js', similarity: 100 },
+        { filepath: 'dir/a.js', status: 'renamed', oldFilepath: 'a.js', similarity: 91 },
+      ]);
     });
 
     it('should handle git errors', async () => {
-      git.listBranches.mockRejectedValue(new Error('Not a git repository'));
+      git.readCommit.mockRejectedValue(new Error('Object not found'));
 
       const res = await request(app)
-        .post('/api/branches')
-        .send({ repoPath: '/invalid/repo' });
+        .post('/api/commit-details')
+        .send({ repoPath: '/test/repo', oid: 'invalid' });
 
       expect(res.status).toBe(500);
-      expect(res.body.error).toBe('Not a git repository');
+      expect(res.body.error).toBe('Object not found');
     });
   });
 
   // ============================================
-  // POST /api/branch/create
+  // POST /api/commit-diff
   // ============================================
-  describe('POST /api/branch/create', () => {
-    it('should create a new branch', async () => {
-      git.branch.mockResolvedValue(undefined);
+  describe('POST /api/commit-diff', () => {
+    const blob = (text) => ({ oid: `blob-${text.length}`, blob: Buffer.from(text) });
+
+    it('should return unified diff hunks against the parent', async () => {
+      git.readCommit.mockResolvedValue({ commit: { parent: ['parent123'] } });
+      git.readBlob
+        .mockResolvedValueOnce(blob('a\nB\nc\n'))
+        .mockResolvedValueOnce(blob('a\nb\nc\n'));
 
       const res = await request(app)
-        .post('/api/branch/create')
-        .send({ repoPath: '/test/repo', branchName: 'new-feature' });
+        .post('/api/commit-diff')
+        .send({ repoPath: '/test/repo', oid: 'abc123', filepath: 'file.txt' });
 
       expect(res.status).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(res.body.branch).toBe('new-feature');
-      expect(git.branch).toHaveBeenCalledWith(
-        expect.objectContaining({ ref: 'new-feature' })
+      expect(res.body.binary).toBe(false);
+      expect(res.body.hunks).toHaveLength(1);
+      expect(res.body.hunks[0]).toMatchObject({ oldStart: 1, oldLines: 3, newStart: 1, newLines: 3 });
+      expect(res.body.hunks[0].lines.map(l => l.type)).toEqual(['context', 'del', 'add', 'context']);
+      expect(res.body.hunks[0].lines[1]).toMatchObject({ content: 'b', oldLine: 2, newLine: null });
+      expect(res.body.hunks[0].lines[2]).toMatchObject({ content: 'B', oldLine: null, newLine: 2 });
+      expect(git.readBlob).toHaveBeenCalledWith(
+        expect.objectContaining({ oid: 'parent123', filepath: 'file.txt' })
       );
     });
 
-    it('should create and checkout branch when checkout is true', async () => {
-      git.branch.mockResolvedValue(undefined);
-      git.checkout.mockResolvedValue(undefined);
+    it('should read the parent side from the old path of a renamed file', async () => {
+      git.readCommit.mockResolvedValue({ commit: { parent: ['parent123'] } });
+      git.readBlob
+        .mockResolvedValueOnce(blob('a\nB\n'))
+        .mockResolvedValueOnce(blob('a\nb\n'));
 
       const res = await request(app)
-        .post('/api/branch/create')
-        .send({ repoPath: '/test/repo', branchName: 'new-feature', checkout: true });
+        .post('/api/commit-diff')
+        .send({ repoPath: '/test/repo', oid: 'abc123', filepath: 'lib/file.txt', oldFilepath: 'src/file.txt' });
 
       expect(res.status).toBe(200);
-      expect(git.checkout).toHaveBeenCalledWith(
-        expect.objectContaining({ ref: 'new-feature' })
+      expect(res.body.oldFilepath).toBe('src/file.txt');
+      expect(git.readBlob).toHaveBeenCalledWith(
+        expect.objectContaining({ oid: 'parent123', filepath: 'src/file.txt' })
       );
     });
 
-    it('should handle branch already exists error', async () => {
-      git.branch.mockRejectedValue(new Error('Branch already exists'));
+    it('should diff against baseOid instead of the parent when given', async () => {
+      git.readBlob
+        .mockResolvedValueOnce(blob('a\nB\n'))
+        .mockResolvedValueOnce(blob('a\nb\n'));
 
       const res = await request(app)
-        .post('/api/branch/create')
-        .send({ repoPath: '/test/repo', branchName: 'main' });
+        .post('/api/commit-diff')
+        .send({ repoPath: '/test/repo', oid: 'abc123', filepath: 'file.txt', baseOid: 'base456' });
 
-      expect(res.status).toBe(500);
-      expect(res.body.error).toBe('Branch already exists');
+      expect(res.status).toBe(200);
+      expect(git.readCommit).not.toHaveBeenCalled();
+      expect(git.readBlob).toHaveBeenCalledWith(
+        expect.objectContaining({ oid: 'base456', filepath: 'file.txt' })
+      );
     });
-  });
 
-  // ============================================
-  // POST /api/branch/checkout
-  // ============================================
-  describe('POST /api/branch/checkout', () => {
-    it('should checkout an existing branch', async () => {
-      git.checkout.mockResolvedValue(undefined);
+    it('should treat a file missing from the parent as added', async () => {
+      const notFound = Object.assign(new Error('Could not find file.txt.'), { code: 'NotFoundError' });
+      git.readCommit.mockResolvedValue({ commit: { parent: ['parent123'] } });
+      git.readBlob
+        .mockResolvedValueOnce(blob('new\n'))
+        .mockRejectedValueOnce(notFound);
 
       const res = await request(app)
-        .post('/api/branch/checkout')
-        .send({ repoPath: '/test/repo', branchName: 'feature' });
+        .post('/api/commit-diff')
+        .send({ repoPath: '/test/repo', oid: 'abc123', filepath: 'file.txt' });
 
       expect(res.status).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(res.body.branch).toBe('feature');
+      expect(res.body.oldOid).toBeNull();
+      expect(res.body.hunks[0]).toMatchObject({ oldStart: 0, oldLines: 0, newStart: 1, newLines: 1 });
     });
 
-    it('should handle invalid branch error', async () => {
-      git.checkout.mockRejectedValue(new Error('Branch not found'));
+    it('should flag binary files', async () => {
+      git.readCommit.mockResolvedValue({ commit: { parent: null } });
+      git.readBlob.mockResolvedValueOnce({ oid: 'bin', blob: Buffer.from([0x89, 0x00, 0x01]) });
 
       const res = await request(app)
-        .post('/api/branch/checkout')
-        .send({ repoPath: '/test/repo', branchName: 'nonexistent' });
+        .post('/api/commit-diff')
+        .send({ repoPath: '/test/repo', oid: 'root123', filepath: 'image.png' });
 
-      expect(res.status).toBe(500);
-      expect(res.body.error).toBe('Branch not found');
+      expect(res.status).toBe(200);
+      expect(res.body.binary).toBe(true);
+      expect(res.body.hunks).toEqual([]);
+    });
+
+    it('should return 400 when filepath is missing', async () => {
+      const res = await request(app)
+        .post('/api/commit-diff')
+        .send({ repoPath: '/test/repo', oid: 'abc123' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Missing required parameters');
     });
   });
 
   // ============================================
-  // POST /api/branch/delete
+  // POST /api/compare
   // ============================================
-  describe('POST /api/branch/delete', () => {
-    it('should delete a branch', async () => {
-      git.deleteBranch.mockResolvedValue(undefined);
+  describe('POST /api/compare', () => {
+    // root <- base1 (main)
+    //      <- head1 <- head2 (feature)
+    const history = {
+      root: { parent: [], time: 1, files: { 'a.txt': 'a\n' } },
+      base1: { parent: ['root'], time: 2, files: { 'a.txt': 'a\n', 'b.txt': 'b\n' } },
+      head1: { parent: ['root'], time: 3, files: { 'a.txt': 'A\n' } },
+      head2: { parent: ['head1'], time: 4, files: { 'a.txt': 'A\n', 'c.txt': 'c\n' } },
+    };
+    const blobOid = content => `blob:${content}`;
+
+    beforeEach(() => {
+      git.listTags.mockResolvedValue([]);
+      git.listRemotes.mockResolvedValue([]);
+      git.listBranches.mockImplementation(async ({ remote }) => (remote ? [] : ['main', 'feature']));
+      git.resolveRef.mockImplementation(async ({ ref }) => ({ main: 'base1', feature: 'head2' })[ref] || ref);
+      git.findMergeBase.mockResolvedValue(['root']);
+      git.readCommit.mockImplementation(async ({ oid }) => {
+        const person = { name: 'A', email: 'a@test.com', timestamp: history[oid].time };
+        return { oid, commit: { parent: history[oid].parent, message: `${oid}\n`, author: person, committer: person } };
+      });
+      git.readBlob.mockImplementation(async ({ oid }) => ({ oid, blob: Buffer.from(oid.slice('blob:'.length)) }));
+      git.walk.mockImplementation(async ({ trees, map }) => {
+        const files = trees.map(tree => history[tree.ref].files);
+        const paths = [...new Set(files.flatMap(Object.keys))].sort();
+        for (const filepath of paths) {
+          await map(filepath, files.map(tree => tree[filepath] !== undefined && {
+            type: async () => 'blob',
+            oid: async () => blobOid(tree[filepath]),
+          }));
+        }
+      });
+    });
 
+    it('should list the commits only on each side and the files that differ between them', async () => {
       const res = await request(app)
-        .post('/api/branch/delete')
-        .send({ repoPath: '/test/repo', branchName: 'old-feature' });
+        .post('/api/compare')
+        .send({ repoPath: '/test/repo', base: 'main', head: 'feature' });
 
       expect(res.status).toBe(200);
-      expect(res.body.success).toBe(true);
+      expect(res.body).toMatchObject({ base: 'base1', head: 'head2', mergeBase: 'root', aheadCount: 2, behindCount: 1 });
+      expect(res.body.ahead.map(commit => commit.oid)).toEqual(['head2', 'head1']);
+      expect(res.body.ahead[0].branches).toEqual(['feature']);
+      expect(res.body.behind.map(commit => commit.oid)).toEqual(['base1']);
+      expect(res.body.files.map(file => [file.filepath, file.status])).toEqual([
+        ['a.txt', 'modified'],
+        ['b.txt', 'deleted'],
+        ['c.txt', 'added'],
+      ]);
     });
 
-    it('should handle delete current branch error', async () => {
-      git.deleteBranch.mockRejectedValue(new Error('Cannot delete current branch'));
+    it('should only diff what head changed since the merge base when asked', async () => {
+      const res = await request(app)
+        .post('/api/compare')
+        .send({ repoPath: '/test/repo', base: 'main', head: 'feature', fromMergeBase: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body.files.map(file => [file.filepath, file.status])).toEqual([
+        ['a.txt', 'modified'],
+        ['c.txt', 'added'],
+      ]);
+    });
+
+    it('should return 400 when diffing from a merge base that does not exist', async () => {
+      git.findMergeBase.mockResolvedValue([]);
 
       const res = await request(app)
-        .post('/api/branch/delete')
-        .send({ repoPath: '/test/repo', branchName: 'main' });
+        .post('/api/compare')
+        .send({ repoPath: '/test/repo', base: 'main', head: 'feature', fromMergeBase: true });
 
-      expect(res.status).toBe(500);
-      expect(res.body.error).toBe('Cannot delete current branch');
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('no history in common');
+    });
+
+    it('should return 400 when a side is missing', async () => {
+      const res = await request(app)
+        .post('/api/compare')
+        .send({ repoPath: '/test/repo', base: 'main' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Missing required parameters');
     });
   });
 
   // ============================================
-  // POST /api/status
+  // POST /api/reflog
   // ============================================
-  describe('POST /api/status', () => {
-    it('should return categorized file status', async () => {
-      git.statusMatrix.mockResolvedValue([
-        ['modified.js', 1, 2, 1],      // modified (unstaged)
-        ['untracked.js', 0, 2, 0],     // untracked
-        ['added.js', 0, 2, 2],         // added (staged)
-        ['deleted.js', 1, 0, 1],       // deleted
-        ['staged-modified.js', 1, 2, 2], // modified (staged)
+  describe('POST /api/reflog', () => {
+    const A = 'a'.repeat(40);
+    const B = 'b'.repeat(40);
+    const C = 'c'.repeat(40);
+    let repoPath;
+
+    const writeReflog = (ref, lines) => {
+      const file = path.join(repoPath, '.git', 'logs', ...ref.split('/'));
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, lines.map(line => `${line}\n`).join(''));
+    };
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+      writeReflog('HEAD', [
+        `${'0'.repeat(40)} ${A} Ann <ann@test.com> 1700000000 +0100\tcommit (initial): first`,
+        `${A} ${B} Ann <ann@test.com> 1700000100 +0100\tcommit: second`,
+        `${B} ${A} Ann <ann@test.com> 1700000200 -0530\treset: moving to HEAD~1`,
       ]);
+      writeReflog('refs/heads/main', [`${'0'.repeat(40)} ${A} Ann <ann@test.com> 1700000000 +0100\tcommit (initial): first`]);
+      writeReflog('refs/heads/feature/login', [`${A} ${C} Ann <ann@test.com> 1700000300 +0000\tbranch: Created from HEAD`]);
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should list the HEAD reflog newest first, with the reflogs to choose from', async () => {
+      const res = await request(app)
+        .post('/api/reflog')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(res.body.refs).toEqual(['HEAD', 'feature/login', 'main']);
+      expect(res.body.entries.map(entry => [entry.selector, entry.newOid, entry.operation])).toEqual([
+        ['HEAD@{0}', A, 'reset'],
+        ['HEAD@{1}', B, 'commit'],
+        ['HEAD@{2}', A, 'commit (initial)'],
+      ]);
+      expect(res.body.entries[0]).toMatchObject({
+        oldOid: B,
+        message: 'reset: moving to HEAD~1',
+        committer: { name: 'Ann', email: 'ann@test.com', timestamp: 1700000200, timezoneOffset: 330 },
+      });
+      expect(res.body.entries[2].oldOid).toBeNull();
+    });
+
+    it('should list the reflog of a branch', async () => {
+      const res = await request(app)
+        .post('/api/reflog')
+        .send({ repoPath, ref: 'feature/login' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.entries).toHaveLength(1);
+      expect(res.body.entries[0]).toMatchObject({ selector: 'feature/login@{0}', newOid: C, operation: 'branch' });
+    });
+
+    it('should return no entries when git never wrote a reflog', async () => {
+      fs.rmSync(path.join(repoPath, '.git', 'logs'), { recursive: true });
+
+      const res = await request(app)
+        .post('/api/reflog')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ ref: 'HEAD', refs: ['HEAD'], entries: [] });
+    });
+
+    it('should return 400 for a branch without a reflog', async () => {
+      const res = await request(app)
+        .post('/api/reflog')
+        .send({ repoPath, ref: '../config' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('has no reflog');
+    });
+  });
+
+  // ============================================
+  // POST /api/blame
+  // ============================================
+  describe('POST /api/blame', () => {
+    // root <- side <- merge
+    //      <- main <-
+    const history = {
+      root: { parent: [], time: 1, file: 'a\nb\nc\n' },
+      side: { parent: ['root'], time: 2, file: 'x\na\nb\nc\n' },
+      main: { parent: ['root'], time: 3, file: 'a\nB\nc\n' },
+      merge: { parent: ['main', 'side'], time: 4, file: 'x\na\nB\nc\nd\n' },
+    };
+
+    beforeEach(() => {
+      git.listTags.mockResolvedValue([]);
+      git.resolveRef.mockResolvedValue('merge');
+      git.readCommit.mockImplementation(async ({ oid }) => ({
+        oid,
+        commit: {
+          parent: history[oid].parent,
+          message: `${oid}\n`,
+          author: { name: 'A', email: 'a@test.com', timestamp: history[oid].time },
+          committer: { timestamp: history[oid].time },
+        },
+      }));
+      git.readBlob.mockImplementation(async ({ oid, filepath }) => {
+        if (filepath !== 'file.txt') throw Object.assign(new Error('not found'), { code: 'NotFoundError' });
+        return { oid: `blob-${oid}`, blob: Buffer.from(history[oid].file) };
+      });
+    });
+
+    it('should attribute each line to the commit that last changed it', async () => {
+      const res = await request(app)
+        .post('/api/blame')
+        .send({ repoPath: '/test/repo', filepath: 'file.txt' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.oid).toBe('merge');
+      expect(res.body.lines.map(line => [line.content, line.oid, line.origLine])).toEqual([
+        ['x', 'side', 1],
+        ['a', 'root', 1],
+        ['B', 'main', 2],
+        ['c', 'root', 3],
+        ['d', 'merge', 5],
+      ]);
+      expect(Object.keys(res.body.commits).sort()).toEqual(['main', 'merge', 'root', 'side']);
+      expect(res.body.commits.side.message).toBe('side\n');
+    });
+
+    it('should hand every line to a parent with the same blob', async () => {
+      history.same = { parent: ['main'], time: 5, file: history.main.file };
+      git.resolveRef.mockResolvedValue('same');
+      git.readBlob.mockImplementation(async ({ oid }) => ({
+        oid: oid === 'same' ? 'blob-main' : `blob-${oid}`,
+        blob: Buffer.from(history[oid].file),
+      }));
+
+      const res = await request(app)
+        .post('/api/blame')
+        .send({ repoPath: '/test/repo', filepath: 'file.txt', ref: 'same' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.lines.map(line => line.oid)).toEqual(['root', 'main', 'root']);
+      delete history.same;
+    });
+
+    it('should follow the file across a rename', async () => {
+      const renames = {
+        old: { parent: [], time: 1, files: { 'old.txt': 'a\nb\n' } },
+        moved: { parent: ['old'], time: 2, files: { 'file.txt': 'a\nb\n' } },
+        edit: { parent: ['moved'], time: 3, files: { 'file.txt': 'a\nb\nc\n' } },
+      };
+      git.resolveRef.mockResolvedValue('edit');
+      git.readCommit.mockImplementation(async ({ oid }) => ({
+        oid,
+        commit: {
+          parent: renames[oid].parent,
+          message: `${oid}\n`,
+          author: { name: 'A', email: 'a@test.com', timestamp: renames[oid].time },
+          committer: { timestamp: renames[oid].time },
+        },
+      }));
+      const blobOid = content => `blob:${content}`;
+      git.readBlob.mockImplementation(async ({ oid, filepath }) => {
+        const content = renames[oid].files[filepath];
+        if (content === undefined) throw Object.assign(new Error('not found'), { code: 'NotFoundError' });
+        return { oid: blobOid(content), blob: Buffer.from(content) };
+      });
+      git.walk.mockImplementation(async ({ trees, map }) => {
+        const files = trees.map(tree => renames[tree.ref].files);
+        for (const filepath of new Set(files.flatMap(Object.keys))) {
+          await map(filepath, files.map(tree => tree[filepath] !== undefined && {
+            type: async () => 'blob',
+            oid: async () => blobOid(tree[filepath]),
+          }));
+        }
+      });
+
+      const res = await request(app)
+        .post('/api/blame')
+        .send({ repoPath: '/test/repo', filepath: 'file.txt' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.lines.map(line => [line.content, line.oid, line.origLine])).toEqual([
+        ['a', 'old', 1],
+        ['b', 'old', 2],
+        ['c', 'edit', 3],
+      ]);
+    });
+
+    it('should return 400 when the file does not exist at the commit', async () => {
+      const res = await request(app)
+        .post('/api/blame')
+        .send({ repoPath: '/test/repo', filepath: 'missing.txt' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('missing.txt');
+    });
+
+    it('should return 400 when filepath is missing', async () => {
+      const res = await request(app)
+        .post('/api/blame')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Missing required parameters');
+    });
+  });
+
+  // ============================================
+  // POST /api/tree
+  // ============================================
+  describe('POST /api/tree', () => {
+    const trees = {
+      '': [
+        { mode: '100644', path: 'b.txt', oid: 'blob-b', type: 'blob' },
+        { mode: '040000', path: 'src', oid: 'tree-src', type: 'tree' },
+        { mode: '100644', path: 'a.txt', oid: 'blob-a', type: 'blob' },
+        { mode: '160000', path: 'vendor', oid: 'sub-commit', type: 'commit' },
+      ],
+      src: [{ mode: '100755', path: 'run.sh', oid: 'blob-run', type: 'blob' }],
+    };
+
+    beforeEach(() => {
+      git.listTags.mockResolvedValue([]);
+      git.resolveRef.mockResolvedValue('c1');
+      git.readTree.mockImplementation(async ({ filepath }) => {
+        if (trees[filepath]) return { oid: `tree-${filepath}`, tree: trees[filepath] };
+        const code = filepath === 'a.txt' ? 'ObjectTypeError' : 'NotFoundError';
+        throw Object.assign(new Error(`no tree at ${filepath}`), { code });
+      });
+    });
+
+    it('should list the root folder, folders first and then by name', async () => {
+      const res = await request(app)
+        .post('/api/tree')
+        .send({ repoPath: '/test/repo', ref: 'main' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.oid).toBe('c1');
+      expect(res.body.entries.map(entry => [entry.name, entry.type])).toEqual([
+        ['src', 'tree'],
+        ['a.txt', 'blob'],
+        ['b.txt', 'blob'],
+        ['vendor', 'commit'],
+      ]);
+      expect(git.resolveRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'main' }));
+    });
+
+    it('should list a subfolder with full paths', async () => {
+      const res = await request(app)
+        .post('/api/tree')
+        .send({ repoPath: '/test/repo', path: 'src' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.entries).toEqual([
+        { name: 'run.sh', path: 'src/run.sh', type: 'blob', mode: '100755', oid: 'blob-run' },
+      ]);
+    });
+
+    it('should return 400 when the path is not a folder at the ref', async () => {
+      const file = await request(app)
+        .post('/api/tree')
+        .send({ repoPath: '/test/repo', path: 'a.txt' });
+      const missing = await request(app)
+        .post('/api/tree')
+        .send({ repoPath: '/test/repo', path: 'gone' });
+
+      expect(file.status).toBe(400);
+      expect(file.body.error).toContain('a.txt');
+      expect(missing.status).toBe(400);
+    });
+  });
+
+  // ============================================
+  // POST /api/blob
+  // ============================================
+  describe('POST /api/blob', () => {
+    const files = {
+      'config.json': Buffer.from('{"debug": true}\n'),
+      'logo.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]),
+      'big.txt': Buffer.alloc(600 * 1024, 'a'),
+    };
+
+    beforeEach(() => {
+      git.listTags.mockResolvedValue([]);
+      git.resolveRef.mockResolvedValue('c1');
+      git.readBlob.mockImplementation(async ({ filepath }) => {
+        if (!files[filepath]) throw Object.assign(new Error('not found'), { code: 'NotFoundError' });
+        return { oid: `blob-${filepath}`, blob: new Uint8Array(files[filepath]) };
+      });
+    });
+
+    it('should return the contents of a text file', async () => {
+      const res = await request(app)
+        .post('/api/blob')
+        .send({ repoPath: '/test/repo', filepath: 'config.json', ref: 'v1.0' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        filepath: 'config.json',
+        oid: 'c1',
+        blobOid: 'blob-config.json',
+        size: 16,
+        binary: false,
+        truncated: false,
+        content: '{"debug": true}\n',
+      });
+    });
+
+    it('should not return the contents of a binary file', async () => {
+      const res = await request(app)
+        .post('/api/blob')
+        .send({ repoPath: '/test/repo', filepath: 'logo.png' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.binary).toBe(true);
+      expect(res.body.content).toBeNull();
+    });
+
+    it('should cut off a large file', async () => {
+      const res = await request(app)
+        .post('/api/blob')
+        .send({ repoPath: '/test/repo', filepath: 'big.txt' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.truncated).toBe(true);
+      expect(res.body.size).toBe(600 * 1024);
+      expect(res.body.content).toHaveLength(512 * 1024);
+    });
+
+    it('should return 400 when the file does not exist at the ref', async () => {
+      const res = await request(app)
+        .post('/api/blob')
+        .send({ repoPath: '/test/repo', filepath: 'missing.txt' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('missing.txt');
+    });
+
+    it('should return 400 when filepath is missing', async () => {
+      const res = await request(app)
+        .post('/api/blob')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Missing required parameters');
+    });
+  });
+
+  // ============================================
+  // GET /api/raw
+  // ============================================
+  describe('GET /api/raw', () => {
+    beforeEach(() => {
+      git.listTags.mockResolvedValue([]);
+      git.resolveRef.mockResolvedValue('c1');
+      git.readBlob.mockImplementation(async ({ filepath }) => {
+        if (filepath !== 'assets/logo.png') throw Object.assign(new Error('not found'), { code: 'NotFoundError' });
+        return { oid: 'blob-logo', blob: new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]) };
+      });
+    });
+
+    it('should download the file as stored', async () => {
+      const res = await request(app)
+        .get('/api/raw')
+        .query({ repoPath: '/test/repo', filepath: 'assets/logo.png', ref: 'c1' })
+        .buffer(true)
+        .parse((response, callback) => {
+          const chunks = [];
+          response.on('data', chunk => chunks.push(chunk));
+          response.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/octet-stream');
+      expect(res.headers['content-disposition']).toBe('attachment; filename="logo.png"');
+      expect([...res.body]).toEqual([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]);
+    });
+
+    it('should return 400 when the file does not exist at the ref', async () => {
+      const res = await request(app)
+        .get('/api/raw')
+        .query({ repoPath: '/test/repo', filepath: 'missing.txt' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('missing.txt');
+    });
+  });
+
+  // ============================================
+  // POST /api/branches
+  // ============================================
+  describe('POST /api/branches', () => {
+    beforeEach(() => {
+      git.listRemotes.mockResolvedValue([{ remote: 'origin', url: 'https://example.com/repo.git' }]);
+    });
+
+    it('should return local and remote branches with tracking info', async () => {
+      git.listBranches
+        .mockResolvedValueOnce(['main', 'feature'])
+        .mockResolvedValueOnce(['main', 'develop']);
+      git.currentBranch.mockResolvedValue('main');
+      git.getConfig
+        .mockResolvedValueOnce('origin')
+        .mockResolvedValueOnce('refs/heads/main')
+        .mockResolvedValueOnce(null);
+      git.resolveRef.mockResolvedValue('abc123');
+      git.readCommit.mockResolvedValue({ oid: 'abc123', commit: { parent: [], committer: { timestamp: 1700000000 } } });
+
+      const res = await request(app)
+        .post('/api/branches')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.local).toEqual(['main', 'feature']);
+      expect(res.body.remote).toEqual(['origin/main', 'origin/develop']);
+      expect(res.body.current).toBe('main');
+      expect(res.body.tracking.main).toBe('origin/main');
+    });
+
+    it('should count commits ahead of and behind each upstream', async () => {
+      // base <- local1 <- local2 (main)
+      //      <- remote1 (origin/main)
+      const history = {
+        base: { parent: [], time: 1 },
+        local1: { parent: ['base'], time: 2 },
+        local2: { parent: ['local1'], time: 4 },
+        remote1: { parent: ['base'], time: 3 },
+      };
+      git.listBranches.mockResolvedValueOnce(['main', 'feature']).mockResolvedValueOnce(['main']);
+      git.currentBranch.mockResolvedValue('main');
+      git.getConfig.mockImplementation(async ({ path: key }) => ({
+        'branch.main.remote': 'origin',
+        'branch.main.merge': 'refs/heads/main',
+        'branch.feature.remote': 'origin',
+        'branch.feature.merge': 'refs/heads/feature',
+      })[key]);
+      git.resolveRef.mockImplementation(async ({ ref }) => {
+        if (ref === 'refs/remotes/origin/feature') throw Object.assign(new Error('not found'), { code: 'NotFoundError' });
+        return ref === 'refs/remotes/origin/main' ? 'remote1' : 'local2';
+      });
+      git.readCommit.mockImplementation(async ({ oid }) => ({
+        oid,
+        commit: { parent: history[oid].parent, committer: { timestamp: history[oid].time } },
+      }));
+
+      const res = await request(app)
+        .post('/api/branches')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.aheadBehind).toEqual({
+        main: { ahead: 2, behind: 1 },
+        feature: { gone: true },
+      });
+    });
+
+    it('should list remote branches of every remote', async () => {
+      git.listRemotes.mockResolvedValue([
+        { remote: 'origin', url: 'https://example.com/fork.git' },
+        { remote: 'upstream', url: 'https://example.com/repo.git' },
+      ]);
+      git.listBranches.mockResolvedValue(['main']);
+      git.currentBranch.mockResolvedValue('main');
+      git.getConfig.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/branches')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.remote).toEqual(['origin/main', 'upstream/main']);
+      expect(git.listBranches).toHaveBeenCalledWith(expect.objectContaining({ remote: 'upstream' }));
+    });
+
+    it('should handle git errors', async () => {
+      git.listBranches.mockRejectedValue(new Error('Not a git repository'));
+
+      const res = await request(app)
+        .post('/api/branches')
+        .send({ repoPath: '/invalid/repo' });
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('Not a git repository');
+    });
+  });
+
+  // ============================================
+  // POST /api/branch/create
+  // ============================================
+  describe('POST /api/branch/create', () => {
+    it('should create a new branch', async () => {
+      git.branch.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/branch/create')
+        .send({ repoPath: '/test/repo', branchName: 'new-feature' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.branch).toBe('new-feature');
+      expect(git.branch).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'new-feature' })
+      );
+    });
+
+    it('should create the branch at a start point', async () => {
+      git.branch.mockResolvedValue(undefined);
+      git.listTags.mockResolvedValue([]);
+      git.resolveRef.mockResolvedValue('abc123');
+
+      const res = await request(app)
+        .post('/api/branch/create')
+        .send({ repoPath: '/test/repo', branchName: 'recovered', startPoint: 'abc123' });
+
+      expect(res.status).toBe(200);
+      expect(git.branch).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'recovered', object: 'abc123' })
+      );
+    });
+
+    it('should create and checkout branch when checkout is true', async () => {
+      git.branch.mockResolvedValue(undefined);
+      git.checkout.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/branch/create')
+        .send({ repoPath: '/test/repo', branchName: 'new-feature', checkout: true });
+
+      expect(res.status).toBe(200);
+      expect(git.checkout).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'new-feature' })
+      );
+    });
+
+    it('should handle branch already exists error', async () => {
+      git.branch.mockRejectedValue(new Error('Branch already exists'));
+
+      const res = await request(app)
+        .post('/api/branch/create')
+        .send({ repoPath: '/test/repo', branchName: 'main' });
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('Branch already exists');
+    });
+  });
+
+  // ============================================
+  // POST /api/branch/restore
+  // ============================================
+  describe('POST /api/branch/restore', () => {
+    beforeEach(() => {
+      git.currentBranch.mockResolvedValue('main');
+      git.readCommit.mockResolvedValue({ oid: 'abc123', commit: {} });
+    });
+
+    it('should move a branch that is not checked out', async () => {
+      const res = await request(app)
+        .post('/api/branch/restore')
+        .send({ repoPath: '/test/repo', branchName: 'feature', oid: 'abc123' });
+
+      expect(res.status).toBe(200);
+      expect(git.writeRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'refs/heads/feature', value: 'abc123', force: true })
+      );
+    });
+
+    it('should return 400 for the checked-out branch', async () => {
+      const res = await request(app)
+        .post('/api/branch/restore')
+        .send({ repoPath: '/test/repo', branchName: 'main', oid: 'abc123' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('reset it instead');
+      expect(git.writeRef).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when the commit no longer exists', async () => {
+      git.readCommit.mockRejectedValue(Object.assign(new Error('not found'), { code: 'NotFoundError' }));
+
+      const res = await request(app)
+        .post('/api/branch/restore')
+        .send({ repoPath: '/test/repo', branchName: 'feature', oid: 'abc123' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('no longer exists');
+      expect(git.writeRef).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when parameters are missing', async () => {
+      const res = await request(app)
+        .post('/api/branch/restore')
+        .send({ repoPath: '/test/repo', branchName: 'feature' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Missing required parameters');
+    });
+  });
+
+  // ============================================
+  // POST /api/branch/set-upstream
+  // ============================================
+  describe('POST /api/branch/set-upstream', () => {
+    beforeEach(() => {
+      git.listRemotes.mockResolvedValue([
+        { remote: 'origin', url: 'https://example.com/fork.git' },
+        { remote: 'upstream', url: 'https://example.com/repo.git' },
+      ]);
+      git.resolveRef.mockResolvedValue('abc123');
+    });
+
+    it('should record the remote and branch to track', async () => {
+      const res = await request(app)
+        .post('/api/branch/set-upstream')
+        .send({ repoPath: '/test/repo', branchName: 'feature', upstream: 'upstream/release/1.0' });
+
+      expect(res.status).toBe(200);
+      expect(git.resolveRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/remotes/upstream/release/1.0' }));
+      expect(git.setConfig).toHaveBeenCalledWith(expect.objectContaining({ path: 'branch.feature.remote', value: 'upstream' }));
+      expect(git.setConfig).toHaveBeenCalledWith(expect.objectContaining({
+        path: 'branch.feature.merge',
+        value: 'refs/heads/release/1.0',
+      }));
+    });
+
+    it('should unset the upstream when given null', async () => {
+      const res = await request(app)
+        .post('/api/branch/set-upstream')
+        .send({ repoPath: '/test/repo', branchName: 'feature', upstream: null });
+
+      expect(res.status).toBe(200);
+      expect(git.setConfig).toHaveBeenCalledWith(expect.objectContaining({ path: 'branch.feature.remote', value: undefined }));
+      expect(git.setConfig).toHaveBeenCalledWith(expect.objectContaining({ path: 'branch.feature.merge', value: undefined }));
+    });
+
+    it('should return 400 when the upstream branch does not exist', async () => {
+      git.resolveRef.mockRejectedValue(Object.assign(new Error('not found'), { code: 'NotFoundError' }));
+
+      const res = await request(app)
+        .post('/api/branch/set-upstream')
+        .send({ repoPath: '/test/repo', branchName: 'feature', upstream: 'origin/feature' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Upstream branch 'origin/feature' does not exist");
+      expect(git.setConfig).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an unknown remote', async () => {
+      const res = await request(app)
+        .post('/api/branch/set-upstream')
+        .send({ repoPath: '/test/repo', branchName: 'feature', upstream: 'fork/feature' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // ============================================
+  // POST /api/branch/checkout
+  // ============================================
+  describe('POST /api/branch/checkout', () => {
+    beforeEach(() => {
+      git.listTags.mockResolvedValue([]);
+    });
+
+    it('should checkout an existing branch', async () => {
+      git.checkout.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/branch/checkout')
+        .send({ repoPath: '/test/repo', branchName: 'feature' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.branch).toBe('feature');
+    });
+
+    it('should check out a tag as a detached HEAD at its commit', async () => {
+      git.listTags.mockResolvedValue(['v1.0']);
+      git.resolveRef.mockResolvedValue('tagobject1');
+      git.readTag
+        .mockResolvedValueOnce({ oid: 'tagobject1', tag: { object: 'commit123', type: 'commit', message: 'Release\n' } })
+        .mockRejectedValueOnce(Object.assign(new Error('not a tag'), { code: 'ObjectTypeError' }));
+      git.checkout.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/branch/checkout')
+        .send({ repoPath: '/test/repo', branchName: 'v1.0' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.detached).toBe(true);
+      expect(git.checkout).toHaveBeenCalledWith(expect.objectContaining({ ref: 'commit123' }));
+    });
+
+    it('should handle invalid branch error', async () => {
+      git.checkout.mockRejectedValue(new Error('Branch not found'));
+
+      const res = await request(app)
+        .post('/api/branch/checkout')
+        .send({ repoPath: '/test/repo', branchName: 'nonexistent' });
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('Branch not found');
+    });
+  });
+
+  // ============================================
+  // POST /api/branch/delete
+  // ============================================
+  describe('POST /api/branch/delete', () => {
+    it('should delete a branch', async () => {
+      git.deleteBranch.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/branch/delete')
+        .send({ repoPath: '/test/repo', branchName: 'old-feature' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+    });
+
+    it('should handle delete current branch error', async () => {
+      git.deleteBranch.mockRejectedValue(new Error('Cannot delete current branch'));
+
+      const res = await request(app)
+        .post('/api/branch/delete')
+        .send({ repoPath: '/test/repo', branchName: 'main' });
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('Cannot delete current branch');
+    });
+  });
+
+  // ============================================
+  // POST /api/undo/status
+  // ============================================
+  describe('POST /api/undo/status', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+      fs.writeFileSync(path.join(repoPath, '.git', 'HEAD'), 'ref: refs/heads/main\n');
+      fs.mkdirSync(path.join(repoPath, '.git', 'refs', 'heads'), { recursive: true });
+      fs.writeFileSync(path.join(repoPath, '.git', 'refs', 'heads', 'main'), `${BASE_OID}\n`);
+      fs.writeFileSync(path.join(repoPath, '.git', 'refs', 'heads', 'feature'), `${OURS_OID}\n`);
+      git.getConfig.mockResolvedValue(undefined);
+      git.walk.mockResolvedValue(undefined);
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should name the last journaled operation', async () => {
+      git.deleteBranch.mockImplementation(async ({ ref }) => {
+        fs.rmSync(path.join(repoPath, '.git', 'refs', 'heads', ref));
+      });
+      await request(app).post('/api/branch/delete').send({ repoPath, branchName: 'feature' });
+
+      const res = await request(app)
+        .post('/api/undo/status')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(res.body.operation).toBe('Delete branch feature');
+      expect(res.body.count).toBe(1);
+      expect(typeof res.body.timestamp).toBe('number');
+    });
+
+    it('should leave out operations that failed without changing anything', async () => {
+      git.deleteBranch.mockRejectedValue(new Error('Cannot delete current branch'));
+      await request(app).post('/api/branch/delete').send({ repoPath, branchName: 'main' });
+
+      const res = await request(app)
+        .post('/api/undo/status')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(res.body.operation).toBeNull();
+      expect(res.body.count).toBe(0);
+    });
+  });
+
+  // ============================================
+  // POST /api/undo
+  // ============================================
+  describe('POST /api/undo', () => {
+    let repoPath;
+    let blobs;
+    let upstreams;
+    const gitPath = (...parts) => path.join(repoPath, '.git', ...parts);
+    const blobOid = content => crypto.createHash('sha1').update(content).digest('hex');
+
+    // The stage 0 entries of the index on disk, as { filepath: oid }
+    const readIndex = () => {
+      const buffer = fs.readFileSync(gitPath('index'));
+      const entries = {};
+      let offset = 12;
+      for (let i = 0; i < buffer.readUInt32BE(8); i++) {
+        const nameEnd = buffer.indexOf(0, offset + 62);
+        entries[buffer.toString('utf8', offset + 62, nameEnd)] = buffer.toString('hex', offset + 40, offset + 60);
+        offset += Math.ceil((nameEnd - offset + 1) / 8) * 8;
+      }
+      return entries;
+    };
+    const stageFile = (filepath, oid) => {
+      const entries = { ...readIndex(), [filepath]: oid };
+      writeIndex(repoPath, Object.entries(entries).map(([name, entryOid]) => ({ filepath: name, oid: entryOid })));
+    };
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+      fs.writeFileSync(gitPath('HEAD'), 'ref: refs/heads/main\n');
+      fs.mkdirSync(gitPath('refs', 'heads'), { recursive: true });
+      fs.writeFileSync(gitPath('refs', 'heads', 'main'), `${BASE_OID}\n`);
+      fs.writeFileSync(gitPath('packed-refs'), `# pack-refs with: peeled fully-peeled sorted\n${OURS_OID} refs/heads/feature\n`);
+      writeIndex(repoPath, [{ filepath: 'a.txt', oid: BASE_OID }]);
+      git.listTags.mockResolvedValue([]);
+
+      // Back the index and working tree walk, blobs and upstreams with the files on disk
+      blobs = {};
+      upstreams = { 'branch.feature.remote': 'origin', 'branch.feature.merge': 'refs/heads/feature' };
+      git.getConfig.mockImplementation(async ({ path: key }) => upstreams[key]);
+      git.setConfig.mockImplementation(async ({ path: key, value }) => {
+        upstreams[key] = value;
+      });
+      git.writeBlob.mockImplementation(async ({ blob }) => {
+        blobs[blobOid(blob)] = Buffer.from(blob);
+        return blobOid(blob);
+      });
+      git.readBlob.mockImplementation(async ({ oid }) => ({ oid, blob: blobs[oid] }));
+      git.updateIndex.mockImplementation(async ({ filepath, oid }) => stageFile(filepath, oid));
+      git.walk.mockImplementation(async ({ map }) => {
+        for (const [filepath, oid] of Object.entries(readIndex())) {
+          const fullpath = path.join(repoPath, filepath);
+          const content = fs.existsSync(fullpath) && fs.readFileSync(fullpath);
+          await map(filepath, [
+            { type: async () => 'blob', oid: async () => oid, mode: async () => 0o100644 },
+            content && { oid: async () => blobOid(content), mode: async () => 0o100644 }
+          ]);
+        }
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should bring back a deleted branch with its upstream', async () => {
+      git.deleteBranch.mockImplementation(async () => {
+        fs.writeFileSync(gitPath('packed-refs'), '# pack-refs with: peeled fully-peeled sorted\n');
+        upstreams = {};
+      });
+      await request(app).post('/api/branch/delete').send({ repoPath, branchName: 'feature' });
+
+      const res = await request(app)
+        .post('/api/undo')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, operation: 'Delete branch feature', kept: [] });
+      expect(git.writeRef).toHaveBeenCalledTimes(1);
+      expect(git.writeRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'refs/heads/feature', value: OURS_OID, force: true })
+      );
+      expect(git.setConfig).toHaveBeenCalledWith(expect.objectContaining({ path: 'branch.feature.remote', value: 'origin' }));
+      expect(git.setConfig).toHaveBeenCalledWith(
+        expect.objectContaining({ path: 'branch.feature.merge', value: 'refs/heads/feature' })
+      );
+    });
+
+    it('should put back HEAD, the index and the operation in progress, deleting refs created since', async () => {
+      const index = fs.readFileSync(gitPath('index'));
+      git.branch.mockImplementation(async () => {
+        fs.writeFileSync(gitPath('refs', 'heads', 'topic'), `${THEIRS_OID}\n`);
+        fs.writeFileSync(gitPath('HEAD'), 'ref: refs/heads/topic\n');
+        fs.writeFileSync(gitPath('MERGE_HEAD'), `${THEIRS_OID}\n`);
+        writeIndex(repoPath, [{ filepath: 'b.txt', oid: THEIRS_OID }]);
+      });
+      await request(app).post('/api/branch/create').send({ repoPath, branchName: 'topic', startPoint: BASE_OID });
+
+      const res = await request(app)
+        .post('/api/undo')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(res.body.operation).toBe('Create branch topic');
+      expect(git.deleteRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/heads/topic' }));
+      expect(git.writeRef).not.toHaveBeenCalled();
+      expect(fs.readFileSync(gitPath('HEAD'), 'utf8')).toBe('ref: refs/heads/main\n');
+      expect(fs.existsSync(gitPath('MERGE_HEAD'))).toBe(false);
+      expect(fs.readFileSync(gitPath('index'))).toEqual(index);
+    });
+
+    it('should undo operations newest first, one at a time', async () => {
+      git.deleteBranch.mockImplementation(async () => {
+        fs.writeFileSync(gitPath('packed-refs'), '');
+        upstreams = {};
+      });
+      git.checkout.mockImplementation(async ({ ref }) => {
+        fs.writeFileSync(gitPath('HEAD'), `${ref}\n`);
+      });
+      await request(app).post('/api/branch/delete').send({ repoPath, branchName: 'feature' });
+      await request(app).post('/api/branch/checkout').send({ repoPath, branchName: BASE_OID });
+
+      const first = await request(app).post('/api/undo').send({ repoPath });
+      expect(first.body.operation).toBe(`Check out ${BASE_OID}`);
+      expect(fs.readFileSync(gitPath('HEAD'), 'utf8')).toBe('ref: refs/heads/main\n');
+      expect(git.writeRef).not.toHaveBeenCalled();
+
+      const second = await request(app).post('/api/undo').send({ repoPath });
+      expect(second.body.operation).toBe('Delete branch feature');
+      expect(git.writeRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/heads/feature', value: OURS_OID }));
+    });
+
+    it('should only put back the refs the operation changed', async () => {
+      git.branch.mockImplementation(async () => {
+        fs.writeFileSync(gitPath('refs', 'heads', 'topic'), `${THEIRS_OID}\n`);
+      });
+      await request(app).post('/api/branch/create').send({ repoPath, branchName: 'topic', startPoint: THEIRS_OID });
+      // Committed on main and branched from the command line afterwards
+      fs.writeFileSync(gitPath('refs', 'heads', 'main'), `${OURS_OID}\n`);
+      fs.writeFileSync(gitPath('refs', 'heads', 'other'), `${OURS_OID}\n`);
+
+      const res = await request(app)
+        .post('/api/undo')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(git.deleteRef).toHaveBeenCalledTimes(1);
+      expect(git.deleteRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/heads/topic' }));
+      expect(git.writeRef).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to undo when a ref the operation moved has moved since', async () => {
+      git.branch.mockImplementation(async () => {
+        fs.writeFileSync(gitPath('refs', 'heads', 'topic'), `${THEIRS_OID}\n`);
+      });
+      await request(app).post('/api/branch/create').send({ repoPath, branchName: 'topic', startPoint: THEIRS_OID });
+      fs.writeFileSync(gitPath('refs', 'heads', 'topic'), `${OURS_OID}\n`);
+
+      const res = await request(app)
+        .post('/api/undo')
+        .send({ repoPath });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Cannot undo Create branch topic: refs/heads/topic changed since');
+      expect(git.deleteRef).not.toHaveBeenCalled();
+      const status = await request(app).post('/api/undo/status').send({ repoPath });
+      expect(status.body.operation).toBe('Create branch topic');
+    });
+
+    it('should undo staging a file, keeping the edit in the working tree', async () => {
+      fs.writeFileSync(path.join(repoPath, 'a.txt'), 'two\n');
+      stageFile('a.txt', blobOid('two\n'));
+      git.commit.mockImplementation(async () => {
+        fs.writeFileSync(gitPath('refs', 'heads', 'main'), `${OURS_OID}\n`);
+        return OURS_OID;
+      });
+      git.add.mockImplementation(async ({ filepath }) => {
+        stageFile(filepath, blobOid(fs.readFileSync(path.join(repoPath, filepath))));
+      });
+      await request(app).post('/api/commit').send({ repoPath, message: 'Two', author: { name: 'A', email: 'a@test.com' } });
+      fs.writeFileSync(path.join(repoPath, 'a.txt'), 'three - precious work');
+      await request(app).post('/api/add').send({ repoPath, filepath: 'a.txt' });
+
+      const res = await request(app)
+        .post('/api/undo')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, operation: 'Stage a.txt', kept: [] });
+      expect(readIndex()['a.txt']).toBe(blobOid('two\n'));
+      expect(fs.readFileSync(path.join(repoPath, 'a.txt'), 'utf8')).toBe('three - precious work');
+      expect(fs.readFileSync(gitPath('refs', 'heads', 'main'), 'utf8')).toBe(`${OURS_OID}\n`);
+    });
+
+    it('should leave a newly staged file in place, untracked, when undoing staging it', async () => {
+      fs.writeFileSync(path.join(repoPath, 'new.txt'), 'new work\n');
+      git.add.mockImplementation(async ({ filepath }) => {
+        stageFile(filepath, blobOid(fs.readFileSync(path.join(repoPath, filepath))));
+      });
+      await request(app).post('/api/add').send({ repoPath, filepath: 'new.txt' });
+      expect(readIndex()['new.txt']).toBe(blobOid('new work\n'));
+
+      const res = await request(app)
+        .post('/api/undo')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, operation: 'Stage new.txt', kept: [] });
+      expect(readIndex()).toEqual({ 'a.txt': BASE_OID });
+      expect(fs.readFileSync(path.join(repoPath, 'new.txt'), 'utf8')).toBe('new work\n');
+      expect(git.walk).not.toHaveBeenCalled();
+    });
+
+    it('should keep files staged or edited since the operation', async () => {
+      fs.writeFileSync(path.join(repoPath, 'a.txt'), 'one\n');
+      stageFile('a.txt', blobOid('one\n'));
+      git.checkout.mockImplementation(async ({ ref }) => {
+        fs.writeFileSync(gitPath('HEAD'), `${ref}\n`);
+        fs.writeFileSync(path.join(repoPath, 'a.txt'), 'two\n');
+        fs.writeFileSync(path.join(repoPath, 'b.txt'), 'new\n');
+        stageFile('a.txt', blobOid('two\n'));
+        stageFile('b.txt', blobOid('new\n'));
+      });
+      await request(app).post('/api/branch/checkout').send({ repoPath, branchName: OURS_OID });
+      fs.writeFileSync(path.join(repoPath, 'a.txt'), 'three - precious work');
+      stageFile('a.txt', blobOid('three - precious work'));
+
+      const res = await request(app)
+        .post('/api/undo')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, operation: `Check out ${OURS_OID}`, kept: ['a.txt'] });
+      expect(fs.readFileSync(gitPath('HEAD'), 'utf8')).toBe('ref: refs/heads/main\n');
+      expect(readIndex()).toEqual({ 'a.txt': blobOid('three - precious work') });
+      expect(fs.readFileSync(path.join(repoPath, 'a.txt'), 'utf8')).toBe('three - precious work');
+      expect(fs.existsSync(path.join(repoPath, 'b.txt'))).toBe(false);
+    });
+
+    it('should return 400 when there is nothing to undo', async () => {
+      const res = await request(app)
+        .post('/api/undo')
+        .send({ repoPath });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Nothing to undo');
+    });
+  });
+
+  // ============================================
+  // POST /api/tags
+  // ============================================
+  describe('POST /api/tags', () => {
+    it('should list lightweight and annotated tags with their commits', async () => {
+      git.listTags.mockResolvedValue(['light', 'v1.0']);
+      git.resolveRef.mockImplementation(async ({ ref }) => (ref === 'refs/tags/v1.0' ? 'tagobject1' : 'commit1'));
+      git.readTag.mockImplementation(async ({ oid }) => {
+        if (oid === 'tagobject1') {
+          return { oid, tag: { object: 'commit2', type: 'commit', message: 'Release 1.0\n', tagger: { name: 'Test' } } };
+        }
+        throw Object.assign(new Error('not a tag'), { code: 'ObjectTypeError' });
+      });
+
+      const res = await request(app)
+        .post('/api/tags')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.tags).toEqual([
+        { name: 'light', oid: 'commit1', annotated: false, message: null, tagger: null },
+        { name: 'v1.0', oid: 'commit2', annotated: true, message: 'Release 1.0\n', tagger: { name: 'Test' } },
+      ]);
+    });
+  });
+
+  // ============================================
+  // POST /api/tag/create
+  // ============================================
+  describe('POST /api/tag/create', () => {
+    const tagger = { name: 'Test', email: 'test@test.com' };
+
+    beforeEach(() => {
+      git.listTags.mockResolvedValue([]);
+      git.resolveRef.mockResolvedValue('commit123');
+    });
+
+    it('should create a lightweight tag at HEAD', async () => {
+      git.tag.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/tag/create')
+        .send({ repoPath: '/test/repo', tagName: 'v1.0' });
+
+      expect(res.status).toBe(200);
+      expect(git.resolveRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'HEAD' }));
+      expect(git.tag).toHaveBeenCalledWith(expect.objectContaining({ ref: 'v1.0', object: 'commit123' }));
+      expect(git.annotatedTag).not.toHaveBeenCalled();
+    });
+
+    it('should create an annotated tag when given a message', async () => {
+      git.annotatedTag.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/tag/create')
+        .send({ repoPath: '/test/repo', tagName: 'v1.0', target: 'feature', message: 'Release 1.0', tagger });
+
+      expect(res.status).toBe(200);
+      expect(git.resolveRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'feature' }));
+      expect(git.annotatedTag).toHaveBeenCalledWith(expect.objectContaining({
+        ref: 'v1.0',
+        object: 'commit123',
+        message: 'Release 1.0',
+        tagger,
+      }));
+    });
+
+    it('should return 400 when the tag already exists', async () => {
+      git.tag.mockRejectedValue(Object.assign(new Error('exists'), { code: 'AlreadyExistsError' }));
+
+      const res = await request(app)
+        .post('/api/tag/create')
+        .send({ repoPath: '/test/repo', tagName: 'v1.0' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Tag 'v1.0' already exists");
+    });
+
+    it('should return 400 when parameters are missing', async () => {
+      const noName = await request(app)
+        .post('/api/tag/create')
+        .send({ repoPath: '/test/repo' });
+      const noTagger = await request(app)
+        .post('/api/tag/create')
+        .send({ repoPath: '/test/repo', tagName: 'v1.0', message: 'Release' });
+
+      expect(noName.status).toBe(400);
+      expect(noTagger.status).toBe(400);
+    });
+  });
+
+  // ============================================
+  // POST /api/tag/delete
+  // ============================================
+  describe('POST /api/tag/delete', () => {
+    it('should delete a tag', async () => {
+      git.deleteTag.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/tag/delete')
+        .send({ repoPath: '/test/repo', tagName: 'v1.0' });
+
+      expect(res.status).toBe(200);
+      expect(git.deleteTag).toHaveBeenCalledWith(expect.objectContaining({ ref: 'v1.0' }));
+    });
+  });
+
+  // ============================================
+  // POST /api/tag/push
+  // ============================================
+  describe('POST /api/tag/push', () => {
+    it('should push the tag ref', async () => {
+      git.push.mockResolvedValue({ ok: true });
+
+      const res = await request(app)
+        .post('/api/tag/push')
+        .send({ repoPath: '/test/repo', tagName: 'v1.0' });
+
+      expect(res.status).toBe(200);
+      expect(git.push).toHaveBeenCalledWith(expect.objectContaining({
+        remote: 'origin',
+        ref: 'refs/tags/v1.0',
+        remoteRef: 'refs/tags/v1.0',
+      }));
+    });
+  });
+
+  // ============================================
+  // POST /api/tag/delete-remote
+  // ============================================
+  describe('POST /api/tag/delete-remote', () => {
+    it('should delete the tag ref on the remote', async () => {
+      git.push.mockResolvedValue({ ok: true });
+
+      const res = await request(app)
+        .post('/api/tag/delete-remote')
+        .send({ repoPath: '/test/repo', tagName: 'v1.0', remote: 'upstream' });
+
+      expect(res.status).toBe(200);
+      expect(git.push).toHaveBeenCalledWith(expect.objectContaining({
+        remote: 'upstream',
+        remoteRef: 'refs/tags/v1.0',
+        delete: true,
+      }));
+    });
+  });
+
+  // ============================================
+  // POST /api/status
+  // ============================================
+  describe('POST /api/status', () => {
+    it('should return categorized file status', async () => {
+      git.statusMatrix.mockResolvedValue([
+        ['modified.js', 1, 2, 1],      // modified (unstaged)
+        ['untracked.js', 0, 2, 0],     // untracked
+        ['added.js', 0, 2, 2],         // added (staged)
+        ['deleted.js', 1, 0, 1],       // deleted
+        ['staged-modified.js', 1, 2, 2], // modified (staged)
+      ]);
+
+      const res = await request(app)
+        .post('/api/status')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.modified).toContain('modified.js');
+      expect(res.body.modified).toContain('staged-modified.js');
+      expect(res.body.untracked).toContain('untracked.js');
+      expect(res.body.added).toContain('added.js');
+      expect(res.body.deleted).toContain('deleted.js');
+    });
+
+    it('should return empty arrays for clean working directory', async () => {
+      git.statusMatrix.mockResolvedValue([]);
+
+      const res = await request(app)
+        .post('/api/status')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.modified).toEqual([]);
+      expect(res.body.untracked).toEqual([]);
+      expect(res.body.added).toEqual([]);
+      expect(res.body.deleted).toEqual([]);
+    });
+
+    it('should handle git errors', async () => {
+      git.statusMatrix.mockRejectedValue(new Error('Not a git repository'));
 
       const res = await request(app)
         .post('/api/status')
+        .send({ repoPath: '/invalid/repo' });
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('Not a git repository');
+    });
+  });
+
+  // ============================================
+  // POST /api/working-diff
+  // ============================================
+  describe('POST /api/working-diff', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should return unstaged and staged diffs', async () => {
+      fs.mkdirSync(path.join(repoPath, 'src'));
+      fs.writeFileSync(path.join(repoPath, 'src/app.js'), 'one\ntwo\nthree\n');
+      git.resolveRef.mockResolvedValue('head123');
+      mockIndex('src/app.js', 'staged-blob');
+      git.readBlob.mockImplementation(async ({ oid }) => (
+        oid === 'head123'
+          ? { oid: 'head-blob', blob: Buffer.from('one\n') }
+          : { oid, blob: Buffer.from('one\ntwo\n') }
+      ));
+
+      const res = await request(app)
+        .post('/api/working-diff')
+        .send({ repoPath, filepath: 'src/app.js' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.staged.hunks[0].lines.filter(l => l.type === 'add').map(l => l.content)).toEqual(['two']);
+      expect(res.body.unstaged.hunks[0].lines.filter(l => l.type === 'add').map(l => l.content)).toEqual(['three']);
+      expect(git.readBlob).toHaveBeenCalledWith(expect.objectContaining({ oid: 'staged-blob' }));
+    });
+
+    it('should show an untracked file as entirely added', async () => {
+      fs.writeFileSync(path.join(repoPath, 'new.txt'), 'hello\n');
+      git.resolveRef.mockResolvedValue('head123');
+      git.readBlob.mockRejectedValue(Object.assign(new Error('Could not find new.txt.'), { code: 'NotFoundError' }));
+      git.walk.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/working-diff')
+        .send({ repoPath, filepath: 'new.txt' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.unstaged.hunks[0]).toMatchObject({ oldLines: 0, newLines: 1 });
+      expect(res.body.staged.hunks).toEqual([]);
+    });
+
+    it('should return 400 when filepath is missing', async () => {
+      const res = await request(app)
+        .post('/api/working-diff')
+        .send({ repoPath });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Missing required parameters');
+    });
+  });
+
+  // ============================================
+  // POST /api/add-partial
+  // ============================================
+  describe('POST /api/add-partial', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should stage only the selected lines', async () => {
+      fs.writeFileSync(path.join(repoPath, 'file.txt'), 'one\nTWO\nthree\nfour\n');
+      mockIndex('file.txt', 'staged-blob', 0o100755);
+      git.readBlob.mockResolvedValue({ oid: 'staged-blob', blob: Buffer.from('one\ntwo\nthree\n') });
+      git.writeBlob.mockResolvedValue('new-blob');
+      git.updateIndex.mockResolvedValue('new-blob');
+
+      const res = await request(app)
+        .post('/api/add-partial')
+        .send({ repoPath, filepath: 'file.txt', lines: { del: [2], add: [2] } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.oid).toBe('new-blob');
+      expect(Buffer.from(git.writeBlob.mock.calls[0][0].blob).toString()).toBe('one\nTWO\nthree\n');
+      expect(git.updateIndex).toHaveBeenCalledWith(
+        expect.objectContaining({ filepath: 'file.txt', oid: 'new-blob', mode: 0o100755, add: true })
+      );
+    });
+
+    it('should stage whole hunks by index', async () => {
+      fs.writeFileSync(path.join(repoPath, 'file.txt'), 'one\ntwo\nthree\nfour\n');
+      mockIndex('file.txt', 'staged-blob');
+      git.readBlob.mockResolvedValue({ oid: 'staged-blob', blob: Buffer.from('one\ntwo\n') });
+      git.writeBlob.mockResolvedValue('new-blob');
+
+      const res = await request(app)
+        .post('/api/add-partial')
+        .send({ repoPath, filepath: 'file.txt', hunks: [0] });
+
+      expect(res.status).toBe(200);
+      expect(Buffer.from(git.writeBlob.mock.calls[0][0].blob).toString()).toBe('one\ntwo\nthree\nfour\n');
+    });
+
+    it('should return 400 when nothing is selected', async () => {
+      fs.writeFileSync(path.join(repoPath, 'file.txt'), 'one\n');
+      git.walk.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/add-partial')
+        .send({ repoPath, filepath: 'file.txt' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('No changes selected');
+      expect(git.updateIndex).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================
+  // POST /api/reset-partial
+  // ============================================
+  describe('POST /api/reset-partial', () => {
+    it('should unstage only the selected lines', async () => {
+      git.resolveRef.mockResolvedValue('head123');
+      mockIndex('file.txt', 'staged-blob');
+      git.readBlob.mockImplementation(async ({ oid }) => (
+        oid === 'head123'
+          ? { oid: 'head-blob', blob: Buffer.from('one\n') }
+          : { oid, blob: Buffer.from('one\ntwo\nthree\n') }
+      ));
+      git.writeBlob.mockResolvedValue('new-blob');
+
+      const res = await request(app)
+        .post('/api/reset-partial')
+        .send({ repoPath: '/test/repo', filepath: 'file.txt', lines: { add: [3] } });
+
+      expect(res.status).toBe(200);
+      expect(Buffer.from(git.writeBlob.mock.calls[0][0].blob).toString()).toBe('one\ntwo\n');
+      expect(git.updateIndex).toHaveBeenCalledWith(
+        expect.objectContaining({ filepath: 'file.txt', oid: 'new-blob' })
+      );
+    });
+
+    it('should remove a new file from the index when all of it is unstaged', async () => {
+      git.resolveRef.mockResolvedValue('head123');
+      mockIndex('new.txt', 'staged-blob');
+      git.readBlob.mockImplementation(async ({ oid }) => {
+        if (oid === 'head123') throw Object.assign(new Error('Could not find new.txt.'), { code: 'NotFoundError' });
+        return { oid, blob: Buffer.from('hello\n') };
+      });
+
+      const res = await request(app)
+        .post('/api/reset-partial')
+        .send({ repoPath: '/test/repo', filepath: 'new.txt', hunks: [0] });
+
+      expect(res.status).toBe(200);
+      expect(git.resetIndex).toHaveBeenCalledWith(expect.objectContaining({ filepath: 'new.txt' }));
+      expect(git.writeBlob).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================
+  // POST /api/add
+  // ============================================
+  describe('POST /api/add', () => {
+    it('should stage a file', async () => {
+      git.add.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/add')
+        .send({ repoPath: '/test/repo', filepath: 'newfile.js' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(git.add).toHaveBeenCalledWith(
+        expect.objectContaining({ filepath: 'newfile.js' })
+      );
+    });
+
+    it('should handle file not found error', async () => {
+      git.add.mockRejectedValue(new Error('File not found'));
+
+      const res = await request(app)
+        .post('/api/add')
+        .send({ repoPath: '/test/repo', filepath: 'nonexistent.js' });
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('File not found');
+    });
+  });
+
+  // ============================================
+  // POST /api/reset
+  // ============================================
+  describe('POST /api/reset', () => {
+    it('should unstage a file', async () => {
+      git.resetIndex.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/reset')
+        .send({ repoPath: '/test/repo', filepath: 'staged.js' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(git.resetIndex).toHaveBeenCalledWith(
+        expect.objectContaining({ filepath: 'staged.js' })
+      );
+    });
+
+    it('should handle git errors', async () => {
+      git.resetIndex.mockRejectedValue(new Error('Reset failed'));
+
+      const res = await request(app)
+        .post('/api/reset')
+        .send({ repoPath: '/test/repo', filepath: 'file.js' });
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('Reset failed');
+    });
+  });
+
+  // ============================================
+  // POST /api/reset-branch/preview
+  // ============================================
+  describe('POST /api/reset-branch/preview', () => {
+    beforeEach(() => {
+      git.resolveRef.mockResolvedValue('head1');
+      git.readCommit.mockImplementation(async ({ oid }) => ({
+        oid,
+        commit: { parent: oid === 'head1' ? ['target1'] : [], committer: { timestamp: oid === 'head1' ? 2 : 1 } },
+      }));
+      git.statusMatrix.mockResolvedValue([
+        ['changed.txt', 1, 2, 1],
+        ['clean.txt', 1, 1, 1],
+        ['notes.txt', 0, 2, 0],
+        ['restored.txt', 0, 2, 0],
+      ]);
+      git.readBlob.mockImplementation(async ({ filepath }) => {
+        if (filepath === 'restored.txt') return { oid: 'blob1', blob: Buffer.from('old') };
+        throw Object.assign(new Error('not found'), { code: 'NotFoundError' });
+      });
+    });
+
+    it('should list the commits and local changes a hard reset discards', async () => {
+      const res = await request(app)
+        .post('/api/reset-branch/preview')
+        .send({ repoPath: '/test/repo', oid: 'target1', mode: 'hard' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ commits: 1, files: ['changed.txt', 'restored.txt'] });
+    });
+
+    it('should not list files for a mixed reset', async () => {
+      const res = await request(app)
+        .post('/api/reset-branch/preview')
+        .send({ repoPath: '/test/repo', oid: 'target1', mode: 'mixed' });
+
+      expect(res.body).toEqual({ commits: 1, files: [] });
+    });
+  });
+
+  // ============================================
+  // POST /api/reset-branch
+  // ============================================
+  describe('POST /api/reset-branch', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+      git.currentBranch.mockResolvedValue('main');
+      git.resolveRef.mockResolvedValue('head1');
+      git.writeRef.mockResolvedValue(undefined);
+      git.checkout.mockResolvedValue(undefined);
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should move the branch, index and working tree for a hard reset', async () => {
+      fs.writeFileSync(path.join(repoPath, '.git', 'MERGE_HEAD'), 'theirs1\n');
+
+      const res = await request(app)
+        .post('/api/reset-branch')
+        .send({ repoPath, oid: 'target1', mode: 'hard' });
+
+      expect(res.status).toBe(200);
+      expect(git.writeRef).toHaveBeenCalledWith(expect.objectContaining({
+        ref: 'refs/heads/main',
+        value: 'target1',
+        force: true,
+      }));
+      expect(git.checkout).toHaveBeenCalledWith(expect.objectContaining({ ref: 'main', force: true }));
+      expect(fs.readFileSync(path.join(repoPath, '.git', 'ORIG_HEAD'), 'utf8')).toBe('head1\n');
+      expect(fs.existsSync(path.join(repoPath, '.git', 'MERGE_HEAD'))).toBe(false);
+    });
+
+    it('should reset only the index for a mixed reset', async () => {
+      git.resetIndex.mockResolvedValue(undefined);
+      git.walk.mockImplementation(async ({ map }) => {
+        const blob = (oid) => ({ type: async () => 'blob', oid: async () => oid });
+        await map('.', [null, null]);
+        await map('same.txt', [blob('blob1'), blob('blob1')]);
+        await map('staged.txt', [blob('blob2'), blob('blob3')]);
+        await map('added.txt', [null, blob('blob4')]);
+      });
+
+      const res = await request(app)
+        .post('/api/reset-branch')
+        .send({ repoPath, oid: 'target1', mode: 'mixed' });
+
+      expect(res.status).toBe(200);
+      expect(git.checkout).not.toHaveBeenCalled();
+      expect(git.resetIndex).toHaveBeenCalledTimes(2);
+      expect(git.resetIndex).toHaveBeenCalledWith(expect.objectContaining({ filepath: 'staged.txt', ref: 'target1' }));
+      expect(git.resetIndex).toHaveBeenCalledWith(expect.objectContaining({ filepath: 'added.txt', ref: 'target1' }));
+    });
+
+    it('should only move the branch for a soft reset', async () => {
+      const res = await request(app)
+        .post('/api/reset-branch')
+        .send({ repoPath, oid: 'target1', mode: 'soft' });
+
+      expect(res.status).toBe(200);
+      expect(git.writeRef).toHaveBeenCalled();
+      expect(git.checkout).not.toHaveBeenCalled();
+      expect(git.resetIndex).not.toHaveBeenCalled();
+    });
+
+    it('should move a detached HEAD', async () => {
+      git.currentBranch.mockResolvedValue(undefined);
+
+      await request(app)
+        .post('/api/reset-branch')
+        .send({ repoPath, oid: 'target1', mode: 'hard' });
+
+      expect(git.writeRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'HEAD', value: 'target1' }));
+      expect(git.checkout).toHaveBeenCalledWith(expect.objectContaining({ ref: 'target1' }));
+    });
+
+    it('should refuse a soft reset during a merge', async () => {
+      fs.writeFileSync(path.join(repoPath, '.git', 'MERGE_HEAD'), 'theirs1\n');
+
+      const res = await request(app)
+        .post('/api/reset-branch')
+        .send({ repoPath, oid: 'target1', mode: 'soft' });
+
+      expect(res.status).toBe(400);
+      expect(git.writeRef).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to reset during a rebase', async () => {
+      writeRebaseFiles(repoPath, {});
+
+      const res = await request(app)
+        .post('/api/reset-branch')
+        .send({ repoPath, oid: 'target1', mode: 'hard' });
+
+      expect(res.status).toBe(400);
+      expect(git.writeRef).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an unknown mode', async () => {
+      const res = await request(app)
+        .post('/api/reset-branch')
+        .send({ repoPath, oid: 'target1', mode: 'keep' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Unknown reset mode: keep');
+    });
+  });
+
+  // ============================================
+  // POST /api/commit
+  // ============================================
+  describe('POST /api/commit', () => {
+    it('should create a commit', async () => {
+      git.commit.mockResolvedValue('newcommitsha123');
+
+      const res = await request(app)
+        .post('/api/commit')
+        .send({
+          repoPath: '/test/repo',
+          message: 'Add new feature',
+          author: { name: 'Test User', email: 'test@test.com' },
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.sha).toBe('newcommitsha123');
+    });
+
+    it('should handle no staged files error', async () => {
+      git.commit.mockRejectedValue(new Error('Nothing to commit'));
+
+      const res = await request(app)
+        .post('/api/commit')
+        .send({
+          repoPath: '/test/repo',
+          message: 'Empty commit',
+          author: { name: 'Test', email: 'test@test.com' },
+        });
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('Nothing to commit');
+    });
+    it('should record MERGE_HEAD as a second parent and clear the merge state', async () => {
+      const repoPath = createTempRepo();
+      fs.writeFileSync(path.join(repoPath, '.git', 'MERGE_HEAD'), 'theirsha\n');
+      fs.writeFileSync(path.join(repoPath, '.git', 'MERGE_MSG'), 'Merge branch \'feature\' into main\n');
+      git.resolveRef.mockResolvedValue('headsha');
+      git.commit.mockResolvedValue('mergesha');
+
+      const res = await request(app)
+        .post('/api/commit')
+        .send({ repoPath, message: 'Merge feature', author: { name: 'Test', email: 'test@test.com' } });
+
+      expect(res.status).toBe(200);
+      expect(git.commit).toHaveBeenCalledWith(
+        expect.objectContaining({ parent: ['headsha', 'theirsha'] })
+      );
+      expect(fs.existsSync(path.join(repoPath, '.git', 'MERGE_HEAD'))).toBe(false);
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should amend HEAD keeping its parents and author', async () => {
+      const repoPath = createTempRepo();
+      const original = { name: 'Original', email: 'original@test.com', timestamp: 1600000000, timezoneOffset: -60 };
+      git.resolveRef.mockResolvedValue('headsha');
+      git.readCommit.mockResolvedValue({
+        oid: 'headsha',
+        commit: { parent: ['parentsha'], message: 'Old message\n', author: original, committer: original },
+      });
+      git.currentBranch.mockResolvedValue('main');
+      git.getConfig.mockResolvedValue(undefined);
+      git.commit.mockResolvedValue('amendedsha');
+
+      const res = await request(app)
+        .post('/api/commit')
+        .send({ repoPath, message: 'New message', author: { name: 'Test', email: 'test@test.com' }, amend: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, sha: 'amendedsha', amended: true, pushed: false });
+      expect(git.commit).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'New message',
+        parent: ['parentsha'],
+        author: original,
+        committer: expect.objectContaining({ name: 'Test', email: 'test@test.com' }),
+      }));
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should keep the message of HEAD when amending without one', async () => {
+      const repoPath = createTempRepo();
+      git.resolveRef.mockResolvedValue('headsha');
+      git.readCommit.mockResolvedValue({
+        oid: 'headsha',
+        commit: { parent: [], message: 'Old message\n', author: { name: 'A', email: 'a@test.com' } },
+      });
+      git.currentBranch.mockResolvedValue('main');
+      git.getConfig.mockResolvedValue(undefined);
+      git.commit.mockResolvedValue('amendedsha');
+
+      const res = await request(app)
+        .post('/api/commit')
+        .send({ repoPath, author: { name: 'Test', email: 'test@test.com' }, amend: true });
+
+      expect(res.status).toBe(200);
+      expect(git.commit).toHaveBeenCalledWith(expect.objectContaining({ message: 'Old message\n', parent: [] }));
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should refuse to amend during a merge', async () => {
+      const repoPath = createTempRepo();
+      fs.writeFileSync(path.join(repoPath, '.git', 'MERGE_HEAD'), 'theirsha\n');
+
+      const res = await request(app)
+        .post('/api/commit')
+        .send({ repoPath, message: 'Amend', author: { name: 'Test', email: 'test@test.com' }, amend: true });
+
+      expect(res.status).toBe(400);
+      expect(git.commit).not.toHaveBeenCalled();
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+  });
+
+  // ============================================
+  // POST /api/commit/amend-info
+  // ============================================
+  describe('POST /api/commit/amend-info', () => {
+    const history = {
+      base: { parent: [], time: 1 },
+      head: { parent: ['base'], time: 2 },
+      later: { parent: ['head'], time: 3 },
+    };
+
+    beforeEach(() => {
+      git.currentBranch.mockResolvedValue('main');
+      git.getConfig.mockImplementation(async ({ path: key }) => ({
+        'branch.main.remote': 'origin',
+        'branch.main.merge': 'refs/heads/main',
+      })[key]);
+      git.readCommit.mockImplementation(async ({ oid }) => ({
+        oid,
+        commit: {
+          parent: history[oid].parent,
+          message: `${oid}\n`,
+          author: { name: 'A', email: 'a@test.com' },
+          committer: { timestamp: history[oid].time },
+        },
+      }));
+    });
+
+    const mockRefs = (upstream) => {
+      git.resolveRef.mockImplementation(async ({ ref }) => {
+        if (ref === 'HEAD') return 'head';
+        if (!upstream) throw Object.assign(new Error('not found'), { code: 'NotFoundError' });
+        return upstream;
+      });
+    };
+
+    it('should report HEAD as pushed when the upstream contains it', async () => {
+      mockRefs('later');
+
+      const res = await request(app)
+        .post('/api/commit/amend-info')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.oid).toBe('head');
+      expect(res.body.message).toBe('head\n');
+      expect(res.body.pushed).toBe(true);
+    });
+
+    it('should report HEAD as not pushed when it is ahead of the upstream', async () => {
+      mockRefs('base');
+
+      const res = await request(app)
+        .post('/api/commit/amend-info')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.pushed).toBe(false);
+    });
+
+    it('should report HEAD as not pushed when the upstream branch is missing', async () => {
+      mockRefs(null);
+
+      const res = await request(app)
+        .post('/api/commit/amend-info')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.pushed).toBe(false);
+    });
+  });
+
+  // ============================================
+  // POST /api/merge
+  // ============================================
+  describe('POST /api/merge', () => {
+    beforeEach(() => {
+      git.listTags.mockResolvedValue([]);
+      git.statusMatrix.mockResolvedValue([]);
+      git.resolveRef.mockResolvedValue(OURS_OID);
+    });
+
+    it('should merge branches successfully', async () => {
+      git.currentBranch.mockResolvedValue('main');
+      git.merge.mockResolvedValue({ oid: 'mergecommit123' });
+      git.checkout.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/merge')
+        .send({ repoPath: '/test/repo', theirBranch: 'feature' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(git.merge).toHaveBeenCalledWith(
+        expect.objectContaining({
+          ours: 'main',
+          theirs: 'feature',
+        })
+      );
+    });
+
+    it('should merge the commit a tag points at', async () => {
+      git.currentBranch.mockResolvedValue('main');
+      git.listTags.mockResolvedValue(['v1.0']);
+      git.resolveRef.mockResolvedValue('tagobject1');
+      git.readTag
+        .mockResolvedValueOnce({ oid: 'tagobject1', tag: { object: 'commit123', type: 'commit', message: 'Release\n' } })
+        .mockRejectedValueOnce(Object.assign(new Error('not a tag'), { code: 'ObjectTypeError' }));
+      git.merge.mockResolvedValue({ oid: 'mergecommit123', mergeCommit: true });
+      git.checkout.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/merge')
+        .send({ repoPath: '/test/repo', theirBranch: 'v1.0', mode: 'no-ff' });
+
+      expect(res.status).toBe(200);
+      expect(git.merge).toHaveBeenCalledWith(expect.objectContaining({
+        theirs: 'commit123',
+        message: "Merge tag 'v1.0' into main",
+      }));
+    });
+
+    it('should merge with the given author and message and update the working tree', async () => {
+      git.currentBranch.mockResolvedValue('main');
+      git.merge.mockResolvedValue({ oid: 'mergecommit123', mergeCommit: true });
+      git.checkout.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/merge')
+        .send({
+          repoPath: '/test/repo',
+          theirBranch: 'feature',
+          mode: 'no-ff',
+          message: 'Merge feature for release',
+          author: { name: 'Test User', email: 'test@test.com' },
+        });
+
+      expect(res.status).toBe(200);
+      expect(git.merge).toHaveBeenCalledWith(expect.objectContaining({
+        fastForward: false,
+        message: 'Merge feature for release',
+        author: { name: 'Test User', email: 'test@test.com' },
+      }));
+      expect(git.checkout).toHaveBeenCalledWith(expect.objectContaining({ ref: 'main' }));
+    });
+
+    it('should refuse ff-only merges of diverged branches with 400', async () => {
+      git.currentBranch.mockResolvedValue('main');
+      git.merge.mockRejectedValue(
+        Object.assign(new Error('A simple fast-forward merge was not possible.'), { code: 'FastForwardError' })
+      );
+
+      const res = await request(app)
+        .post('/api/merge')
+        .send({ repoPath: '/test/repo', theirBranch: 'feature', mode: 'ff-only' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(
+        "Cannot fast-forward main to branch 'feature': the branches have diverged. Merge without ff-only or rebase instead"
+      );
+      expect(git.merge).toHaveBeenCalledWith(expect.objectContaining({ fastForwardOnly: true }));
+    });
+
+    it('should stage a squash merge without committing it', async () => {
+      const repoPath = createTempRepo();
+      git.currentBranch.mockResolvedValue('main');
+      git.merge.mockResolvedValue({ oid: 'unusedmerge', mergeCommit: true });
+      git.resolveRef.mockResolvedValue('headsha');
+      git.walk.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/merge')
+        .send({ repoPath, theirBranch: 'feature', mode: 'squash' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.result).toEqual({ squash: true, message: "Squashed commit of branch 'feature'" });
+      expect(git.merge).toHaveBeenCalledWith(expect.objectContaining({ noUpdateBranch: true, fastForward: false }));
+      expect(git.TREE).toHaveBeenCalledWith({ ref: 'unusedmerge' });
+      expect(git.checkout).not.toHaveBeenCalled();
+      expect(fs.readFileSync(path.join(repoPath, '.git', 'SQUASH_MSG'), 'utf8')).toBe("Squashed commit of branch 'feature'\n");
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should reject unknown merge modes', async () => {
+      const res = await request(app)
+        .post('/api/merge')
+        .send({ repoPath: '/test/repo', theirBranch: 'feature', mode: 'octopus' });
+
+      expect(res.status).toBe(400);
+      expect(git.merge).not.toHaveBeenCalled();
+    });
+
+    it('should not report other merge failures as conflicts', async () => {
+      git.currentBranch.mockResolvedValue('main');
+      git.merge.mockRejectedValue(new Error('Could not read object'));
+
+      const res = await request(app)
+        .post('/api/merge')
+        .send({ repoPath: '/test/repo', theirBranch: 'feature' });
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('Could not read object');
+      expect(res.body.conflicts).toBeUndefined();
+    });
+
+    it('should refuse to merge over local changes to files their side changed', async () => {
+      git.currentBranch.mockResolvedValue('main');
+      git.resolveRef.mockImplementation(async ({ ref }) => (ref === 'main' ? OURS_OID : THEIRS_OID));
+      git.statusMatrix.mockResolvedValue([['a.txt', 1, 2, 1], ['b.txt', 1, 2, 1]]);
+      git.findMergeBase.mockResolvedValue([BASE_OID]);
+      git.walk.mockImplementation(async ({ map }) => {
+        const blob = oid => ({ type: async () => 'blob', oid: async () => oid });
+        await map('a.txt', [blob(BASE_OID), blob(THEIRS_OID)]);
+        await map('b.txt', [blob(BASE_OID), blob(BASE_OID)]);
+      });
+
+      const res = await request(app)
+        .post('/api/merge')
+        .send({ repoPath: '/test/repo', theirBranch: 'feature', mode: 'squash' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Commit or stash your changes before merging: a.txt');
+      expect(git.merge).not.toHaveBeenCalled();
+      expect(git.updateIndex).not.toHaveBeenCalled();
+    });
+
+    it('should put the branch back when the merged commit cannot be checked out', async () => {
+      git.currentBranch.mockResolvedValue('main');
+      git.resolveRef.mockImplementation(async ({ ref }) => (ref === 'main' ? OURS_OID : THEIRS_OID));
+      git.merge.mockResolvedValue({ oid: THEIRS_OID, fastForward: true });
+      git.checkout.mockRejectedValue(Object.assign(new Error('Your local changes would be overwritten'), {
+        code: 'CheckoutConflictError',
+        data: { filepaths: ['new.txt'] },
+      }));
+
+      const res = await request(app)
+        .post('/api/merge')
+        .send({ repoPath: '/test/repo', theirBranch: 'feature' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Commit or stash your changes before merging: new.txt');
+      expect(git.writeRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'refs/heads/main', value: OURS_OID, force: true })
+      );
+    });
+
+    it('should record the merge and report conflicted files', async () => {
+      const repoPath = createTempRepo();
+      git.currentBranch.mockResolvedValue('main');
+      git.merge.mockRejectedValue(Object.assign(new Error('Automatic merge failed'), {
+        code: 'MergeConflictError',
+        data: { filepaths: ['app.js'] },
+      }));
+      git.resolveRef.mockImplementation(async ({ ref }) => (ref === 'main' ? OURS_OID : THEIRS_OID));
+      git.findMergeBase.mockResolvedValue([BASE_OID]);
+      git.walk.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/merge')
+        .send({ repoPath, theirBranch: 'feature' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.conflicts).toBe(true);
+      expect(res.body.filepaths).toEqual(['app.js']);
+      expect(git.merge).toHaveBeenCalledWith(expect.objectContaining({ abortOnConflict: false }));
+      expect(fs.readFileSync(path.join(repoPath, '.git', 'MERGE_HEAD'), 'utf8')).toBe(`${THEIRS_OID}\n`);
+      expect(fs.readFileSync(path.join(repoPath, '.git', 'MERGE_MSG'), 'utf8'))
+        .toBe("Merge branch 'feature' into main\n\n# Conflicts:\n#\tapp.js\n");
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+  });
+
+  // ============================================
+  // POST /api/merge/status
+  // ============================================
+  describe('POST /api/merge/status', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should list unresolved and resolved conflicts', async () => {
+      fs.writeFileSync(path.join(repoPath, '.git', 'MERGE_HEAD'), `${THEIRS_OID}\n`);
+      fs.writeFileSync(
+        path.join(repoPath, '.git', 'MERGE_MSG'),
+        "Merge branch 'feature' into main\n\n# Conflicts:\n#\tapp.js\n#\tdone.js\n"
+      );
+      writeIndex(repoPath, [
+        { filepath: 'app.js', oid: BASE_OID, stage: 1 },
+        { filepath: 'app.js', oid: OURS_OID, stage: 2 },
+        { filepath: 'app.js', oid: THEIRS_OID, stage: 3 },
+        { filepath: 'done.js', oid: OURS_OID },
+        { filepath: 'gone.js', oid: BASE_OID, stage: 1 },
+        { filepath: 'gone.js', oid: OURS_OID, stage: 2 },
+      ]);
+
+      const res = await request(app)
+        .post('/api/merge/status')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(res.body.inProgress).toBe(true);
+      expect(res.body.theirs).toBe(THEIRS_OID);
+      expect(res.body.message).toBe("Merge branch 'feature' into main");
+      expect(res.body.conflicts).toEqual([
+        { filepath: 'app.js', type: 'both-modified', resolved: false },
+        { filepath: 'gone.js', type: 'deleted-by-them', resolved: false },
+        { filepath: 'done.js', type: null, resolved: true },
+      ]);
+    });
+
+    it('should report no merge when MERGE_HEAD is absent', async () => {
+      const res = await request(app)
+        .post('/api/merge/status')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(res.body.inProgress).toBe(false);
+      expect(res.body.conflicts).toEqual([]);
+    });
+  });
+
+  // ============================================
+  // POST /api/merge/conflict-file
+  // ============================================
+  describe('POST /api/merge/conflict-file', () => {
+    it('should return base, ours, theirs and the working tree content', async () => {
+      const repoPath = createTempRepo();
+      writeIndex(repoPath, [
+        { filepath: 'app.js', oid: BASE_OID, stage: 1 },
+        { filepath: 'app.js', oid: OURS_OID, stage: 2 },
+        { filepath: 'app.js', oid: THEIRS_OID, stage: 3 },
+      ]);
+      fs.writeFileSync(path.join(repoPath, 'app.js'), '<<<<<<< main\nours\n=======\ntheirs\n>>>>>>> feature\n');
+      const contents = { [BASE_OID]: 'base\n', [OURS_OID]: 'ours\n', [THEIRS_OID]: 'theirs\n' };
+      git.readBlob.mockImplementation(async ({ oid }) => ({ oid, blob: Buffer.from(contents[oid]) }));
+
+      const res = await request(app)
+        .post('/api/merge/conflict-file')
+        .send({ repoPath, filepath: 'app.js' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        resolved: false,
+        binary: false,
+        base: 'base\n',
+        ours: 'ours\n',
+        theirs: 'theirs\n',
+      });
+      expect(res.body.merged).toContain('<<<<<<< main');
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+  });
+
+  // ============================================
+  // POST /api/merge/resolve
+  // ============================================
+  describe('POST /api/merge/resolve', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+      writeIndex(repoPath, [
+        { filepath: 'app.js', oid: BASE_OID, stage: 1 },
+        { filepath: 'app.js', oid: OURS_OID, stage: 2 },
+      ]);
+      fs.writeFileSync(path.join(repoPath, 'app.js'), 'conflicted\n');
+      git.add.mockResolvedValue(undefined);
+      git.remove.mockResolvedValue(undefined);
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should take our side and stage it', async () => {
+      git.readBlob.mockResolvedValue({ oid: OURS_OID, blob: Buffer.from('ours\n') });
+
+      const res = await request(app)
+        .post('/api/merge/resolve')
+        .send({ repoPath, filepath: 'app.js', resolution: 'ours' });
+
+      expect(res.status).toBe(200);
+      expect(fs.readFileSync(path.join(repoPath, 'app.js'), 'utf8')).toBe('ours\n');
+      expect(git.add).toHaveBeenCalledWith(expect.objectContaining({ filepath: 'app.js' }));
+    });
+
+    it('should resolve as a deletion when their side deleted the file', async () => {
+      const res = await request(app)
+        .post('/api/merge/resolve')
+        .send({ repoPath, filepath: 'app.js', resolution: 'theirs' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.deleted).toBe(true);
+      expect(fs.existsSync(path.join(repoPath, 'app.js'))).toBe(false);
+      expect(git.remove).toHaveBeenCalledWith(expect.objectContaining({ filepath: 'app.js' }));
+    });
+
+    it('should write and stage hand-edited content', async () => {
+      const res = await request(app)
+        .post('/api/merge/resolve')
+        .send({ repoPath, filepath: 'app.js', content: 'combined\n' });
+
+      expect(res.status).toBe(200);
+      expect(fs.readFileSync(path.join(repoPath, 'app.js'), 'utf8')).toBe('combined\n');
+      expect(git.add).toHaveBeenCalled();
+    });
+
+    it('should return 400 for a file that is not in conflict', async () => {
+      const res = await request(app)
+        .post('/api/merge/resolve')
+        .send({ repoPath, filepath: 'other.js', resolution: 'ours' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('other.js is not in conflict');
+    });
+  });
+
+  // ============================================
+  // POST /api/merge/continue
+  // ============================================
+  describe('POST /api/merge/continue', () => {
+    let repoPath;
+    const author = { name: 'Test', email: 'test@test.com' };
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+      fs.writeFileSync(path.join(repoPath, '.git', 'MERGE_HEAD'), `${THEIRS_OID}\n`);
+      fs.writeFileSync(path.join(repoPath, '.git', 'MERGE_MSG'), "Merge branch 'feature' into main\n\n# Conflicts:\n#\tapp.js\n");
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should create a merge commit and clear the merge state', async () => {
+      git.resolveRef.mockResolvedValue(OURS_OID);
+      git.commit.mockResolvedValue('mergesha');
+
+      const res = await request(app)
+        .post('/api/merge/continue')
+        .send({ repoPath, author });
+
+      expect(res.status).toBe(200);
+      expect(res.body.sha).toBe('mergesha');
+      expect(git.commit).toHaveBeenCalledWith(expect.objectContaining({
+        message: "Merge branch 'feature' into main",
+        parent: [OURS_OID, THEIRS_OID],
+      }));
+      expect(fs.existsSync(path.join(repoPath, '.git', 'MERGE_HEAD'))).toBe(false);
+      expect(fs.existsSync(path.join(repoPath, '.git', 'MERGE_MSG'))).toBe(false);
+    });
+
+    it('should refuse while conflicts remain', async () => {
+      writeIndex(repoPath, [{ filepath: 'app.js', oid: OURS_OID, stage: 2 }]);
+
+      const res = await request(app)
+        .post('/api/merge/continue')
+        .send({ repoPath, author });
+
+      expect(res.status).toBe(400);
+      expect(res.body.filepaths).toEqual(['app.js']);
+      expect(git.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================
+  // POST /api/merge/abort
+  // ============================================
+  describe('POST /api/merge/abort', () => {
+    it('should force checkout the current branch and clear the merge state', async () => {
+      const repoPath = createTempRepo();
+      fs.writeFileSync(path.join(repoPath, '.git', 'MERGE_HEAD'), `${THEIRS_OID}\n`);
+      git.currentBranch.mockResolvedValue('main');
+      git.checkout.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/merge/abort')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(git.checkout).toHaveBeenCalledWith(expect.objectContaining({ ref: 'main', force: true }));
+      expect(fs.existsSync(path.join(repoPath, '.git', 'MERGE_HEAD'))).toBe(false);
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should return 400 when no merge is in progress', async () => {
+      const res = await request(app)
+        .post('/api/merge/abort')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('No merge in progress');
+    });
+  });
+
+  // Rebase fixtures
+  const ORIGINAL_AUTHOR = { name: 'Original', email: 'original@test.com', timestamp: 1700000000, timezoneOffset: 0 };
+  const committer = { name: 'Test', email: 'test@test.com' };
+
+  // Simulate a linear history base <- c1 <- c2 <- c3 on main, moving HEAD as commits are made
+  const mockHistory = () => {
+    const commits = {
+      base: { parent: [], tree: 't0', message: 'base\n', author: ORIGINAL_AUTHOR },
+      c1: { parent: ['base'], tree: 't1', message: 'one\n', author: ORIGINAL_AUTHOR },
+      c2: { parent: ['c1'], tree: 't2', message: 'two\n', author: ORIGINAL_AUTHOR },
+      c3: { parent: ['c2'], tree: 't3', message: 'three\n', author: ORIGINAL_AUTHOR },
+    };
+    let head = 'c3';
+    let created = 0;
+    const create = (commit) => {
+      const oid = `new${++created}`;
+      commits[oid] = commit;
+      head = oid;
+      return oid;
+    };
+
+    git.currentBranch.mockResolvedValue('refs/heads/main');
+    git.statusMatrix.mockResolvedValue([['a.txt', 1, 1, 1], ['untracked.txt', 0, 2, 0]]);
+    git.resolveRef.mockImplementation(async ({ ref }) => (ref === 'HEAD' ? head : ref));
+    git.readCommit.mockImplementation(async ({ oid }) => ({ oid, commit: commits[oid] }));
+    git.writeRef.mockImplementation(async ({ value }) => { head = value; });
+    git.walk.mockResolvedValue(undefined);
+    git.cherryPick.mockImplementation(async ({ oid }) => create({ ...commits[oid], parent: [head] }));
+    git.commit.mockImplementation(async ({ message, tree = 'index', parent = [head], author }) =>
+      create({ message, tree, parent, author }));
+
+    return { commits, head: () => head };
+  };
+
+  const writeRebaseFiles = (repoPath, { steps = [], current = null }) => {
+    const dir = path.join(repoPath, '.git', 'rebase-merge');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'head-name'), 'refs/heads/main\n');
+    fs.writeFileSync(path.join(dir, 'onto'), 'base\n');
+    fs.writeFileSync(path.join(dir, 'orig-head'), 'c3\n');
+    fs.writeFileSync(path.join(dir, 'steps.json'), JSON.stringify({ steps, current }));
+  };
+
+  // ============================================
+  // POST /api/rebase/todo
+  // ============================================
+  describe('POST /api/rebase/todo', () => {
+    it('should list the commits above the base, oldest first', async () => {
+      mockHistory();
+
+      const res = await request(app)
+        .post('/api/rebase/todo')
+        .send({ repoPath: '/test/repo', base: 'base' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.base).toBe('base');
+      expect(res.body.commits.map(c => c.oid)).toEqual(['c1', 'c2', 'c3']);
+      expect(res.body.commits[0]).toEqual(expect.objectContaining({ message: 'one\n', merge: false }));
+    });
+
+    it('should return 400 when the base is not an ancestor of HEAD', async () => {
+      mockHistory();
+
+      const res = await request(app)
+        .post('/api/rebase/todo')
+        .send({ repoPath: '/test/repo', base: 'elsewhere' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('elsewhere is not an ancestor of HEAD');
+    });
+
+    it('should return 400 when base is missing', async () => {
+      const res = await request(app)
+        .post('/api/rebase/todo')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // ============================================
+  // POST /api/rebase/start
+  // ============================================
+  describe('POST /api/rebase/start', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should reorder, squash and drop commits', async () => {
+      const history = mockHistory();
+
+      const res = await request(app)
+        .post('/api/rebase/start')
+        .send({
+          repoPath,
+          base: 'base',
+          committer,
+          steps: [
+            { action: 'pick', oid: 'c1' },
+            { action: 'pick', oid: 'c3' },
+            { action: 'drop', oid: 'c2' },
+          ],
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.head).toBe('new1');
+      // c1 still sits on the base, so it is reused rather than recreated
+      expect(git.writeRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/heads/main', value: 'c1' }));
+      expect(git.cherryPick).toHaveBeenCalledTimes(1);
+      expect(git.cherryPick).toHaveBeenCalledWith(expect.objectContaining({ oid: 'c3', committer, abortOnConflict: false }));
+      expect(history.commits.new1.parent).toEqual(['c1']);
+      expect(fs.readFileSync(path.join(repoPath, '.git', 'ORIG_HEAD'), 'utf8')).toBe('c3\n');
+      expect(fs.existsSync(path.join(repoPath, '.git', 'rebase-merge'))).toBe(false);
+    });
+
+    it('should fold squashed commits into the previous one with a combined message', async () => {
+      const history = mockHistory();
+
+      const res = await request(app)
+        .post('/api/rebase/start')
+        .send({
+          repoPath,
+          base: 'base',
+          committer,
+          steps: [
+            { action: 'pick', oid: 'c1' },
+            { action: 'squash', oid: 'c2' },
+            { action: 'fixup', oid: 'c3' },
+          ],
+        });
+
+      expect(res.status).toBe(200);
+      const head = history.commits[history.head()];
+      expect(head.parent).toEqual(['base']);
+      expect(head.tree).toBe('t3');
+      expect(head.message).toBe('one\n\ntwo\n');
+      expect(head.author).toEqual(ORIGINAL_AUTHOR);
+    });
+
+    it('should reword a commit keeping its tree and author', async () => {
+      mockHistory();
+
+      const res = await request(app)
+        .post('/api/rebase/start')
+        .send({
+          repoPath,
+          base: 'base',
+          committer,
+          steps: [{ action: 'reword', oid: 'c1', message: 'Better message' }],
+        });
+
+      expect(res.status).toBe(200);
+      expect(git.commit).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Better message',
+        tree: 't1',
+        parent: ['base'],
+        author: ORIGINAL_AUTHOR,
+        committer,
+      }));
+    });
+
+    it('should stop on conflicts and record the remaining steps', async () => {
+      mockHistory();
+      const conflict = Object.assign(new Error('Automatic merge failed'), {
+        code: 'MergeConflictError',
+        data: { filepaths: ['a.txt'] },
+      });
+      git.cherryPick.mockRejectedValue(conflict);
+
+      const res = await request(app)
+        .post('/api/rebase/start')
+        .send({
+          repoPath,
+          base: 'base',
+          committer,
+          steps: [{ action: 'pick', oid: 'c2' }, { action: 'pick', oid: 'c3' }],
+        });
+
+      expect(res.status).toBe(409);
+      expect(res.body.conflicts).toBe(true);
+      expect(res.body.stopped).toEqual({ action: 'pick', oid: 'c2' });
+      const dir = path.join(repoPath, '.git', 'rebase-merge');
+      expect(fs.readFileSync(path.join(dir, 'head-name'), 'utf8')).toBe('refs/heads/main\n');
+      expect(fs.readFileSync(path.join(dir, 'git-rebase-todo'), 'utf8')).toBe('pick c3\n');
+      expect(JSON.parse(fs.readFileSync(path.join(dir, 'steps.json'), 'utf8'))).toEqual({
+        steps: [{ action: 'pick', oid: 'c3' }],
+        current: { action: 'pick', oid: 'c2' },
+      });
+    });
+
+    it('should refuse to squash without a previous commit', async () => {
+      const res = await request(app)
+        .post('/api/rebase/start')
+        .send({ repoPath, base: 'base', committer, steps: [{ action: 'drop', oid: 'c1' }, { action: 'squash', oid: 'c2' }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Cannot squash without a previous commit');
+    });
+
+    it('should reject unknown actions', async () => {
+      const res = await request(app)
+        .post('/api/rebase/start')
+        .send({ repoPath, base: 'base', committer, steps: [{ action: 'edit', oid: 'c1' }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Unknown rebase action: edit');
+    });
+
+    it('should refuse to rebase over uncommitted changes', async () => {
+      mockHistory();
+      git.statusMatrix.mockResolvedValue([['a.txt', 1, 2, 1]]);
+
+      const res = await request(app)
+        .post('/api/rebase/start')
+        .send({ repoPath, base: 'base', committer, steps: [{ action: 'pick', oid: 'c1' }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Commit or stash your changes before rebasing: a.txt');
+      expect(git.writeRef).not.toHaveBeenCalled();
+    });
+
+    it('should reject commits outside the rebased range', async () => {
+      mockHistory();
+
+      const res = await request(app)
+        .post('/api/rebase/start')
+        .send({ repoPath, base: 'c1', committer, steps: [{ action: 'pick', oid: 'c1' }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('c1 is not between c1 and HEAD');
+    });
+
+    it('should return 400 when committer is missing', async () => {
+      const res = await request(app)
+        .post('/api/rebase/start')
+        .send({ repoPath, base: 'base', steps: [] });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // ============================================
+  // POST /api/rebase/status
+  // ============================================
+  describe('POST /api/rebase/status', () => {
+    it('should report no rebase', async () => {
+      const repoPath = createTempRepo();
+
+      const res = await request(app)
+        .post('/api/rebase/status')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ inProgress: false });
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should report the stopped step, remaining steps and conflicts', async () => {
+      const repoPath = createTempRepo();
+      writeRebaseFiles(repoPath, { current: { action: 'pick', oid: 'c2' }, steps: [{ action: 'pick', oid: 'c3' }] });
+      writeIndex(repoPath, [{ filepath: 'a.txt', oid: OURS_OID, stage: 2 }]);
+
+      const res = await request(app)
+        .post('/api/rebase/status')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        inProgress: true,
+        branch: 'main',
+        onto: 'base',
+        origHead: 'c3',
+        current: { action: 'pick', oid: 'c2' },
+        remaining: [{ action: 'pick', oid: 'c3' }],
+        conflicts: ['a.txt'],
+      });
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+  });
+
+  // ============================================
+  // POST /api/rebase/continue
+  // ============================================
+  describe('POST /api/rebase/continue', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should commit the resolved step with its original author and finish the rebase', async () => {
+      const history = mockHistory();
+      writeRebaseFiles(repoPath, { current: { action: 'pick', oid: 'c3' }, steps: [] });
+
+      const res = await request(app)
+        .post('/api/rebase/continue')
+        .send({ repoPath, committer });
+
+      expect(res.status).toBe(200);
+      expect(git.commit).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'three\n',
+        author: ORIGINAL_AUTHOR,
+        committer,
+      }));
+      expect(res.body.head).toBe(history.head());
+      expect(fs.existsSync(path.join(repoPath, '.git', 'rebase-merge'))).toBe(false);
+    });
+
+    it('should refuse while conflicts remain', async () => {
+      writeRebaseFiles(repoPath, { current: { action: 'pick', oid: 'c3' } });
+      writeIndex(repoPath, [{ filepath: 'a.txt', oid: OURS_OID, stage: 2 }]);
+
+      const res = await request(app)
+        .post('/api/rebase/continue')
+        .send({ repoPath, committer });
+
+      expect(res.status).toBe(400);
+      expect(res.body.filepaths).toEqual(['a.txt']);
+      expect(git.commit).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when no rebase is in progress', async () => {
+      const res = await request(app)
+        .post('/api/rebase/continue')
+        .send({ repoPath, committer });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('No rebase in progress');
+    });
+  });
+
+  // ============================================
+  // POST /api/rebase/abort
+  // ============================================
+  describe('POST /api/rebase/abort', () => {
+    it('should put the branch back and clear the rebase state', async () => {
+      const repoPath = createTempRepo();
+      writeRebaseFiles(repoPath, { current: { action: 'pick', oid: 'c2' } });
+      git.writeRef.mockResolvedValue(undefined);
+      git.checkout.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/rebase/abort')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(git.writeRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/heads/main', value: 'c3', force: true }));
+      expect(git.checkout).toHaveBeenCalledWith(expect.objectContaining({ ref: 'main', force: true }));
+      expect(fs.existsSync(path.join(repoPath, '.git', 'rebase-merge'))).toBe(false);
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should return 400 when no rebase is in progress', async () => {
+      const res = await request(app)
+        .post('/api/rebase/abort')
         .send({ repoPath: '/test/repo' });
 
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('No rebase in progress');
+    });
+  });
+
+  // ============================================
+  // POST /api/cherry-pick
+  // ============================================
+  describe('POST /api/cherry-pick', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+      git.currentBranch.mockResolvedValue('release');
+      git.statusMatrix.mockResolvedValue([['a.txt', 1, 1, 1]]);
+      git.resolveRef.mockResolvedValue('releasehead');
+      git.readCommit.mockImplementation(async ({ oid }) => ({
+        oid,
+        commit: { parent: [`${oid}-parent`], message: `${oid} message\n`, author: ORIGINAL_AUTHOR },
+      }));
+      git.walk.mockResolvedValue(undefined);
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should pick each commit in order with the given committer', async () => {
+      git.cherryPick.mockResolvedValueOnce('picked1').mockResolvedValueOnce('picked2');
+
+      const res = await request(app)
+        .post('/api/cherry-pick')
+        .send({ repoPath, oids: ['fix1', 'fix2'], committer });
+
       expect(res.status).toBe(200);
-      expect(res.body.modified).toContain('modified.js');
-      expect(res.body.modified).toContain('staged-modified.js');
-      expect(res.body.untracked).toContain('untracked.js');
-      expect(res.body.added).toContain('added.js');
-      expect(res.body.deleted).toContain('deleted.js');
+      expect(res.body.picked).toEqual(['picked1', 'picked2']);
+      expect(git.cherryPick.mock.calls.map(([args]) => args.oid)).toEqual(['fix1', 'fix2']);
+      expect(git.cherryPick).toHaveBeenCalledWith(expect.objectContaining({ committer, abortOnConflict: false }));
+      expect(fs.existsSync(path.join(repoPath, '.git', 'sequencer'))).toBe(false);
+    });
+
+    it('should stop on conflicts and record the cherry-pick', async () => {
+      const conflict = Object.assign(new Error('Automatic merge failed'), {
+        code: 'MergeConflictError',
+        data: { filepaths: ['a.txt'] },
+      });
+      git.cherryPick.mockResolvedValueOnce('picked1').mockRejectedValueOnce(conflict);
+
+      const res = await request(app)
+        .post('/api/cherry-pick')
+        .send({ repoPath, oids: ['fix1', 'fix2', 'fix3'], committer });
+
+      expect(res.status).toBe(409);
+      expect(res.body).toEqual(expect.objectContaining({
+        conflicts: true,
+        filepaths: ['a.txt'],
+        picked: ['picked1'],
+        stopped: 'fix2',
+      }));
+      expect(git.cherryPick).toHaveBeenCalledTimes(2);
+      expect(fs.readFileSync(path.join(repoPath, '.git', 'CHERRY_PICK_HEAD'), 'utf8')).toBe('fix2\n');
+      expect(fs.readFileSync(path.join(repoPath, '.git', 'sequencer', 'todo'), 'utf8')).toBe('pick fix2\npick fix3\n');
+      expect(fs.readFileSync(path.join(repoPath, '.git', 'sequencer', 'head'), 'utf8')).toBe('releasehead\n');
+    });
+
+    it('should refuse merge commits', async () => {
+      git.readCommit.mockResolvedValue({ oid: 'merge1', commit: { parent: ['p1', 'p2'] } });
+
+      const res = await request(app)
+        .post('/api/cherry-pick')
+        .send({ repoPath, oids: ['merge1'], committer });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Cannot cherry-pick merge commit merge1');
+      expect(git.cherryPick).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to pick over uncommitted changes', async () => {
+      git.statusMatrix.mockResolvedValue([['a.txt', 1, 2, 2]]);
+
+      const res = await request(app)
+        .post('/api/cherry-pick')
+        .send({ repoPath, oids: ['fix1'], committer });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Commit or stash your changes before cherry-picking: a.txt');
+    });
+
+    it('should return 400 when oids are missing', async () => {
+      const res = await request(app)
+        .post('/api/cherry-pick')
+        .send({ repoPath, oids: [], committer });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // ============================================
+  // POST /api/cherry-pick/continue
+  // ============================================
+  describe('POST /api/cherry-pick/continue', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+      fs.mkdirSync(path.join(repoPath, '.git', 'sequencer'));
+      fs.writeFileSync(path.join(repoPath, '.git', 'CHERRY_PICK_HEAD'), 'fix2\n');
+      fs.writeFileSync(path.join(repoPath, '.git', 'sequencer', 'todo'), 'pick fix2\npick fix3\n');
+      fs.writeFileSync(path.join(repoPath, '.git', 'sequencer', 'head'), 'releasehead\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should commit the resolved pick with its original author and pick the rest', async () => {
+      git.readCommit.mockResolvedValue({ oid: 'fix2', commit: { parent: ['p'], message: 'Fix two\n', author: ORIGINAL_AUTHOR } });
+      git.commit.mockResolvedValue('picked2');
+      git.cherryPick.mockResolvedValue('picked3');
+
+      const res = await request(app)
+        .post('/api/cherry-pick/continue')
+        .send({ repoPath, committer });
+
+      expect(res.status).toBe(200);
+      expect(res.body.picked).toEqual(['picked2', 'picked3']);
+      expect(git.commit).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Fix two\n',
+        author: ORIGINAL_AUTHOR,
+        committer,
+      }));
+      expect(git.cherryPick).toHaveBeenCalledWith(expect.objectContaining({ oid: 'fix3' }));
+      expect(fs.existsSync(path.join(repoPath, '.git', 'CHERRY_PICK_HEAD'))).toBe(false);
+      expect(fs.existsSync(path.join(repoPath, '.git', 'sequencer'))).toBe(false);
+    });
+
+    it('should refuse while conflicts remain', async () => {
+      writeIndex(repoPath, [{ filepath: 'a.txt', oid: OURS_OID, stage: 2 }]);
+
+      const res = await request(app)
+        .post('/api/cherry-pick/continue')
+        .send({ repoPath, committer });
+
+      expect(res.status).toBe(400);
+      expect(res.body.filepaths).toEqual(['a.txt']);
+      expect(git.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================
+  // POST /api/cherry-pick/abort
+  // ============================================
+  describe('POST /api/cherry-pick/abort', () => {
+    it('should reset the branch to where the cherry-pick started', async () => {
+      const repoPath = createTempRepo();
+      fs.mkdirSync(path.join(repoPath, '.git', 'sequencer'));
+      fs.writeFileSync(path.join(repoPath, '.git', 'CHERRY_PICK_HEAD'), 'fix2\n');
+      fs.writeFileSync(path.join(repoPath, '.git', 'sequencer', 'head'), 'releasehead\n');
+      git.currentBranch.mockResolvedValue('release');
+      git.writeRef.mockResolvedValue(undefined);
+      git.checkout.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/cherry-pick/abort')
+        .send({ repoPath });
+
+      expect(res.status).toBe(200);
+      expect(git.writeRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/heads/release', value: 'releasehead' }));
+      expect(git.checkout).toHaveBeenCalledWith(expect.objectContaining({ ref: 'release', force: true }));
+      expect(fs.existsSync(path.join(repoPath, '.git', 'CHERRY_PICK_HEAD'))).toBe(false);
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should return 400 when no cherry-pick is in progress', async () => {
+      const res = await request(app)
+        .post('/api/cherry-pick/abort')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('No cherry-pick in progress');
+    });
+  });
+
+  // ============================================
+  // POST /api/revert
+  // ============================================
+  describe('POST /api/revert', () => {
+    let repoPath;
+    const author = { name: 'Test', email: 'test@test.com' };
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+      git.statusMatrix.mockResolvedValue([['a.txt', 1, 1, 1]]);
+      git.resolveRef.mockResolvedValue('headsha');
+      git.walk.mockResolvedValue(undefined);
+      git.writeCommit.mockResolvedValue('inversesha');
+      git.readCommit.mockImplementation(async ({ oid }) => ({
+        oid,
+        commit: oid === 'mergesha'
+          ? { parent: ['p1', 'p2'], tree: 'mergetree', message: 'Merge feature\n' }
+          : oid === 'badsha'
+            ? { parent: ['p1'], tree: 'badtree', message: 'Bad change\n\nDetails\n' }
+            : { parent: [], tree: `${oid}-tree`, message: `${oid}\n` },
+      }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should commit the inverse of the commit with a revert message', async () => {
+      git.cherryPick.mockResolvedValue('revertsha');
+
+      const res = await request(app)
+        .post('/api/revert')
+        .send({ repoPath, oid: 'badsha', author });
+
+      expect(res.status).toBe(200);
+      expect(res.body.sha).toBe('revertsha');
+      expect(res.body.message).toBe('Revert "Bad change"\n\nThis reverts commit badsha.\n');
+      expect(git.writeCommit).toHaveBeenCalledWith(expect.objectContaining({
+        commit: expect.objectContaining({
+          tree: 'p1-tree',
+          parent: ['badsha'],
+          message: res.body.message,
+          author: expect.objectContaining(author),
+        }),
+      }));
+      expect(git.cherryPick).toHaveBeenCalledWith(expect.objectContaining({ oid: 'inversesha', abortOnConflict: false }));
+    });
+
+    it('should require a mainline parent for merge commits', async () => {
+      const res = await request(app)
+        .post('/api/revert')
+        .send({ repoPath, oid: 'mergesha', author });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('mergesh is a merge commit; choose which parent is the mainline');
+      expect(git.writeCommit).not.toHaveBeenCalled();
+    });
+
+    it('should revert a merge back to the chosen mainline parent', async () => {
+      git.cherryPick.mockResolvedValue('revertsha');
+
+      const res = await request(app)
+        .post('/api/revert')
+        .send({ repoPath, oid: 'mergesha', mainline: 2, author });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Revert "Merge feature"\n\nThis reverts commit mergesha, reversing\nchanges made to p2.\n');
+      expect(git.writeCommit).toHaveBeenCalledWith(expect.objectContaining({
+        commit: expect.objectContaining({ tree: 'p2-tree', parent: ['mergesha'] }),
+      }));
+    });
+
+    it('should reject an out of range mainline', async () => {
+      const res = await request(app)
+        .post('/api/revert')
+        .send({ repoPath, oid: 'mergesha', mainline: 3, author });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid mainline parent: 3');
+    });
+
+    it('should record the revert when it conflicts', async () => {
+      git.cherryPick.mockRejectedValue(Object.assign(new Error('Automatic merge failed'), {
+        code: 'MergeConflictError',
+        data: { filepaths: ['a.txt'] },
+      }));
+
+      const res = await request(app)
+        .post('/api/revert')
+        .send({ repoPath, oid: 'badsha', author });
+
+      expect(res.status).toBe(409);
+      expect(res.body.filepaths).toEqual(['a.txt']);
+      expect(fs.readFileSync(path.join(repoPath, '.git', 'REVERT_HEAD'), 'utf8')).toBe('badsha\n');
+      expect(fs.readFileSync(path.join(repoPath, '.git', 'MERGE_MSG'), 'utf8'))
+        .toBe('Revert "Bad change"\n\nThis reverts commit badsha.\n\n# Conflicts:\n#\ta.txt\n');
+    });
+
+    it('should refuse to revert over uncommitted changes', async () => {
+      git.statusMatrix.mockResolvedValue([['a.txt', 1, 2, 1]]);
+
+      const res = await request(app)
+        .post('/api/revert')
+        .send({ repoPath, oid: 'badsha', author });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Commit or stash your changes before reverting: a.txt');
+    });
+  });
+
+  // ============================================
+  // POST /api/revert/continue
+  // ============================================
+  describe('POST /api/revert/continue', () => {
+    let repoPath;
+    const author = { name: 'Test', email: 'test@test.com' };
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+      fs.writeFileSync(path.join(repoPath, '.git', 'REVERT_HEAD'), 'badsha\n');
+      fs.writeFileSync(path.join(repoPath, '.git', 'MERGE_MSG'), 'Revert "Bad change"\n\nThis reverts commit badsha.\n\n# Conflicts:\n#\ta.txt\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should commit the revert and clear its state', async () => {
+      git.commit.mockResolvedValue('revertsha');
+
+      const res = await request(app)
+        .post('/api/revert/continue')
+        .send({ repoPath, author });
+
+      expect(res.status).toBe(200);
+      expect(git.commit).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Revert "Bad change"\n\nThis reverts commit badsha.',
+        author,
+      }));
+      expect(fs.existsSync(path.join(repoPath, '.git', 'REVERT_HEAD'))).toBe(false);
+      expect(fs.existsSync(path.join(repoPath, '.git', 'MERGE_MSG'))).toBe(false);
+    });
+
+    it('should refuse while conflicts remain', async () => {
+      writeIndex(repoPath, [{ filepath: 'a.txt', oid: OURS_OID, stage: 2 }]);
+
+      const res = await request(app)
+        .post('/api/revert/continue')
+        .send({ repoPath, author });
+
+      expect(res.status).toBe(400);
+      expect(git.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================
+  // POST /api/revert/abort
+  // ============================================
+  describe('POST /api/revert/abort', () => {
+    it('should return 400 when no revert is in progress', async () => {
+      const res = await request(app)
+        .post('/api/revert/abort')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('No revert in progress');
+    });
+  });
+
+  // Stash fixtures
+  const STASH_ONE = 'a'.repeat(40);
+  const STASH_TWO = 'b'.repeat(40);
+
+  // Write a refs/stash reflog holding the given entries, oldest first
+  const writeStashLog = (repoPath, entries) => {
+    fs.mkdirSync(path.join(repoPath, '.git', 'logs', 'refs'), { recursive: true });
+    const lines = entries.map(({ oid, message }, i) =>
+      `${i === 0 ? '0'.repeat(40) : entries[i - 1].oid} ${oid} Test <test@test.com> 170000000${i} +0100\t${message}\n`);
+    fs.writeFileSync(path.join(repoPath, '.git', 'logs', 'refs', 'stash'), lines.join(''));
+  };
+
+  // ============================================
+  // POST /api/stash/save
+  // ============================================
+  describe('POST /api/stash/save', () => {
+    let repoPath;
+    const author = { name: 'Test', email: 'test@test.com' };
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+      git.resolveRef.mockResolvedValue('headsha1234');
+      git.readCommit.mockResolvedValue({ oid: 'headsha1234', commit: { tree: 'headtree', message: 'Last commit\n' } });
+      git.currentBranch.mockResolvedValue('main');
+      git.walk.mockResolvedValue(undefined);
+      git.checkout.mockResolvedValue(undefined);
+      git.writeRef.mockResolvedValue(undefined);
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should save index and working tree commits and record them in the stash reflog', async () => {
+      git.writeTree.mockResolvedValue('changedtree');
+      git.writeCommit.mockResolvedValueOnce('indexsha').mockResolvedValueOnce(STASH_ONE);
+
+      const res = await request(app)
+        .post('/api/stash/save')
+        .send({ repoPath, message: 'my work', author });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, oid: STASH_ONE, message: 'On main: my work' });
+      expect(git.writeCommit).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        commit: expect.objectContaining({ parent: ['headsha1234'], message: 'index on main: headsha Last commit\n' }),
+      }));
+      expect(git.writeCommit).toHaveBeenNthCalledWith(2, expect.objectContaining({
+        commit: expect.objectContaining({
+          parent: ['headsha1234', 'indexsha'],
+          message: 'On main: my work\n',
+          author: expect.objectContaining(author),
+        }),
+      }));
+      expect(git.writeRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/stash', value: STASH_ONE }));
+      expect(git.checkout).toHaveBeenCalledWith(expect.objectContaining({ ref: 'main', force: true }));
+
+      const log = fs.readFileSync(path.join(repoPath, '.git', 'logs', 'refs', 'stash'), 'utf8');
+      expect(log).toMatch(new RegExp(`^0{40} ${STASH_ONE} Test <test@test.com> \\d+ [+-]\\d{4}\\tOn main: my work\\n$`));
     });
 
-    it('should return empty arrays for clean working directory', async () => {
-      git.statusMatrix.mockResolvedValue([]);
+    it('should stash untracked files in a third parent when asked', async () => {
+      const untrackedPath = path.join(repoPath, 'notes.txt');
+      fs.writeFileSync(untrackedPath, 'notes');
+      git.statusMatrix.mockResolvedValue([['notes.txt', 0, 2, 0], ['tracked.txt', 1, 1, 1]]);
+      git.writeBlob.mockResolvedValue('notesblob');
+      git.writeTree.mockResolvedValueOnce('headtree').mockResolvedValueOnce('headtree').mockResolvedValueOnce('untrackedtree');
+      git.writeCommit.mockResolvedValueOnce('indexsha').mockResolvedValueOnce('untrackedsha').mockResolvedValueOnce(STASH_ONE);
 
       const res = await request(app)
-        .post('/api/status')
-        .send({ repoPath: '/test/repo' });
+        .post('/api/stash/save')
+        .send({ repoPath, includeUntracked: true, author });
 
       expect(res.status).toBe(200);
-      expect(res.body.modified).toEqual([]);
-      expect(res.body.untracked).toEqual([]);
-      expect(res.body.added).toEqual([]);
-      expect(res.body.deleted).toEqual([]);
+      expect(res.body.message).toBe('WIP on main: headsha Last commit');
+      expect(git.writeTree).toHaveBeenLastCalledWith(expect.objectContaining({
+        tree: [{ mode: '100644', path: 'notes.txt', oid: 'notesblob', type: 'blob' }],
+      }));
+      expect(git.writeCommit).toHaveBeenLastCalledWith(expect.objectContaining({
+        commit: expect.objectContaining({ parent: ['headsha1234', 'indexsha', 'untrackedsha'] }),
+      }));
+      expect(fs.existsSync(untrackedPath)).toBe(false);
     });
 
-    it('should handle git errors', async () => {
-      git.statusMatrix.mockRejectedValue(new Error('Not a git repository'));
+    it('should return 400 when there is nothing to stash', async () => {
+      git.writeTree.mockResolvedValue('headtree');
 
       const res = await request(app)
-        .post('/api/status')
-        .send({ repoPath: '/invalid/repo' });
+        .post('/api/stash/save')
+        .send({ repoPath, author });
 
-      expect(res.status).toBe(500);
-      expect(res.body.error).toBe('Not a git repository');
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('No local changes to save');
+      expect(git.writeCommit).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when author is missing', async () => {
+      const res = await request(app)
+        .post('/api/stash/save')
+        .send({ repoPath });
+
+      expect(res.status).toBe(400);
     });
   });
 
   // ============================================
-  // POST /api/add
+  // POST /api/stash/list
   // ============================================
-  describe('POST /api/add', () => {
-    it('should stage a file', async () => {
-      git.add.mockResolvedValue(undefined);
+  describe('POST /api/stash/list', () => {
+    it('should list stash entries from the reflog, newest first', async () => {
+      const repoPath = createTempRepo();
+      writeStashLog(repoPath, [
+        { oid: STASH_ONE, message: 'WIP on main: 1234567 First' },
+        { oid: STASH_TWO, message: 'On feature: second' },
+      ]);
 
       const res = await request(app)
-        .post('/api/add')
-        .send({ repoPath: '/test/repo', filepath: 'newfile.js' });
+        .post('/api/stash/list')
+        .send({ repoPath });
 
       expect(res.status).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(git.add).toHaveBeenCalledWith(
-        expect.objectContaining({ filepath: 'newfile.js' })
-      );
+      expect(res.body.stashes).toEqual([
+        {
+          index: 0,
+          ref: 'stash@{0}',
+          oid: STASH_TWO,
+          message: 'On feature: second',
+          author: { name: 'Test', email: 'test@test.com', timestamp: 1700000001, timezone: '+0100' },
+        },
+        expect.objectContaining({ index: 1, ref: 'stash@{1}', oid: STASH_ONE }),
+      ]);
+      fs.rmSync(repoPath, { recursive: true, force: true });
     });
 
-    it('should handle file not found error', async () => {
-      git.add.mockRejectedValue(new Error('File not found'));
+    it('should return an empty list without a stash', async () => {
+      const repoPath = createTempRepo();
 
       const res = await request(app)
-        .post('/api/add')
-        .send({ repoPath: '/test/repo', filepath: 'nonexistent.js' });
+        .post('/api/stash/list')
+        .send({ repoPath });
 
-      expect(res.status).toBe(500);
-      expect(res.body.error).toBe('File not found');
+      expect(res.body.stashes).toEqual([]);
+      fs.rmSync(repoPath, { recursive: true, force: true });
     });
   });
 
   // ============================================
-  // POST /api/reset
+  // POST /api/stash/show
   // ============================================
-  describe('POST /api/reset', () => {
-    it('should unstage a file', async () => {
-      git.resetIndex.mockResolvedValue(undefined);
+  describe('POST /api/stash/show', () => {
+    it('should diff the stash against the commit it was made on', async () => {
+      const repoPath = createTempRepo();
+      writeStashLog(repoPath, [{ oid: STASH_ONE, message: 'WIP on main: 1234567 First' }]);
+      git.readCommit.mockResolvedValue({ oid: STASH_ONE, commit: { parent: ['headsha', 'indexsha'] } });
+      git.walk.mockImplementation(async ({ map }) => {
+        const blob = (oid) => ({ type: async () => 'blob', oid: async () => oid });
+        await map('.', [null, null]);
+        await map('app.js', [blob('oldblob'), blob('newblob')]);
+        await map('same.js', [blob('sameblob'), blob('sameblob')]);
+      });
+      git.readBlob.mockImplementation(async ({ oid }) => ({
+        blob: Buffer.from(oid === 'oldblob' ? 'one\n' : 'one\ntwo\n'),
+      }));
 
       const res = await request(app)
-        .post('/api/reset')
-        .send({ repoPath: '/test/repo', filepath: 'staged.js' });
+        .post('/api/stash/show')
+        .send({ repoPath, index: 0 });
 
       expect(res.status).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(git.resetIndex).toHaveBeenCalledWith(
-        expect.objectContaining({ filepath: 'staged.js' })
-      );
-    });
-
-    it('should handle git errors', async () => {
-      git.resetIndex.mockRejectedValue(new Error('Reset failed'));
-
-      const res = await request(app)
-        .post('/api/reset')
-        .send({ repoPath: '/test/repo', filepath: 'file.js' });
-
-      expect(res.status).toBe(500);
-      expect(res.body.error).toBe('Reset failed');
+      expect(git.TREE).toHaveBeenCalledWith({ ref: 'headsha' });
+      expect(res.body.files).toHaveLength(1);
+      expect(res.body.files[0]).toEqual(expect.objectContaining({ filepath: 'app.js', status: 'modified', untracked: false }));
+      expect(res.body.files[0].hunks[0].lines.map(l => l.type)).toEqual(['context', 'add']);
+      fs.rmSync(repoPath, { recursive: true, force: true });
     });
   });
 
   // ============================================
-  // POST /api/commit
+  // POST /api/stash/apply and /api/stash/pop
   // ============================================
-  describe('POST /api/commit', () => {
-    it('should create a commit', async () => {
-      git.commit.mockResolvedValue('newcommitsha123');
+  describe('POST /api/stash/pop', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = createTempRepo();
+      writeStashLog(repoPath, [{ oid: STASH_ONE, message: 'WIP on main: 1234567 First' }]);
+      git.readCommit.mockResolvedValue({ oid: STASH_ONE, commit: { parent: ['basesha', 'indexsha'], tree: 'stashtree' } });
+      git.resolveRef.mockResolvedValue('headsha');
+      git.writeCommit.mockResolvedValue('changessha');
+      git.statusMatrix.mockResolvedValue([['a.txt', 1, 1, 1]]);
+      git.walk.mockResolvedValue(undefined);
+      git.deleteRef.mockResolvedValue(undefined);
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should merge the stash onto HEAD and drop it', async () => {
+      git.cherryPick.mockResolvedValue('mergedsha');
 
       const res = await request(app)
-        .post('/api/commit')
-        .send({
-          repoPath: '/test/repo',
-          message: 'Add new feature',
-          author: { name: 'Test User', email: 'test@test.com' },
-        });
+        .post('/api/stash/pop')
+        .send({ repoPath, index: 0 });
 
       expect(res.status).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(res.body.sha).toBe('newcommitsha123');
+      expect(git.writeCommit).toHaveBeenCalledWith(expect.objectContaining({
+        commit: expect.objectContaining({ tree: 'stashtree', parent: ['basesha'] }),
+      }));
+      expect(git.cherryPick).toHaveBeenCalledWith(expect.objectContaining({
+        oid: 'changessha',
+        noUpdateBranch: true,
+        abortOnConflict: false,
+      }));
+      expect(git.deleteRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/stash' }));
+      expect(fs.existsSync(path.join(repoPath, '.git', 'logs', 'refs', 'stash'))).toBe(false);
     });
 
-    it('should handle no staged files error', async () => {
-      git.commit.mockRejectedValue(new Error('Nothing to commit'));
+    it('should keep the stash when it conflicts', async () => {
+      git.cherryPick.mockRejectedValue(Object.assign(new Error('Automatic merge failed'), {
+        code: 'MergeConflictError',
+        data: { filepaths: ['a.txt'] },
+      }));
 
       const res = await request(app)
-        .post('/api/commit')
-        .send({
-          repoPath: '/test/repo',
-          message: 'Empty commit',
-          author: { name: 'Test', email: 'test@test.com' },
-        });
+        .post('/api/stash/pop')
+        .send({ repoPath, index: 0 });
 
-      expect(res.status).toBe(500);
-      expect(res.body.error).toBe('Nothing to commit');
+      expect(res.status).toBe(409);
+      expect(res.body.filepaths).toEqual(['a.txt']);
+      expect(git.deleteRef).not.toHaveBeenCalled();
+      expect(fs.existsSync(path.join(repoPath, '.git', 'logs', 'refs', 'stash'))).toBe(true);
     });
-  });
 
-  // ============================================
-  // POST /api/merge
-  // ============================================
-  describe('POST /api/merge', () => {
-    it('should merge branches successfully', async () => {
-      git.currentBranch.mockResolvedValue('main');
-      git.merge.mockResolvedValue({ oid: 'mergecommit123' });
+    it('should refuse to write conflicts over local changes', async () => {
+      git.statusMatrix.mockResolvedValue([['a.txt', 1, 2, 1]]);
+      git.cherryPick.mockRejectedValue(Object.assign(new Error('Automatic merge failed'), {
+        code: 'MergeConflictError',
+        data: { filepaths: ['a.txt'] },
+      }));
 
       const res = await request(app)
-        .post('/api/merge')
-        .send({ repoPath: '/test/repo', theirBranch: 'feature' });
+        .post('/api/stash/apply')
+        .send({ repoPath, index: 0 });
 
-      expect(res.status).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(git.merge).toHaveBeenCalledWith(
-        expect.objectContaining({
-          ours: 'main',
-          theirs: 'feature',
-        })
-      );
+      expect(res.status).toBe(400);
+      expect(git.cherryPick).toHaveBeenCalledWith(expect.objectContaining({ abortOnConflict: true }));
     });
 
-    it('should handle merge conflicts', async () => {
-      git.currentBranch.mockResolvedValue('main');
-      git.merge.mockRejectedValue(new Error('Merge conflict'));
+    it('should return 400 for a missing entry', async () => {
+      const res = await request(app)
+        .post('/api/stash/apply')
+        .send({ repoPath, index: 3 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('stash@{3} does not exist');
+    });
+  });
+
+  // ============================================
+  // POST /api/stash/drop
+  // ============================================
+  describe('POST /api/stash/drop', () => {
+    it('should remove the entry and point refs/stash at the newest remaining one', async () => {
+      const repoPath = createTempRepo();
+      writeStashLog(repoPath, [
+        { oid: STASH_ONE, message: 'first' },
+        { oid: STASH_TWO, message: 'second' },
+      ]);
+      git.writeRef.mockResolvedValue(undefined);
 
       const res = await request(app)
-        .post('/api/merge')
-        .send({ repoPath: '/test/repo', theirBranch: 'feature' });
+        .post('/api/stash/drop')
+        .send({ repoPath, index: 0 });
 
-      expect(res.status).toBe(500);
-      expect(res.body.error).toBe('Merge conflict');
-      expect(res.body.conflicts).toBe(true);
+      expect(res.status).toBe(200);
+      expect(fs.readFileSync(path.join(repoPath, '.git', 'logs', 'refs', 'stash'), 'utf8'))
+        .toBe(`${'0'.repeat(40)} ${STASH_ONE} Test <test@test.com> 1700000000 +0100\tfirst\n`);
+      expect(git.writeRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/stash', value: STASH_ONE }));
+      fs.rmSync(repoPath, { recursive: true, force: true });
     });
   });
 
@@ -501,6 +4050,23 @@ describe('Git Client API', () => {
       expect(res.body.success).toBe(true);
     });
 
+    it('should fetch every remote with all', async () => {
+      git.listRemotes.mockResolvedValue([
+        { remote: 'origin', url: 'https://example.com/fork.git' },
+        { remote: 'upstream', url: 'https://example.com/repo.git' },
+      ]);
+      git.fetch.mockResolvedValue({ fetchHead: 'abc123' });
+
+      const res = await request(app)
+        .post('/api/fetch')
+        .send({ repoPath: '/test/repo', all: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body.remotes).toEqual(['origin', 'upstream']);
+      expect(git.fetch).toHaveBeenCalledTimes(2);
+      expect(git.fetch).toHaveBeenCalledWith(expect.objectContaining({ remote: 'upstream' }));
+    });
+
     it('should fetch with credentials', async () => {
       git.fetch.mockResolvedValue({ fetchHead: 'abc123' });
 
@@ -538,10 +4104,36 @@ describe('Git Client API', () => {
   // POST /api/pull
   // ============================================
   describe('POST /api/pull', () => {
+    beforeEach(() => {
+      git.listTags.mockResolvedValue([]);
+      git.statusMatrix.mockResolvedValue([]);
+      git.getConfig.mockResolvedValue(undefined);
+    });
+
+    it('should pull from the upstream of the current branch', async () => {
+      git.currentBranch.mockResolvedValue('main');
+      git.getConfig.mockImplementation(async ({ path: key }) => ({
+        'branch.main.remote': 'upstream',
+        'branch.main.merge': 'refs/heads/trunk',
+      })[key]);
+      git.fetch.mockResolvedValue({ fetchHead: 'abc123' });
+      git.merge.mockResolvedValue({ oid: 'mergesha' });
+      git.checkout.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/pull')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(200);
+      expect(git.fetch).toHaveBeenCalledWith(expect.objectContaining({ remote: 'upstream' }));
+      expect(git.merge).toHaveBeenCalledWith(expect.objectContaining({ theirs: 'upstream/trunk' }));
+    });
+
     it('should pull (fetch + merge) successfully', async () => {
       git.currentBranch.mockResolvedValue('main');
       git.fetch.mockResolvedValue({ fetchHead: 'abc123' });
       git.merge.mockResolvedValue({ oid: 'mergesha' });
+      git.checkout.mockResolvedValue(undefined);
 
       const res = await request(app)
         .post('/api/pull')
@@ -558,6 +4150,23 @@ describe('Git Client API', () => {
       );
     });
 
+    it('should pull with the configured author and merge mode', async () => {
+      git.currentBranch.mockResolvedValue('main');
+      git.fetch.mockResolvedValue({ fetchHead: 'abc123' });
+      git.merge.mockResolvedValue({ oid: 'mergesha', fastForward: true });
+      git.checkout.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/pull')
+        .send({ repoPath: '/test/repo', mode: 'ff-only', author: { name: 'Test User', email: 'test@test.com' } });
+
+      expect(res.status).toBe(200);
+      expect(git.merge).toHaveBeenCalledWith(expect.objectContaining({
+        fastForwardOnly: true,
+        author: { name: 'Test User', email: 'test@test.com' },
+      }));
+    });
+
     it('should handle fetch failure', async () => {
       git.currentBranch.mockResolvedValue('main');
       git.fetch.mockRejectedValue(new Error('Network error'));
@@ -588,6 +4197,11 @@ describe('Git Client API', () => {
   // POST /api/push
   // ============================================
   describe('POST /api/push', () => {
+    beforeEach(() => {
+      git.currentBranch.mockResolvedValue('main');
+      git.getConfig.mockResolvedValue(undefined);
+    });
+
     it('should push to remote', async () => {
       git.push.mockResolvedValue({ ok: true });
 
@@ -617,6 +4231,53 @@ describe('Git Client API', () => {
       );
     });
 
+    it('should push to the upstream remote unless another is given', async () => {
+      git.getConfig.mockImplementation(async ({ path: key }) => ({
+        'branch.main.remote': 'upstream',
+        'branch.main.merge': 'refs/heads/main',
+      })[key]);
+      git.push.mockResolvedValue({ ok: true });
+
+      await request(app).post('/api/push').send({ repoPath: '/test/repo' });
+      await request(app).post('/api/push').send({ repoPath: '/test/repo', remote: 'origin' });
+
+      expect(git.push).toHaveBeenNthCalledWith(1, expect.objectContaining({ remote: 'upstream' }));
+      expect(git.push).toHaveBeenNthCalledWith(2, expect.objectContaining({ remote: 'origin' }));
+    });
+
+    it('should push a new branch and set its upstream', async () => {
+      git.currentBranch.mockResolvedValue('feature');
+      git.push.mockResolvedValue({ ok: true });
+
+      const res = await request(app)
+        .post('/api/push')
+        .send({ repoPath: '/test/repo', remote: 'upstream', setUpstream: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body.upstream).toBe('upstream/feature');
+      expect(git.push).toHaveBeenCalledWith(expect.objectContaining({
+        remote: 'upstream',
+        ref: 'feature',
+        remoteRef: 'feature',
+      }));
+      expect(git.setConfig).toHaveBeenCalledWith(expect.objectContaining({ path: 'branch.feature.remote', value: 'upstream' }));
+      expect(git.setConfig).toHaveBeenCalledWith(expect.objectContaining({
+        path: 'branch.feature.merge',
+        value: 'refs/heads/feature',
+      }));
+    });
+
+    it('should not record an upstream when the push fails', async () => {
+      git.push.mockRejectedValue(new Error('Authentication failed'));
+
+      const res = await request(app)
+        .post('/api/push')
+        .send({ repoPath: '/test/repo', setUpstream: true });
+
+      expect(res.status).toBe(500);
+      expect(git.setConfig).not.toHaveBeenCalled();
+    });
+
     it('should handle push rejection', async () => {
       git.push.mockRejectedValue(new Error('Push rejected: non-fast-forward'));
 
@@ -629,6 +4290,206 @@ describe('Git Client API', () => {
     });
   });
 
+  // ============================================
+  // POST /api/remotes
+  // ============================================
+  describe('POST /api/remotes', () => {
+    it('should list configured remotes', async () => {
+      const remotes = [
+        { remote: 'origin', url: 'https://example.com/fork.git' },
+        { remote: 'upstream', url: 'https://example.com/repo.git' },
+      ];
+      git.listRemotes.mockResolvedValue(remotes);
+
+      const res = await request(app)
+        .post('/api/remotes')
+        .send({ repoPath: '/test/repo' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.remotes).toEqual(remotes);
+    });
+  });
+
+  // ============================================
+  // POST /api/remote/add
+  // ============================================
+  describe('POST /api/remote/add', () => {
+    beforeEach(() => {
+      git.listRemotes.mockResolvedValue([{ remote: 'origin', url: 'https://example.com/fork.git' }]);
+    });
+
+    it('should add a remote', async () => {
+      git.addRemote.mockResolvedValue(undefined);
+
+      const res = await request(app)
+        .post('/api/remote/add')
+        .send({ repoPath: '/test/repo', name: 'upstream', url: 'https://example.com/repo.git' });
+
+      expect(res.status).toBe(200);
+      expect(git.addRemote).toHaveBeenCalledWith(expect.objectContaining({
+        remote: 'upstream',
+        url: 'https://example.com/repo.git',
+      }));
+    });
+
+    it('should return 400 when the remote exists', async () => {
+      const res = await request(app)
+        .post('/api/remote/add')
+        .send({ repoPath: '/test/repo', name: 'origin', url: 'https://example.com/other.git' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Remote 'origin' already exists");
+      expect(git.addRemote).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when parameters are missing', async () => {
+      const res = await request(app)
+        .post('/api/remote/add')
+        .send({ repoPath: '/test/repo', name: 'upstream' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // ============================================
+  // POST /api/remote/remove
+  // ============================================
+  describe('POST /api/remote/remove', () => {
+    it('should delete the remote, its remote-tracking branches and upstreams pointing at it', async () => {
+      git.listRemotes.mockResolvedValue([{ remote: 'upstream', url: 'https://example.com/repo.git' }]);
+      git.listBranches.mockImplementation(async ({ remote }) => (remote ? ['main'] : ['main', 'feature']));
+      git.getConfig.mockImplementation(async ({ path: key }) => (key === 'branch.main.remote' ? 'upstream' : 'origin'));
+
+      const res = await request(app)
+        .post('/api/remote/remove')
+        .send({ repoPath: '/test/repo', name: 'upstream' });
+
+      expect(res.status).toBe(200);
+      expect(git.deleteRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/remotes/upstream/main' }));
+      expect(git.setConfig).toHaveBeenCalledWith(expect.objectContaining({ path: 'branch.main.remote', value: undefined }));
+      expect(git.setConfig).toHaveBeenCalledWith(expect.objectContaining({ path: 'branch.main.merge', value: undefined }));
+      expect(git.setConfig).not.toHaveBeenCalledWith(expect.objectContaining({ path: 'branch.feature.remote' }));
+      expect(git.deleteRemote).toHaveBeenCalledWith(expect.objectContaining({ remote: 'upstream' }));
+    });
+
+    it('should return 400 for an unknown remote', async () => {
+      git.listRemotes.mockResolvedValue([]);
+
+      const res = await request(app)
+        .post('/api/remote/remove')
+        .send({ repoPath: '/test/repo', name: 'upstream' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('No such remote: upstream');
+    });
+  });
+
+  // ============================================
+  // POST /api/remote/rename
+  // ============================================
+  describe('POST /api/remote/rename', () => {
+    it('should move the remote config, remote-tracking branches and upstreams', async () => {
+      const repoPath = createTempRepo();
+      const configPath = path.join(repoPath, '.git', 'config');
+      fs.writeFileSync(configPath, [
+        '[core]',
+        '\tbare = false',
+        '[remote "origin"]',
+        '\turl = https://example.com/repo.git',
+        '\tpushurl = https://example.com/push.git',
+        '\tfetch = +refs/heads/*:refs/remotes/origin/*',
+        '\tfetch = +refs/pull/*/head:refs/remotes/origin/pr/*',
+        '\ttagOpt = --no-tags',
+        '[remote "origin2"]',
+        '\turl = https://example.com/other.git',
+        '\tfetch = +refs/heads/*:refs/remotes/origin2/*',
+        '[branch "main"]',
+        '\tremote = origin',
+        '\tmerge = refs/heads/main',
+        '[branch "gone"]',
+        '\tpushRemote = origin',
+        '[branch "other"]',
+        '\tremote = origin2',
+        '',
+      ].join('\n'));
+      git.listRemotes.mockResolvedValue([{ remote: 'origin', url: 'https://example.com/repo.git' }]);
+      git.listBranches.mockImplementation(async ({ remote }) => (remote ? ['HEAD', 'main'] : ['main']));
+      git.resolveRef.mockImplementation(async ({ ref }) => (ref === 'refs/remotes/origin/HEAD' ? 'refs/remotes/origin/main' : 'commit123'));
+
+      const res = await request(app)
+        .post('/api/remote/rename')
+        .send({ repoPath, name: 'origin', newName: 'upstream' });
+
+      expect(res.status).toBe(200);
+      expect(fs.readFileSync(configPath, 'utf8')).toBe([
+        '[core]',
+        '\tbare = false',
+        '[remote "upstream"]',
+        '\turl = https://example.com/repo.git',
+        '\tpushurl = https://example.com/push.git',
+        '\tfetch = +refs/heads/*:refs/remotes/upstream/*',
+        '\tfetch = +refs/pull/*/head:refs/remotes/upstream/pr/*',
+        '\ttagOpt = --no-tags',
+        '[remote "origin2"]',
+        '\turl = https://example.com/other.git',
+        '\tfetch = +refs/heads/*:refs/remotes/origin2/*',
+        '[branch "main"]',
+        '\tremote = upstream',
+        '\tmerge = refs/heads/main',
+        '[branch "gone"]',
+        '\tpushRemote = upstream',
+        '[branch "other"]',
+        '\tremote = origin2',
+        '',
+      ].join('\n'));
+      expect(git.writeRef).toHaveBeenCalledWith(expect.objectContaining({
+        ref: 'refs/remotes/upstream/HEAD',
+        value: 'refs/remotes/upstream/main',
+        symbolic: true,
+      }));
+      expect(git.writeRef).toHaveBeenCalledWith(expect.objectContaining({
+        ref: 'refs/remotes/upstream/main',
+        value: 'commit123',
+        symbolic: false,
+      }));
+      expect(git.deleteRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/remotes/origin/main' }));
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should return 400 when the new name is taken', async () => {
+      git.listRemotes.mockResolvedValue([
+        { remote: 'origin', url: 'https://example.com/fork.git' },
+        { remote: 'upstream', url: 'https://example.com/repo.git' },
+      ]);
+
+      const res = await request(app)
+        .post('/api/remote/rename')
+        .send({ repoPath: '/test/repo', name: 'origin', newName: 'upstream' });
+
+      expect(res.status).toBe(400);
+      expect(git.addRemote).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================
+  // POST /api/remote/set-url
+  // ============================================
+  describe('POST /api/remote/set-url', () => {
+    it('should update the remote url', async () => {
+      git.listRemotes.mockResolvedValue([{ remote: 'origin', url: 'https://example.com/old.git' }]);
+
+      const res = await request(app)
+        .post('/api/remote/set-url')
+        .send({ repoPath: '/test/repo', name: 'origin', url: 'https://example.com/new.git' });
+
+      expect(res.status).toBe(200);
+      expect(git.setConfig).toHaveBeenCalledWith(expect.objectContaining({
+        path: 'remote.origin.url',
+        value: 'https://example.com/new.git',
+      }));
+    });
+  });
+
   // ============================================
   // POST /api/clone
   // ============================================